@@ -0,0 +1,267 @@
+// account/index.js
+// Everything stored for one user: collected for a data export, or deleted
+// together with the account.
+import path from "node:path";
+import User from "../models/User.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Attachment from "../models/Attachment.js";
+import Project from "../models/Project.js";
+import Persona from "../models/Persona.js";
+import Document, { DOCUMENT_BUCKET } from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import GeneratedImage, { IMAGE_BUCKET } from "../models/GeneratedImage.js";
+import Usage from "../models/Usage.js";
+import Session from "../models/Session.js";
+import EmailToken from "../models/EmailToken.js";
+import SharedChat from "../models/SharedChat.js";
+import { readFile, deleteFile } from "../storage/gridfs.js";
+import { toExportMessage } from "../transfer/index.js";
+import { buildMessageTree, parentIdOf } from "../branches/index.js";
+import { DOCUMENT_TYPES } from "../rag/extract.js";
+
+export const EXPORT_FORMAT = "falcon-account-export";
+export const EXPORT_VERSION = 1;
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+const fileName = (folder, id, mimeType) =>
+  `${folder}/${id}.${EXTENSIONS[mimeType] || "bin"}`;
+
+// an uploaded document keeps the extension of its name (.pdf, .md…)
+const documentFileName = (d) => {
+  const extension = path.extname(d.name).toLowerCase();
+  return `documents/${d._id}${DOCUMENT_TYPES[extension] ? extension : ".bin"}`;
+};
+
+/**
+ * A document's text put back together from its chunks. Chunks on the same
+ * page overlap (see rag/chunk.js), so the part of each chunk that repeats
+ * the end of the previous one is left out.
+ * @param {{ page: number | null, text: string }[]} chunks  in index order
+ */
+export function joinChunks(chunks) {
+  let text = "";
+  chunks.forEach((chunk, i) => {
+    const previous = chunks[i - 1];
+    if (!previous || previous.page !== chunk.page) {
+      text += (text ? "\n\n" : "") + chunk.text;
+      return;
+    }
+    // longest end of the previous chunk that starts this one
+    let overlap = 0;
+    for (
+      let start = Math.max(0, previous.text.length - chunk.text.length);
+      start < previous.text.length;
+      start++
+    ) {
+      if (chunk.text.startsWith(previous.text.slice(start))) {
+        overlap = previous.text.length - start;
+        break;
+      }
+    }
+    text += chunk.text.slice(overlap);
+  });
+  return text;
+}
+
+/**
+ * All of a user's data as one JSON-friendly object, plus the files that go
+ * with it (attachments, generated images, documents and their text) when
+ * `withFiles` is set. Paths in the data point at those files.
+ * @returns {Promise<{ data: object, files: { name, data }[] }>}
+ */
+export async function collectUserData(userId, { withFiles = false } = {}) {
+  const [user, conversations, projects, personas, documents, images, usage] =
+    await Promise.all([
+      User.findById(userId).lean(),
+      Conversation.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Project.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Persona.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Document.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      GeneratedImage.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Usage.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    ]);
+
+  const messages = await Message.find({
+    conversation: { $in: conversations.map((c) => c._id) },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("attachments")
+    .lean();
+  const files = [];
+
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(),
+    user: {
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      plan: user.plan,
+      // the API key is left out on purpose
+      customProvider: user.customProvider?.baseURL
+        ? {
+            baseURL: user.customProvider.baseURL,
+            model: user.customProvider.model,
+            label: user.customProvider.label,
+          }
+        : undefined,
+      createdAt: user.createdAt,
+    },
+    conversations: conversations.map((c) => {
+      // every branch, linked by parentId (see branches/)
+      const own = messages.filter(
+        (m) => String(m.conversation) === String(c._id)
+      );
+      const tree = buildMessageTree(own);
+      return {
+        id: c._id,
+        title: c.title,
+        project: c.project || undefined,
+        createdAt: c.createdAt,
+        updatedAt: c.updatedAt,
+        messages: own.map((m) => ({
+          id: m._id,
+          parentId: parentIdOf(tree, m),
+          ...toExportMessage(m),
+          attachments: m.attachments?.length
+            ? m.attachments.map((a) => ({
+                name: a.name,
+                mimeType: a.mimeType,
+                size: a.size,
+                file: fileName("attachments", a._id, a.mimeType),
+              }))
+            : undefined,
+        })),
+      };
+    }),
+    projects: projects.map((p) => ({
+      id: p._id,
+      name: p.name,
+      instructions: p.instructions,
+      createdAt: p.createdAt,
+    })),
+    personas: personas.map((p) => ({
+      id: p._id,
+      name: p.name,
+      icon: p.icon,
+      systemPrompt: p.systemPrompt,
+      provider: p.provider,
+      model: p.model,
+      temperature: p.temperature,
+      shared: p.shared,
+      createdAt: p.createdAt,
+    })),
+    // the uploaded file (older uploads weren't kept) and its extracted text
+    documents: documents.map((d) => ({
+      id: d._id,
+      name: d.name,
+      mimeType: d.mimeType,
+      size: d.size,
+      pageCount: d.pageCount,
+      project: d.project || undefined,
+      file: d.file ? documentFileName(d) : undefined,
+      text: `documents/${d._id}.txt`,
+      createdAt: d.createdAt,
+    })),
+    images: images.map((img) => ({
+      id: img._id,
+      prompt: img.prompt,
+      params: img.params,
+      mimeType: img.mimeType,
+      file: fileName("images", img._id, img.mimeType),
+      createdAt: img.createdAt,
+    })),
+    usage: usage.map((u) => ({
+      kind: u.kind,
+      provider: u.provider,
+      model: u.model,
+      promptTokens: u.promptTokens,
+      completionTokens: u.completionTokens,
+      messages: u.messages,
+      images: u.images,
+      createdAt: u.createdAt,
+    })),
+  };
+
+  if (withFiles) {
+    const attachments = await Attachment.find({ user: userId }).select("+data");
+    for (const a of attachments) {
+      files.push({
+        name: fileName("attachments", a._id, a.mimeType),
+        data: a.data,
+      });
+    }
+
+    for (const img of images) {
+      try {
+        files.push({
+          name: fileName("images", img._id, img.mimeType),
+          data: await readFile(IMAGE_BUCKET, img.file),
+        });
+      } catch (err) {
+        console.error(`Export: image ${img._id} is missing:`, err.message);
+      }
+    }
+
+    for (const d of documents) {
+      if (d.file) {
+        try {
+          files.push({
+            name: documentFileName(d),
+            data: await readFile(DOCUMENT_BUCKET, d.file),
+          });
+        } catch (err) {
+          console.error(`Export: document ${d._id} is missing:`, err.message);
+        }
+      }
+
+      const chunks = await DocumentChunk.find({ document: d._id })
+        .sort({ index: 1 })
+        .select("page text")
+        .lean();
+      files.push({
+        name: `documents/${d._id}.txt`,
+        data: joinChunks(chunks),
+      });
+    }
+  }
+
+  return { data, files };
+}
+
+/**
+ * Delete the account and everything that belongs to it.
+ */
+export async function deleteUserData(userId) {
+  const conversationIds = await Conversation.distinct("_id", { user: userId });
+  await Message.deleteMany({ conversation: { $in: conversationIds } });
+  await Conversation.deleteMany({ user: userId });
+  await SharedChat.deleteMany({ user: userId });
+  await Attachment.deleteMany({ user: userId });
+
+  const images = await GeneratedImage.find({ user: userId }).select("file");
+  for (const img of images) {
+    await deleteFile(IMAGE_BUCKET, img.file);
+  }
+  await GeneratedImage.deleteMany({ user: userId });
+
+  const documents = await Document.find({ user: userId }).select("file");
+  for (const d of documents) {
+    if (d.file) await deleteFile(DOCUMENT_BUCKET, d.file);
+  }
+  await DocumentChunk.deleteMany({ user: userId });
+  await Document.deleteMany({ user: userId });
+  await Project.deleteMany({ user: userId });
+  await Persona.deleteMany({ user: userId });
+  await Usage.deleteMany({ user: userId });
+  await EmailToken.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await User.deleteOne({ _id: userId });
+}
@@ -0,0 +1,103 @@
+// account/zip.js
+// Just enough of the ZIP format to package a data export: files are
+// deflated (or stored when that doesn't help, e.g. PNGs), no encryption,
+// no ZIP64 (so up to 4 GB).
+import { deflateRawSync } from "node:zlib";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Build a ZIP archive.
+ * @param {{ name: string, data: Buffer | string }[]} files
+ * @returns {Buffer}
+ */
+export function createZip(files) {
+  const { time, date } = dosDateTime(new Date());
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf8");
+    const data = Buffer.isBuffer(file.data)
+      ? file.data
+      : Buffer.from(file.data, "utf8");
+    const deflated = deflateRawSync(data);
+    const useDeflate = deflated.length < data.length;
+    const body = useDeflate ? deflated : data;
+    const crc = crc32(data);
+
+    // fields shared by the local header and the central directory entry
+    const common = Buffer.alloc(26);
+    common.writeUInt16LE(20, 0); // version needed
+    common.writeUInt16LE(0x0800, 2); // flags: UTF-8 names
+    common.writeUInt16LE(useDeflate ? 8 : 0, 4); // method
+    common.writeUInt16LE(time, 6);
+    common.writeUInt16LE(date, 8);
+    common.writeUInt32LE(crc, 10);
+    common.writeUInt32LE(body.length, 14);
+    common.writeUInt32LE(data.length, 18);
+    common.writeUInt16LE(name.length, 22);
+    common.writeUInt16LE(0, 24); // extra field length
+
+    const local = Buffer.concat([
+      Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+      common,
+      name,
+      body,
+    ]);
+
+    const tail = Buffer.alloc(14);
+    tail.writeUInt16LE(0, 0); // comment length
+    tail.writeUInt16LE(0, 2); // disk number
+    tail.writeUInt16LE(0, 4); // internal attributes
+    tail.writeUInt32LE(0, 6); // external attributes
+    tail.writeUInt32LE(offset, 10);
+    const version = Buffer.alloc(2);
+    version.writeUInt16LE(20, 0); // version made by
+    centrals.push(
+      Buffer.concat([
+        Buffer.from([0x50, 0x4b, 0x01, 0x02]),
+        version,
+        common,
+        tail,
+        name,
+      ])
+    );
+
+    locals.push(local);
+    offset += local.length;
+  }
+
+  const central = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(central.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, central, end]);
+}
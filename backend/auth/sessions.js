@@ -0,0 +1,166 @@
+// auth/sessions.js
+// Short-lived access tokens (JWT, sent as "Authorization: Bearer …") plus a
+// long-lived refresh token per session in an httpOnly cookie. Refreshing
+// rotates the cookie; presenting an already-rotated token means it was
+// copied, so the whole session is revoked.
+// .env: ACCESS_TOKEN_TTL (default "15m"), REFRESH_TOKEN_DAYS (default 30),
+// COOKIE_SECURE=true when the frontend is on another site over HTTPS.
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import Session from "../models/Session.js";
+
+export const REFRESH_COOKIE = "falcon_refresh";
+
+const getRefreshDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at the same moment both send the same cookie; the
+// token replaced this recently is still accepted
+const ROTATION_GRACE_MS = 10_000;
+
+export const hashToken = (token) =>
+  createHash("sha256").update(token).digest("hex");
+
+export const randomToken = () => randomBytes(32).toString("base64url");
+
+const sameHash = (a, b) =>
+  a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Error for the auth routes to answer with its status
+const authError = (message, status = 401) =>
+  Object.assign(new Error(message), { status });
+
+export const signAccessToken = (user, session) =>
+  jwt.sign(
+    { id: user._id, email: user.email, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+  );
+
+// "<session id>.<secret>"; the id finds the session, the secret proves it
+const issueRefreshToken = (session) => {
+  const secret = randomToken();
+  session.previousTokenHash = session.tokenHash;
+  session.rotatedAt = new Date();
+  session.tokenHash = hashToken(secret);
+  session.expiresAt = new Date(Date.now() + getRefreshDays() * 86_400_000);
+  return `${session._id}.${secret}`;
+};
+
+/**
+ * Start a session for a user who just logged in.
+ * @returns {Promise<{ accessToken: string, refreshToken: string, session }>}
+ */
+export async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get("user-agent")?.slice(0, 200),
+    ip: req.ip,
+    lastUsedAt: new Date(),
+  });
+  const refreshToken = issueRefreshToken(session);
+  await session.save();
+  return { accessToken: signAccessToken(user, session), refreshToken, session };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Throws an error with `status` 401 when the token can't be used.
+ */
+export async function rotateSession(refreshToken) {
+  const [id, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(id)) {
+    throw authError("Not logged in");
+  }
+
+  const session = await Session.findById(id).populate("user");
+  if (!session?.user || session.revokedAt || session.expiresAt <= new Date()) {
+    throw authError("Session expired, please log in again");
+  }
+  if (session.user.disabled) {
+    throw authError("This account has been disabled");
+  }
+  const hash = hashToken(secret);
+  const justRotated =
+    session.previousTokenHash &&
+    Date.now() - session.rotatedAt < ROTATION_GRACE_MS &&
+    sameHash(hash, session.previousTokenHash);
+  if (!sameHash(hash, session.tokenHash) && !justRotated) {
+    // an old token was replayed: someone else may hold the current one
+    session.revokedAt = new Date();
+    await session.save();
+    throw authError("Session expired, please log in again");
+  }
+
+  const nextRefreshToken = issueRefreshToken(session);
+  session.lastUsedAt = new Date();
+  await session.save();
+  return {
+    user: session.user,
+    accessToken: signAccessToken(session.user, session),
+    refreshToken: nextRefreshToken,
+    session,
+  };
+}
+
+// Revoke one session (logout). Unknown ids are ignored.
+export async function revokeSession(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return;
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+// Revoke every session of a user (password reset / change), optionally
+// keeping the one the change was made from
+export async function revokeAllSessions(userId, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  await Session.updateMany(filter, { $set: { revokedAt: new Date() } });
+}
+
+// Is the session behind an access token still valid?
+export async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(
+    await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+  );
+}
+
+/* ---------- refresh cookie ---------- */
+
+const cookieOptions = () => {
+  const secure = process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === "true"
+    : process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure,
+    // a frontend on another site (Netlify → API host) needs "none"
+    sameSite: secure ? "none" : "lax",
+    path: "/api/auth",
+  };
+};
+
+export const setRefreshCookie = (res, refreshToken) =>
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions(),
+    maxAge: getRefreshDays() * 86_400_000,
+  });
+
+export const clearRefreshCookie = (res) =>
+  res.clearCookie(REFRESH_COOKIE, cookieOptions());
+
+export const readRefreshCookie = (req) => {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === REFRESH_COOKIE) return decodeURIComponent(value.join("="));
+  }
+  return null;
+};
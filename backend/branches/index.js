@@ -0,0 +1,96 @@
+// branches/index.js
+// The messages of a conversation form a tree: editing a question or
+// regenerating an answer adds a sibling of it instead of overwriting it.
+// Each message points at its `parent` (null for the first one); messages
+// stored without one (chats from before branching, imports) follow the
+// message before them. The conversation's `currentMessage` is the end of
+// the branch being shown, its "current path".
+
+const ROOT = "root";
+
+const idOf = (m) => String(m._id);
+
+/**
+ * Index the messages of one conversation (sorted oldest first).
+ * @returns {{ byId: Map<string, object>, parentOf: Map<string, string>,
+ *   children: Map<string, object[]> }} parent keys are message ids or "root"
+ */
+export function buildMessageTree(messages) {
+  const byId = new Map();
+  const parentOf = new Map();
+  const children = new Map();
+
+  messages.forEach((m, i) => {
+    let parent;
+    if (m.parent === undefined) {
+      parent = i > 0 ? idOf(messages[i - 1]) : ROOT;
+    } else {
+      parent = m.parent ? String(m.parent) : ROOT;
+    }
+    byId.set(idOf(m), m);
+    parentOf.set(idOf(m), parent);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(m);
+  });
+
+  return { byId, parentOf, children };
+}
+
+/** The message's parent id, or null for a first message. */
+export function parentIdOf(tree, message) {
+  const parent = tree.parentOf.get(idOf(message));
+  return parent === ROOT ? null : parent;
+}
+
+/** Ids of the message and its alternatives, oldest first. */
+export function siblingIdsOf(tree, message) {
+  const siblings = tree.children.get(tree.parentOf.get(idOf(message))) || [];
+  return siblings.map(idOf);
+}
+
+/** Where the message sits in its branch (0 for a first message). */
+export function depthOf(tree, message) {
+  let depth = 0;
+  let parent = tree.parentOf.get(idOf(message));
+  while (parent && parent !== ROOT) {
+    depth += 1;
+    parent = tree.parentOf.get(parent);
+  }
+  return depth;
+}
+
+/** The end of the newest branch below the message. */
+export function latestLeaf(tree, message) {
+  let leaf = message;
+  for (;;) {
+    const children = tree.children.get(idOf(leaf));
+    if (!children?.length) return leaf;
+    leaf = children[children.length - 1];
+  }
+}
+
+/**
+ * The current path: the messages from the first one down to `currentId`
+ * (continued down the newest branch if it isn't a leaf). Without a valid
+ * `currentId`, the branch of the newest message.
+ * @returns {object[]} oldest first
+ */
+export function currentPath(tree, currentId) {
+  let leaf = currentId && tree.byId.get(String(currentId));
+  if (!leaf) {
+    const all = [...tree.byId.values()];
+    leaf = all[all.length - 1];
+  }
+  if (!leaf) return [];
+  leaf = latestLeaf(tree, leaf);
+
+  const path = [];
+  for (let m = leaf; m; m = tree.byId.get(tree.parentOf.get(idOf(m)))) {
+    path.unshift(m);
+  }
+  return path;
+}
+
+/** The current path of a conversation from its messages (oldest first). */
+export const conversationPath = (conversation, messages) =>
+  currentPath(buildMessageTree(messages), conversation.currentMessage);
@@ -0,0 +1,230 @@
+// context/index.js
+// Keeps chat requests inside the model's context window. Tokens are
+// estimated (≈ 4 characters per token); when the history doesn't fit the
+// budget, the oldest turns are folded into a rolling summary stored on the
+// conversation, and the summary is sent in their place from then on.
+//
+// Configuration (.env):
+//   CONTEXT_MAX_TOKENS     cap on the prompt size, to keep costs down (6000)
+//   CONTEXT_WINDOW_TOKENS  context window of models not listed below (8192)
+//   CHAT_MAX_TOKENS        tokens reserved for the reply (1024)
+//   SUMMARY_MAX_TOKENS     length of the rolling summary (400)
+import { getProvider } from "../providers/index.js";
+import { chatWithFailover } from "../providers/failover.js";
+import { recordUsage } from "../usage/index.js";
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Context windows (in tokens) of the models we know about
+const MODEL_CONTEXT_WINDOWS = {
+  "llama-3.1-8b-instant": 131072,
+  "llama-3.3-70b-versatile": 131072,
+  "meta-llama/llama-4-scout-17b-16e-instruct": 131072,
+  "deepseek-chat": 65536,
+  "deepseek-reasoner": 65536,
+  "gemini-2.0-flash": 1048576,
+  "gemini-2.0-flash-lite": 1048576,
+  "gemini-2.5-flash": 1048576,
+};
+
+// Share of the budget kept as recent turns when summarizing; the rest is
+// room for the system prompt, the summary and the next few turns
+const KEEP_RATIO = 0.5;
+
+/* ------------------------
+   TOKEN ESTIMATION
+   ------------------------ */
+
+// Rough count that errs on the high side for English and code
+export const estimateTextTokens = (text) =>
+  Math.ceil(String(text || "").length / 4);
+
+// Per-message overhead for role markers, plus a flat cost per image
+export const estimateMessageTokens = (m) =>
+  4 + estimateTextTokens(m.content) + (m.images?.length || 0) * 800;
+
+export const estimateTokens = (messages) =>
+  messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+/* ------------------------
+   LIMITS
+   ------------------------ */
+
+// Tokens reserved for the reply (sent to the providers as `maxTokens`)
+export const getReplyTokens = () => envNumber("CHAT_MAX_TOKENS", 1024);
+
+/**
+ * Prompt budget for a provider/model: its context window minus the reply
+ * (`maxTokens`, default getReplyTokens()), capped by CONTEXT_MAX_TOKENS.
+ */
+export function getContextBudget(
+  providerId,
+  { model, providers, maxTokens } = {}
+) {
+  const provider = providers?.[providerId] || getProvider(providerId);
+  const window =
+    MODEL_CONTEXT_WINDOWS[model || provider.defaultModel] ||
+    envNumber("CONTEXT_WINDOW_TOKENS", 8192);
+  return Math.min(
+    window - (maxTokens ?? getReplyTokens()),
+    envNumber("CONTEXT_MAX_TOKENS", 6000)
+  );
+}
+
+/* ------------------------
+   SUMMARIZATION
+   ------------------------ */
+
+const summaryMessage = (text) => ({
+  role: "system",
+  content: `Summary of the earlier part of this conversation:\n${text}`,
+});
+
+// Ask the model to merge the new turns into the existing summary; the
+// call is metered for `userId` like a chat answer (without using a message)
+const summarize = async (
+  previous,
+  turns,
+  { providerId, providers, userId }
+) => {
+  const transcript = turns
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+    .join("\n\n");
+
+  const request = [
+    {
+      role: "system",
+      content:
+        "You maintain a running summary of a conversation between a student and an AI assistant. " +
+        "Keep the facts, decisions, code names, open questions and the user's preferences; drop small talk. " +
+        "Reply with the updated summary only, as short bullet points.",
+    },
+    {
+      role: "user",
+      content:
+        (previous ? `Current summary:\n${previous}\n\n` : "") +
+        `New messages:\n${transcript}`,
+    },
+  ];
+  const { text, model, provider } = await chatWithFailover(
+    providerId,
+    request,
+    {
+      providers,
+      maxTokens: envNumber("SUMMARY_MAX_TOKENS", 400),
+      temperature: 0.2,
+    }
+  );
+  if (userId) {
+    await recordUsage(userId, {
+      kind: "summary",
+      provider,
+      model,
+      promptTokens: estimateTokens(request),
+      completionTokens: estimateTextTokens(text),
+    });
+  }
+  return text.trim();
+};
+
+/* ------------------------
+   PUBLIC API
+   ------------------------ */
+
+/**
+ * Fit a chat request into the context budget.
+ *
+ * `messages` is the full request: system messages, the history turns and
+ * the new user message last. Turns already covered by
+ * `conversation.summary` (the first `messageCount` of them) are replaced by
+ * the summary. If the rest is still over budget, older turns are folded into
+ * the summary and the conversation is saved. Without a conversation (or if
+ * summarizing fails) the oldest turns are simply dropped. Summaries are
+ * metered as usage of `userId`.
+ *
+ * @returns {Promise<{ messages: object[], context: { tokens: number, budget: number, summary: object|null } }>}
+ */
+export async function fitContext(
+  conversation,
+  messages,
+  { providerId, providers, model, maxTokens, userId } = {}
+) {
+  const budget = getContextBudget(providerId, { model, providers, maxTokens });
+  const system = messages.filter((m) => m.role === "system");
+  const history = messages.filter((m) => m.role !== "system");
+  const current = history.pop(); // the new user message always goes in
+
+  // A summary that covers more turns than were sent belongs to a history
+  // that has since been cleared → drop it
+  let summary = conversation?.summary?.text ? conversation.summary : null;
+  if (summary && summary.messageCount > history.length) {
+    summary = null;
+    conversation.summary = undefined;
+    await conversation.save();
+  }
+
+  let summarizedCount = summary?.messageCount || 0;
+  let summaryText = summary?.text || "";
+  let recent = history.slice(summarizedCount);
+
+  const build = () => [
+    ...system,
+    ...(summaryText ? [summaryMessage(summaryText)] : []),
+    ...recent,
+    current,
+  ];
+
+  if (estimateTokens(build()) > budget) {
+    // keep the newest turns that fit in KEEP_RATIO of the budget
+    let keep = 0;
+    let kept = 0;
+    for (let i = recent.length - 1; i >= 0; i--) {
+      kept += estimateMessageTokens(recent[i]);
+      if (kept > budget * KEEP_RATIO) break;
+      keep += 1;
+    }
+    const folded = recent.slice(0, recent.length - keep);
+
+    if (folded.length > 0 && conversation) {
+      try {
+        summaryText = await summarize(summaryText, folded, {
+          providerId,
+          providers,
+          userId,
+        });
+        summarizedCount += folded.length;
+        recent = recent.slice(folded.length);
+
+        conversation.summary = {
+          text: summaryText,
+          messageCount: summarizedCount,
+          updatedAt: new Date(),
+        };
+        await conversation.save();
+      } catch (err) {
+        console.error("Summarize conversation error:", err.message);
+      }
+    }
+
+    // still too long (no conversation, summary failed, huge messages)
+    while (recent.length > 0 && estimateTokens(build()) > budget) {
+      recent.shift();
+    }
+  }
+
+  const fitted = build();
+  return {
+    messages: fitted,
+    context: {
+      tokens: estimateTokens(fitted),
+      budget,
+      summary: summaryText
+        ? {
+            text: summaryText,
+            messageCount: summarizedCount,
+            updatedAt: conversation?.summary?.updatedAt,
+          }
+        : null,
+    },
+  };
+}
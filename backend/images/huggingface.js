@@ -0,0 +1,72 @@
+// images/huggingface.js
+import fetch from "node-fetch";
+
+import { detectImageType } from "../middleware/upload.js";
+
+const HF_MODEL_URL = "https://api-inference.huggingface.co/models/";
+
+// One request per image: the Inference API returns a single image's bytes
+async function generateOne(model, params, seed, signal) {
+  const hfRes = await fetch(`${HF_MODEL_URL}${model}`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.HF_API_KEY}`,
+      "Content-Type": "application/json",
+      Accept: "image/png",
+    },
+    body: JSON.stringify({
+      inputs: params.prompt,
+      parameters: {
+        negative_prompt: params.negativePrompt || undefined,
+        width: params.width,
+        height: params.height,
+        num_inference_steps: params.steps,
+        guidance_scale: params.guidance,
+        seed,
+      },
+    }),
+    signal,
+  });
+
+  if (!hfRes.ok) {
+    // e.g. 503 while the model is still loading ("cold" endpoint)
+    const data = await hfRes.json().catch(() => ({}));
+    const err = new Error(data.error || `HuggingFace error ${hfRes.status}`);
+    err.status = hfRes.status;
+    throw err;
+  }
+
+  const buffer = Buffer.from(await hfRes.arrayBuffer());
+  const mimeType = detectImageType(buffer);
+  if (!mimeType) throw new Error("HuggingFace did not return an image");
+  return { buffer, mimeType, seed };
+}
+
+const huggingfaceImageBackend = {
+  id: "huggingface",
+  name: "HuggingFace",
+  label: "HuggingFace · Stable Diffusion 2.1",
+  defaultModel: "stabilityai/stable-diffusion-2-1",
+  models: [
+    { id: "stabilityai/stable-diffusion-2-1", label: "Stable Diffusion 2.1" },
+    {
+      id: "stabilityai/stable-diffusion-xl-base-1.0",
+      label: "Stable Diffusion XL 1.0",
+    },
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.HF_API_KEY);
+  },
+
+  async generate(params, { signal } = {}) {
+    const model = params.model || huggingfaceImageBackend.defaultModel;
+    const images = [];
+    for (let i = 0; i < params.count; i++) {
+      images.push(await generateOne(model, params, params.seed + i, signal));
+    }
+    return { images, model };
+  },
+};
+
+export default huggingfaceImageBackend;
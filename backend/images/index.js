@@ -0,0 +1,204 @@
+// images/index.js
+// Registry of image generation backends. Every backend implements:
+//
+//   id, name, label, defaultModel
+//   models                        → [{ id, label }] a request may pick; the
+//                                    model goes into the upstream URL, so
+//                                    nothing else is accepted
+//   isConfigured()                → is its API key set?
+//   generate(params, { signal })  → Promise<{ images: { buffer, mimeType,
+//                                    seed }[], model }>
+//
+// `params` are validated by validateImageParams(): prompt, negativePrompt,
+// width, height, steps, guidance, seed, count (batch size) and model (of the
+// requested `backend`). Sizes, steps
+// and guidance left undefined mean "the backend's default".
+import huggingfaceImageBackend from "./huggingface.js";
+import stabilityImageBackend from "./stability.js";
+import { chatWithFailover } from "../providers/failover.js";
+import { findPersona, buildSystemPrompt } from "../personas/index.js";
+import { estimateTextTokens, estimateTokens } from "../context/index.js";
+import { recordUsage } from "../usage/index.js";
+
+export const DEFAULT_IMAGE_BACKEND = "huggingface";
+
+export const IMAGE_LIMITS = {
+  promptLength: 2000,
+  size: { min: 256, max: 1536, multipleOf: 64 },
+  steps: { min: 1, max: 50 },
+  guidance: { min: 0, max: 20 },
+  count: { min: 1, max: 4 },
+};
+
+const MAX_SEED = 2 ** 32 - 1;
+
+const backends = new Map(
+  [huggingfaceImageBackend, stabilityImageBackend].map((b) => [b.id, b])
+);
+
+// Unknown ids fall back to the default backend
+export function getImageBackend(id) {
+  return backends.get(id) || backends.get(DEFAULT_IMAGE_BACKEND);
+}
+
+// Public description of every backend, for GET /api/images/backends
+export function describeImageBackends() {
+  return [...backends.values()].map((b) => ({
+    id: b.id,
+    name: b.name,
+    label: b.label,
+    defaultModel: b.defaultModel,
+    models: b.models,
+    available: b.isConfigured(),
+  }));
+}
+
+// Optional number field: undefined when empty, NaN when not a number
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === ""
+    ? undefined
+    : Number(value);
+
+/**
+ * Validate the generation parameters of a request body.
+ * @returns {{ error: string } | { values: object }}
+ */
+export function validateImageParams(body) {
+  const prompt = String(body.prompt || "").trim();
+  if (!prompt) return { error: "Prompt is required" };
+
+  const negativePrompt = String(body.negativePrompt || "").trim();
+  if (
+    prompt.length > IMAGE_LIMITS.promptLength ||
+    negativePrompt.length > IMAGE_LIMITS.promptLength
+  ) {
+    return {
+      error: `Prompts can be at most ${IMAGE_LIMITS.promptLength} characters`,
+    };
+  }
+
+  const values = { prompt, negativePrompt };
+  const { size, steps, guidance, count } = IMAGE_LIMITS;
+
+  for (const field of ["width", "height"]) {
+    const value = optionalNumber(body[field]);
+    if (value === undefined) continue;
+    if (
+      !Number.isInteger(value) ||
+      value < size.min ||
+      value > size.max ||
+      value % size.multipleOf !== 0
+    ) {
+      return {
+        error: `${field} must be a multiple of ${size.multipleOf} between ${size.min} and ${size.max}`,
+      };
+    }
+    values[field] = value;
+  }
+
+  const stepCount = optionalNumber(body.steps);
+  if (stepCount !== undefined) {
+    if (
+      !Number.isInteger(stepCount) ||
+      stepCount < steps.min ||
+      stepCount > steps.max
+    ) {
+      return { error: `steps must be between ${steps.min} and ${steps.max}` };
+    }
+    values.steps = stepCount;
+  }
+
+  const scale = optionalNumber(body.guidance);
+  if (scale !== undefined) {
+    if (
+      !Number.isFinite(scale) ||
+      scale < guidance.min ||
+      scale > guidance.max
+    ) {
+      return {
+        error: `guidance must be between ${guidance.min} and ${guidance.max}`,
+      };
+    }
+    values.guidance = scale;
+  }
+
+  const model = String(body.model || "").trim();
+  if (model) {
+    const backend = getImageBackend(body.backend);
+    if (!backend.models.some((m) => m.id === model)) {
+      return { error: `Unknown model "${model}" for ${backend.name}` };
+    }
+    values.model = model;
+  }
+
+  // A fixed seed makes the result reproducible; without one we pick it so
+  // it can be shown (and reused) afterwards
+  const seed = optionalNumber(body.seed);
+  if (seed !== undefined && !(Number.isInteger(seed) && seed >= 0)) {
+    return { error: "seed must be a whole number of 0 or more" };
+  }
+  values.seed =
+    seed === undefined ? Math.floor(Math.random() * MAX_SEED) : seed % MAX_SEED;
+
+  const batch = optionalNumber(body.count) ?? 1;
+  if (!Number.isInteger(batch) || batch < count.min || batch > count.max) {
+    return { error: `count must be between ${count.min} and ${count.max}` };
+  }
+  values.count = batch;
+
+  return { values };
+}
+
+/**
+ * Turn a short idea into a detailed image prompt with a chat model, using
+ * Image mode's system prompt. The call is metered as one chat message of
+ * `userId` (the route checks that quota).
+ * @returns {Promise<string>}
+ */
+export async function enhancePrompt(
+  user,
+  prompt,
+  { providerId, providers, userId }
+) {
+  const persona = await findPersona(user?._id, "image");
+  const request = [
+    {
+      role: "system",
+      content:
+        buildSystemPrompt(persona, user) +
+        "\nRewrite the user's idea as one detailed prompt for the image " +
+        "model (subject, style, lighting, composition). Reply with the " +
+        "prompt only, no quotes or explanations.",
+    },
+    { role: "user", content: prompt },
+  ];
+  const { text, model, provider } = await chatWithFailover(
+    providerId,
+    request,
+    { providers, maxTokens: 300, temperature: 0.7 }
+  );
+  await recordUsage(userId, {
+    kind: "prompt",
+    provider,
+    model,
+    promptTokens: estimateTokens(request),
+    completionTokens: estimateTextTokens(text),
+    messages: 1,
+  });
+  return text.trim().replace(/^["']|["']$/g, "") || prompt;
+}
+
+/**
+ * Generate `params.count` images with the given backend.
+ * @returns {Promise<{ backend: string, model: string, images: object[] }>}
+ */
+export async function generateImages(backendId, params, options = {}) {
+  const backend = getImageBackend(backendId);
+  if (!backend.isConfigured()) {
+    const err = new Error(`${backend.name} is not configured`);
+    err.status = 503;
+    throw err;
+  }
+  const { images, model } = await backend.generate(params, options);
+  return { backend: backend.id, model, images };
+}
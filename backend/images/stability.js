@@ -0,0 +1,72 @@
+// images/stability.js
+import fetch from "node-fetch";
+
+const STABILITY_API_URL = "https://api.stability.ai/v1/generation/";
+
+const stabilityImageBackend = {
+  id: "stability",
+  name: "Stability AI",
+  label: "Stability AI · SDXL",
+  defaultModel: "stable-diffusion-xl-1024-v1-0",
+  models: [
+    { id: "stable-diffusion-xl-1024-v1-0", label: "SDXL 1.0" },
+    { id: "stable-diffusion-v1-6", label: "Stable Diffusion 1.6" },
+  ],
+
+  isConfigured() {
+    return Boolean(process.env.STABILITY_API_KEY);
+  },
+
+  // All images of a batch come from one request (`samples`)
+  async generate(params, { signal } = {}) {
+    const model =
+      params.model ||
+      process.env.STABILITY_MODEL ||
+      stabilityImageBackend.defaultModel;
+
+    const apiRes = await fetch(`${STABILITY_API_URL}${model}/text-to-image`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${process.env.STABILITY_API_KEY}`,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({
+        text_prompts: [
+          { text: params.prompt, weight: 1 },
+          ...(params.negativePrompt
+            ? [{ text: params.negativePrompt, weight: -1 }]
+            : []),
+        ],
+        width: params.width,
+        height: params.height,
+        steps: params.steps,
+        cfg_scale: params.guidance,
+        seed: params.seed,
+        samples: params.count,
+      }),
+      signal,
+    });
+
+    const data = await apiRes.json().catch(() => ({}));
+    if (!apiRes.ok) {
+      const err = new Error(data.message || `Stability error ${apiRes.status}`);
+      err.status = apiRes.status;
+      throw err;
+    }
+
+    const images = (data.artifacts || [])
+      .filter((a) => a.finishReason !== "CONTENT_FILTERED")
+      .map((a) => ({
+        buffer: Buffer.from(a.base64, "base64"),
+        mimeType: "image/png",
+        seed: a.seed,
+      }));
+    if (images.length === 0) {
+      throw new Error("Stability AI returned no images (content filtered?)");
+    }
+    return { images, model };
+  },
+};
+
+export default stabilityImageBackend;
@@ -0,0 +1,21 @@
+// mail/fileTransport.js
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Development stand-in: every message becomes an .eml file you can open in
+// a mail client (or read as text)
+const fileTransport = {
+  id: "file",
+
+  async send({ to, raw }) {
+    const dir = path.resolve(process.env.MAIL_DIR || "mail-outbox");
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeTo = to.replace(/[^\w.@-]+/g, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+    await fs.writeFile(file, raw);
+    console.log(`📧 Mail to ${to} saved to ${file}`);
+  },
+};
+
+export default fileTransport;
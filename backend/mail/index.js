@@ -0,0 +1,80 @@
+// mail/index.js
+// Outgoing email (verification links, password resets) through a pluggable
+// transport, chosen with MAIL_TRANSPORT in .env:
+//   file     (default) writes each message as an .eml file to MAIL_DIR
+//            (default ./mail-outbox), handy in development
+//   console  prints the message to the server log
+//   smtp     sends through SMTP_HOST:SMTP_PORT (e.g. a local Mailpit /
+//            MailHog on port 1025), with SMTP_USER / SMTP_PASS and
+//            SMTP_SECURE=true for implicit TLS when needed
+// Every transport implements send({ from, to, raw }) with `raw` the full
+// RFC 5322 message.
+import { randomUUID } from "node:crypto";
+
+import fileTransport from "./fileTransport.js";
+import smtpTransport from "./smtpTransport.js";
+
+const consoleTransport = {
+  id: "console",
+  async send({ raw }) {
+    console.log(`📧 Outgoing mail:\n${raw}`);
+  },
+};
+
+const transports = new Map(
+  [fileTransport, smtpTransport, consoleTransport].map((t) => [t.id, t])
+);
+
+const getTransport = () =>
+  transports.get(process.env.MAIL_TRANSPORT) || fileTransport;
+
+// Non-ASCII headers (e.g. a name in the subject) as RFC 2047 words
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+// Display name as an RFC 2047 word, so no character in it (quotes, commas,
+// line breaks, "<…>") can change the header it is in
+const encodeName = (name) =>
+  `=?UTF-8?B?${Buffer.from(name.replace(/[\r\n]+/g, " "), "utf8").toString("base64")}?=`;
+
+// A bare addr-spec: nothing a header or an SMTP command could be split on
+const isBareAddress = (address) =>
+  /^[^\s<>",;:\\]+@[^\s<>",;:\\]+$/.test(address);
+
+// Plain-text message; the body is base64 so any text survives the trip
+const buildMessage = ({ from, to, name, subject, text }) => {
+  const domain = from.match(/@([^>\s]+)/)?.[1] || "localhost";
+  const body = Buffer.from(text, "utf8")
+    .toString("base64")
+    .replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${name ? `${encodeName(name)} <${to}>` : to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+};
+
+/**
+ * Send a plain-text email. `to` is the bare address (the SMTP recipient),
+ * `name` the recipient's display name for the To: header.
+ * @param {{ to: string, name?: string, subject: string, text: string }} message
+ */
+export async function sendMail({ to, name, subject, text }) {
+  if (!isBareAddress(to)) throw new Error(`Invalid recipient address: ${to}`);
+  const from = process.env.MAIL_FROM || "Falcon AI <no-reply@falcon.local>";
+  const raw = buildMessage({ from, to, name, subject, text });
+  await getTransport().send({ from, to, raw });
+}
+
+// Frontend address used in the links we send (APP_URL in .env)
+export const getAppUrl = () =>
+  (process.env.APP_URL || "http://localhost:5173").replace(/\/+$/, "");
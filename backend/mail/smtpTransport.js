@@ -0,0 +1,112 @@
+// mail/smtpTransport.js
+// Minimal SMTP client: enough for a local catcher (Mailpit, MailHog, …) or a
+// relay with AUTH LOGIN over implicit TLS (SMTP_SECURE=true, usually port
+// 465). STARTTLS isn't supported.
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+
+const SMTP_TIMEOUT_MS = 15_000;
+
+const openConnection = ({ host, port, secure }) =>
+  new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () =>
+      socket.destroy(new Error("SMTP server timed out"))
+    );
+  });
+
+// Returns read() → the next server reply { code, text }. A reply may span
+// several "250-…" lines and ends with "250 …".
+const replyReader = (socket) => {
+  let buffer = "";
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let match;
+    while (
+      (match = buffer.match(/^(?:\d{3}-[^\n]*\n)*(\d{3})(?: [^\n]*)?\r?\n/))
+    ) {
+      buffer = buffer.slice(match[0].length);
+      const reply = { code: Number(match[1]), text: match[0].trim() };
+      if (waiting.length) waiting.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  });
+
+  const fail = (err) => {
+    failure = failure || err;
+    while (waiting.length) waiting.shift().reject(failure);
+  };
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("SMTP connection closed")));
+
+  return () => {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+};
+
+// Address part of "Name <user@example.com>" (MAIL_FROM)
+const addressOf = (value) => value.match(/<([^>]+)>/)?.[1] || value.trim();
+
+const smtpTransport = {
+  id: "smtp",
+
+  async send({ from, to, raw }) {
+    const host = process.env.SMTP_HOST || "localhost";
+    const secure = process.env.SMTP_SECURE === "true";
+    const port = Number(process.env.SMTP_PORT) || (secure ? 465 : 1025);
+
+    const socket = await openConnection({ host, port, secure });
+    const read = replyReader(socket);
+
+    // send `line` (unless null) and check the reply code
+    const command = async (line, expected) => {
+      if (line !== null) socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new Error(
+          `SMTP error after "${line?.split(" ")[0] || "connect"}": ${reply.text}`
+        );
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+      await command(`EHLO ${os.hostname() || "localhost"}`, [250]);
+
+      if (process.env.SMTP_USER) {
+        await command("AUTH LOGIN", [334]);
+        await command(
+          Buffer.from(process.env.SMTP_USER).toString("base64"),
+          [334]
+        );
+        await command(
+          Buffer.from(process.env.SMTP_PASS || "").toString("base64"),
+          [235]
+        );
+      }
+
+      await command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+      // `to` is a bare, checked address (see sendMail)
+      await command(`RCPT TO:<${to}>`, [250, 251]);
+      await command("DATA", [354]);
+      // lines starting with "." are escaped by doubling it
+      await command(`${raw.replace(/^\./gm, "..")}\r\n.`, [250]);
+      await command("QUIT", [221]);
+    } finally {
+      socket.end();
+    }
+  },
+};
+
+export default smtpTransport;
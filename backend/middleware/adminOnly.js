@@ -0,0 +1,23 @@
+// middleware/adminOnly.js
+import User from "../models/User.js";
+
+/* ------------------------
+   ADMIN ONLY MIDDLEWARE
+   ------------------------ */
+
+// Lets only admins through (use after authMiddleware). The role is read from
+// the database, so promoting or demoting someone applies right away.
+const adminOnly = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role").lean();
+    if (user?.role !== "admin") {
+      return res.status(403).json({ error: "Admins only" });
+    }
+    next();
+  } catch (err) {
+    console.error("Admin check error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+export default adminOnly;
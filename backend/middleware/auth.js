@@ -0,0 +1,52 @@
+// middleware/auth.js
+import jwt from "jsonwebtoken";
+
+import { isSessionActive } from "../auth/sessions.js";
+
+// "Authorization: Bearer <token>" → token (or null)
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+};
+
+// The access token's payload ({ id, email, sid }) if it is valid and its
+// session hasn't been revoked (logout), else null
+const verifyAccessToken = async (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return (await isSessionActive(decoded.sid)) ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/* ------------------------
+   AUTH MIDDLEWARE
+   ------------------------ */
+const authMiddleware = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ error: "No token, authorization denied" });
+  }
+
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) {
+    return res.status(401).json({ error: "Token is not valid" });
+  }
+  req.user = decoded; // { id, email, sid }
+  next();
+};
+
+// Like authMiddleware, but lets anonymous requests through (req.user unset)
+export const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (token) {
+    // invalid token → treat as anonymous
+    req.user = (await verifyAccessToken(token)) || undefined;
+  }
+  next();
+};
+
+export default authMiddleware;
@@ -0,0 +1,42 @@
+// middleware/quota.js
+import { getQuotaStatus, getUserPlan } from "../usage/index.js";
+
+const PERIOD_NAMES = { day: "today", month: "this month" };
+
+/**
+ * Enforce the user's plan quota for `metric` ("messages" or "images").
+ * `units(req)` is how much the request will use (default 1). Sets
+ * `X-Quota-Limit`, `X-Quota-Remaining` (after this request) and
+ * `X-Quota-Reset` (seconds), and answers 429 with `Retry-After` when the
+ * quota is used up. Use after authMiddleware.
+ */
+export const requireQuota =
+  (metric, units = () => 1) =>
+  async (req, res, next) => {
+    try {
+      const plan = await getUserPlan(req.user.id);
+      const status = await getQuotaStatus(req.user.id, plan, metric);
+      if (status.limit === null) return next();
+
+      const needed = units(req);
+      const resetSeconds = Math.ceil((status.resetAt - Date.now()) / 1000);
+      res.set({
+        "X-Quota-Limit": status.limit,
+        "X-Quota-Remaining": Math.max(0, status.remaining - needed),
+        "X-Quota-Reset": resetSeconds,
+      });
+
+      if (status.remaining < needed) {
+        res.set("Retry-After", resetSeconds);
+        const left = status.remaining > 0 ? ` (${status.remaining} left)` : "";
+        return res.status(429).json({
+          error: `You've reached your ${plan} plan limit of ${status.limit} ${metric} ${PERIOD_NAMES[status.period]}${left}.`,
+          quota: status,
+        });
+      }
+      next();
+    } catch (err) {
+      console.error("Quota check error:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
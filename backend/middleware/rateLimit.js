@@ -0,0 +1,80 @@
+// middleware/rateLimit.js
+// In-memory rate limiting per user and per IP address (fixed window).
+// Configure in .env:
+//   RATE_LIMIT_WINDOW_SECONDS  length of a window (default 60)
+//   RATE_LIMIT_PER_USER        requests per window per user (default 20)
+//   RATE_LIMIT_PER_IP          requests per window per IP (default 60)
+// Counters live in this process, so they reset on restart and aren't shared
+// between instances; use a shared store (e.g. Redis) when scaling out.
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name] || NaN);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// key → { count, resetAt (ms) }
+const windows = new Map();
+
+// Drop finished windows now and then so the map doesn't grow forever
+let lastSweep = 0;
+const sweep = (now) => {
+  if (now - lastSweep < 60_000) return;
+  lastSweep = now;
+  for (const [key, w] of windows) {
+    if (w.resetAt <= now) windows.delete(key);
+  }
+};
+
+// Count one hit for `key`; returns the window after counting
+const hit = (key, windowMs, now) => {
+  let w = windows.get(key);
+  if (!w || w.resetAt <= now) {
+    w = { count: 0, resetAt: now + windowMs };
+    windows.set(key, w);
+  }
+  w.count += 1;
+  return w;
+};
+
+/**
+ * Limit requests per logged-in user (req.user, so use after authMiddleware)
+ * and per client IP. Answers 429 with `Retry-After` when either is over.
+ */
+const rateLimit = (req, res, next) => {
+  const now = Date.now();
+  sweep(now);
+
+  const windowMs = envNumber("RATE_LIMIT_WINDOW_SECONDS", 60) * 1000;
+  const checks = [
+    { key: `ip:${req.ip}`, max: envNumber("RATE_LIMIT_PER_IP", 60) },
+    ...(req.user
+      ? [
+          {
+            key: `user:${req.user.id}`,
+            max: envNumber("RATE_LIMIT_PER_USER", 20),
+          },
+        ]
+      : []),
+  ].map((c) => ({ ...c, window: hit(c.key, windowMs, now) }));
+
+  // report the tightest of the limits
+  const tightest = checks.reduce((a, b) =>
+    b.max - b.window.count < a.max - a.window.count ? b : a
+  );
+  const resetSeconds = Math.ceil((tightest.window.resetAt - now) / 1000);
+  res.set({
+    "X-RateLimit-Limit": tightest.max,
+    "X-RateLimit-Remaining": Math.max(0, tightest.max - tightest.window.count),
+    "X-RateLimit-Reset": resetSeconds,
+  });
+
+  if (tightest.window.count > tightest.max) {
+    res.set("Retry-After", resetSeconds);
+    return res.status(429).json({
+      error: `Too many requests. Please wait ${resetSeconds} s and try again.`,
+    });
+  }
+  next();
+};
+
+export default rateLimit;
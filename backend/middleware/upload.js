@@ -0,0 +1,97 @@
+// middleware/upload.js
+import multer from "multer";
+
+// File signatures ("magic numbers") of the image types we accept, so a
+// renamed file can't pretend to be an image
+const IMAGE_SIGNATURES = {
+  "image/png": (b) =>
+    b.length > 8 &&
+    b.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex")),
+  "image/jpeg": (b) =>
+    b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  "image/gif": (b) =>
+    b.length > 6 && b.subarray(0, 4).toString("ascii") === "GIF8",
+  "image/webp": (b) =>
+    b.length > 12 &&
+    b.subarray(0, 4).toString("ascii") === "RIFF" &&
+    b.subarray(8, 12).toString("ascii") === "WEBP",
+};
+
+export const IMAGE_MIME_TYPES = Object.keys(IMAGE_SIGNATURES);
+
+// Max image size in bytes (MAX_IMAGE_MB in .env, default 5).
+// Read per request because .env is loaded after the imports run.
+export const getMaxImageBytes = () =>
+  Math.floor((Number(process.env.MAX_IMAGE_MB) || 5) * 1024 * 1024);
+
+export const isValidImage = (file) =>
+  Boolean(IMAGE_SIGNATURES[file?.mimetype]?.(file.buffer));
+
+// The image type of raw bytes (e.g. from an image API), or null
+export const detectImageType = (buffer) =>
+  IMAGE_MIME_TYPES.find((type) => IMAGE_SIGNATURES[type](buffer)) || null;
+
+/**
+ * Multer middleware for one in-memory file in `field`, answering with a JSON
+ * 400 / 413 instead of an HTML error page when the upload is rejected.
+ * Requests that aren't multipart pass straight through.
+ * @param {{ field: string, maxBytes: () => number, mimeTypes?: string[] }} config
+ */
+export const singleFileUpload = ({ field, maxBytes, mimeTypes }) => {
+  return (req, res, next) => {
+    const limit = maxBytes();
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: limit, files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (mimeTypes && !mimeTypes.includes(file.mimetype)) {
+          const err = new Error(
+            `Unsupported file type ${file.mimetype}. Allowed: ${mimeTypes.join(", ")}`
+          );
+          err.status = 400;
+          return cb(err);
+        }
+        cb(null, true);
+      },
+    }).single(field);
+
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        const mb = Math.round((limit / 1024 / 1024) * 10) / 10;
+        return res
+          .status(413)
+          .json({ error: `File is too large (max ${mb} MB)` });
+      }
+      return res.status(err.status || 400).json({ error: err.message });
+    });
+  };
+};
+
+// The chat routes' optional `image` attachment
+export const imageUpload = singleFileUpload({
+  field: "image",
+  maxBytes: getMaxImageBytes,
+  mimeTypes: IMAGE_MIME_TYPES,
+});
+
+// Max study document size in bytes (MAX_DOCUMENT_MB in .env, default 15)
+export const getMaxDocumentBytes = () =>
+  Math.floor((Number(process.env.MAX_DOCUMENT_MB) || 15) * 1024 * 1024);
+
+// Study documents; the type is checked by file extension in the route
+export const documentUpload = singleFileUpload({
+  field: "file",
+  maxBytes: getMaxDocumentBytes,
+});
+
+// Max chat import size in bytes (MAX_IMPORT_MB in .env, default 50):
+// ChatGPT exports of long histories get big
+export const getMaxImportBytes = () =>
+  Math.floor((Number(process.env.MAX_IMPORT_MB) || 50) * 1024 * 1024);
+
+// Chat history imports (JSON); the content is checked in transfer/
+export const importUpload = singleFileUpload({
+  field: "file",
+  maxBytes: getMaxImportBytes,
+});
@@ -0,0 +1,36 @@
+// models/Attachment.js
+import mongoose from "mongoose";
+
+// Uploaded file (e.g. an image sent to a vision model). The bytes live in the
+// document, so `data` is excluded from queries unless asked for.
+const attachmentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    data: {
+      type: Buffer,
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+export default Attachment;
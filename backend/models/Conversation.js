@@ -0,0 +1,52 @@
+// models/Conversation.js
+import mongoose from "mongoose";
+
+const conversationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // project (folder) the chat lives in, if any
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      index: true,
+    },
+    title: {
+      type: String,
+      default: "New chat",
+      trim: true,
+    },
+    // last message of the branch being shown (the current path); unset
+    // means the newest message's branch
+    currentMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+      default: null,
+    },
+    // advanced settings last chosen in this chat (model, sampling; see
+    // providers/params.js); the client sends them with each request
+    generation: {
+      model: String,
+      temperature: Number,
+      topP: Number,
+      maxTokens: Number,
+      stop: { type: [String], default: undefined },
+    },
+    // rolling summary of the first `messageCount` messages, sent to the
+    // model instead of them once the chat outgrows the context budget
+    summary: {
+      text: String,
+      messageCount: { type: Number, default: 0 },
+      updatedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+export default Conversation;
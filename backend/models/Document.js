@@ -0,0 +1,58 @@
+// models/Document.js
+import mongoose from "mongoose";
+
+// GridFS bucket with the uploaded files
+export const DOCUMENT_BUCKET = "documents";
+
+// Uploaded study document (lecture notes etc.) or project reference file.
+// The text lives in DocumentChunk documents, one per retrievable passage;
+// the file itself is in GridFS (DOCUMENT_BUCKET), `file` is its id.
+const documentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // set for a project's reference files (see models/Project.js)
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    // missing for documents uploaded before the files were kept
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    pageCount: {
+      type: Number,
+    },
+    chunkCount: {
+      type: Number,
+      default: 0,
+    },
+    // model that embedded the chunks, e.g. "gemini:text-embedding-004"
+    embeddingModel: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+const Document = mongoose.model("Document", documentSchema);
+export default Document;
@@ -0,0 +1,40 @@
+// models/DocumentChunk.js
+import mongoose from "mongoose";
+
+const documentChunkSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Document",
+      required: true,
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    index: {
+      type: Number,
+      required: true,
+    },
+    // 1-based PDF page; null for formats without pages
+    page: {
+      type: Number,
+      default: null,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    embedding: {
+      type: [Number],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+const DocumentChunk = mongoose.model("DocumentChunk", documentChunkSchema);
+export default DocumentChunk;
@@ -0,0 +1,35 @@
+// models/EmailToken.js
+import mongoose from "mongoose";
+
+// One-time token sent by email (verify address, reset password). Only its
+// hash is stored; MongoDB deletes it once it has expired.
+const emailTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["verify-email", "reset-password"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+emailTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmailToken = mongoose.model("EmailToken", emailTokenSchema);
+export default EmailToken;
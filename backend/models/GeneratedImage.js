@@ -0,0 +1,46 @@
+// models/GeneratedImage.js
+import mongoose from "mongoose";
+
+// GridFS bucket with the image bytes
+export const IMAGE_BUCKET = "generatedImages";
+
+// An image made in Image mode, shown in the user's Library. The bytes are in
+// GridFS (IMAGE_BUCKET), `file` is their id.
+const generatedImageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    prompt: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // how it was made, e.g. { provider: "huggingface", model: "…" }
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+generatedImageSchema.index({ user: 1, createdAt: -1 });
+
+const GeneratedImage = mongoose.model("GeneratedImage", generatedImageSchema);
+export default GeneratedImage;
@@ -0,0 +1,76 @@
+// models/Message.js
+import mongoose from "mongoose";
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+      index: true,
+    },
+    // message this one answers or follows; null for the first message.
+    // Siblings are alternatives (edited questions, regenerated answers).
+    // Left unset, the message follows the one before it (see branches/).
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    sender: {
+      type: String,
+      enum: ["user", "bot"],
+      required: true,
+    },
+    text: {
+      type: String,
+      default: "",
+    },
+    provider: {
+      type: String,
+    },
+    // chat mode (persona id) the message was sent in, for search filters
+    mode: {
+      type: String,
+    },
+    imageUrl: {
+      type: String,
+    },
+    // the user stopped the reply while it streamed; `text` is partial
+    interrupted: {
+      type: Boolean,
+    },
+    // study-document passages the answer was grounded in
+    sources: [
+      {
+        _id: false,
+        document: { type: mongoose.Schema.Types.ObjectId, ref: "Document" },
+        name: String,
+        page: Number,
+      },
+    ],
+    // tools the model called while answering (shown as collapsible steps)
+    toolSteps: [
+      {
+        _id: false,
+        name: String,
+        args: mongoose.Schema.Types.Mixed,
+        result: mongoose.Schema.Types.Mixed,
+        error: String,
+      },
+    ],
+    // uploaded files (e.g. an image the user sent to a vision model)
+    attachments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Attachment",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// full-text search over message bodies (GET /api/search)
+messageSchema.index({ text: "text" });
+
+const Message = mongoose.model("Message", messageSchema);
+export default Message;
@@ -0,0 +1,43 @@
+// models/Persona.js
+import mongoose from "mongoose";
+
+// A user-defined chat mode: system prompt template plus default settings.
+// The built-in modes live in personas/builtins.js, not in the database.
+const personaSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    icon: {
+      type: String,
+      default: "💬",
+    },
+    // may use {{date}}, {{user.name}}, … (see personas/index.js)
+    systemPrompt: {
+      type: String,
+      required: true,
+    },
+    // optional defaults applied when the persona is picked
+    provider: String,
+    model: String,
+    temperature: Number,
+    // shared personas are listed for every user (read-only for them)
+    shared: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const Persona = mongoose.model("Persona", personaSchema);
+export default Persona;
@@ -0,0 +1,29 @@
+// models/Project.js
+import mongoose from "mongoose";
+
+// A folder of chats with shared instructions. Its reference files are
+// Documents with `project` set; its chats are Conversations with `project`.
+const projectSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // prepended (as a system message) to every chat in the project
+    instructions: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+const Project = mongoose.model("Project", projectSchema);
+export default Project;
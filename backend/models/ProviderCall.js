@@ -0,0 +1,38 @@
+// models/ProviderCall.js
+import mongoose from "mongoose";
+
+// One call to a chat provider (all retries included), successful or not.
+// Feeds the per-provider stats of the admin dashboard; kept for 90 days.
+const providerCallSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    mode: {
+      type: String,
+      enum: ["chat", "stream"],
+      required: true,
+    },
+    ok: {
+      type: Boolean,
+      required: true,
+    },
+    latencyMs: {
+      type: Number,
+      required: true,
+    },
+    error: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+providerCallSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 90 * 24 * 60 * 60 }
+);
+
+const ProviderCall = mongoose.model("ProviderCall", providerCallSchema);
+export default ProviderCall;
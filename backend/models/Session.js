@@ -0,0 +1,51 @@
+// models/Session.js
+import mongoose from "mongoose";
+
+// A login on one device. Its refresh token (kept in an httpOnly cookie) is
+// rotated on every use; only the hash of the current one is stored. Access
+// tokens carry the session id, so revoking the session logs them out too.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // the token before the last rotation, see auth/sessions.js
+    previousTokenHash: {
+      type: String,
+    },
+    rotatedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// expired sessions are removed by MongoDB a day after they end
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
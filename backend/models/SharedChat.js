@@ -0,0 +1,67 @@
+// models/SharedChat.js
+import mongoose from "mongoose";
+
+// A read-only public snapshot of a conversation, opened with its token
+// (GET /api/shared/:token). Messages are copied at share time, so later
+// messages in the chat aren't shared; images are still served from the
+// owner's files. Expired shares are removed by MongoDB.
+const sharedChatSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    // null when the owner chose to hide their name
+    authorName: {
+      type: String,
+    },
+    messages: [
+      {
+        _id: false,
+        sender: String,
+        text: String,
+        provider: String,
+        imageUrl: String,
+        attachments: [
+          {
+            _id: false,
+            id: mongoose.Schema.Types.ObjectId,
+            name: String,
+            mimeType: String,
+          },
+        ],
+        sources: [{ _id: false, name: String, page: Number }],
+        createdAt: Date,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+sharedChatSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SharedChat = mongoose.model("SharedChat", sharedChatSchema);
+export default SharedChat;
@@ -0,0 +1,52 @@
+// models/Usage.js
+import mongoose from "mongoose";
+
+// One metered request: a chat answer, a batch of generated images, or a
+// call made on the user's behalf (the rolling summary of a long chat, an
+// image prompt rewritten by a chat model, the embeddings of an uploaded
+// document).
+// Token counts are estimates (see context/index.js), good enough for quotas
+// and for comparing spend between providers.
+const usageSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["chat", "image", "summary", "prompt", "embedding"],
+      required: true,
+    },
+    provider: {
+      type: String,
+    },
+    model: {
+      type: String,
+    },
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+    // quota units: 1 per chat answer, the number of images per generation
+    messages: {
+      type: Number,
+      default: 0,
+    },
+    images: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+usageSchema.index({ user: 1, createdAt: -1 });
+
+const Usage = mongoose.model("Usage", usageSchema);
+export default Usage;
@@ -20,6 +20,38 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // quota plan, see usage/index.js
+    plan: {
+      type: String,
+      enum: ["free", "pro"],
+      default: "free",
+    },
+    // "admin" opens /api/admin, see middleware/adminOnly.js
+    role: {
+      type: String,
+      enum: ["user", "admin"],
+      default: "user",
+    },
+    // disabled accounts can't log in or refresh their session
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    // usage before this moment no longer counts toward quotas (admin reset)
+    quotaResetAt: {
+      type: Date,
+    },
+    // Personal OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, …)
+    customProvider: {
+      baseURL: { type: String, trim: true },
+      apiKey: { type: String, select: false },
+      model: { type: String, trim: true },
+      label: { type: String, trim: true },
+    },
   },
   { timestamps: true }
 );
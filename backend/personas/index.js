@@ -0,0 +1,80 @@
+// personas/index.js
+// Chat modes ("personas"): the built-ins plus the ones users create.
+// System prompts are templates; variables are filled in on every request:
+//   {{date}}        e.g. "Monday, 19 October 2026"
+//   {{time}}        e.g. "14:05"
+//   {{year}}        e.g. "2026"
+//   {{user.name}}   the logged-in user's name
+//   {{user.email}}  the logged-in user's email
+// Unknown variables are left as they are so typos are easy to spot.
+import mongoose from "mongoose";
+
+import Persona from "../models/Persona.js";
+import BUILTIN_PERSONAS from "./builtins.js";
+
+export { BUILTIN_PERSONAS };
+export const DEFAULT_PERSONA_ID = "general";
+export const TEMPLATE_VARIABLES = [
+  "date",
+  "time",
+  "year",
+  "user.name",
+  "user.email",
+];
+
+const builtins = new Map(BUILTIN_PERSONAS.map((p) => [p.id, p]));
+
+export const isBuiltinPersona = (id) => builtins.has(id);
+
+/**
+ * A persona the user may chat with: a built-in, one of their own, or one
+ * another user shared. Falls back to the default persona.
+ */
+export async function findPersona(userId, personaId) {
+  if (builtins.has(personaId)) return builtins.get(personaId);
+
+  if (mongoose.isValidObjectId(personaId)) {
+    const persona = await Persona.findOne({
+      _id: personaId,
+      $or: [{ user: userId }, { shared: true }],
+    }).lean();
+    if (persona) return persona;
+  }
+  return builtins.get(DEFAULT_PERSONA_ID);
+}
+
+// Values for the template variables right now
+export function getTemplateVariables(user) {
+  const now = new Date();
+  return {
+    date: now.toLocaleDateString("en-GB", {
+      weekday: "long",
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    }),
+    time: now.toLocaleTimeString("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+    }),
+    year: String(now.getFullYear()),
+    user: { name: user?.name || "", email: user?.email || "" },
+  };
+}
+
+// Replace {{path.to.value}} with values from `variables`
+export function renderTemplate(template, variables) {
+  return String(template || "").replace(
+    /\{\{\s*([\w.]+)\s*\}\}/g,
+    (match, path) => {
+      const value = path
+        .split(".")
+        .reduce((obj, key) => (obj == null ? undefined : obj[key]), variables);
+      return value == null || typeof value === "object" ? match : String(value);
+    }
+  );
+}
+
+// The persona's system prompt, filled in for this user
+export const buildSystemPrompt = (persona, user) =>
+  renderTemplate(persona.systemPrompt, getTemplateVariables(user));
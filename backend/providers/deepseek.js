@@ -0,0 +1,25 @@
+// providers/deepseek.js
+import OpenAI from "openai";
+
+import { createOpenAIStyleProvider } from "./openaiStyle.js";
+
+// DeepSeek (OpenAI compatible)
+const deepseekProvider = createOpenAIStyleProvider({
+  id: "deepseek",
+  name: "DeepSeek",
+  label: "DeepSeek · Chat",
+  apiKeyEnv: "DEEPSEEK_API_KEY",
+  createClient: () =>
+    new OpenAI({
+      apiKey: process.env.DEEPSEEK_API_KEY,
+      baseURL: "https://api.deepseek.com",
+    }),
+  defaultModel: "deepseek-chat",
+  models: [
+    { id: "deepseek-chat", label: "DeepSeek Chat" },
+    { id: "deepseek-reasoner", label: "DeepSeek Reasoner" },
+  ],
+  capabilities: { tools: true },
+});
+
+export default deepseekProvider;
@@ -0,0 +1,341 @@
+// providers/failover.js
+// Runs a chat request against a chain of providers: the one the user picked
+// first, then the configured fallbacks. Each provider gets a timeout and a few
+// retries with exponential backoff on 429/5xx, and a circuit breaker skips a
+// provider for a while after it has failed repeatedly. Only those failures
+// count: a 4xx caused by the request itself says nothing about the provider.
+//
+// Configuration (.env):
+//   PROVIDER_FALLBACK_CHAIN    comma list, e.g. "groq,deepseek,gemini"
+//   PROVIDER_TIMEOUT_MS        default timeout per attempt (30000)
+//   <ID>_TIMEOUT_MS            per-provider override, e.g. GROQ_TIMEOUT_MS
+//   PROVIDER_MAX_RETRIES       retries per provider on 429/5xx (2)
+//   PROVIDER_RETRY_BASE_MS     first backoff delay, doubled each retry (500)
+//   CIRCUIT_FAILURE_THRESHOLD  failures in a row before skipping (3)
+//   CIRCUIT_COOLDOWN_MS        how long a tripped provider is skipped (60000)
+//
+// `options.providers` may map provider ids to per-request adapters.
+// `options.tools` (see tools/) only reaches providers with the `tools`
+// capability; the others answer without them. `options.model` only applies
+// to the requested provider; fallbacks use their default model.
+// `options.failover: false` tries only the requested provider (compare mode).
+import { getProvider } from "./index.js";
+import { recordProviderCall } from "./stats.js";
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const getFallbackChain = () =>
+  (process.env.PROVIDER_FALLBACK_CHAIN || "groq,deepseek,gemini")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+const getTimeout = (id) =>
+  envNumber(
+    `${id.toUpperCase()}_TIMEOUT_MS`,
+    envNumber("PROVIDER_TIMEOUT_MS", 30000)
+  );
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rate limits, server errors and timeouts/network errors are worth retrying
+const isRetryable = (err) => {
+  const status = err?.status ?? err?.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+};
+
+/* ------------------------
+   CIRCUIT BREAKER
+   ------------------------ */
+const circuits = new Map(); // key → { failures, openUntil, probing }
+
+// Per-user adapters get their own circuit so one user's broken server
+// doesn't trip the shared one
+const circuitKey = (provider) => provider.circuitKey || provider.id;
+
+const getCircuit = (id) => {
+  if (!circuits.has(id)) {
+    circuits.set(id, { failures: 0, openUntil: 0, probing: false });
+  }
+  return circuits.get(id);
+};
+
+// May a request go to this provider now? Open circuits are skipped until
+// the cooldown passes; then a single request is let through ("half open")
+// and its outcome closes the circuit or opens it again. Every `true` must be
+// followed by recordOutcome() or leaveCircuit().
+const enterCircuit = (id) => {
+  const circuit = getCircuit(id);
+  if (!circuit.openUntil) return true;
+  if (circuit.openUntil > Date.now() || circuit.probing) return false;
+  circuit.probing = true;
+  return true;
+};
+
+// A request the user cancelled proves nothing either way
+const leaveCircuit = (id) => {
+  getCircuit(id).probing = false;
+};
+
+// Count how a request went: success closes the circuit, provider failures
+// (see isRetryable) add up to opening it, anything else leaves it as is
+const recordOutcome = (id, err) => {
+  const circuit = getCircuit(id);
+  circuit.probing = false;
+  if (!err) {
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+  } else if (isRetryable(err)) {
+    circuit.failures += 1;
+    if (circuit.failures >= envNumber("CIRCUIT_FAILURE_THRESHOLD", 3)) {
+      circuit.openUntil = Date.now() + envNumber("CIRCUIT_COOLDOWN_MS", 60000);
+    }
+  }
+};
+
+// Snapshot of every circuit, e.g. for diagnostics
+export function getCircuitStates() {
+  return Object.fromEntries(
+    [...circuits.entries()].map(([id, c]) => [
+      id,
+      { failures: c.failures, open: c.openUntil > Date.now() },
+    ])
+  );
+}
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+
+// Per-request adapters (e.g. a user's own custom provider) win over the
+// shared registry entries with the same id
+const lookup = (id, overrides = {}) => overrides[id] || getProvider(id);
+
+// What a conversation needs from a provider: images need vision, and
+// earlier tool calls/results need a provider that understands them
+const getNeeds = (messages) => ({
+  vision: messages.some((m) => m.images?.length),
+  tools: messages.some((m) => m.role === "tool" || m.toolCalls?.length),
+});
+
+// Requested provider first, then (unless `failover` is false) the
+// fallbacks, skipping unusable ones. Circuits are checked when each one's
+// turn comes (enterCircuit).
+const buildChain = (requestedId, overrides, needs, failover = true) => {
+  const ids = [
+    lookup(requestedId, overrides).id,
+    ...(failover ? getFallbackChain() : []),
+  ];
+  const chain = [];
+  for (const id of new Set(ids)) {
+    const provider = lookup(id, overrides);
+    if (provider.id !== id) continue; // unknown id in the env chain
+    if (!provider.isConfigured()) continue;
+    if (needs.vision && !provider.capabilities.vision) continue;
+    if (needs.tools && !provider.capabilities.tools) continue;
+    chain.push(provider);
+  }
+  return chain;
+};
+
+// Abort controller that fires after `ms`, or when the caller's signal does
+const createTimeout = (ms, parentSignal) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ms);
+  const onParentAbort = () => controller.abort();
+  parentSignal?.addEventListener("abort", onParentAbort, { once: true });
+
+  return {
+    signal: controller.signal,
+    timedOut: () => controller.signal.aborted && !parentSignal?.aborted,
+    stopTimer: () => clearTimeout(timer),
+    clear: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener("abort", onParentAbort);
+    },
+  };
+};
+
+const timeoutError = (id, ms) => {
+  const err = new Error(`${id} timed out after ${ms}ms`);
+  err.code = "ETIMEDOUT";
+  return err;
+};
+
+// Try one provider with retries; `attempt(timeout)` makes one call and must
+// pass `timeout.signal` on to the provider
+const runWithRetries = async (provider, options, attempt) => {
+  const maxRetries = envNumber("PROVIDER_MAX_RETRIES", 2);
+  const baseDelay = envNumber("PROVIDER_RETRY_BASE_MS", 500);
+  const ms = getTimeout(provider.id);
+
+  for (let retry = 0; ; retry++) {
+    const timeout = createTimeout(ms, options.signal);
+    try {
+      return await attempt(timeout);
+    } catch (err) {
+      if (options.signal?.aborted) throw err;
+      const error = timeout.timedOut() ? timeoutError(provider.id, ms) : err;
+      if (retry >= maxRetries || !isRetryable(error) || error.noRetry) {
+        throw error;
+      }
+      await sleep(baseDelay * 2 ** retry);
+    } finally {
+      timeout.clear();
+    }
+  }
+};
+
+// Stats for the admin dashboard (providers/stats.js); calls the user
+// aborted aren't recorded
+const recordCall = (provider, mode, startedAt, err) =>
+  recordProviderCall({
+    provider: provider.id,
+    mode,
+    ok: !err,
+    latencyMs: Date.now() - startedAt,
+    error: err?.message,
+  });
+
+const noProviderError = (errors, needs) => {
+  const detail = errors.map((e) => `${e.provider}: ${e.message}`).join("; ");
+  if (detail) return new Error(`All providers failed (${detail})`);
+  return new Error(
+    needs.vision
+      ? "No image-capable AI provider is available right now"
+      : "No AI provider is available right now"
+  );
+};
+
+// Options for one provider: the model only goes to the requested one,
+// tools only to those that can call them
+const providerOptions = (provider, requested, options, signal) => ({
+  ...options,
+  model: provider.id === requested ? options.model : undefined,
+  tools:
+    provider.capabilities.tools && options.tools?.length
+      ? options.tools
+      : undefined,
+  signal,
+});
+
+/* ------------------------
+   PUBLIC API
+   ------------------------ */
+
+/**
+ * Non-streaming chat with failover.
+ * @returns {Promise<{ text: string, model: string, provider: string, toolCalls?: object[] }>}
+ */
+export async function chatWithFailover(requestedId, messages, options = {}) {
+  const errors = [];
+
+  const needs = getNeeds(messages);
+  const requested = lookup(requestedId, options.providers).id;
+
+  const chain = buildChain(
+    requestedId,
+    options.providers,
+    needs,
+    options.failover !== false
+  );
+  for (const provider of chain) {
+    if (!enterCircuit(circuitKey(provider))) continue;
+    const startedAt = Date.now();
+    try {
+      const result = await runWithRetries(provider, options, (timeout) =>
+        provider.chat(
+          messages,
+          providerOptions(provider, requested, options, timeout.signal)
+        )
+      );
+      recordOutcome(circuitKey(provider));
+      recordCall(provider, "chat", startedAt);
+      return { ...result, provider: provider.id };
+    } catch (err) {
+      if (options.signal?.aborted) {
+        leaveCircuit(circuitKey(provider));
+        throw err;
+      }
+      recordOutcome(circuitKey(provider), err);
+      recordCall(provider, "chat", startedAt, err);
+      console.error(`Provider ${provider.id} failed:`, err.message);
+      errors.push({ provider: provider.id, message: err.message });
+    }
+  }
+
+  throw noProviderError(errors, needs);
+}
+
+/**
+ * Streaming chat with failover. Deltas go to `onDelta(text)`. Once the first
+ * delta has been sent we are committed to that provider, so a later error is
+ * thrown instead of switching providers mid-answer. The timeout only covers
+ * the wait for the first delta.
+ * Adapters yield `{ toolCalls }` after the text when the model called tools.
+ * @returns {Promise<{ provider: string, toolCalls?: object[] }>}
+ */
+export async function streamWithFailover(
+  requestedId,
+  messages,
+  options = {},
+  onDelta
+) {
+  const errors = [];
+
+  const needs = getNeeds(messages);
+  const requested = lookup(requestedId, options.providers).id;
+
+  const chain = buildChain(
+    requestedId,
+    options.providers,
+    needs,
+    options.failover !== false
+  );
+  for (const provider of chain) {
+    if (!enterCircuit(circuitKey(provider))) continue;
+    const startedAt = Date.now();
+    let started = false;
+    let toolCalls;
+    try {
+      await runWithRetries(provider, options, async (timeout) => {
+        const stream = provider.stream(
+          messages,
+          providerOptions(provider, requested, options, timeout.signal)
+        );
+        try {
+          for await (const chunk of stream) {
+            if (!started) {
+              started = true;
+              timeout.stopTimer();
+            }
+            if (typeof chunk === "string") onDelta(chunk);
+            else if (chunk?.toolCalls) toolCalls = chunk.toolCalls;
+          }
+        } catch (err) {
+          if (started) err.noRetry = true;
+          throw err;
+        }
+      });
+      recordOutcome(circuitKey(provider));
+      recordCall(provider, "stream", startedAt);
+      return { provider: provider.id, ...(toolCalls ? { toolCalls } : {}) };
+    } catch (err) {
+      if (options.signal?.aborted) {
+        leaveCircuit(circuitKey(provider));
+        throw err;
+      }
+      recordOutcome(circuitKey(provider), err);
+      recordCall(provider, "stream", startedAt, err);
+      console.error(`Provider ${provider.id} stream failed:`, err.message);
+      if (started) throw err;
+      errors.push({ provider: provider.id, message: err.message });
+    }
+  }
+
+  throw noProviderError(errors, needs);
+}
@@ -0,0 +1,151 @@
+// providers/gemini.js
+import { randomUUID } from "node:crypto";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+let genAI = null;
+const getClient = () => {
+  if (!genAI) genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  return genAI;
+};
+
+// One message → the parts of a Gemini turn
+const toParts = (m) => {
+  // results of earlier tool calls (see tools/loop.js)
+  if (m.role === "tool") {
+    let response;
+    try {
+      response = JSON.parse(m.content);
+    } catch {
+      response = { result: m.content };
+    }
+    // functionResponse.response has to be an object
+    if (!response || typeof response !== "object" || Array.isArray(response)) {
+      response = { result: response };
+    }
+    return [{ functionResponse: { name: m.name, response } }];
+  }
+
+  // attached images go in as `inlineData` parts next to the text
+  return [
+    ...(m.content || !m.toolCalls?.length ? [{ text: m.content }] : []),
+    ...(m.images || []).map((img) => ({
+      inlineData: { mimeType: img.mimeType, data: img.data },
+    })),
+    ...(m.toolCalls || []).map((call) => ({
+      functionCall: { name: call.name, args: call.arguments || {} },
+    })),
+  ];
+};
+
+const roleOf = (m) => {
+  if (m.role === "assistant") return "model";
+  if (m.role === "tool") return "function";
+  return "user";
+};
+
+// OpenAI-style messages → Gemini `systemInstruction` + multi-turn `contents`.
+// Gemini only knows "user", "model" and "function" (tool result) turns, and
+// consecutive turns with the same role are merged so the conversation stays
+// alternating.
+export function toGeminiRequest(messages) {
+  const system = messages
+    .filter((m) => m.role === "system")
+    .map((m) => m.content)
+    .join("\n\n");
+
+  const contents = [];
+  for (const m of messages) {
+    if (m.role === "system") continue;
+    const role = roleOf(m);
+    const parts = toParts(m);
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  // A conversation has to start with a user turn
+  while (contents.length > 0 && contents[0].role === "model") {
+    contents.shift();
+  }
+
+  return { systemInstruction: system || undefined, contents };
+}
+
+const getModel = (systemInstruction, options = {}) =>
+  getClient().getGenerativeModel({
+    model: options.model || geminiProvider.defaultModel,
+    systemInstruction,
+    generationConfig: {
+      maxOutputTokens: options.maxTokens,
+      temperature: options.temperature,
+      topP: options.topP,
+      stopSequences: options.stop,
+    },
+    ...(options.tools?.length
+      ? { tools: [{ functionDeclarations: options.tools }] }
+      : {}),
+  });
+
+// Gemini function calls carry no id; give them one for the tool loop
+const toToolCalls = (calls) =>
+  calls.map((call) => ({
+    id: `call_${randomUUID()}`,
+    name: call.name,
+    arguments: call.args || {},
+  }));
+
+const geminiProvider = {
+  id: "gemini",
+  name: "Gemini",
+  label: "Gemini · 2.0 Flash",
+  defaultModel: "gemini-2.0-flash",
+  capabilities: { streaming: true, vision: true, tools: true },
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async chat(messages, options = {}) {
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const model = getModel(systemInstruction, options);
+    const result = await model.generateContent(
+      { contents },
+      { signal: options.signal }
+    );
+    const calls = result.response.functionCalls();
+    return {
+      text: result.response.text(),
+      model: options.model || geminiProvider.defaultModel,
+      ...(calls?.length ? { toolCalls: toToolCalls(calls) } : {}),
+    };
+  },
+
+  async *stream(messages, options = {}) {
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const model = getModel(systemInstruction, options);
+    const result = await model.generateContentStream(
+      { contents },
+      { signal: options.signal }
+    );
+    const calls = [];
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+      calls.push(...(chunk.functionCalls() || []));
+    }
+    if (calls.length > 0) yield { toolCalls: toToolCalls(calls) };
+  },
+
+  async listModels() {
+    return [
+      { id: "gemini-2.0-flash", label: "Gemini 2.0 Flash" },
+      { id: "gemini-2.0-flash-lite", label: "Gemini 2.0 Flash-Lite" },
+      { id: "gemini-2.5-flash", label: "Gemini 2.5 Flash" },
+    ];
+  },
+};
+
+export default geminiProvider;
@@ -0,0 +1,21 @@
+// providers/groq.js
+import Groq from "groq-sdk";
+
+import { createOpenAIStyleProvider } from "./openaiStyle.js";
+
+const groqProvider = createOpenAIStyleProvider({
+  id: "groq",
+  name: "Groq",
+  label: "Groq · LLaMA 3.1",
+  apiKeyEnv: "GROQ_API_KEY",
+  createClient: () => new Groq({ apiKey: process.env.GROQ_API_KEY }),
+  defaultModel: "llama-3.1-8b-instant",
+  visionModel: "meta-llama/llama-4-scout-17b-16e-instruct",
+  models: [
+    { id: "llama-3.1-8b-instant", label: "LLaMA 3.1 8B Instant" },
+    { id: "llama-3.3-70b-versatile", label: "LLaMA 3.3 70B Versatile" },
+  ],
+  capabilities: { tools: true },
+});
+
+export default groqProvider;
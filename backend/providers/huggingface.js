@@ -0,0 +1,59 @@
+// providers/huggingface.js
+import fetch from "node-fetch";
+
+const HF_MODEL_URL = "https://api-inference.huggingface.co/models/";
+
+// BlenderBot takes a single text input, so the history is flattened
+const toPrompt = (messages) =>
+  messages.map((m) => `${m.role}: ${m.content}`).join("\n");
+
+const huggingfaceProvider = {
+  id: "huggingface",
+  name: "HuggingFace",
+  label: "HuggingFace · BlenderBot",
+  defaultModel: "facebook/blenderbot-400M-distill",
+  capabilities: { streaming: false, vision: false, tools: false },
+
+  isConfigured() {
+    return Boolean(process.env.HF_API_KEY);
+  },
+
+  async chat(messages, options = {}) {
+    const model = options.model || huggingfaceProvider.defaultModel;
+    const hfRes = await fetch(`${HF_MODEL_URL}${model}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${process.env.HF_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ inputs: toPrompt(messages) }),
+      signal: options.signal,
+    });
+
+    const data = await hfRes.json().catch(() => ({}));
+    if (!hfRes.ok) {
+      // e.g. 503 while the model is still loading ("cold" endpoint)
+      const err = new Error(data.error || `HuggingFace error ${hfRes.status}`);
+      err.status = hfRes.status;
+      throw err;
+    }
+    return {
+      text: data[0]?.generated_text || JSON.stringify(data),
+      model,
+    };
+  },
+
+  // No streaming API → yield the whole reply as one chunk
+  async *stream(messages, options = {}) {
+    const { text } = await huggingfaceProvider.chat(messages, options);
+    yield text;
+  },
+
+  async listModels() {
+    return [
+      { id: "facebook/blenderbot-400M-distill", label: "BlenderBot 400M" },
+    ];
+  },
+};
+
+export default huggingfaceProvider;
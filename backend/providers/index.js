@@ -0,0 +1,62 @@
+// providers/index.js
+// Registry of chat providers. Every adapter implements the same interface:
+//
+//   id, name, label, defaultModel, capabilities
+//   isConfigured()                 → is its API key set?
+//   chat(messages, options)        → Promise<{ text, model }>
+//   stream(messages, options)      → async iterable of text deltas
+//   listModels()                   → Promise<{ id, label }[]>, the models
+//                                    a client may pick (providers/params.js)
+//
+// `messages` are OpenAI-style `{ role, content }`, optionally with
+// `images: [{ mimeType, data (base64) }]` for vision-capable providers; each
+// adapter maps them to its native format. `options` may carry `model`, `maxTokens`, `temperature`,
+// `topP` and `stop` (an array of stop sequences).
+import groqProvider from "./groq.js";
+import geminiProvider from "./gemini.js";
+import deepseekProvider from "./deepseek.js";
+import huggingfaceProvider from "./huggingface.js";
+import openaiCompatibleProvider from "./openaiCompatible.js";
+
+export const DEFAULT_PROVIDER = "groq";
+
+const providers = new Map(
+  [
+    groqProvider,
+    geminiProvider,
+    deepseekProvider,
+    huggingfaceProvider,
+    openaiCompatibleProvider,
+  ].map((p) => [p.id, p])
+);
+
+// Unknown ids fall back to the default provider
+export function getProvider(id) {
+  return providers.get(id) || providers.get(DEFAULT_PROVIDER);
+}
+
+// Display name of a provider id ("Groq"); unknown ids (e.g. "chatgpt" on
+// imported chats) are returned as they are
+export function getProviderName(id) {
+  return providers.get(id)?.name || id;
+}
+
+// Public description of every provider, for GET /api/providers.
+// `overrides` are per-user adapters (by id) that replace the shared ones.
+export async function describeProviders(overrides = {}) {
+  return Promise.all(
+    [...providers.values()].map(async (shared) => {
+      const p = overrides[shared.id] || shared;
+      const available = p.isConfigured();
+      return {
+        id: p.id,
+        name: p.name,
+        label: p.label,
+        defaultModel: p.defaultModel,
+        capabilities: p.capabilities,
+        available,
+        models: available ? await p.listModels().catch(() => []) : [],
+      };
+    })
+  );
+}
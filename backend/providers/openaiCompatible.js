@@ -0,0 +1,104 @@
+// providers/openaiCompatible.js
+// Generic provider for self-hosted / third-party servers that implement the
+// OpenAI API (Ollama, LM Studio, vLLM, …), built like the DeepSeek client.
+//
+// Configuration (.env), or per user via PUT /api/providers/custom:
+//   OPENAI_COMPAT_BASE_URL   e.g. http://localhost:11434/v1 (Ollama)
+//   OPENAI_COMPAT_API_KEY    optional, most local servers ignore it
+//   OPENAI_COMPAT_MODEL      model name; defaults to the first one listed
+//   OPENAI_COMPAT_LABEL      optional dropdown label
+import OpenAI from "openai";
+
+import { createOpenAIStyleProvider } from "./openaiStyle.js";
+import { publicAgent } from "./publicHosts.js";
+
+export const OPENAI_COMPATIBLE_ID = "openai-compatible";
+
+const envConfig = () => ({
+  baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+  apiKey: process.env.OPENAI_COMPAT_API_KEY,
+  model: process.env.OPENAI_COMPAT_MODEL,
+  label: process.env.OPENAI_COMPAT_LABEL,
+});
+
+/**
+ * @param {() => { baseURL?: string, apiKey?: string, model?: string, label?: string }} getConfig
+ *   read on every call, so env changes and per-user settings are picked up
+ * @param {{ circuitKey?: string, publicOnly?: boolean }} [extra]  separate failover circuit, and
+ *   connections to public addresses only (see publicHosts.js), for per-user instances
+ */
+export function createOpenAICompatibleProvider(
+  getConfig = envConfig,
+  { circuitKey, publicOnly = false } = {}
+) {
+  // Rebuild the underlying adapter only when the configuration changes
+  let cachedKey = null;
+  let cached = null;
+
+  const resolve = () => {
+    const config = getConfig();
+    const key = JSON.stringify(config);
+    if (key !== cachedKey) {
+      cachedKey = key;
+      cached = createOpenAIStyleProvider({
+        id: OPENAI_COMPATIBLE_ID,
+        name: "Custom",
+        label:
+          config.label || `Custom · ${config.model || "OpenAI compatible"}`,
+        isConfigured: () => Boolean(config.baseURL),
+        // the SDK insists on a key even when the server doesn't
+        createClient: () =>
+          new OpenAI({
+            apiKey: config.apiKey || "not-needed",
+            baseURL: config.baseURL,
+            httpAgent: publicOnly ? publicAgent(config.baseURL) : undefined,
+          }),
+        defaultModel: config.model,
+        models: config.model ? [{ id: config.model, label: config.model }] : [],
+        fetchModels: true,
+      });
+    }
+    return cached;
+  };
+
+  // No model configured → use the first one the server reports
+  const withModel = async (options) => {
+    if (options.model || resolve().defaultModel) return options;
+    const [first] = await resolve().listModels();
+    if (!first) throw new Error("No model configured for the custom provider");
+    return { ...options, model: first.id };
+  };
+
+  return {
+    id: OPENAI_COMPATIBLE_ID,
+    name: "Custom",
+    circuitKey,
+    get label() {
+      return resolve().label;
+    },
+    get defaultModel() {
+      return resolve().defaultModel;
+    },
+    capabilities: { streaming: true, vision: false, tools: false },
+
+    isConfigured() {
+      return resolve().isConfigured();
+    },
+
+    async chat(messages, options = {}) {
+      return resolve().chat(messages, await withModel(options));
+    },
+
+    async *stream(messages, options = {}) {
+      yield* resolve().stream(messages, await withModel(options));
+    },
+
+    async listModels() {
+      return resolve().listModels();
+    },
+  };
+}
+
+// Instance configured from the environment (registered in providers/index.js)
+const openaiCompatibleProvider = createOpenAICompatibleProvider();
+export default openaiCompatibleProvider;
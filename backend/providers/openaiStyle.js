@@ -0,0 +1,190 @@
+// providers/openaiStyle.js
+// Shared adapter for backends that speak the OpenAI chat-completions API
+// (Groq's SDK mirrors it, DeepSeek is OpenAI compatible).
+
+// OpenAI `tool_calls` entry → { id, name, arguments } with parsed arguments
+const fromToolCall = (call, i) => {
+  let args = {};
+  try {
+    args = JSON.parse(call.function?.arguments || "{}");
+  } catch {
+    args = {}; // the model produced invalid JSON; let the tool complain
+  }
+  return {
+    id: call.id || `call_${i}`,
+    name: call.function?.name,
+    arguments: args,
+  };
+};
+
+/**
+ * @param {object} config
+ * @param {string} config.id            registry id, e.g. "groq"
+ * @param {string} config.name          short display name for the chat bubble
+ * @param {string} config.label         label for the provider dropdown
+ * @param {string} [config.apiKeyEnv]   env var that must be set to use it
+ * @param {() => boolean} [config.isConfigured]  custom check instead of apiKeyEnv
+ * @param {() => object} config.createClient  builds the SDK client (called lazily)
+ * @param {string} config.defaultModel
+ * @param {string} [config.visionModel]  used when a message carries images
+ * @param {{ id: string, label: string }[]} config.models
+ * @param {boolean} [config.fetchModels]  list models from the API's /models
+ * @param {object} [config.capabilities]
+ *
+ * `options.tools` ([{ name, description, parameters }]) enables function
+ * calling: `chat` then returns `toolCalls` and `stream` yields `{ toolCalls }`
+ * after the text.
+ */
+export function createOpenAIStyleProvider({
+  id,
+  name,
+  label,
+  apiKeyEnv,
+  isConfigured,
+  createClient,
+  defaultModel,
+  visionModel,
+  models,
+  fetchModels = false,
+  capabilities = {},
+}) {
+  // SDK clients throw without an API key, so only build them on first use
+  let client = null;
+  const getClient = () => {
+    if (!client) client = createClient();
+    return client;
+  };
+
+  // Messages with `images` become OpenAI-style multi-part content
+  const toContent = (m) =>
+    m.images?.length
+      ? [
+          { type: "text", text: m.content },
+          ...m.images.map((img) => ({
+            type: "image_url",
+            image_url: { url: `data:${img.mimeType};base64,${img.data}` },
+          })),
+        ]
+      : m.content;
+
+  // Tool-call turns (see tools/loop.js) → OpenAI `tool_calls` / "tool" role
+  const toMessage = (m) => {
+    if (m.role === "tool") {
+      return { role: "tool", tool_call_id: m.toolCallId, content: m.content };
+    }
+    if (m.toolCalls?.length) {
+      return {
+        role: "assistant",
+        content: m.content || null,
+        tool_calls: m.toolCalls.map((call) => ({
+          id: call.id,
+          type: "function",
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {}),
+          },
+        })),
+      };
+    }
+    return { role: m.role, content: toContent(m) };
+  };
+
+  const buildRequest = (messages, options = {}) => {
+    // images need the vision model, whichever model the chat has chosen
+    const hasImages = messages.some((m) => m.images?.length);
+    return {
+      model:
+        hasImages && visionModel ? visionModel : options.model || defaultModel,
+      messages: messages.map(toMessage),
+      max_tokens: options.maxTokens ?? 500,
+      temperature: options.temperature ?? 0.7,
+      top_p: options.topP,
+      stop: options.stop,
+      ...(options.tools?.length
+        ? {
+            tools: options.tools.map((tool) => ({
+              type: "function",
+              function: tool,
+            })),
+          }
+        : {}),
+    };
+  };
+
+  return {
+    id,
+    name,
+    label,
+    defaultModel,
+    capabilities: {
+      streaming: true,
+      vision: Boolean(visionModel),
+      tools: false,
+      ...capabilities,
+    },
+
+    isConfigured() {
+      return isConfigured ? isConfigured() : Boolean(process.env[apiKeyEnv]);
+    },
+
+    async chat(messages, options = {}) {
+      const response = await getClient().chat.completions.create(
+        buildRequest(messages, options),
+        { signal: options.signal }
+      );
+      const message = response.choices[0]?.message;
+      if (message?.tool_calls?.length) {
+        return {
+          text: message.content || "",
+          model: response.model,
+          toolCalls: message.tool_calls.map(fromToolCall),
+        };
+      }
+      return {
+        text: message?.content || "No reply",
+        model: response.model,
+      };
+    },
+
+    async *stream(messages, options = {}) {
+      const stream = await getClient().chat.completions.create(
+        { ...buildRequest(messages, options), stream: true },
+        { signal: options.signal }
+      );
+      // tool calls arrive in fragments, keyed by their index
+      const calls = [];
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) yield delta.content;
+        for (const part of delta?.tool_calls || []) {
+          const call = (calls[part.index ?? 0] ??= {
+            id: "",
+            function: { name: "", arguments: "" },
+          });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) {
+            call.function.arguments += part.function.arguments;
+          }
+        }
+      }
+      if (calls.length > 0) {
+        yield { toolCalls: calls.filter(Boolean).map(fromToolCall) };
+      }
+    },
+
+    async listModels() {
+      if (!fetchModels) return models;
+      try {
+        const found = [];
+        for await (const model of getClient().models.list()) {
+          found.push({ id: model.id, label: model.id });
+        }
+        return found.length > 0 ? found : models;
+      } catch (err) {
+        console.error(`Listing ${id} models failed:`, err.message);
+        return models;
+      }
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// providers/params.js
+// Generation parameters a client may choose per request (and remember per
+// conversation): the model, from the provider's allow-list (`listModels()`),
+// and sampling settings within GENERATION_LIMITS. Left out, the persona's
+// and the provider's defaults apply.
+
+export const GENERATION_LIMITS = {
+  modelLength: 100,
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 1, max: 4096 },
+  stop: { count: 4, length: 32 },
+};
+
+// Optional number field: undefined when empty, NaN when not a number
+const optionalNumber = (value) =>
+  value === undefined || value === null || value === ""
+    ? undefined
+    : Number(value);
+
+// Stop sequences: an array, or a JSON string in multipart bodies
+const parseStop = (value) => {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Validate the generation parameters of a request body: `model`,
+ * `temperature`, `topP`, `maxTokens` and `stop` (up to 4 strings). The
+ * model is only checked for shape here; see checkModel().
+ * @returns {{ error: string } | { values: object }} only the fields given
+ */
+export function validateGenerationParams(body) {
+  const values = {};
+  const { temperature, topP, maxTokens, stop } = GENERATION_LIMITS;
+
+  if (body.model !== undefined && body.model !== null && body.model !== "") {
+    const model = String(body.model).trim();
+    if (!model || model.length > GENERATION_LIMITS.modelLength) {
+      return { error: "Invalid model" };
+    }
+    values.model = model;
+  }
+
+  for (const [field, limits] of [
+    ["temperature", temperature],
+    ["topP", topP],
+  ]) {
+    const value = optionalNumber(body[field]);
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < limits.min || value > limits.max) {
+      return {
+        error: `${field} must be between ${limits.min} and ${limits.max}`,
+      };
+    }
+    values[field] = value;
+  }
+
+  const replyTokens = optionalNumber(body.maxTokens);
+  if (replyTokens !== undefined) {
+    if (
+      !Number.isInteger(replyTokens) ||
+      replyTokens < maxTokens.min ||
+      replyTokens > maxTokens.max
+    ) {
+      return {
+        error: `maxTokens must be a whole number between ${maxTokens.min} and ${maxTokens.max}`,
+      };
+    }
+    values.maxTokens = replyTokens;
+  }
+
+  if (body.stop !== undefined && body.stop !== null && body.stop !== "") {
+    const sequences = parseStop(body.stop);
+    if (
+      !Array.isArray(sequences) ||
+      sequences.length > stop.count ||
+      !sequences.every(
+        (s) => typeof s === "string" && s && s.length <= stop.length
+      )
+    ) {
+      return {
+        error: `stop must be up to ${stop.count} sequences of at most ${stop.length} characters`,
+      };
+    }
+    if (sequences.length > 0) values.stop = sequences;
+  }
+
+  return { values };
+}
+
+/**
+ * Is `model` on the provider's allow-list? (A custom provider allows
+ * whatever its server lists.)
+ */
+export async function checkModel(provider, model) {
+  const models = await provider.listModels().catch(() => []);
+  return models.some((m) => m.id === model);
+}
@@ -0,0 +1,119 @@
+// providers/publicHosts.js
+// Users' own provider URLs (PUT /api/providers/custom) are called from the
+// server, so they may only point at public hosts: never at loopback,
+// private, link-local (cloud metadata) or other reserved addresses. The
+// check runs when the URL is saved and again on every connection (a DNS
+// name can change what it resolves to).
+//
+// Configuration (.env):
+//   CUSTOM_PROVIDER_ALLOW_PRIVATE=true  lets users' URLs reach any host,
+//                                       e.g. a single-user install talking
+//                                       to Ollama on localhost
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+export const allowPrivateHosts = () =>
+  process.env.CUSTOM_PROVIDER_ALLOW_PRIVATE === "true";
+
+/** Is this IP address one a user's provider must not reach? */
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) counts as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+  if (mapped) return isPrivateAddress(mapped);
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// Host name of a URL without the [] around IPv6 literals
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+/**
+ * Checks a URL without looking up its host: IP literals and "localhost".
+ * @returns {string|null} the problem, or null
+ */
+export function literalHostError(url) {
+  if (allowPrivateHosts()) return null;
+  const host = hostOf(url);
+  if (/^localhost$|\.localhost$/i.test(host)) {
+    return "Local addresses aren't allowed";
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return "Private and local addresses aren't allowed";
+  }
+  return null;
+}
+
+/**
+ * Check that a URL's host resolves to public addresses only.
+ * @returns {Promise<string|null>} the problem, or null
+ */
+export async function publicUrlError(url) {
+  const literal = literalHostError(url);
+  if (literal || allowPrivateHosts()) return literal;
+
+  const host = hostOf(url);
+  if (net.isIP(host)) return null;
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.some((a) => isPrivateAddress(a.address))
+      ? "Private and local addresses aren't allowed"
+      : null;
+  } catch {
+    return `Can't find the host ${host}`;
+  }
+}
+
+// dns.lookup that refuses private addresses, for the agents below
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      const blockedErr = new Error(`${hostname} resolves to a private address`);
+      blockedErr.code = "EPRIVATEADDRESS";
+      return callback(blockedErr);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * HTTP(S) agent for `url` whose connections only go to public addresses
+ * (undefined when CUSTOM_PROVIDER_ALLOW_PRIVATE is set).
+ */
+export function publicAgent(url) {
+  if (allowPrivateHosts()) return undefined;
+  const Agent = new URL(url).protocol === "https:" ? https.Agent : http.Agent;
+  return new Agent({ keepAlive: true, lookup: publicLookup });
+}
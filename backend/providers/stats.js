@@ -0,0 +1,72 @@
+// providers/stats.js
+// Request counts, error rates and latency per chat provider, recorded by
+// failover.js for every provider it tries and read by the admin dashboard.
+import ProviderCall from "../models/ProviderCall.js";
+
+const MAX_ERROR_LENGTH = 300;
+
+/**
+ * Store one provider call. Fire and forget: stats must never slow down or
+ * break an answer.
+ */
+export function recordProviderCall({ provider, mode, ok, latencyMs, error }) {
+  ProviderCall.create({
+    provider,
+    mode,
+    ok,
+    latencyMs: Math.round(latencyMs),
+    error: error ? String(error).slice(0, MAX_ERROR_LENGTH) : undefined,
+  }).catch((err) => console.error("Record provider call error:", err));
+}
+
+/**
+ * Totals per provider since `since`, plus one row per provider and UTC day
+ * for charts.
+ * @returns {Promise<{ providers: object[], daily: object[] }>}
+ */
+export async function getProviderStats(since) {
+  const [providers, daily] = await Promise.all([
+    ProviderCall.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: "$provider",
+          requests: { $sum: 1 },
+          errors: { $sum: { $cond: ["$ok", 0, 1] } },
+          avgLatencyMs: { $avg: "$latencyMs" },
+          maxLatencyMs: { $max: "$latencyMs" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]),
+    ProviderCall.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: {
+            provider: "$provider",
+            date: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          },
+          requests: { $sum: 1 },
+          errors: { $sum: { $cond: ["$ok", 0, 1] } },
+          avgLatencyMs: { $avg: "$latencyMs" },
+        },
+      },
+      { $sort: { "_id.date": 1, "_id.provider": 1 } },
+    ]),
+  ]);
+
+  return {
+    providers: providers.map(({ _id, avgLatencyMs, ...row }) => ({
+      provider: _id,
+      ...row,
+      errorRate: row.requests ? row.errors / row.requests : 0,
+      avgLatencyMs: Math.round(avgLatencyMs),
+    })),
+    daily: daily.map(({ _id, avgLatencyMs, ...row }) => ({
+      ..._id,
+      ...row,
+      avgLatencyMs: Math.round(avgLatencyMs),
+    })),
+  };
+}
@@ -0,0 +1,50 @@
+// rag/chunk.js
+
+/**
+ * Split page texts into overlapping chunks of roughly `size` characters,
+ * preferring paragraph / sentence boundaries. Chunks never span pages, so
+ * every chunk can be cited with a single page number.
+ * @param {{ page: number | null, text: string }[]} pages
+ * @returns {{ page: number | null, text: string }[]}
+ */
+export function chunkPages(pages, { size = 1000, overlap = 200 } = {}) {
+  const chunks = [];
+
+  for (const { page, text } of pages) {
+    const clean = text
+      .replace(/\r\n/g, "\n")
+      .replace(/[ \t]+/g, " ")
+      .trim();
+    let start = 0;
+
+    while (start < clean.length) {
+      let end = Math.min(start + size, clean.length);
+
+      // Try to end on a paragraph, then a sentence, in the last third
+      if (end < clean.length) {
+        const window = clean.slice(start, end);
+        const minBreak = Math.floor(size * 0.66);
+        const paragraph = window.lastIndexOf("\n\n");
+        const sentence = Math.max(
+          window.lastIndexOf(". "),
+          window.lastIndexOf("? "),
+          window.lastIndexOf("! "),
+          window.lastIndexOf("\n")
+        );
+        if (paragraph > minBreak) end = start + paragraph;
+        else if (sentence > minBreak) end = start + sentence + 1;
+      }
+
+      const piece = clean.slice(start, end).trim();
+      if (piece) chunks.push({ page, text: piece });
+
+      if (end >= clean.length) break;
+      // step back for the overlap, then forward to the next word start
+      const next = Math.max(end - overlap, start + 1);
+      const space = clean.indexOf(" ", next);
+      start = space !== -1 && space < end ? space + 1 : next;
+    }
+  }
+
+  return chunks;
+}
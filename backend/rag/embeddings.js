@@ -0,0 +1,123 @@
+// rag/embeddings.js
+// Text embeddings for document retrieval.
+//
+// Configuration (.env):
+//   EMBEDDING_PROVIDER   "gemini" | "openai-compatible" | "local"
+//                        (default: gemini if GEMINI_API_KEY is set, then
+//                        openai-compatible if OPENAI_COMPAT_BASE_URL is set,
+//                        otherwise the offline "local" hashing embedder)
+//   GEMINI_EMBEDDING_MODEL             default text-embedding-004
+//   OPENAI_COMPAT_EMBEDDING_MODEL      default nomic-embed-text
+//
+// Every vector is stored with the model that produced it, and retrieval only
+// compares vectors from the same model.
+import crypto from "node:crypto";
+import { GoogleGenerativeAI, TaskType } from "@google/generative-ai";
+import OpenAI from "openai";
+
+const BATCH_SIZE = 100; // Gemini's batchEmbedContents limit
+
+const getEmbeddingProvider = () => {
+  if (process.env.EMBEDDING_PROVIDER) return process.env.EMBEDDING_PROVIDER;
+  if (process.env.GEMINI_API_KEY) return "gemini";
+  if (process.env.OPENAI_COMPAT_BASE_URL) return "openai-compatible";
+  return "local";
+};
+
+/* ------------------------
+   BACKENDS
+   ------------------------ */
+const embedWithGemini = async (texts, kind) => {
+  const model = process.env.GEMINI_EMBEDDING_MODEL || "text-embedding-004";
+  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  const embedder = genAI.getGenerativeModel({ model });
+  const taskType =
+    kind === "query" ? TaskType.RETRIEVAL_QUERY : TaskType.RETRIEVAL_DOCUMENT;
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const { embeddings } = await embedder.batchEmbedContents({
+      requests: texts.slice(i, i + BATCH_SIZE).map((text) => ({
+        content: { role: "user", parts: [{ text }] },
+        taskType,
+      })),
+    });
+    vectors.push(...embeddings.map((e) => e.values));
+  }
+  return { model: `gemini:${model}`, vectors };
+};
+
+const embedWithOpenAICompatible = async (texts) => {
+  const model = process.env.OPENAI_COMPAT_EMBEDDING_MODEL || "nomic-embed-text";
+  const client = new OpenAI({
+    apiKey: process.env.OPENAI_COMPAT_API_KEY || "not-needed",
+    baseURL: process.env.OPENAI_COMPAT_BASE_URL,
+  });
+
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    const response = await client.embeddings.create({
+      model,
+      input: texts.slice(i, i + BATCH_SIZE),
+    });
+    vectors.push(...response.data.map((d) => d.embedding));
+  }
+  return { model: `openai-compatible:${model}`, vectors };
+};
+
+// Offline fallback: hashed word + bigram counts. Much weaker than a real
+// embedding model, but keeps retrieval working without any API key.
+const LOCAL_DIMENSIONS = 512;
+
+const embedLocally = (texts) => {
+  const vectors = texts.map((text) => {
+    const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const terms = [
+      ...words,
+      ...words.slice(1).map((w, i) => `${words[i]} ${w}`),
+    ];
+    for (const term of terms) {
+      const hash = crypto.createHash("md5").update(term).digest();
+      const index = hash.readUInt32BE(0) % LOCAL_DIMENSIONS;
+      vector[index] += hash[4] & 1 ? 1 : -1;
+    }
+    const norm = Math.hypot(...vector) || 1;
+    return vector.map((v) => v / norm);
+  });
+  return { model: `local:hash-${LOCAL_DIMENSIONS}`, vectors };
+};
+
+/* ------------------------
+   PUBLIC API
+   ------------------------ */
+
+/**
+ * @param {string[]} texts
+ * @param {"document" | "query"} [kind]  some models embed queries differently
+ * @returns {Promise<{ model: string, vectors: number[][] }>}
+ */
+export async function embedTexts(texts, kind = "document") {
+  if (texts.length === 0) return { model: null, vectors: [] };
+
+  switch (getEmbeddingProvider()) {
+    case "gemini":
+      return embedWithGemini(texts, kind);
+    case "openai-compatible":
+      return embedWithOpenAICompatible(texts);
+    default:
+      return embedLocally(texts);
+  }
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,63 @@
+// rag/extract.js
+// Text extraction for uploaded study documents (PDF, DOCX, TXT, Markdown).
+import path from "node:path";
+// lib entry: the package index runs a self-test that reads a missing file
+import pdfParse from "pdf-parse/lib/pdf-parse.js";
+import mammoth from "mammoth";
+
+// extension → canonical MIME type (browsers often send "" or
+// application/octet-stream for .md files, so the extension decides)
+export const DOCUMENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".txt": "text/plain",
+  ".md": "text/markdown",
+  ".markdown": "text/markdown",
+};
+
+export const getDocumentType = (filename) =>
+  DOCUMENT_TYPES[path.extname(filename || "").toLowerCase()] || null;
+
+// Same text layout as pdf-parse's default renderer, but remembers each page
+const extractPdfPages = async (buffer) => {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false,
+      });
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        text +=
+          lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  return pages.map((text, i) => ({ page: i + 1, text: text || "" }));
+};
+
+/**
+ * Extract the text of a document.
+ * @returns {Promise<{ page: number | null, text: string }[]>} one entry per
+ *   PDF page; a single entry with `page: null` for other formats
+ */
+export async function extractText(buffer, mimeType) {
+  switch (mimeType) {
+    case "application/pdf":
+      return extractPdfPages(buffer);
+
+    case DOCUMENT_TYPES[".docx"]: {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return [{ page: null, text: value }];
+    }
+
+    default:
+      return [{ page: null, text: buffer.toString("utf8") }];
+  }
+}
@@ -0,0 +1,167 @@
+// rag/index.js
+// Retrieval-augmented answers over the user's uploaded documents:
+// extract → chunk → embed → store on upload; embed the question → top-k
+// chunks by cosine similarity → context message with citations on chat.
+//
+// Configuration (.env): RAG_TOP_K (default 4), RAG_CHUNK_SIZE (1000),
+// RAG_CHUNK_OVERLAP (200), plus the embedding settings in ./embeddings.js.
+import Document, { DOCUMENT_BUCKET } from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import { saveFile, deleteFile } from "../storage/gridfs.js";
+import { extractText } from "./extract.js";
+import { chunkPages } from "./chunk.js";
+import { embedTexts, cosineSimilarity } from "./embeddings.js";
+import { estimateTextTokens } from "../context/index.js";
+import { recordUsage } from "../usage/index.js";
+
+export { getDocumentType } from "./extract.js";
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+/**
+ * Extract, chunk, embed and store an uploaded file. The embedding calls are
+ * metered as the user's usage.
+ * @param {string} userId
+ * @param {{ originalname: string, size: number, buffer: Buffer }} file
+ * @param {string} mimeType  from getDocumentType()
+ * @param {{ project?: string }} [options]  project the file belongs to
+ */
+export async function ingestDocument(
+  userId,
+  file,
+  mimeType,
+  { project = null } = {}
+) {
+  const pages = await extractText(file.buffer, mimeType);
+  const chunks = chunkPages(pages, {
+    size: envNumber("RAG_CHUNK_SIZE", 1000),
+    overlap: envNumber("RAG_CHUNK_OVERLAP", 200),
+  });
+
+  if (chunks.length === 0) {
+    const err = new Error("No text could be extracted from this document");
+    err.status = 400;
+    throw err;
+  }
+
+  const { model, vectors } = await embedTexts(chunks.map((c) => c.text));
+  // `model` is "<backend>:<model>", see ./embeddings.js
+  const [backend, ...modelName] = model.split(":");
+  await recordUsage(userId, {
+    kind: "embedding",
+    provider: backend,
+    model: modelName.join(":"),
+    promptTokens: chunks.reduce((n, c) => n + estimateTextTokens(c.text), 0),
+  });
+
+  // the original is kept for the account export
+  const stored = await saveFile(DOCUMENT_BUCKET, file.buffer, {
+    filename: file.originalname,
+    contentType: mimeType,
+  });
+  let document;
+  try {
+    document = await Document.create({
+      user: userId,
+      project,
+      name: file.originalname,
+      mimeType,
+      size: file.size,
+      pageCount: mimeType === "application/pdf" ? pages.length : undefined,
+      chunkCount: chunks.length,
+      embeddingModel: model,
+      file: stored,
+    });
+  } catch (err) {
+    await deleteFile(DOCUMENT_BUCKET, stored);
+    throw err;
+  }
+
+  try {
+    await DocumentChunk.insertMany(
+      chunks.map((chunk, i) => ({
+        document: document._id,
+        user: userId,
+        index: i,
+        page: chunk.page,
+        text: chunk.text,
+        embedding: vectors[i],
+      }))
+    );
+  } catch (err) {
+    await deleteDocument(document);
+    throw err;
+  }
+
+  return document;
+}
+
+export async function deleteDocument(document) {
+  await DocumentChunk.deleteMany({ document: document._id });
+  if (document.file) await deleteFile(DOCUMENT_BUCKET, document.file);
+  await document.deleteOne();
+}
+
+/**
+ * Find the chunks of the given documents most relevant to `query`.
+ * Similarity is computed in-process, which is fine for a student's notes;
+ * a vector index would be the next step for large libraries.
+ * @returns {Promise<{ documentId, name, page, text, score }[]>}
+ */
+export async function retrieveChunks(userId, documentIds, query) {
+  const documents = await Document.find({
+    _id: { $in: documentIds },
+    user: userId,
+  });
+  if (documents.length === 0 || !query?.trim()) return [];
+
+  const { model, vectors } = await embedTexts([query], "query");
+  const queryVector = vectors[0];
+
+  // only compare vectors that came from the same embedding model
+  const comparable = documents.filter((d) => d.embeddingModel === model);
+  if (comparable.length === 0) return [];
+  const names = new Map(comparable.map((d) => [String(d._id), d.name]));
+
+  const chunks = await DocumentChunk.find({
+    document: { $in: comparable.map((d) => d._id) },
+  })
+    .select("+embedding")
+    .lean();
+
+  return chunks
+    .map((chunk) => ({
+      documentId: chunk.document,
+      name: names.get(String(chunk.document)),
+      page: chunk.page,
+      text: chunk.text,
+      score: cosineSimilarity(queryVector, chunk.embedding || []),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, envNumber("RAG_TOP_K", 4))
+    .filter((c) => c.score > 0);
+}
+
+// "notes.pdf, p. 3" / "notes.md"
+export const formatSource = (s) =>
+  s.page ? `${s.name}, p. ${s.page}` : s.name;
+
+/**
+ * System message that grounds the answer in the retrieved excerpts and asks
+ * the model to cite them.
+ */
+export function buildContextMessage(chunks) {
+  const excerpts = chunks
+    .map((c, i) => `[${i + 1}] (${formatSource(c)})\n${c.text}`)
+    .join("\n\n---\n\n");
+
+  return {
+    role: "system",
+    content:
+      "Answer using the following excerpts from the student's uploaded documents. " +
+      "Cite the excerpts you use inline as [n] together with the document name and page, " +
+      "for example [1] (notes.pdf, p. 3). If the excerpts do not contain the answer, " +
+      "say so before answering from general knowledge.\n\n" +
+      excerpts,
+  };
+}
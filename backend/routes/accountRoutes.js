@@ -0,0 +1,198 @@
+// routes/accountRoutes.js
+import express from "express";
+import bcrypt from "bcryptjs";
+
+import authMiddleware from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import User from "../models/User.js";
+import {
+  toUserJSON,
+  normalizeEmail,
+  isValidEmail,
+  validateName,
+  sendVerificationEmail,
+  MIN_PASSWORD_LENGTH,
+  MAX_NAME_LENGTH,
+} from "./authRoutes.js";
+import { revokeAllSessions, clearRefreshCookie } from "../auth/sessions.js";
+import { collectUserData, deleteUserData } from "../account/index.js";
+import { createZip } from "../account/zip.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+const toAccountJSON = (user) => ({
+  ...toUserJSON(user),
+  plan: user.plan,
+  createdAt: user.createdAt,
+});
+
+// The signed-in user, or a 404 response
+const findMe = async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) res.status(404).json({ error: "User not found" });
+  return user;
+};
+
+const checkPassword = (user, password) =>
+  bcrypt.compare(String(password || ""), user.password);
+
+/* ------------------------
+   PROFILE
+   ------------------------ */
+router.get("/", async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+    res.json({ user: toAccountJSON(user) });
+  } catch (err) {
+    console.error("Account error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Update name and/or email. Changing the email needs the current password
+// and a fresh verification of the new address.
+router.patch("/", rateLimit, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    if (req.body.name !== undefined) {
+      const name = validateName(req.body.name);
+      if (!name) {
+        return res.status(400).json({
+          error: `Name must be 1-${MAX_NAME_LENGTH} characters, without < or >`,
+        });
+      }
+      user.name = name;
+    }
+
+    let emailChanged = false;
+    if (req.body.email !== undefined) {
+      const email = normalizeEmail(req.body.email);
+      if (!isValidEmail(email)) {
+        return res.status(400).json({ error: "Enter a valid email address" });
+      }
+      if (email !== user.email) {
+        if (!(await checkPassword(user, req.body.currentPassword))) {
+          return res.status(400).json({ error: "Current password is wrong" });
+        }
+        if (await User.exists({ email })) {
+          return res.status(400).json({ error: "Email already in use" });
+        }
+        user.email = email;
+        user.emailVerified = false;
+        emailChanged = true;
+      }
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerificationEmail(user).catch((err) =>
+        console.error("Verification email error:", err)
+      );
+    }
+
+    res.json({ user: toAccountJSON(user) });
+  } catch (err) {
+    console.error("Update account error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   PASSWORD
+   ------------------------ */
+
+// Change the password; every other session is logged out
+router.post("/password", rateLimit, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    const newPassword = String(req.body.newPassword || "");
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+    if (!(await checkPassword(user, req.body.currentPassword))) {
+      return res.status(400).json({ error: "Current password is wrong" });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    await revokeAllSessions(user._id, { except: req.user.sid });
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   EXPORT
+   ------------------------ */
+
+// Download everything: ?format=zip (default; data.json plus attachments,
+// images and documents) or ?format=json (data only)
+router.get("/export", rateLimit, async (req, res) => {
+  try {
+    const format = req.query.format === "json" ? "json" : "zip";
+    const { data, files } = await collectUserData(req.user.id, {
+      withFiles: format === "zip",
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    const json = JSON.stringify(data, null, 2);
+
+    if (format === "json") {
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="falcon-export-${date}.json"`
+      );
+      return res.type("application/json").send(json);
+    }
+
+    const zip = createZip([{ name: "data.json", data: json }, ...files]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="falcon-export-${date}.zip"`
+    );
+    res.type("application/zip").send(zip);
+  } catch (err) {
+    console.error("Export account error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   DELETE ACCOUNT
+   ------------------------ */
+
+// Permanently delete the account with its chats, files, images and usage
+router.delete("/", rateLimit, async (req, res) => {
+  try {
+    const user = await findMe(req, res);
+    if (!user) return;
+
+    if (!(await checkPassword(user, req.body.password))) {
+      return res.status(400).json({ error: "Password is wrong" });
+    }
+
+    await deleteUserData(user._id);
+    clearRefreshCookie(res);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete account error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
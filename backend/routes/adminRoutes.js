@@ -0,0 +1,183 @@
+// routes/adminRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import adminOnly from "../middleware/adminOnly.js";
+import User from "../models/User.js";
+import Usage from "../models/Usage.js";
+import { revokeAllSessions } from "../auth/sessions.js";
+import { resetQuotas } from "../usage/index.js";
+import { getProviderStats } from "../providers/stats.js";
+import { getCircuitStates } from "../providers/failover.js";
+
+const router = express.Router();
+
+router.use(authMiddleware, adminOnly);
+
+const PAGE_SIZE = 25;
+const MAX_STATS_DAYS = 90;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+const toAdminUserJSON = (user, usage) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  plan: user.plan,
+  disabled: user.disabled,
+  quotaResetAt: user.quotaResetAt,
+  createdAt: user.createdAt,
+  month: usage || { messages: 0, images: 0, tokens: 0 },
+});
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const monthStart = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+// This month's usage of the given users, by user id
+const monthlyUsageByUser = async (userIds) => {
+  const rows = await Usage.aggregate([
+    { $match: { user: { $in: userIds }, createdAt: { $gte: monthStart() } } },
+    {
+      $group: {
+        _id: "$user",
+        messages: { $sum: "$messages" },
+        images: { $sum: "$images" },
+        tokens: { $sum: { $add: ["$promptTokens", "$completionTokens"] } },
+      },
+    },
+  ]);
+  return new Map(rows.map(({ _id, ...totals }) => [String(_id), totals]));
+};
+
+// Load the user the route is about, or send 404
+const findUser = async (req, res) => {
+  const { id } = req.params;
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  return user;
+};
+
+/* ------------------------
+   USERS
+   ------------------------ */
+
+// ?q= searches name and email; ?page= is 1-based
+router.get("/users", async (req, res) => {
+  try {
+    const filter = {};
+    const q = String(req.query.q || "").trim();
+    if (q) {
+      const pattern = { $regex: escapeRegExp(q), $options: "i" };
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+    const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * PAGE_SIZE)
+        .limit(PAGE_SIZE),
+      User.countDocuments(filter),
+    ]);
+    const usage = await monthlyUsageByUser(users.map((u) => u._id));
+
+    res.json({
+      users: users.map((u) => toAdminUserJSON(u, usage.get(String(u._id)))),
+      total,
+      page,
+      pageSize: PAGE_SIZE,
+    });
+  } catch (err) {
+    console.error("Admin list users error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Disable / enable an account. Disabling logs it out everywhere.
+router.patch("/users/:id", async (req, res) => {
+  try {
+    if (typeof req.body.disabled !== "boolean") {
+      return res.status(400).json({ error: "disabled must be true or false" });
+    }
+    if (req.params.id === String(req.user.id) && req.body.disabled) {
+      return res
+        .status(400)
+        .json({ error: "You can't disable your own account" });
+    }
+
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    user.disabled = req.body.disabled;
+    await user.save();
+    if (user.disabled) await revokeAllSessions(user._id);
+
+    const usage = await monthlyUsageByUser([user._id]);
+    res.json({ user: toAdminUserJSON(user, usage.get(String(user._id))) });
+  } catch (err) {
+    console.error("Admin update user error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Start the user's message and image quotas from zero again. Usage records
+// are kept for the stats.
+router.post("/users/:id/reset-quotas", async (req, res) => {
+  try {
+    const user = await findUser(req, res);
+    if (!user) return;
+
+    await resetQuotas(user._id);
+    const updated = await User.findById(user._id);
+    const usage = await monthlyUsageByUser([user._id]);
+    res.json({ user: toAdminUserJSON(updated, usage.get(String(user._id))) });
+  } catch (err) {
+    console.error("Admin reset quotas error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   STATS
+   ------------------------ */
+
+// Per-provider request counts, error rates and latency over the last
+// ?days= (default 7), plus user counts and the circuit breakers' state
+router.get("/stats", async (req, res) => {
+  try {
+    const days = Math.min(
+      MAX_STATS_DAYS,
+      Math.max(1, Number.parseInt(req.query.days, 10) || 7)
+    );
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [providerStats, total, disabled, admins] = await Promise.all([
+      getProviderStats(since),
+      User.countDocuments(),
+      User.countDocuments({ disabled: true }),
+      User.countDocuments({ role: "admin" }),
+    ]);
+
+    res.json({
+      days,
+      since,
+      users: { total, disabled, admins },
+      ...providerStats,
+      circuits: getCircuitStates(),
+    });
+  } catch (err) {
+    console.error("Admin stats error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,64 @@
+// routes/attachmentRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import Attachment from "../models/Attachment.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+export const toAttachmentJSON = (a) => ({
+  id: a._id,
+  name: a.name,
+  mimeType: a.mimeType,
+  size: a.size,
+  url: `/api/attachments/${a._id}`,
+});
+
+// Store an uploaded (multer) file for the current user
+export const saveAttachment = (userId, file) =>
+  Attachment.create({
+    user: userId,
+    name: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    data: file.buffer,
+  });
+
+/* ------------------------
+   DOWNLOAD (owner only)
+   ------------------------ */
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: id,
+      user: req.user.id,
+    }).select("+data");
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+      "Cache-Control": "private, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.send(attachment.data);
+  } catch (err) {
+    console.error("Attachment download error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
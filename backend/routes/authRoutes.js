@@ -0,0 +1,368 @@
+// routes/authRoutes.js
+import express from "express";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+
+import User from "../models/User.js";
+import EmailToken from "../models/EmailToken.js";
+import authMiddleware from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+  readRefreshCookie,
+  hashToken,
+  randomToken,
+} from "../auth/sessions.js";
+import { sendMail, getAppUrl } from "../mail/index.js";
+
+const router = express.Router();
+
+export const MIN_PASSWORD_LENGTH = 6;
+export const MAX_NAME_LENGTH = 80;
+const VERIFY_EMAIL_HOURS = 48;
+const RESET_PASSWORD_MINUTES = 60;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+export const toUserJSON = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+});
+
+export const normalizeEmail = (email) =>
+  String(email || "")
+    .trim()
+    .toLowerCase();
+
+export const isValidEmail = (email) =>
+  /^[^\s@<>"(),;:\\]+@[^\s@<>"(),;:\\]+\.[^\s@<>"(),;:\\]+$/.test(email);
+
+// A display name (trimmed), or null when it can't be one: names go into
+// email headers, so no line breaks, control characters or <>
+export const validateName = (value) => {
+  const name = String(value ?? "").trim();
+  if (!name || name.length > MAX_NAME_LENGTH) return null;
+  if (/[\x00-\x1f\x7f<>]/.test(name)) return null;
+  return name;
+};
+
+// Accounts listed in ADMIN_EMAILS (comma list in .env) are made admins
+// when they log in or confirm their address, so a fresh install can get its
+// first admin. Only verified addresses count: anyone can sign up with one.
+const promoteListedAdmin = async (user) => {
+  if (!user.emailVerified) return;
+  const adminEmails = (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map(normalizeEmail)
+    .filter(Boolean);
+  if (user.role !== "admin" && adminEmails.includes(user.email)) {
+    user.role = "admin";
+    await user.save();
+  }
+};
+
+// Log the user in: new session, refresh cookie, access token in the body
+const sendSession = async (req, res, user) => {
+  await promoteListedAdmin(user);
+  const { accessToken, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  res.json({ user: toUserJSON(user), token: accessToken });
+};
+
+// Store a new one-time token for `purpose` (replacing older ones) and
+// return the token to put in the link
+const createEmailToken = async (user, purpose, ttlMs) => {
+  await EmailToken.deleteMany({ user: user._id, purpose });
+  const token = randomToken();
+  await EmailToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// The user a still-valid emailed token belongs to (token is used up)
+const consumeEmailToken = async (token, purpose) => {
+  const record = await EmailToken.findOneAndDelete({
+    tokenHash: hashToken(String(token || "")),
+    purpose,
+    expiresAt: { $gt: new Date() },
+  });
+  return record ? User.findById(record.user) : null;
+};
+
+export const sendVerificationEmail = async (user) => {
+  const token = await createEmailToken(
+    user,
+    "verify-email",
+    VERIFY_EMAIL_HOURS * 60 * 60 * 1000
+  );
+  await sendMail({
+    to: user.email,
+    name: user.name,
+    subject: "Confirm your Falcon AI email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      "Please confirm your email address by opening this link:\n\n" +
+      `${getAppUrl()}/?verify=${token}\n\n` +
+      `The link is valid for ${VERIFY_EMAIL_HOURS} hours. ` +
+      "If you didn't create a Falcon AI account, ignore this email.\n",
+  });
+};
+
+/* ------------------------
+   REGISTER / LOGIN
+   ------------------------ */
+router.post("/register", rateLimit, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!req.body.name || !email || !password) {
+      return res.status(400).json({ error: "All fields are required" });
+    }
+    const name = validateName(req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        error: `Name must be 1-${MAX_NAME_LENGTH} characters, without < or >`,
+      });
+    }
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: "Enter a valid email address" });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      return res.status(400).json({ error: "Email already in use" });
+    }
+
+    const hashed = await bcrypt.hash(password, 10);
+
+    const user = await User.create({
+      name,
+      email,
+      password: hashed,
+    });
+
+    // a mail problem shouldn't block signing up; the user can resend
+    await sendVerificationEmail(user).catch((err) =>
+      console.error("Verification email error:", err)
+    );
+
+    await sendSession(req, res, user);
+  } catch (err) {
+    console.error("Register error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/login", rateLimit, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findOne({ email: normalizeEmail(req.body.email) });
+    if (!user) {
+      return res.status(400).json({ error: "Invalid email or password" });
+    }
+
+    const isMatch = await bcrypt.compare(String(password || ""), user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: "Invalid email or password" });
+    }
+    if (user.disabled) {
+      return res.status(403).json({ error: "This account has been disabled" });
+    }
+
+    await sendSession(req, res, user);
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   SESSION (refresh cookie)
+   ------------------------ */
+
+// New access token (and rotated refresh cookie) for the current session
+router.post("/refresh", rateLimit, async (req, res) => {
+  try {
+    const { user, accessToken, refreshToken } = await rotateSession(
+      readRefreshCookie(req)
+    );
+    setRefreshCookie(res, refreshToken);
+    res.json({ user: toUserJSON(user), token: accessToken });
+  } catch (err) {
+    if (err.status) {
+      clearRefreshCookie(res);
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Revoke this session: the refresh cookie and every access token issued
+// for it stop working
+router.post("/logout", async (req, res) => {
+  try {
+    const [cookieSessionId] = String(readRefreshCookie(req) || "").split(".");
+    await revokeSession(cookieSessionId);
+
+    // the cookie may be missing (e.g. blocked third-party cookies), so the
+    // access token's session is revoked as well, even if it has expired
+    const bearer = req.get("authorization")?.replace(/^Bearer /, "");
+    if (bearer) {
+      try {
+        const { sid } = jwt.verify(bearer, process.env.JWT_SECRET, {
+          ignoreExpiration: true,
+        });
+        await revokeSession(sid);
+      } catch {
+        // not a token of ours; nothing to revoke
+      }
+    }
+
+    clearRefreshCookie(res);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ user: toUserJSON(user) });
+  } catch (err) {
+    console.error("Me error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   EMAIL VERIFICATION
+   ------------------------ */
+router.post("/verify-email", rateLimit, async (req, res) => {
+  try {
+    const user = await consumeEmailToken(req.body.token, "verify-email");
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "This verification link is invalid or has expired" });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+    await promoteListedAdmin(user);
+    res.json({ user: toUserJSON(user) });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post(
+  "/resend-verification",
+  authMiddleware,
+  rateLimit,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      if (user.emailVerified) {
+        return res.status(400).json({ error: "Email is already verified" });
+      }
+
+      await sendVerificationEmail(user);
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      res.status(500).json({ error: "Could not send the email" });
+    }
+  }
+);
+
+/* ------------------------
+   PASSWORD RESET
+   ------------------------ */
+
+// Always answers ok, so the form can't be used to find out who has an account
+router.post("/forgot-password", rateLimit, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: normalizeEmail(req.body.email) });
+    if (user) {
+      const token = await createEmailToken(
+        user,
+        "reset-password",
+        RESET_PASSWORD_MINUTES * 60 * 1000
+      );
+      await sendMail({
+        to: user.email,
+        name: user.name,
+        subject: "Reset your Falcon AI password",
+        text:
+          `Hi ${user.name},\n\n` +
+          "Someone (hopefully you) asked to reset your password. " +
+          "Choose a new one here:\n\n" +
+          `${getAppUrl()}/?reset=${token}\n\n` +
+          `The link is valid for ${RESET_PASSWORD_MINUTES} minutes. ` +
+          "If you didn't ask for this, you can ignore this email.\n",
+      });
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Could not send the email" });
+  }
+});
+
+// Set a new password with the emailed token; logs out every session
+router.post("/reset-password", rateLimit, async (req, res) => {
+  try {
+    const password = String(req.body.password || "");
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await consumeEmailToken(req.body.token, "reset-password");
+    if (!user) {
+      return res
+        .status(400)
+        .json({ error: "This reset link is invalid or has expired" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // they could read the email, so the address is theirs
+    user.emailVerified = true;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
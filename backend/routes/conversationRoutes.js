@@ -0,0 +1,568 @@
+// routes/conversationRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import Attachment from "../models/Attachment.js";
+import Project from "../models/Project.js";
+import SharedChat from "../models/SharedChat.js";
+import { toAttachmentJSON } from "./attachmentRoutes.js";
+import { validateGenerationParams } from "../providers/params.js";
+import { importUpload } from "../middleware/upload.js";
+import { createZip } from "../account/zip.js";
+import {
+  buildMessageTree,
+  currentPath,
+  depthOf,
+  latestLeaf,
+  parentIdOf,
+  siblingIdsOf,
+} from "../branches/index.js";
+import {
+  loadConversations,
+  loadMessageImages,
+  toConversationsExport,
+  toMarkdown,
+  toDataUrl,
+  slugify,
+  parseImport,
+  importConversations,
+} from "../transfer/index.js";
+
+const router = express.Router();
+
+// Every conversation route needs a logged-in user
+router.use(authMiddleware);
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+const toConversationJSON = (c) => ({
+  id: c._id,
+  title: c.title,
+  project: c.project || null,
+  // advanced settings; only the ones that were set
+  generation: {
+    model: c.generation?.model,
+    temperature: c.generation?.temperature,
+    topP: c.generation?.topP,
+    maxTokens: c.generation?.maxTokens,
+    stop: c.generation?.stop?.length ? c.generation.stop : undefined,
+  },
+  // rolling summary used in place of the oldest messages (see context/)
+  summary: c.summary?.text
+    ? {
+        text: c.summary.text,
+        messageCount: c.summary.messageCount,
+        updatedAt: c.summary.updatedAt,
+      }
+    : null,
+  createdAt: c.createdAt,
+  updatedAt: c.updatedAt,
+});
+
+const toMessageJSON = (m) => ({
+  id: m._id,
+  sender: m.sender,
+  text: m.text,
+  provider: m.provider,
+  mode: m.mode,
+  imageUrl: m.imageUrl,
+  interrupted: m.interrupted,
+  // populated attachments only; bare ids are left out
+  attachments: (m.attachments || [])
+    .filter((a) => a && a.mimeType)
+    .map(toAttachmentJSON),
+  sources: (m.sources || []).map((src) => ({
+    documentId: src.document,
+    name: src.name,
+    page: src.page,
+  })),
+  toolSteps: (m.toolSteps || []).map((step) => ({
+    name: step.name,
+    args: step.args,
+    result: step.result,
+    error: step.error,
+  })),
+  createdAt: m.createdAt,
+});
+
+// A message of the current path, with its place in the tree
+const toPathMessageJSON = (tree) => (m) => ({
+  ...toMessageJSON(m),
+  parentId: parentIdOf(tree, m),
+  // this message and its alternatives, for "‹ 2/3 ›"
+  siblingIds: siblingIdsOf(tree, m),
+});
+
+// Keep only the fields a client is allowed to set on a message
+const pickMessage = (m) => ({
+  sender: m?.sender === "user" ? "user" : "bot",
+  text: typeof m?.text === "string" ? m.text : "",
+  provider: m?.provider || undefined,
+  mode: typeof m?.mode === "string" ? m.mode.slice(0, 64) : undefined,
+  imageUrl: m?.imageUrl || undefined,
+  interrupted: m?.interrupted === true || undefined,
+  sources: Array.isArray(m?.sources)
+    ? m.sources
+        .filter((src) => mongoose.isValidObjectId(src?.documentId))
+        .map((src) => ({
+          document: src.documentId,
+          name: String(src.name || ""),
+          page: Number(src.page) || undefined,
+        }))
+    : undefined,
+  toolSteps: Array.isArray(m?.toolSteps)
+    ? m.toolSteps
+        .filter((step) => typeof step?.name === "string")
+        .map((step) => ({
+          name: step.name,
+          args: step.args,
+          result: step.result,
+          error: typeof step.error === "string" ? step.error : undefined,
+        }))
+    : undefined,
+});
+
+// Attachment ids from the client → only the ones this user owns
+const ownAttachmentIds = async (userId, attachments) => {
+  const ids = (Array.isArray(attachments) ? attachments : [])
+    .map((a) => (typeof a === "string" ? a : a?.id))
+    .filter((id) => mongoose.isValidObjectId(id));
+  if (ids.length === 0) return [];
+
+  const owned = await Attachment.find({ _id: { $in: ids }, user: userId })
+    .select("_id")
+    .lean();
+  return owned.map((a) => a._id);
+};
+
+// All messages of a conversation as a tree; `full` loads the messages with
+// their attachments, otherwise only what the tree needs
+const loadMessageTree = async (conversationId, { full = false } = {}) => {
+  const query = Message.find({ conversation: conversationId }).sort({
+    createdAt: 1,
+    _id: 1,
+  });
+  const messages = full
+    ? await query.populate("attachments")
+    : await query.select("parent createdAt").lean();
+  return buildMessageTree(messages);
+};
+
+// Send the current path (and the conversation, whose summary may have
+// been dropped)
+const sendCurrentPath = (res, conversation, tree) =>
+  res.json({
+    messages: currentPath(tree, conversation.currentMessage).map(
+      toPathMessageJSON(tree)
+    ),
+    conversation: toConversationJSON(conversation),
+  });
+
+// The summary covers the first `messageCount` messages of the path it was
+// made on; a branch that leaves that path before then isn't covered by it
+const forgetSummaryFrom = (conversation, depth) => {
+  if (conversation.summary?.messageCount > depth) {
+    conversation.summary = undefined;
+  }
+};
+
+// Delete the messages of a conversation together with their attachments
+const deleteConversationMessages = async (conversationId) => {
+  const attachmentIds = await Message.distinct("attachments", {
+    conversation: conversationId,
+  });
+  await Attachment.deleteMany({ _id: { $in: attachmentIds } });
+  await Message.deleteMany({ conversation: conversationId });
+};
+
+// `project` from the client → null (no project), the id of a project this
+// user owns, or false when it isn't one of theirs
+const ownProjectId = async (userId, project) => {
+  if (!project) return null;
+  if (!mongoose.isValidObjectId(project)) return false;
+  const found = await Project.exists({ _id: project, user: userId });
+  return found ? found._id : false;
+};
+
+// Load a conversation that belongs to the current user, or send 404
+const findOwnConversation = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Conversation not found" });
+    return null;
+  }
+
+  const conversation = await Conversation.findOne({
+    _id: id,
+    user: req.user.id,
+  });
+  if (!conversation) {
+    res.status(404).json({ error: "Conversation not found" });
+    return null;
+  }
+  return conversation;
+};
+
+// Send an export as a download
+const sendDownload = (res, filename, type, body) => {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.type(type).send(body);
+};
+
+const EXPORT_FORMATS = ["json", "md"];
+
+/* ------------------------
+   CONVERSATIONS
+   ------------------------ */
+
+// List my conversations (oldest first, like the sidebar expects)
+router.get("/", async (req, res) => {
+  try {
+    const conversations = await Conversation.find({ user: req.user.id }).sort({
+      createdAt: 1,
+    });
+    res.json({ conversations: conversations.map(toConversationJSON) });
+  } catch (err) {
+    console.error("List conversations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Create a conversation, optionally with initial messages (used by the
+// localStorage migration)
+router.post("/", async (req, res) => {
+  try {
+    const { title, messages, createdAt } = req.body;
+    if (title !== undefined && title !== null && typeof title !== "string") {
+      return res.status(400).json({ error: "`title` must be a string" });
+    }
+
+    const project = await ownProjectId(req.user.id, req.body.project);
+    if (project === false) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const conversation = await Conversation.create({
+      user: req.user.id,
+      project,
+      title: title?.trim() || "New chat",
+      ...(createdAt && !Number.isNaN(new Date(createdAt).getTime())
+        ? { createdAt: new Date(createdAt) }
+        : {}),
+    });
+
+    let saved = [];
+    if (Array.isArray(messages) && messages.length > 0) {
+      saved = await Message.insertMany(
+        messages.map((m) => ({
+          ...pickMessage(m),
+          conversation: conversation._id,
+        }))
+      );
+    }
+
+    res.status(201).json({
+      conversation: toConversationJSON(conversation),
+      messages: saved.map(toMessageJSON),
+    });
+  } catch (err) {
+    console.error("Create conversation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   EXPORT / IMPORT
+   ------------------------ */
+
+// All my chats: ?format=json (one Falcon JSON file) or ?format=md (a ZIP
+// with one Markdown file per chat and the images next to them)
+router.get("/export", async (req, res) => {
+  try {
+    const format = req.query.format === "md" ? "md" : "json";
+    const chats = await loadConversations(req.user.id);
+    const images = await loadMessageImages(
+      req.user.id,
+      chats.flatMap((chat) => chat.messages)
+    );
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === "json") {
+      return sendDownload(
+        res,
+        `falcon-chats-${date}.json`,
+        "application/json",
+        JSON.stringify(toConversationsExport(chats, images), null, 2)
+      );
+    }
+
+    const files = chats.map((chat, i) => ({
+      name: `${String(i + 1).padStart(3, "0")}-${slugify(chat.conversation.title)}.md`,
+      data: toMarkdown(chat, (url) =>
+        images.has(url) ? `images/${images.get(url).name}` : null
+      ),
+    }));
+    for (const image of images.values()) {
+      files.push({ name: `images/${image.name}`, data: image.data });
+    }
+    sendDownload(
+      res,
+      `falcon-chats-${date}.zip`,
+      "application/zip",
+      createZip(files)
+    );
+  } catch (err) {
+    console.error("Export conversations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Import a Falcon JSON export or ChatGPT's conversations.json (`file`)
+router.post("/import", importUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "Choose a file to import" });
+    }
+
+    let data;
+    try {
+      data = JSON.parse(req.file.buffer.toString("utf8"));
+    } catch {
+      return res.status(400).json({ error: "The file isn't valid JSON" });
+    }
+
+    const { source, conversations } = parseImport(data);
+    const created = await importConversations(req.user.id, conversations);
+
+    res.status(201).json({
+      source,
+      conversations: created.map(toConversationJSON),
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Import conversations error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// One chat: ?format=json or ?format=md, images embedded
+router.get("/:id/export", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const format = String(req.query.format || "md");
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const [chat] = await loadConversations(req.user.id, [conversation._id]);
+    const images = await loadMessageImages(req.user.id, chat.messages);
+    const filename = slugify(conversation.title);
+
+    if (format === "json") {
+      return sendDownload(
+        res,
+        `${filename}.json`,
+        "application/json",
+        JSON.stringify(toConversationsExport([chat], images), null, 2)
+      );
+    }
+    sendDownload(
+      res,
+      `${filename}.md`,
+      "text/markdown; charset=utf-8",
+      toMarkdown(chat, (url) =>
+        images.has(url) ? toDataUrl(images.get(url)) : null
+      )
+    );
+  } catch (err) {
+    console.error("Export conversation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Rename, move into a project (`project: null` moves it out) and/or
+// remember its advanced settings (`generation`, null resets them)
+router.patch("/:id", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const { title, generation } = req.body;
+    if (
+      title === undefined &&
+      req.body.project === undefined &&
+      generation === undefined
+    ) {
+      return res
+        .status(400)
+        .json({ error: "`title`, `project` or `generation` is required" });
+    }
+    if (title !== undefined) {
+      if (typeof title !== "string" || !title.trim()) {
+        return res.status(400).json({ error: "Title is required" });
+      }
+      conversation.title = title.trim();
+    }
+
+    if (req.body.project !== undefined) {
+      const project = await ownProjectId(req.user.id, req.body.project);
+      if (project === false) {
+        return res.status(404).json({ error: "Project not found" });
+      }
+      conversation.project = project;
+    }
+
+    if (generation !== undefined) {
+      const { error, values } = validateGenerationParams(generation || {});
+      if (error) return res.status(400).json({ error });
+      conversation.generation = values;
+    }
+
+    await conversation.save();
+
+    res.json({ conversation: toConversationJSON(conversation) });
+  } catch (err) {
+    console.error("Rename conversation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Delete (and all its messages + attachments); its share links stop working
+router.delete("/:id", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    await deleteConversationMessages(conversation._id);
+    await SharedChat.deleteMany({ conversation: conversation._id });
+    await conversation.deleteOne();
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete conversation error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   MESSAGES
+   ------------------------ */
+
+// The messages of the current path, in order
+router.get("/:id/messages", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const tree = await loadMessageTree(conversation._id, { full: true });
+    sendCurrentPath(res, conversation, tree);
+  } catch (err) {
+    console.error("List messages error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Add a message. `parentId` is the message it follows (null: a new first
+// message), for edited questions and regenerated answers; without it the
+// message continues the current path. It becomes the end of the path.
+router.post("/:id/messages", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const { sender, text, imageUrl } = req.body;
+    const attachments = await ownAttachmentIds(
+      req.user.id,
+      req.body.attachments
+    );
+    if (!sender || (!text && !imageUrl && attachments.length === 0)) {
+      return res.status(400).json({
+        error: "`sender` and `text`, `imageUrl` or `attachments` are required",
+      });
+    }
+
+    const tree = await loadMessageTree(conversation._id);
+    let parent;
+    if (req.body.parentId === undefined) {
+      parent = currentPath(tree, conversation.currentMessage).at(-1);
+    } else if (req.body.parentId !== null) {
+      parent = tree.byId.get(String(req.body.parentId));
+      if (!parent) return res.status(404).json({ error: "Message not found" });
+    }
+    if (req.body.parentId !== undefined) {
+      forgetSummaryFrom(conversation, parent ? depthOf(tree, parent) + 1 : 0);
+    }
+
+    const message = await Message.create({
+      ...pickMessage(req.body),
+      attachments,
+      conversation: conversation._id,
+      parent: parent?._id ?? null,
+    });
+    await message.populate("attachments");
+
+    conversation.currentMessage = message._id;
+    // bump updatedAt so recently used chats can be sorted
+    conversation.updatedAt = new Date();
+    await conversation.save();
+
+    const updated = buildMessageTree([...tree.byId.values(), message]);
+    res.status(201).json({ message: toPathMessageJSON(updated)(message) });
+  } catch (err) {
+    console.error("Create message error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Show another branch: `messageId` (e.g. a sibling from "‹ 2/3 ›") and
+// the newest messages below it become the current path
+router.put("/:id/messages/current", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    const tree = await loadMessageTree(conversation._id, { full: true });
+    const message = tree.byId.get(String(req.body.messageId));
+    if (!message) return res.status(404).json({ error: "Message not found" });
+
+    forgetSummaryFrom(conversation, depthOf(tree, message));
+    conversation.currentMessage = latestLeaf(tree, message)._id;
+    await conversation.save();
+
+    sendCurrentPath(res, conversation, tree);
+  } catch (err) {
+    console.error("Switch branch error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Clear all messages (keeps the conversation)
+router.delete("/:id/messages", async (req, res) => {
+  try {
+    const conversation = await findOwnConversation(req, res);
+    if (!conversation) return;
+
+    await deleteConversationMessages(conversation._id);
+    conversation.title = "New chat";
+    conversation.currentMessage = null;
+    conversation.summary = undefined;
+    await conversation.save();
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Clear messages error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,116 @@
+// routes/documentRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import { documentUpload } from "../middleware/upload.js";
+import Document from "../models/Document.js";
+import Project from "../models/Project.js";
+import {
+  deleteDocument,
+  getDocumentType,
+  ingestDocument,
+} from "../rag/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+export const toDocumentJSON = (d) => ({
+  id: d._id,
+  project: d.project,
+  name: d.name,
+  mimeType: d.mimeType,
+  size: d.size,
+  pageCount: d.pageCount,
+  chunkCount: d.chunkCount,
+  createdAt: d.createdAt,
+});
+
+// `projectId` (query or form field) → that project's id if it's mine,
+// null when none was given, false when it isn't valid
+const ownProjectId = async (req, projectId) => {
+  if (!projectId) return null;
+  if (!mongoose.isValidObjectId(projectId)) return false;
+  const project = await Project.exists({ _id: projectId, user: req.user.id });
+  return project ? project._id : false;
+};
+
+/* ------------------------
+   DOCUMENTS
+   ------------------------ */
+
+// My study documents, or a project's files with ?projectId=, newest first
+router.get("/", async (req, res) => {
+  try {
+    const project = await ownProjectId(req, req.query.projectId);
+    if (project === false) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const documents = await Document.find({
+      user: req.user.id,
+      project,
+    }).sort({ createdAt: -1 });
+    res.json({ documents: documents.map(toDocumentJSON) });
+  } catch (err) {
+    console.error("List documents error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Upload (multipart field "file", optional "projectId" field):
+// extract text, chunk, embed (metered), store
+router.post("/", rateLimit, documentUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "A file is required" });
+    }
+
+    const project = await ownProjectId(req, req.body.projectId);
+    if (project === false) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+
+    const mimeType = getDocumentType(req.file.originalname);
+    if (!mimeType) {
+      return res.status(400).json({
+        error: "Only PDF, DOCX, TXT and Markdown files are supported",
+      });
+    }
+
+    const document = await ingestDocument(req.user.id, req.file, mimeType, {
+      project,
+    });
+    res.status(201).json({ document: toDocumentJSON(document) });
+  } catch (err) {
+    console.error("Upload document error:", err);
+    res
+      .status(err.status || 500)
+      .json({ error: err.status ? err.message : "Failed to process document" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = mongoose.isValidObjectId(id)
+      ? await Document.findOne({ _id: id, user: req.user.id })
+      : null;
+    if (!document) {
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    await deleteDocument(document);
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete document error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,158 @@
+// routes/imageRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import GeneratedImage, { IMAGE_BUCKET } from "../models/GeneratedImage.js";
+import { saveFile, sendFile, deleteFile } from "../storage/gridfs.js";
+import {
+  DEFAULT_IMAGE_BACKEND,
+  IMAGE_LIMITS,
+  describeImageBackends,
+} from "../images/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const PAGE_SIZE = 40;
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+export const toImageJSON = (img) => ({
+  id: img._id,
+  prompt: img.prompt,
+  params: img.params,
+  mimeType: img.mimeType,
+  size: img.size,
+  url: `/api/images/${img._id}/file`,
+  createdAt: img.createdAt,
+});
+
+/**
+ * Store a freshly generated image in the user's library.
+ * @param {{ prompt: string, params?: object, mimeType: string, buffer: Buffer }} image
+ */
+export async function saveGeneratedImage(
+  userId,
+  { prompt, params, mimeType, buffer }
+) {
+  const file = await saveFile(IMAGE_BUCKET, buffer, {
+    filename: `${userId}-${Date.now()}.${EXTENSIONS[mimeType] || "img"}`,
+    contentType: mimeType,
+  });
+  return GeneratedImage.create({
+    user: userId,
+    prompt,
+    params,
+    file,
+    mimeType,
+    size: buffer.length,
+  });
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Load an image that belongs to the current user, or send 404
+const findOwnImage = async (req, res) => {
+  const { id } = req.params;
+  const image = mongoose.isValidObjectId(id)
+    ? await GeneratedImage.findOne({ _id: id, user: req.user.id })
+    : null;
+  if (!image) {
+    res.status(404).json({ error: "Image not found" });
+    return null;
+  }
+  return image;
+};
+
+/* ------------------------
+   LIBRARY
+   ------------------------ */
+
+// My images, newest first. `?q=` searches the prompts; `?before=<createdAt>`
+// fetches the next page.
+router.get("/", async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+
+    const q = String(req.query.q || "").trim();
+    if (q) filter.prompt = { $regex: escapeRegExp(q), $options: "i" };
+
+    const before = new Date(req.query.before);
+    if (req.query.before && !Number.isNaN(before.getTime())) {
+      filter.createdAt = { $lt: before };
+    }
+
+    const images = await GeneratedImage.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(PAGE_SIZE + 1);
+
+    res.json({
+      images: images.slice(0, PAGE_SIZE).map(toImageJSON),
+      hasMore: images.length > PAGE_SIZE,
+    });
+  } catch (err) {
+    console.error("List images error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// The image generators and the limits of their parameters
+router.get("/backends", (req, res) => {
+  res.json({
+    backends: describeImageBackends(),
+    defaultBackend: DEFAULT_IMAGE_BACKEND,
+    limits: IMAGE_LIMITS,
+  });
+});
+
+// The image itself; `?download=1` makes browsers save it as a file
+router.get("/:id/file", async (req, res) => {
+  try {
+    const image = await findOwnImage(req, res);
+    if (!image) return;
+
+    const filename = `falcon-${image._id}.${EXTENSIONS[image.mimeType] || "img"}`;
+    res.set({
+      "Content-Type": image.mimeType,
+      "Content-Length": image.size,
+      "Cache-Control": "private, max-age=86400",
+      "X-Content-Type-Options": "nosniff",
+      ...(req.query.download
+        ? { "Content-Disposition": `attachment; filename="${filename}"` }
+        : {}),
+    });
+    await sendFile(IMAGE_BUCKET, image.file, res);
+  } catch (err) {
+    console.error("Image download error:", err);
+    // the stream may already have started
+    if (!res.headersSent) res.status(500).json({ error: "Server error" });
+    else res.destroy();
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const image = await findOwnImage(req, res);
+    if (!image) return;
+
+    await deleteFile(IMAGE_BUCKET, image.file);
+    await image.deleteOne();
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete image error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,252 @@
+// routes/personaRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import Persona from "../models/Persona.js";
+import { getProvider } from "../providers/index.js";
+import { checkModel } from "../providers/params.js";
+import { loadUserProviders } from "./providerRoutes.js";
+import { BUILTIN_PERSONAS, TEMPLATE_VARIABLES } from "../personas/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_NAME_LENGTH = 40;
+const MAX_PROMPT_LENGTH = 8000;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+const toBuiltinJSON = (p) => ({
+  id: p.id,
+  name: p.name,
+  icon: p.icon,
+  systemPrompt: p.systemPrompt,
+  kind: p.kind || "chat",
+  builtIn: true,
+  mine: false,
+  shared: false,
+});
+
+const toPersonaJSON = (p, userId) => ({
+  id: p._id,
+  name: p.name,
+  icon: p.icon,
+  systemPrompt: p.systemPrompt,
+  provider: p.provider || null,
+  model: p.model || null,
+  temperature: p.temperature ?? null,
+  kind: "chat",
+  builtIn: false,
+  mine: String(p.user?._id || p.user) === String(userId),
+  shared: p.shared,
+  // who shared it, for personas of other users
+  ownerName: p.user?.name,
+  updatedAt: p.updatedAt,
+});
+
+// Validate the editable fields of a request body.
+// Returns { error } or { values } (only the fields that were sent).
+const pickPersona = (body, { partial = false } = {}) => {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Name is required" };
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: `Name can be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    values.name = name;
+  }
+
+  if (!partial || body.systemPrompt !== undefined) {
+    const systemPrompt = String(body.systemPrompt || "").trim();
+    if (!systemPrompt) return { error: "System prompt is required" };
+    if (systemPrompt.length > MAX_PROMPT_LENGTH) {
+      return {
+        error: `System prompt can be at most ${MAX_PROMPT_LENGTH} characters`,
+      };
+    }
+    values.systemPrompt = systemPrompt;
+  }
+
+  if (body.icon !== undefined) {
+    // one emoji (possibly several code points) or a couple of letters
+    values.icon =
+      [...String(body.icon || "").trim()].slice(0, 4).join("") || "💬";
+  }
+
+  if (body.provider !== undefined) {
+    const provider = body.provider || undefined;
+    if (provider && getProvider(provider).id !== provider) {
+      return { error: `Unknown provider "${provider}"` };
+    }
+    values.provider = provider;
+  }
+
+  if (body.model !== undefined) {
+    values.model = String(body.model || "").trim() || undefined;
+  }
+
+  if (body.temperature !== undefined) {
+    const temperature =
+      body.temperature === null || body.temperature === ""
+        ? undefined
+        : Number(body.temperature);
+    if (
+      temperature !== undefined &&
+      !(Number.isFinite(temperature) && temperature >= 0 && temperature <= 2)
+    ) {
+      return { error: "Temperature must be between 0 and 2" };
+    }
+    values.temperature = temperature;
+  }
+
+  if (body.shared !== undefined) values.shared = Boolean(body.shared);
+
+  return { values };
+};
+
+// A persona's model only runs on its provider, and has to be one that
+// provider offers. `persona` is the one being updated, if any.
+// Returns an error message, or null when the model is fine.
+const checkPersonaModel = async (userId, values, persona = null) => {
+  const model = values.model === undefined ? persona?.model : values.model;
+  if (!model) return null;
+
+  const providerId =
+    values.provider === undefined ? persona?.provider : values.provider;
+  if (!providerId) return "Pick the provider the model belongs to";
+
+  const overrides = await loadUserProviders(userId);
+  const provider = overrides[providerId] || getProvider(providerId);
+  return (await checkModel(provider, model))
+    ? null
+    : `Model ${model} isn't available on ${provider.name}`;
+};
+
+// Load a persona the current user owns, or send 404
+const findOwnPersona = async (req, res) => {
+  const { id } = req.params;
+  const persona = mongoose.isValidObjectId(id)
+    ? await Persona.findOne({ _id: id, user: req.user.id })
+    : null;
+  if (!persona) {
+    res.status(404).json({ error: "Persona not found" });
+    return null;
+  }
+  return persona;
+};
+
+/* ------------------------
+   PERSONAS
+   ------------------------ */
+
+// Built-ins, then my personas, then the ones other users shared
+router.get("/", async (req, res) => {
+  try {
+    const personas = await Persona.find({
+      $or: [{ user: req.user.id }, { shared: true }],
+    })
+      .sort({ createdAt: 1 })
+      .populate("user", "name");
+
+    const mine = personas.filter((p) => String(p.user?._id) === req.user.id);
+    const others = personas.filter((p) => String(p.user?._id) !== req.user.id);
+
+    res.json({
+      personas: [
+        ...BUILTIN_PERSONAS.map(toBuiltinJSON),
+        ...[...mine, ...others].map((p) => toPersonaJSON(p, req.user.id)),
+      ],
+      variables: TEMPLATE_VARIABLES,
+    });
+  } catch (err) {
+    console.error("List personas error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { error, values } = pickPersona(req.body);
+    if (error) return res.status(400).json({ error });
+    const modelError = await checkPersonaModel(req.user.id, values);
+    if (modelError) return res.status(400).json({ error: modelError });
+
+    const persona = await Persona.create({ ...values, user: req.user.id });
+    res.status(201).json({ persona: toPersonaJSON(persona, req.user.id) });
+  } catch (err) {
+    console.error("Create persona error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.patch("/:id", async (req, res) => {
+  try {
+    const persona = await findOwnPersona(req, res);
+    if (!persona) return;
+
+    const { error, values } = pickPersona(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    const modelError = await checkPersonaModel(req.user.id, values, persona);
+    if (modelError) return res.status(400).json({ error: modelError });
+
+    persona.set(values);
+    await persona.save();
+
+    res.json({ persona: toPersonaJSON(persona, req.user.id) });
+  } catch (err) {
+    console.error("Update persona error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    const persona = await findOwnPersona(req, res);
+    if (!persona) return;
+
+    await persona.deleteOne();
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete persona error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Copy a shared persona (or a built-in) into my own, editable list
+router.post("/:id/copy", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const source =
+      BUILTIN_PERSONAS.find((p) => p.id === id && p.kind !== "image") ||
+      (mongoose.isValidObjectId(id)
+        ? await Persona.findOne({
+            _id: id,
+            $or: [{ user: req.user.id }, { shared: true }],
+          })
+        : null);
+    if (!source) {
+      return res.status(404).json({ error: "Persona not found" });
+    }
+
+    const persona = await Persona.create({
+      user: req.user.id,
+      name: `${source.name} (copy)`.slice(0, MAX_NAME_LENGTH),
+      icon: source.icon,
+      systemPrompt: source.systemPrompt,
+      provider: source.provider,
+      model: source.model,
+      temperature: source.temperature,
+    });
+    res.status(201).json({ persona: toPersonaJSON(persona, req.user.id) });
+  } catch (err) {
+    console.error("Copy persona error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+// routes/projectRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import Project from "../models/Project.js";
+import Conversation from "../models/Conversation.js";
+import Document from "../models/Document.js";
+import { deleteDocument } from "../rag/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_NAME_LENGTH = 60;
+const MAX_INSTRUCTIONS_LENGTH = 8000;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+const toProjectJSON = (p) => ({
+  id: p._id,
+  name: p.name,
+  instructions: p.instructions,
+  createdAt: p.createdAt,
+  updatedAt: p.updatedAt,
+});
+
+// Validate name / instructions from a request body.
+// Returns { error } or { values } (only the fields that were sent).
+const pickProject = (body, { partial = false } = {}) => {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = String(body.name || "").trim();
+    if (!name) return { error: "Name is required" };
+    if (name.length > MAX_NAME_LENGTH) {
+      return { error: `Name can be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    values.name = name;
+  }
+
+  if (body.instructions !== undefined) {
+    const instructions = String(body.instructions || "").trim();
+    if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return {
+        error: `Instructions can be at most ${MAX_INSTRUCTIONS_LENGTH} characters`,
+      };
+    }
+    values.instructions = instructions;
+  }
+
+  return { values };
+};
+
+// Load a project that belongs to the current user, or send 404
+const findOwnProject = async (req, res) => {
+  const { id } = req.params;
+  const project = mongoose.isValidObjectId(id)
+    ? await Project.findOne({ _id: id, user: req.user.id })
+    : null;
+  if (!project) {
+    res.status(404).json({ error: "Project not found" });
+    return null;
+  }
+  return project;
+};
+
+/* ------------------------
+   PROJECTS
+   (files: /api/documents with `projectId`; chats: PATCH
+   /api/conversations/:id with `project`)
+   ------------------------ */
+
+// My projects, oldest first like the chat list
+router.get("/", async (req, res) => {
+  try {
+    const projects = await Project.find({ user: req.user.id }).sort({
+      createdAt: 1,
+    });
+    res.json({ projects: projects.map(toProjectJSON) });
+  } catch (err) {
+    console.error("List projects error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/", async (req, res) => {
+  try {
+    const { error, values } = pickProject(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const project = await Project.create({ ...values, user: req.user.id });
+    res.status(201).json({ project: toProjectJSON(project) });
+  } catch (err) {
+    console.error("Create project error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Rename / change instructions
+router.patch("/:id", async (req, res) => {
+  try {
+    const project = await findOwnProject(req, res);
+    if (!project) return;
+
+    const { error, values } = pickProject(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    project.set(values);
+    await project.save();
+
+    res.json({ project: toProjectJSON(project) });
+  } catch (err) {
+    console.error("Update project error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Delete the project and its files; its chats are kept and moved out
+router.delete("/:id", async (req, res) => {
+  try {
+    const project = await findOwnProject(req, res);
+    if (!project) return;
+
+    await Conversation.updateMany(
+      { project: project._id },
+      { $set: { project: null } }
+    );
+    const files = await Document.find({ project: project._id });
+    for (const file of files) {
+      await deleteDocument(file);
+    }
+    await project.deleteOne();
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete project error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
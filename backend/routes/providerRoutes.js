@@ -0,0 +1,163 @@
+// routes/providerRoutes.js
+import express from "express";
+
+import authMiddleware, { optionalAuth } from "../middleware/auth.js";
+import User from "../models/User.js";
+import { describeProviders } from "../providers/index.js";
+import { GENERATION_LIMITS } from "../providers/params.js";
+import {
+  createOpenAICompatibleProvider,
+  OPENAI_COMPATIBLE_ID,
+} from "../providers/openaiCompatible.js";
+import { literalHostError, publicUrlError } from "../providers/publicHosts.js";
+
+const router = express.Router();
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+
+// Per-user provider adapters, keyed by provider id (empty if none set up)
+export const loadUserProviders = async (userId) => {
+  if (!userId) return {};
+  const user = await User.findById(userId).select("+customProvider.apiKey");
+  const config = user?.customProvider;
+  // (URLs saved before hosts were checked may point somewhere local)
+  if (!config?.baseURL || literalHostError(config.baseURL)) return {};
+
+  const { baseURL, apiKey, model, label } = config;
+  return {
+    [OPENAI_COMPATIBLE_ID]: createOpenAICompatibleProvider(
+      () => ({ baseURL, apiKey, model, label }),
+      { circuitKey: `${OPENAI_COMPATIBLE_ID}:${userId}`, publicOnly: true }
+    ),
+  };
+};
+
+// Never send the stored API key back to the client
+const toCustomProviderJSON = (config) => ({
+  baseURL: config?.baseURL || "",
+  model: config?.model || "",
+  label: config?.label || "",
+  hasApiKey: Boolean(config?.apiKey),
+});
+
+// Optional string field: undefined when missing or empty, null when it
+// isn't a string
+const optionalString = (value) => {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value !== "string") return null;
+  return value.trim() || undefined;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+/* ------------------------
+   PROVIDER LIST (public; includes the user's own provider when logged in)
+   `models` are the ones a chat request may pick; `limits` bound the other
+   generation parameters
+   ------------------------ */
+router.get("/", optionalAuth, async (req, res) => {
+  try {
+    const overrides = await loadUserProviders(req.user?.id);
+    res.json({
+      providers: await describeProviders(overrides),
+      limits: GENERATION_LIMITS,
+    });
+  } catch (err) {
+    console.error("Providers error:", err);
+    res.status(500).json({ error: "Failed to list providers" });
+  }
+});
+
+// "https://host:port" of a URL, null when it isn't one
+const originOf = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return null;
+  }
+};
+
+/* ------------------------
+   PER-USER CUSTOM PROVIDER
+   ------------------------ */
+router.get("/custom", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(
+      "+customProvider.apiKey"
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({ customProvider: toCustomProviderJSON(user.customProvider) });
+  } catch (err) {
+    console.error("Get custom provider error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.put("/custom", authMiddleware, async (req, res) => {
+  try {
+    const fields = {};
+    for (const name of ["baseURL", "apiKey", "model", "label"]) {
+      fields[name] = optionalString(req.body[name]);
+      if (fields[name] === null) {
+        return res.status(400).json({ error: `${name} must be a string` });
+      }
+    }
+    const { baseURL, apiKey, model, label } = fields;
+
+    if (!baseURL || !isHttpUrl(baseURL)) {
+      return res
+        .status(400)
+        .json({ error: "A valid http(s) base URL is required" });
+    }
+    // the server calls this URL: keep it off internal hosts
+    const hostError = await publicUrlError(baseURL);
+    if (hostError) return res.status(400).json({ error: hostError });
+
+    const user = await User.findById(req.user.id).select(
+      "+customProvider.apiKey"
+    );
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    // empty / missing apiKey keeps the stored one, but only for the same
+    // server: the key must not be sent to whatever a new URL points at
+    const stored = user.customProvider;
+    const keepKey = originOf(stored?.baseURL) === originOf(baseURL);
+    user.customProvider = {
+      baseURL,
+      model,
+      label,
+      apiKey: apiKey || (keepKey ? stored.apiKey : undefined),
+    };
+    await user.save();
+
+    res.json({ customProvider: toCustomProviderJSON(user.customProvider) });
+  } catch (err) {
+    console.error("Save custom provider error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.delete("/custom", authMiddleware, async (req, res) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { customProvider: 1 } }
+    );
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Delete custom provider error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
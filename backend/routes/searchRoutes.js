@@ -0,0 +1,62 @@
+// routes/searchRoutes.js
+import express from "express";
+
+import authMiddleware from "../middleware/auth.js";
+import { searchMessages } from "../search/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_QUERY_LENGTH = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+
+// "YYYY-MM-DD" → Date (UTC midnight); undefined when empty, null when invalid
+const parseDay = (value) => {
+  if (!value) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/* ------------------------
+   SEARCH
+   ------------------------ */
+
+// ?q= (words, "phrases", -excluded) with optional ?mode=, ?provider=,
+// ?from= / ?to= (YYYY-MM-DD, both inclusive) and ?page= (1-based)
+router.get("/", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ error: "Search query is required" });
+    if (q.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({ error: "Search query is too long" });
+    }
+
+    const from = parseDay(req.query.from);
+    const to = parseDay(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "Dates must be YYYY-MM-DD" });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const { results, hasMore } = await searchMessages(req.user.id, {
+      q,
+      mode: String(req.query.mode || "") || undefined,
+      provider: String(req.query.provider || "") || undefined,
+      from,
+      to: to && new Date(to.getTime() + DAY_MS),
+      page,
+    });
+    res.json({ results, page, hasMore });
+  } catch (err) {
+    console.error("Search error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
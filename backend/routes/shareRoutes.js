@@ -0,0 +1,280 @@
+// routes/shareRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import rateLimit from "../middleware/rateLimit.js";
+import SharedChat from "../models/SharedChat.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import Attachment from "../models/Attachment.js";
+import GeneratedImage, { IMAGE_BUCKET } from "../models/GeneratedImage.js";
+import { randomToken } from "../auth/sessions.js";
+import { sendFile } from "../storage/gridfs.js";
+import { getProviderName } from "../providers/index.js";
+import { conversationPath } from "../branches/index.js";
+
+// Owner side (/api/shares): create, list and revoke links
+const router = express.Router();
+// Public side (/api/shared): anyone with the link, no login
+export const sharedRouter = express.Router();
+
+router.use(authMiddleware);
+
+const MAX_EXPIRY_DAYS = 365;
+const IMAGE_URL = /^\/api\/images\/([0-9a-f]{24})\/file$/;
+
+/* ------------------------
+   HELPERS
+   ------------------------ */
+// A message's image as a snapshot may show it: one of the owner's generated
+// images or a web address. The client sets `imageUrl`, so anything else
+// is left out.
+const shareableImageUrl = (url) =>
+  IMAGE_URL.test(url || "") || /^https?:\/\//.test(url || "") ? url : undefined;
+
+const toShareJSON = (share) => ({
+  id: share._id,
+  token: share.token,
+  conversation: share.conversation,
+  title: share.title,
+  hideName: !share.authorName,
+  messageCount: share.messages.length,
+  views: share.views,
+  expiresAt: share.expiresAt || null,
+  createdAt: share.createdAt,
+});
+
+// The snapshot as the public sees it: file links point at the share's own
+// routes instead of the owner's protected ones
+const toPublicShareJSON = (share) => {
+  const base = `/api/shared/${share.token}`;
+  return {
+    title: share.title,
+    author: share.authorName || null,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt || null,
+    messages: share.messages.map((m) => {
+      const image = IMAGE_URL.exec(m.imageUrl || "");
+      return {
+        sender: m.sender,
+        text: m.text,
+        provider: m.provider ? getProviderName(m.provider) : null,
+        imageUrl: image
+          ? `${base}/images/${image[1]}`
+          : shareableImageUrl(m.imageUrl),
+        attachments: m.attachments.map((a) => ({
+          id: a.id,
+          name: a.name,
+          mimeType: a.mimeType,
+          url: `${base}/attachments/${a.id}`,
+        })),
+        sources: m.sources,
+        createdAt: m.createdAt,
+      };
+    }),
+  };
+};
+
+// Keep only valid share options: { hideName, expiresAt } or { error }
+const pickShareOptions = (body) => {
+  const days = body.expiresInDays;
+  if (days === undefined || days === null || days === "" || days === 0) {
+    return { values: { hideName: Boolean(body.hideName), expiresAt: null } };
+  }
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0 || n > MAX_EXPIRY_DAYS) {
+    return {
+      error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`,
+    };
+  }
+  return {
+    values: {
+      hideName: Boolean(body.hideName),
+      expiresAt: new Date(Date.now() + n * 24 * 60 * 60 * 1000),
+    },
+  };
+};
+
+// A share that exists and hasn't expired (MongoDB removes expired ones only
+// about once a minute), or a 404 response
+const findActiveShare = async (req, res) => {
+  const share = await SharedChat.findOne({ token: String(req.params.token) });
+  if (!share || (share.expiresAt && share.expiresAt <= new Date())) {
+    res
+      .status(404)
+      .json({ error: "This shared chat doesn't exist or has expired" });
+    return null;
+  }
+  return share;
+};
+
+/* ------------------------
+   MY SHARES
+   ------------------------ */
+
+// My shared links, newest first; ?conversationId= narrows to one chat
+router.get("/", async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (mongoose.isValidObjectId(req.query.conversationId)) {
+      filter.conversation = req.query.conversationId;
+    }
+    const shares = await SharedChat.find(filter).sort({ createdAt: -1 });
+    res.json({ shares: shares.map(toShareJSON) });
+  } catch (err) {
+    console.error("List shares error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Share a snapshot of one of my chats
+router.post("/", rateLimit, async (req, res) => {
+  try {
+    const { conversationId } = req.body;
+    const conversation = mongoose.isValidObjectId(conversationId)
+      ? await Conversation.findOne({ _id: conversationId, user: req.user.id })
+      : null;
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const { error, values } = pickShareOptions(req.body);
+    if (error) return res.status(400).json({ error });
+
+    // the branch being shown
+    const messages = conversationPath(
+      conversation,
+      await Message.find({ conversation: conversation._id })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate("attachments")
+        .lean()
+    );
+    if (messages.length === 0) {
+      return res.status(400).json({ error: "There is nothing to share yet" });
+    }
+    const owner = await User.findById(req.user.id).select("name").lean();
+
+    const share = await SharedChat.create({
+      user: req.user.id,
+      conversation: conversation._id,
+      token: randomToken(),
+      title: conversation.title,
+      authorName: values.hideName ? undefined : owner?.name,
+      messages: messages.map((m) => ({
+        sender: m.sender,
+        text: m.text,
+        provider: m.provider,
+        imageUrl: shareableImageUrl(m.imageUrl),
+        attachments: (m.attachments || [])
+          .filter((a) => a?.mimeType)
+          .map((a) => ({ id: a._id, name: a.name, mimeType: a.mimeType })),
+        sources: (m.sources || []).map((src) => ({
+          name: src.name,
+          page: src.page,
+        })),
+        createdAt: m.createdAt,
+      })),
+      expiresAt: values.expiresAt || undefined,
+    });
+
+    res.status(201).json({ share: toShareJSON(share) });
+  } catch (err) {
+    console.error("Create share error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Revoke a link: it stops working right away
+router.delete("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deleted = mongoose.isValidObjectId(id)
+      ? await SharedChat.findOneAndDelete({ _id: id, user: req.user.id })
+      : null;
+    if (!deleted) return res.status(404).json({ error: "Share not found" });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Revoke share error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------
+   PUBLIC (no login)
+   ------------------------ */
+sharedRouter.get("/:token", rateLimit, async (req, res) => {
+  try {
+    const share = await findActiveShare(req, res);
+    if (!share) return;
+
+    await SharedChat.updateOne({ _id: share._id }, { $inc: { views: 1 } });
+    res.json({ share: toPublicShareJSON(share) });
+  } catch (err) {
+    console.error("Shared chat error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// A generated image shown in the snapshot
+sharedRouter.get("/:token/images/:id", async (req, res) => {
+  try {
+    const share = await findActiveShare(req, res);
+    if (!share) return;
+
+    const { id } = req.params;
+    const shown =
+      mongoose.isValidObjectId(id) &&
+      share.messages.some((m) => m.imageUrl === `/api/images/${id}/file`);
+    const image = shown
+      ? await GeneratedImage.findOne({ _id: id, user: share.user })
+      : null;
+    if (!image) return res.status(404).json({ error: "Image not found" });
+
+    res.set({
+      "Content-Type": image.mimeType,
+      "Content-Length": image.size,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    });
+    await sendFile(IMAGE_BUCKET, image.file, res);
+  } catch (err) {
+    console.error("Shared image error:", err);
+    // the stream may already have started
+    if (!res.headersSent) res.status(500).json({ error: "Server error" });
+    else res.destroy();
+  }
+});
+
+// An image attached to a message in the snapshot
+sharedRouter.get("/:token/attachments/:id", async (req, res) => {
+  try {
+    const share = await findActiveShare(req, res);
+    if (!share) return;
+
+    const { id } = req.params;
+    const shown = share.messages.some((m) =>
+      m.attachments.some((a) => String(a.id) === id)
+    );
+    const attachment = shown
+      ? await Attachment.findOne({ _id: id, user: share.user }).select("+data")
+      : null;
+    if (!attachment) {
+      return res.status(404).json({ error: "Attachment not found" });
+    }
+
+    res.set({
+      "Content-Type": attachment.mimeType,
+      "Content-Length": attachment.size,
+      "Cache-Control": "private, max-age=3600",
+      "X-Content-Type-Options": "nosniff",
+    });
+    res.send(attachment.data);
+  } catch (err) {
+    console.error("Shared attachment error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,63 @@
+// routes/usageRoutes.js
+import express from "express";
+import mongoose from "mongoose";
+
+import authMiddleware from "../middleware/auth.js";
+import Usage from "../models/Usage.js";
+import { getQuotaStatus, getUserPlan } from "../usage/index.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+/* ------------------------
+   MY USAGE
+   ------------------------ */
+
+// Plan, quotas left and this month's usage per provider
+router.get("/", async (req, res) => {
+  try {
+    const plan = await getUserPlan(req.user.id);
+    const [messages, images] = await Promise.all([
+      getQuotaStatus(req.user.id, plan, "messages"),
+      getQuotaStatus(req.user.id, plan, "images"),
+    ]);
+
+    const now = new Date();
+    const monthStart = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    );
+    const byProvider = await Usage.aggregate([
+      {
+        $match: {
+          user: new mongoose.Types.ObjectId(String(req.user.id)),
+          createdAt: { $gte: monthStart },
+        },
+      },
+      {
+        $group: {
+          _id: "$provider",
+          promptTokens: { $sum: "$promptTokens" },
+          completionTokens: { $sum: "$completionTokens" },
+          messages: { $sum: "$messages" },
+          images: { $sum: "$images" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.json({
+      plan,
+      quotas: { messages, images },
+      month: byProvider.map(({ _id, ...totals }) => ({
+        provider: _id || "unknown",
+        ...totals,
+      })),
+    });
+  } catch (err) {
+    console.error("Usage error:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+// search/index.js
+// Full-text search over the user's messages, backed by the text index on
+// Message.text (MongoDB matches stemmed words: "tokens" finds "token").
+// Results carry a short snippet around the first hit plus the ranges to
+// highlight in it, so the client never has to render HTML from the server.
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+
+export const SEARCH_PAGE_SIZE = 20;
+
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 220;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The words and "quoted phrases" of a query to highlight; negated terms
+ * (-word) are left out, as MongoDB excludes them.
+ */
+export function searchTerms(query) {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  for (const match of String(query).matchAll(pattern)) {
+    const negated = match[1] || match[3];
+    const term = (match[2] ?? match[4]).trim();
+    if (!negated && term) terms.push(term.toLowerCase());
+  }
+  return terms;
+}
+
+// One regex matching any term, with simple suffix stemming so the words
+// MongoDB matched get highlighted too
+const termsPattern = (terms) => {
+  const parts = terms.map((term) => {
+    const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/, "") : term;
+    return `${escapeRegExp(stem)}\\w*`;
+  });
+  return parts.length ? new RegExp(`(?:${parts.join("|")})`, "gi") : null;
+};
+
+/**
+ * A window of `text` around the first hit, and the hits in it.
+ * @returns {{ snippet: string, highlights: { start: number, end: number }[] }}
+ */
+export function buildSnippet(text, terms) {
+  const flat = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const pattern = termsPattern(terms);
+  const first = pattern ? flat.search(pattern) : -1;
+
+  let start = Math.max(0, first - SNIPPET_BEFORE);
+  // start at a word boundary
+  if (start > 0) {
+    const space = flat.indexOf(" ", start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  const snippet =
+    (start > 0 ? "…" : "") +
+    flat.slice(start, end) +
+    (end < flat.length ? "…" : "");
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of snippet.matchAll(pattern)) {
+      highlights.push({
+        start: match.index,
+        end: match.index + match[0].length,
+      });
+    }
+  }
+  return { snippet, highlights };
+}
+
+/**
+ * Search the user's messages.
+ * @param {{ q: string, mode?: string, provider?: string, from?: Date,
+ *   to?: Date, page?: number }} options `to` is exclusive
+ * @returns {Promise<{ results: object[], hasMore: boolean }>}
+ */
+export async function searchMessages(userId, options) {
+  const { q, mode, provider, from, to, page = 1 } = options;
+
+  const conversations = await Conversation.find({ user: userId })
+    .select("title")
+    .lean();
+  const titles = new Map(conversations.map((c) => [String(c._id), c.title]));
+
+  const filter = {
+    conversation: { $in: conversations.map((c) => c._id) },
+    $text: { $search: q },
+  };
+  if (mode) filter.mode = mode;
+  if (provider) filter.provider = provider;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lt = to;
+  }
+
+  const messages = await Message.find(filter)
+    .select({
+      conversation: 1,
+      sender: 1,
+      text: 1,
+      provider: 1,
+      mode: 1,
+      createdAt: 1,
+      score: { $meta: "textScore" },
+    })
+    .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+    .skip((page - 1) * SEARCH_PAGE_SIZE)
+    .limit(SEARCH_PAGE_SIZE + 1)
+    .lean();
+
+  const terms = searchTerms(q);
+  return {
+    results: messages.slice(0, SEARCH_PAGE_SIZE).map((m) => ({
+      conversationId: m.conversation,
+      conversationTitle: titles.get(String(m.conversation)),
+      messageId: m._id,
+      sender: m.sender,
+      provider: m.provider,
+      mode: m.mode,
+      createdAt: m.createdAt,
+      ...buildSnippet(m.text, terms),
+    })),
+    hasMore: messages.length > SEARCH_PAGE_SIZE,
+  };
+}
@@ -2,20 +2,70 @@
 import express from "express";
 import cors from "cors";          // still imported (used for safety if you want later)
 import dotenv from "dotenv";
-import Groq from "groq-sdk";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import OpenAI from "openai";
 import fetch from "node-fetch";
 import mongoose from "mongoose";
-import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import { fileURLToPath } from "node:url";
 
 import User from "./models/User.js";
+import Conversation from "./models/Conversation.js";
+import Project from "./models/Project.js";
+import Document from "./models/Document.js";
+import authMiddleware from "./middleware/auth.js";
+import rateLimit from "./middleware/rateLimit.js";
+import { requireQuota } from "./middleware/quota.js";
+import authRoutes from "./routes/authRoutes.js";
+import accountRoutes from "./routes/accountRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import shareRoutes, { sharedRouter } from "./routes/shareRoutes.js";
+import searchRoutes from "./routes/searchRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import attachmentRoutes, {
+  saveAttachment,
+  toAttachmentJSON,
+} from "./routes/attachmentRoutes.js";
+import documentRoutes from "./routes/documentRoutes.js";
+import personaRoutes from "./routes/personaRoutes.js";
+import projectRoutes from "./routes/projectRoutes.js";
+import usageRoutes from "./routes/usageRoutes.js";
+import imageRoutes, {
+  saveGeneratedImage,
+  toImageJSON,
+} from "./routes/imageRoutes.js";
+import { imageUpload, isValidImage } from "./middleware/upload.js";
+import { retrieveChunks, buildContextMessage } from "./rag/index.js";
+import {
+  fitContext,
+  getReplyTokens,
+  estimateTextTokens,
+} from "./context/index.js";
+import { findPersona, buildSystemPrompt } from "./personas/index.js";
+import providerRoutes, { loadUserProviders } from "./routes/providerRoutes.js";
+import { getProvider } from "./providers/index.js";
+import { validateGenerationParams, checkModel } from "./providers/params.js";
+import { chatWithTools, streamWithTools } from "./tools/loop.js";
+import { fetchWeather } from "./tools/weather.js";
+import { recordUsage } from "./usage/index.js";
+import {
+  validateImageParams,
+  enhancePrompt,
+  generateImages,
+} from "./images/index.js";
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy (Render, Replit, …) req.ip has to come from
+// X-Forwarded-For, or every user would share the proxy's rate limit.
+// TRUST_PROXY: number of proxy hops, "true", or the proxies' addresses.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  const hops = Number(trustProxy);
+  if (trustProxy === "true") app.set("trust proxy", true);
+  else if (Number.isInteger(hops)) app.set("trust proxy", hops);
+  else app.set("trust proxy", trustProxy);
+}
+
 /* ------------------------
    CORS CONFIG
    ------------------------ */
@@ -28,12 +78,20 @@ const allowedOrigins = [
   "https://falcon-ai--wikumsurindu542.replit.app",     // Replit URL
 ];
 
+// More explicit origins (comma separated), e.g. a custom domain
+const extraOrigins = () =>
+  (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((o) => o.trim())
+    .filter(Boolean);
+
 // Custom CORS middleware
 app.use((req, res, next) => {
   const origin = req.headers.origin;
 
   if (origin) {
-    const isExplicitAllowed = allowedOrigins.includes(origin);
+    const isExplicitAllowed =
+      allowedOrigins.includes(origin) || extraOrigins().includes(origin);
     const isLocalhost = origin.startsWith("http://localhost");
     const isNetlify = origin.endsWith(".netlify.app");
 
@@ -47,6 +105,17 @@ app.use((req, res, next) => {
         "Access-Control-Allow-Methods",
         "GET, POST, PUT, PATCH, DELETE, OPTIONS"
       );
+      // the refresh token cookie of /api/auth: only for origins we list,
+      // never for the wildcards (any netlify.app page could refresh a
+      // session and read the new access token)
+      if (isExplicitAllowed) {
+        res.header("Access-Control-Allow-Credentials", "true");
+      }
+      // rate limit / quota headers the frontend may read
+      res.header(
+        "Access-Control-Expose-Headers",
+        "Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, X-Quota-Reset"
+      );
     }
   }
 
@@ -69,312 +138,715 @@ app.get("/api/health", (req, res) => {
 });
 
 /* ------------------------
-   DB CONNECT
+   AUTH ROUTES (register, login, refresh cookie, logout, email
+   verification, password reset)
    ------------------------ */
-mongoose
-  .connect(process.env.MONGO_URI, {
-    dbName: "wikum_ai",
-  })
-  .then(() => console.log("✅ MongoDB connected"))
-  .catch((err) => console.error("MongoDB error:", err.message));
+app.use("/api/auth", authRoutes);
 
 /* ------------------------
-   AI CLIENTS
+   ACCOUNT ROUTES (protected; profile, password, data export, deletion)
    ------------------------ */
+app.use("/api/account", accountRoutes);
 
-// Groq
-const groqClient = new Groq({
-  apiKey: process.env.GROQ_API_KEY,
-});
+/* ------------------------
+   ADMIN ROUTES (admins only; users, quotas, provider stats)
+   ------------------------ */
+app.use("/api/admin", adminRoutes);
+
+/* ------------------------
+   CONVERSATION ROUTES (protected)
+   ------------------------ */
+app.use("/api/conversations", conversationRoutes);
 
-// Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+/* ------------------------
+   ATTACHMENT ROUTES (protected)
+   ------------------------ */
+app.use("/api/attachments", attachmentRoutes);
 
-// DeepSeek (OpenAI compatible)
-const deepseekClient = new OpenAI({
-  apiKey: process.env.DEEPSEEK_API_KEY,
-  baseURL: "https://api.deepseek.com",
-});
+/* ------------------------
+   PERSONA ROUTES (protected; chat modes with prompt templates)
+   ------------------------ */
+app.use("/api/personas", personaRoutes);
 
-// HuggingFace uses plain fetch + HF_API_KEY
+/* ------------------------
+   PROJECT ROUTES (protected; folders of chats with shared instructions)
+   ------------------------ */
+app.use("/api/projects", projectRoutes);
 
 /* ------------------------
-   AUTH MIDDLEWARE
+   STUDY DOCUMENT ROUTES (protected)
    ------------------------ */
-const authMiddleware = (req, res, next) => {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ")
-    ? authHeader.slice(7)
-    : null;
-
-  if (!token) {
-    return res.status(401).json({ error: "No token, authorization denied" });
-  }
+app.use("/api/documents", documentRoutes);
+
+/* ------------------------
+   USAGE ROUTES (protected; quotas left and tokens used)
+   ------------------------ */
+app.use("/api/usage", usageRoutes);
+
+/* ------------------------
+   IMAGE LIBRARY ROUTES (protected; generated images)
+   ------------------------ */
+app.use("/api/images", imageRoutes);
+
+/* ------------------------
+   SHARE ROUTES (my read-only chat links; the shared snapshots themselves
+   are public)
+   ------------------------ */
+app.use("/api/shares", shareRoutes);
+app.use("/api/shared", sharedRouter);
+
+/* ------------------------
+   SEARCH ROUTES (protected; full-text search over my messages)
+   ------------------------ */
+app.use("/api/search", searchRoutes);
 
+/* ------------------------
+   WEATHER TOOL ROUTE
+   ------------------------ */
+app.post("/api/tools/weather", async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // { id, email }
-    next();
+    // same lookup the models use as the `get_weather` tool (tools/weather.js)
+    res.json(await fetchWeather(req.body.city));
   } catch (err) {
-    return res.status(401).json({ error: "Token is not valid" });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error("Weather API error:", err);
+    res.status(500).json({ error: "Failed to fetch weather" });
   }
-};
+});
 
 /* ------------------------
-   AUTH ROUTES
+   CHAT HELPERS
    ------------------------ */
 
-// Register
-app.post("/api/auth/register", async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
+const CHAT_ROLES = ["user", "assistant"];
+
+// Accept either a full `messages` history (user and assistant turns, the new
+// user message last) or a single `message`. The system prompt comes from
+// the persona. Multipart requests (with an image) send `messages` as a JSON
+// string.
+// Returns { error } or { values: the chat messages }.
+const buildChatMessages = ({ message, messages }) => {
+  if (messages === undefined || messages === null || messages === "") {
+    if (typeof message !== "string" || !message.trim()) {
+      return { error: "Either `message` or `messages` is required" };
+    }
+    return { values: [{ role: "user", content: message }] };
+  }
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: "All fields are required" });
+  if (typeof messages === "string") {
+    try {
+      messages = JSON.parse(messages);
+    } catch {
+      return { error: "`messages` isn't valid JSON" };
     }
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: "`messages` must be a non-empty array" };
+  }
+  const valid = messages.every(
+    (m) => CHAT_ROLES.includes(m?.role) && typeof m.content === "string"
+  );
+  if (!valid) {
+    return {
+      error:
+        "Each message needs a `role` (user or assistant) and text `content`",
+    };
+  }
+  if (messages.at(-1).role !== "user") {
+    return { error: "The last message must be the user's" };
+  }
+  return {
+    values: messages.map((m) => ({ role: m.role, content: m.content })),
+  };
+};
+
+// Put the chosen persona's system prompt (`personaId`, default "general")
+// first, filled in for this user.
+// Returns the request settings: provider, plus the persona's model and
+// temperature.
+const applyPersona = async (req, chatMessages) => {
+  const [persona, user] = await Promise.all([
+    findPersona(req.user.id, req.body.personaId),
+    User.findById(req.user.id).select("name email").lean(),
+  ]);
+
+  chatMessages.unshift({
+    role: "system",
+    content: buildSystemPrompt(persona, user),
+  });
+
+  // the persona's model only makes sense on its own provider
+  const providerId = req.body.provider || persona.provider;
+  return {
+    providerId,
+    model: providerId === persona.provider ? persona.model : undefined,
+    temperature: persona.temperature ?? undefined,
+  };
+};
+
+// Generation parameters the client chose for this request (`model`,
+// `temperature`, `topP`, `maxTokens`, `stop`) on top of the persona's
+// settings. The model, chosen here or by the persona (also one shared by
+// someone else), has to be one the requested provider offers.
+// Throws a 400 error when they are invalid.
+const applyGenerationParams = async (req, settings, providers) => {
+  const { error, values } = validateGenerationParams(req.body);
+  if (error) {
+    const err = new Error(error);
+    err.status = 400;
+    throw err;
+  }
 
-    const existing = await User.findOne({ email });
-    if (existing) {
-      return res.status(400).json({ error: "Email already in use" });
+  const model = values.model || settings.model;
+  if (model) {
+    const provider =
+      providers[settings.providerId] || getProvider(settings.providerId);
+    if (!(await checkModel(provider, model))) {
+      const err = new Error(
+        `Model ${model} isn't available on ${provider.name}`
+      );
+      err.status = 400;
+      throw err;
     }
+  }
+  return { ...settings, maxTokens: getReplyTokens(), ...values };
+};
 
-    const hashed = await bcrypt.hash(password, 10);
+// If an image was uploaded with the request: check it and hand its bytes to
+// the model with the last user message. It is stored (saveUploadedImage)
+// only once the model has answered, so failed requests leave nothing behind.
+const attachUploadedImage = (req, chatMessages) => {
+  if (!req.file) return;
 
-    const user = await User.create({
-      name,
-      email,
-      password: hashed,
-    });
+  if (!isValidImage(req.file)) {
+    const err = new Error("The uploaded file is not a valid image");
+    err.status = 400;
+    throw err;
+  }
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
-    );
+  const lastUser = chatMessages.findLastIndex((m) => m.role === "user");
+  if (lastUser !== -1) {
+    chatMessages[lastUser] = {
+      ...chatMessages[lastUser],
+      images: [
+        {
+          mimeType: req.file.mimetype,
+          data: req.file.buffer.toString("base64"),
+        },
+      ],
+    };
+  }
+};
 
-    res.json({
-      user: { id: user._id, name: user.name, email: user.email },
-      token,
+// Store the request's uploaded image, if any, as the user's attachment
+const saveUploadedImage = (req) =>
+  req.file ? saveAttachment(req.user.id, req.file) : null;
+
+// The chat's own conversation (`conversationId`), or null
+const findChatConversation = async (req) => {
+  const { conversationId } = req.body;
+  if (!mongoose.isValidObjectId(conversationId)) return null;
+  return Conversation.findOne({ _id: conversationId, user: req.user.id });
+};
+
+// Chats in a project get its instructions after the persona's prompt.
+// Returns the ids of the project's reference files (for retrieval).
+const applyProject = async (conversation, chatMessages) => {
+  if (!conversation?.project) return [];
+  const project = await Project.findById(conversation.project).lean();
+  if (!project) return [];
+
+  if (project.instructions) {
+    const firstTurn = chatMessages.findIndex((m) => m.role !== "system");
+    chatMessages.splice(firstTurn === -1 ? 0 : firstTurn, 0, {
+      role: "system",
+      content: `Instructions for the "${project.name}" project:\n${project.instructions}`,
     });
-  } catch (err) {
-    console.error("Register error:", err);
-    res.status(500).json({ error: "Server error" });
   }
-});
 
-// Login
-app.post("/api/auth/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+  const files = await Document.find({ project: project._id })
+    .select("_id")
+    .lean();
+  return files.map((f) => String(f._id));
+};
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res
-        .status(400)
-        .json({ error: "Invalid email or password" });
+// Study documents and project files: retrieve the passages most relevant
+// to the last user message from the selected `documentIds` (plus
+// `extraIds`) and add them as context right before it.
+// Returns the cited sources ([] when nothing was retrieved).
+const addDocumentContext = async (req, chatMessages, extraIds = []) => {
+  let { documentIds } = req.body;
+  if (typeof documentIds === "string") {
+    try {
+      documentIds = JSON.parse(documentIds);
+    } catch {
+      documentIds = [];
     }
+  }
+  if (!Array.isArray(documentIds)) documentIds = [];
+
+  const ids = [...new Set([...documentIds, ...extraIds])].filter((id) =>
+    mongoose.isValidObjectId(id)
+  );
+  const lastUser = chatMessages.findLastIndex((m) => m.role === "user");
+  if (ids.length === 0 || lastUser === -1) return [];
+
+  const chunks = await retrieveChunks(
+    req.user.id,
+    ids,
+    chatMessages[lastUser].content
+  );
+  if (chunks.length === 0) return [];
+
+  chatMessages.splice(lastUser, 0, buildContextMessage(chunks));
+  return chunks.map((c) => ({
+    documentId: c.documentId,
+    name: c.name,
+    page: c.page,
+  }));
+};
 
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res
-        .status(400)
-        .json({ error: "Invalid email or password" });
-    }
+// Everything a chat request needs before the model is called: persona and
+// project prompts, generation parameters, the uploaded image, document
+// passages, and the history fitted into the context budget (using and
+// updating the rolling summary of the chat's `conversationId`)
+const prepareChat = async (req, chatMessages) => {
+  const conversation = await findChatConversation(req);
+  const providers = await loadUserProviders(req.user.id);
+  const settings = await applyGenerationParams(
+    req,
+    await applyPersona(req, chatMessages),
+    providers
+  );
+  const projectFileIds = await applyProject(conversation, chatMessages);
+  attachUploadedImage(req, chatMessages);
+  const sources = await addDocumentContext(req, chatMessages, projectFileIds);
+  const { messages, context } = await fitContext(conversation, chatMessages, {
+    providerId: settings.providerId,
+    model: settings.model,
+    maxTokens: settings.maxTokens,
+    providers,
+    userId: req.user.id,
+  });
+
+  return { settings, sources, providers, messages, context };
+};
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Pull the most useful message out of an SDK / HTTP error
+const getErrorMessage = (err) =>
+  err?.response?.data?.error?.message ||
+  err.message ||
+  "Error contacting AI service";
+
+// Both chat routes: logged in, within the rate limit and the plan's message
+// quota, with an optional uploaded image
+const chatMiddleware = [
+  authMiddleware,
+  rateLimit,
+  requireQuota("messages"),
+  imageUpload,
+];
+
+// Abort signal that fires when the client goes away mid-reply (the Stop
+// button, a closed tab), so the provider request is cancelled too
+const abortOnDisconnect = (res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+};
+
+// Meter one chat answer (token counts are estimates)
+const recordChatUsage = (req, { provider, model, context, text }) =>
+  recordUsage(req.user.id, {
+    kind: "chat",
+    provider,
+    model,
+    promptTokens: context.tokens,
+    completionTokens: estimateTextTokens(text),
+    messages: 1,
+  });
+
+/* ------------------------
+   PROVIDERS (for the frontend dropdown + per-user custom provider)
+   ------------------------ */
+app.use("/api/providers", providerRoutes);
+
+/* ------------------------
+   CHAT ROUTE (protected)
+   ------------------------ */
+// JSON body, or multipart/form-data with an optional `image` file plus the
+// same fields (`messages` as a JSON string). `personaId` picks the mode.
+// Optional generation parameters: `model` (one of the provider's models),
+// `temperature`, `topP`, `maxTokens` and `stop` (see providers/params.js).
+app.post("/api/chat", chatMiddleware, async (req, res) => {
+  try {
+    const { error, values: chatMessages } = buildChatMessages(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { settings, sources, providers, messages, context } =
+      await prepareChat(req, chatMessages);
+
+    // `provider` in the reply is whichever one actually answered
+    const { text, model, provider, toolSteps } = await chatWithTools(
+      settings.providerId,
+      messages,
+      {
+        providers,
+        model: settings.model,
+        temperature: settings.temperature,
+        topP: settings.topP,
+        maxTokens: settings.maxTokens,
+        stop: settings.stop,
+      }
     );
 
+    recordChatUsage(req, { provider, model, context, text });
+    const attachment = await saveUploadedImage(req);
+
     res.json({
-      user: { id: user._id, name: user.name, email: user.email },
-      token,
+      reply: text,
+      provider,
+      context,
+      ...(toolSteps.length > 0 ? { toolSteps } : {}),
+      ...(attachment ? { attachment: toAttachmentJSON(attachment) } : {}),
+      ...(sources.length > 0 ? { sources } : {}),
     });
   } catch (err) {
-    console.error("Login error:", err);
-    res.status(500).json({ error: "Server error" });
+    console.error("Chat API error:", err);
+    res.status(err.status || 500).json({ error: getErrorMessage(err) });
   }
 });
 
 /* ------------------------
-   WEATHER TOOL ROUTE
+   STREAMING CHAT ROUTE (protected, Server-Sent Events)
+   events: `context` { tokens, budget, summary } describing what was sent,
+   `sources` [{ documentId, name, page }] when documents or project files
+   were used,
+   `delta` { text } …, `tool_call` { id, name, args } and
+   `tool_result` { id, name, args, result | error } when the model used a
+   tool, then `attachment` { id, url, … } when an image was uploaded and
+   `done` { provider }, or `error` { error }
+   Closing the connection stops the answer and its provider request.
    ------------------------ */
-app.post("/api/tools/weather", async (req, res) => {
-  try {
-    const { city } = req.body;
-
-    if (!city || !city.trim()) {
-      return res.status(400).json({ error: "City is required" });
-    }
+app.post("/api/chat/stream", chatMiddleware, async (req, res) => {
+  const { error, values: chatMessages } = buildChatMessages(req.body);
+  if (error) return res.status(400).json({ error });
 
-    if (!process.env.WEATHER_API_KEY) {
-      return res
-        .status(500)
-        .json({ error: "WEATHER_API_KEY is not set in .env" });
-    }
-
-    const q = encodeURIComponent(city.trim());
-    const url = `https://api.openweathermap.org/data/2.5/weather?q=${q}&units=metric&appid=${process.env.WEATHER_API_KEY}`;
+  let prepared;
+  try {
+    prepared = await prepareChat(req, chatMessages);
+  } catch (err) {
+    console.error("Chat request error:", err);
+    return res.status(err.status || 500).json({ error: getErrorMessage(err) });
+  }
 
-    const response = await fetch(url);
-    const data = await response.json();
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let proxies buffer the stream
+  });
+  res.flushHeaders();
+
+  const { settings, sources, providers, messages, context } = prepared;
+  sendEvent(res, "context", context);
+  if (sources.length > 0) {
+    sendEvent(res, "sources", sources);
+  }
 
-    if (!response.ok) {
-      return res
-        .status(response.status)
-        .json({ error: data.message || "Weather API error" });
+  const signal = abortOnDisconnect(res);
+  let answer = "";
+  try {
+    const { provider } = await streamWithTools(
+      settings.providerId,
+      messages,
+      {
+        providers,
+        model: settings.model,
+        temperature: settings.temperature,
+        topP: settings.topP,
+        maxTokens: settings.maxTokens,
+        stop: settings.stop,
+        signal,
+      },
+      {
+        onDelta: (text) => {
+          answer += text;
+          sendEvent(res, "delta", { text });
+        },
+        onToolCall: ({ id, name, arguments: args }) =>
+          sendEvent(res, "tool_call", { id, name, args }),
+        onToolResult: (step) => sendEvent(res, "tool_result", step),
+      }
+    );
+    const attachment = await saveUploadedImage(req);
+    if (attachment) {
+      sendEvent(res, "attachment", toAttachmentJSON(attachment));
     }
-
-    const result = {
-      city: data.name,
-      country: data.sys?.country,
-      temp: data.main?.temp,
-      feels_like: data.main?.feels_like,
-      humidity: data.main?.humidity,
-      description: data.weather?.[0]?.description,
-      icon: data.weather?.[0]?.icon,
-      raw: data, // optional: full raw response
-    };
-
-    res.json(result);
+    sendEvent(res, "done", { provider });
+    recordChatUsage(req, {
+      provider,
+      // the chosen model is only used on its own provider
+      model: provider === settings.providerId ? settings.model : undefined,
+      context,
+      text: answer,
+    });
   } catch (err) {
-    console.error("Weather API error:", err);
-    res.status(500).json({ error: "Failed to fetch weather" });
+    if (signal.aborted) {
+      // stopped by the client: the tokens it got were still generated
+      recordChatUsage(req, {
+        provider: settings.providerId,
+        model: settings.model,
+        context,
+        text: answer,
+      });
+      return;
+    }
+    console.error("Chat stream error:", err);
+    sendEvent(res, "error", { error: getErrorMessage(err) });
+  } finally {
+    res.end();
   }
 });
 
 /* ------------------------
-   CHAT ROUTE (protected)
+   COMPARE MODE (protected, Server-Sent Events)
+   body: the fields of /api/chat/stream (JSON, no image), with `providers`:
+   2–4 provider ids instead of `provider`. They all answer the same prompt
+   in parallel, without failover. The history is fitted to the persona's
+   provider.
+   events: `context` and `sources` as above, then for each provider
+   `delta` { provider, text } … and `done` { provider, latencyMs,
+   firstTokenMs, promptTokens, completionTokens } or `error` { provider,
+   error }, and finally `end` {}. Token counts are estimates. Closing the
+   connection stops all of them.
    ------------------------ */
-app.post("/api/chat", authMiddleware, async (req, res) => {
-  try {
-    const { message, messages, provider = "groq" } = req.body;
+const MIN_COMPARE_PROVIDERS = 2;
+const MAX_COMPARE_PROVIDERS = 4;
+
+const getCompareProviderIds = (body) =>
+  Array.isArray(body.providers) ? [...new Set(body.providers.map(String))] : [];
+
+// every answer counts as a message against the quota
+const compareMiddleware = [
+  authMiddleware,
+  rateLimit,
+  requireQuota(
+    "messages",
+    (req) => getCompareProviderIds(req.body).length || 1
+  ),
+];
 
-    if (!message && (!Array.isArray(messages) || messages.length === 0)) {
+app.post("/api/chat/compare", compareMiddleware, async (req, res) => {
+  const providerIds = getCompareProviderIds(req.body);
+  if (
+    providerIds.length < MIN_COMPARE_PROVIDERS ||
+    providerIds.length > MAX_COMPARE_PROVIDERS
+  ) {
+    return res.status(400).json({
+      error: `Pick ${MIN_COMPARE_PROVIDERS} to ${MAX_COMPARE_PROVIDERS} providers to compare`,
+    });
+  }
+  const { error, values: chatMessages } = buildChatMessages(req.body);
+  if (error) return res.status(400).json({ error });
+
+  let prepared;
+  try {
+    const overrides = await loadUserProviders(req.user.id);
+    const unavailable = providerIds.find((id) => {
+      const provider = overrides[id] || getProvider(id);
+      return provider.id !== id || !provider.isConfigured();
+    });
+    if (unavailable) {
       return res
         .status(400)
-        .json({ error: "Either `message` or `messages` is required" });
+        .json({ error: `Provider ${unavailable} isn't available` });
     }
+    prepared = await prepareChat(req, chatMessages);
+  } catch (err) {
+    console.error("Compare request error:", err);
+    return res.status(err.status || 500).json({ error: getErrorMessage(err) });
+  }
 
-    let chatMessages;
-    if (Array.isArray(messages) && messages.length > 0) {
-      chatMessages = messages;
-    } else {
-      chatMessages = [
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const { settings, sources, providers, messages, context } = prepared;
+  sendEvent(res, "context", context);
+  if (sources.length > 0) {
+    sendEvent(res, "sources", sources);
+  }
+
+  const signal = abortOnDisconnect(res);
+  const answer = async (providerId) => {
+    const startedAt = Date.now();
+    let firstTokenMs = null;
+    let text = "";
+    // the chosen model only applies on its own provider
+    const model =
+      providerId === settings.providerId ? settings.model : undefined;
+    try {
+      await streamWithTools(
+        providerId,
+        messages,
         {
-          role: "system",
-          content:
-            "You are a friendly AI assistant helping an IT undergraduate. Explain things simply with examples.",
+          providers,
+          model,
+          temperature: settings.temperature,
+          topP: settings.topP,
+          maxTokens: settings.maxTokens,
+          stop: settings.stop,
+          failover: false,
+          signal,
         },
-        { role: "user", content: message },
-      ];
-    }
-
-    let aiReply = "";
-    let usedProvider = provider;
-
-    if (provider === "gemini") {
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
-      const combined = chatMessages
-        .map((m) => `${m.role.toUpperCase()}: ${m.content}`)
-        .join("\n");
-      const result = await model.generateContent(combined);
-      aiReply = result.response.text();
-    } else if (provider === "deepseek") {
-      const response = await deepseekClient.chat.completions.create({
-        model: "deepseek-chat",
-        messages: chatMessages,
-        max_tokens: 500,
-        temperature: 0.7,
-      });
-      aiReply = response.choices[0]?.message?.content || "No reply";
-    } else if (provider === "huggingface") {
-      const userText =
-        chatMessages.map((m) => `${m.role}: ${m.content}`).join("\n") ||
-        message;
-
-      const hfRes = await fetch(
-        "https://api-inference.huggingface.co/models/facebook/blenderbot-400M-distill",
         {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${process.env.HF_API_KEY}`,
-            "Content-Type": "application/json",
+          onDelta: (delta) => {
+            firstTokenMs ??= Date.now() - startedAt;
+            text += delta;
+            sendEvent(res, "delta", { provider: providerId, text: delta });
           },
-          body: JSON.stringify({ inputs: userText }),
         }
       );
-
-      const data = await hfRes.json();
-      aiReply = data[0]?.generated_text || JSON.stringify(data);
-    } else {
-      usedProvider = "groq";
-      const response = await groqClient.chat.completions.create({
-        model: "llama-3.1-8b-instant",
-        messages: chatMessages,
-        max_tokens: 500,
-        temperature: 0.7,
+      sendEvent(res, "done", {
+        provider: providerId,
+        latencyMs: Date.now() - startedAt,
+        firstTokenMs,
+        promptTokens: context.tokens,
+        completionTokens: estimateTextTokens(text),
+      });
+      recordChatUsage(req, { provider: providerId, model, context, text });
+    } catch (err) {
+      if (signal.aborted) {
+        recordChatUsage(req, { provider: providerId, model, context, text });
+        return;
+      }
+      console.error(`Compare ${providerId} error:`, err);
+      sendEvent(res, "error", {
+        provider: providerId,
+        error: getErrorMessage(err),
       });
-      aiReply = response.choices[0]?.message?.content || "No reply";
     }
+  };
 
-    res.json({ reply: aiReply, provider: usedProvider });
-  } catch (err) {
-    console.error("Chat API error:", err);
-    const errorMsg =
-      err?.response?.data?.error?.message ||
-      err.message ||
-      "Error contacting AI service";
-    res.status(500).json({ error: errorMsg });
-  }
+  await Promise.all(providerIds.map(answer));
+  if (!signal.aborted) sendEvent(res, "end", {});
+  res.end();
 });
 
 /* ------------------------
-   IMAGE GENERATION
+   IMAGE GENERATION (saved to the user's library)
+   body: { prompt, negativePrompt?, width?, height?, steps?, guidance?,
+           seed?, count?, backend?, model?, enhance?, provider? }
+   `enhance` first rewrites the prompt with the chat model (`provider`).
    ------------------------ */
-app.post("/api/image/generate", async (req, res) => {
-  try {
-    const { prompt } = req.body;
+// a batch counts as `count` images against the quota; enhancing the prompt
+// is a chat message
+const enhanceQuota = requireQuota("messages");
+const imageMiddleware = [
+  authMiddleware,
+  rateLimit,
+  (req, res, next) =>
+    req.body.enhance ? enhanceQuota(req, res, next) : next(),
+  requireQuota("images", (req) => Number(req.body.count) || 1),
+];
 
-    if (!prompt || !prompt.trim()) {
-      return res.status(400).json({ error: "Prompt is required" });
+app.post("/api/image/generate", imageMiddleware, async (req, res) => {
+  try {
+    const { error, values } = validateImageParams(req.body);
+    if (error) return res.status(400).json({ error });
+
+    let { prompt } = values;
+    if (req.body.enhance) {
+      const [user, providers] = await Promise.all([
+        User.findById(req.user.id).select("name email").lean(),
+        loadUserProviders(req.user.id),
+      ]);
+      prompt = await enhancePrompt(user, values.prompt, {
+        providerId: req.body.provider,
+        providers,
+        userId: req.user.id,
+      });
     }
 
-    // Call HuggingFace image model
-    const hfRes = await fetch(
-      "https://api-inference.huggingface.co/models/stabilityai/stable-diffusion-2-1",
-      {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${process.env.HF_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({ inputs: prompt }),
-      }
+    // `values.model` is one of the backend's models (or unset)
+    const params = { ...values, prompt };
+    const { backend, model, images } = await generateImages(
+      req.body.backend,
+      params
     );
 
-    if (!hfRes.ok) {
-      const errText = await hfRes.text();
-      console.error("HF image error:", errText);
-      return res.status(500).json({ error: "Image API failed" });
+    const saved = [];
+    for (const image of images) {
+      saved.push(
+        await saveGeneratedImage(req.user.id, {
+          prompt,
+          params: {
+            backend,
+            model,
+            originalPrompt:
+              prompt !== values.prompt ? values.prompt : undefined,
+            negativePrompt: params.negativePrompt || undefined,
+            width: params.width,
+            height: params.height,
+            steps: params.steps,
+            guidance: params.guidance,
+            seed: image.seed,
+          },
+          mimeType: image.mimeType,
+          buffer: image.buffer,
+        })
+      );
     }
 
-    // HF returns raw image bytes → convert to base64
-    const arrayBuffer = await hfRes.arrayBuffer();
-    const base64Image = Buffer.from(arrayBuffer).toString("base64");
-
-    return res.json({
-      imageBase64: `data:image/png;base64,${base64Image}`,
+    recordUsage(req.user.id, {
+      kind: "image",
+      provider: backend,
+      model,
+      images: saved.length,
     });
+
+    res.json({ prompt, backend, model, images: saved.map(toImageJSON) });
   } catch (err) {
-    console.error("HF image error:", err);
+    console.error("Image generation error:", err);
+    if (err.status) {
+      // the backend's own message, e.g. a model that is still loading;
+      // its auth errors are ours to fix, not the user's
+      const status =
+        err.status === 503 || err.status === 400 ? err.status : 502;
+      return res.status(status).json({ error: err.message });
+    }
     res.status(500).json({ error: "Image generation failed" });
   }
 });
 
 /* ------------------------
-   START SERVER
+   DB CONNECT + START SERVER
+   (only when run as `node server.js`; the tests import the app)
    ------------------------ */
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Backend running on port ${PORT}`));
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  mongoose
+    .connect(process.env.MONGO_URI, {
+      dbName: "wikum_ai",
+    })
+    .then(() => console.log("✅ MongoDB connected"))
+    .catch((err) => console.error("MongoDB error:", err.message));
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`🚀 Backend running on port ${PORT}`));
+}
+
+export default app;
@@ -0,0 +1,46 @@
+// storage/gridfs.js
+// Files too big to keep inside a MongoDB document (generated images) are
+// stored in GridFS, next to the rest of the data in the same database.
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import mongoose from "mongoose";
+
+// Bucket on the current connection (created lazily: the connection opens
+// after the imports run)
+const getBucket = (bucketName) =>
+  new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+/**
+ * Store `buffer` in the bucket.
+ * @returns {Promise<mongoose.Types.ObjectId>} the GridFS file id
+ */
+export async function saveFile(bucketName, buffer, { filename, contentType }) {
+  const upload = getBucket(bucketName).openUploadStream(filename, {
+    metadata: { contentType },
+  });
+  await pipeline(Readable.from([buffer]), upload);
+  return upload.id;
+}
+
+// Stream a stored file to `res` (an Express response with headers set)
+export async function sendFile(bucketName, fileId, res) {
+  await pipeline(getBucket(bucketName).openDownloadStream(fileId), res);
+}
+
+// A stored file's bytes (for exports; use sendFile to serve it)
+export async function readFile(bucketName, fileId) {
+  const chunks = [];
+  for await (const chunk of getBucket(bucketName).openDownloadStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Remove a stored file; one that is already gone is not an error
+export async function deleteFile(bucketName, fileId) {
+  try {
+    await getBucket(bucketName).delete(fileId);
+  } catch (err) {
+    if (!/file not found/i.test(err.message)) throw err;
+  }
+}
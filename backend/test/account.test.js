@@ -0,0 +1,139 @@
+// test/account.test.js
+// What the account data export contains for uploaded documents.
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+
+import { query } from "./helpers.js";
+import { collectUserData, joinChunks } from "../account/index.js";
+import Attachment from "../models/Attachment.js";
+import Conversation from "../models/Conversation.js";
+import Document from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import GeneratedImage from "../models/GeneratedImage.js";
+import Message from "../models/Message.js";
+import Persona from "../models/Persona.js";
+import Project from "../models/Project.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { chunkPages } from "../rag/chunk.js";
+
+// Lecture notes long enough for several overlapping chunks per page
+const PAGES = [
+  {
+    page: 1,
+    text: Array.from(
+      { length: 40 },
+      (_, i) => `Sentence ${i} of the first page is about cells.`
+    ).join(" "),
+  },
+  {
+    page: 2,
+    text: Array.from(
+      { length: 12 },
+      (_, i) => `Paragraph ${i} on page two.\n\nIt covers membranes.`
+    ).join("\n\n"),
+  },
+];
+const CHUNKS = chunkPages(PAGES, { size: 300, overlap: 80 });
+
+describe("joinChunks", () => {
+  it("gives back the text the chunks were cut from", () => {
+    assert.ok(CHUNKS.length > 6);
+    assert.equal(joinChunks(CHUNKS), PAGES.map((p) => p.text).join("\n\n"));
+  });
+
+  it("keeps chunks that don't overlap as they are", () => {
+    assert.equal(
+      joinChunks([
+        { page: null, text: "One." },
+        { page: null, text: "Two." },
+      ]),
+      "One.Two."
+    );
+    assert.equal(joinChunks([]), "");
+  });
+});
+
+describe("collectUserData", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const original = Buffer.from("%PDF-1.7 the uploaded bytes");
+  const uploaded = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    name: "Biology Notes.PDF",
+    mimeType: "application/pdf",
+    size: original.length,
+    pageCount: 2,
+    file: new mongoose.Types.ObjectId(),
+  };
+  const older = {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    name: "old.txt",
+    mimeType: "text/plain",
+    size: 4,
+  };
+
+  beforeEach(() => {
+    mock.method(User, "findById", () => query({ name: "Ada" }));
+    for (const model of [
+      Conversation,
+      Project,
+      Persona,
+      GeneratedImage,
+      Usage,
+      Message,
+      Attachment,
+    ]) {
+      mock.method(model, "find", () => query([]));
+    }
+    mock.method(Document, "find", () => query([uploaded, older]));
+    mock.method(DocumentChunk, "find", (filter) =>
+      query(
+        String(filter.document) === String(uploaded._id)
+          ? CHUNKS
+          : [{ page: null, text: "Old." }]
+      )
+    );
+    // GridFS, as far as readFile uses it
+    mock.getter(
+      mongoose.mongo,
+      "GridFSBucket",
+      () =>
+        class {
+          openDownloadStream(id) {
+            assert.equal(String(id), String(uploaded.file));
+            return Readable.from([original]);
+          }
+        }
+    );
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("exports the uploaded file and its text without the overlap", async () => {
+    const { data, files } = await collectUserData(userId, { withFiles: true });
+
+    assert.deepEqual(
+      data.documents.map((d) => [d.name, d.file, d.text]),
+      [
+        [
+          "Biology Notes.PDF",
+          `documents/${uploaded._id}.pdf`,
+          `documents/${uploaded._id}.txt`,
+        ],
+        ["old.txt", undefined, `documents/${older._id}.txt`],
+      ]
+    );
+
+    const file = (name) => files.find((f) => f.name === name)?.data;
+    assert.ok(file(`documents/${uploaded._id}.pdf`).equals(original));
+    assert.equal(
+      file(`documents/${uploaded._id}.txt`),
+      PAGES.map((p) => p.text).join("\n\n")
+    );
+    assert.equal(file(`documents/${older._id}.txt`), "Old.");
+    assert.equal(files.length, 3);
+  });
+});
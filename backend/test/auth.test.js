@@ -0,0 +1,274 @@
+// test/auth.test.js
+// Sign-up checks, refresh-token sessions (login, rotation on refresh,
+// revocation when a rotated token is replayed, logout) and ADMIN_EMAILS.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import bcrypt from "bcryptjs";
+
+import { query, serve } from "./helpers.js";
+import fileTransport from "../mail/fileTransport.js";
+import EmailToken from "../models/EmailToken.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import authRoutes from "../routes/authRoutes.js";
+
+const PASSWORD = "correct horse";
+
+let api;
+before(async () => {
+  api = await serve("/api/auth", authRoutes);
+});
+after(() => api.close());
+afterEach(() => mock.restoreAll());
+
+const post = (path, body, headers = {}) =>
+  fetch(`${api.url}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+// The refresh cookie a response sets, as a Cookie header
+const refreshCookie = (res) => {
+  const cookie = res.headers
+    .getSetCookie()
+    .find((c) => c.startsWith("falcon_refresh="));
+  return cookie && { Cookie: cookie.split(";")[0] };
+};
+
+describe("POST /register", () => {
+  it("rejects names that could end up in mail headers", async () => {
+    const findOne = mock.method(User, "findOne", () => query(null));
+    for (const name of [
+      "Eve\r\nBcc: all@example.com",
+      "<Eve>",
+      " ",
+      "x".repeat(81),
+    ]) {
+      const res = await post("/register", {
+        name,
+        email: "eve@example.com",
+        password: PASSWORD,
+      });
+      assert.equal(res.status, 400, JSON.stringify(name));
+      assert.match((await res.json()).error, /Name must be/);
+    }
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it("rejects malformed email addresses", async () => {
+    for (const email of ["eve", "eve@example", "Eve <eve@example.com>"]) {
+      const res = await post("/register", {
+        name: "Eve",
+        email,
+        password: PASSWORD,
+      });
+      assert.equal(res.status, 400, email);
+    }
+  });
+});
+
+describe("sessions", () => {
+  let user;
+  // Session documents by id, standing in for the collection
+  let sessions;
+
+  beforeEach(async () => {
+    user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: await bcrypt.hash(PASSWORD, 4),
+    });
+    sessions = new Map();
+
+    mock.method(User, "findOne", ({ email }) =>
+      query(email === user.email ? user : null)
+    );
+    mock.method(User, "findById", () => query(user));
+    mock.method(Session.prototype, "save", async function save() {
+      sessions.set(String(this._id), this);
+      return this;
+    });
+    mock.method(Session, "findById", (id) => {
+      const session = sessions.get(String(id));
+      if (session) session.user = user;
+      return query(session || null);
+    });
+    mock.method(Session, "exists", async ({ _id }) => {
+      const session = sessions.get(String(_id));
+      return session && !session.revokedAt && session.expiresAt > new Date()
+        ? { _id }
+        : null;
+    });
+    mock.method(Session, "updateOne", async ({ _id }, { $set }) => {
+      const session = sessions.get(String(_id));
+      if (session && !session.revokedAt) Object.assign(session, $set);
+    });
+  });
+
+  const login = async () => {
+    const res = await post("/login", {
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    assert.equal(res.status, 200);
+    const { token } = await res.json();
+    return { token, cookie: refreshCookie(res) };
+  };
+
+  const me = (token) =>
+    fetch(`${api.url}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it("logs in with an access token and a refresh cookie", async () => {
+    const { token, cookie } = await login();
+    assert.ok(cookie);
+    assert.equal(sessions.size, 1);
+    assert.equal((await me(token)).status, 200);
+  });
+
+  it("refuses a wrong password", async () => {
+    const res = await post("/login", {
+      email: "ada@example.com",
+      password: "wrong",
+    });
+    assert.equal(res.status, 400);
+    assert.equal(sessions.size, 0);
+  });
+
+  it("rotates the refresh token on every refresh", async () => {
+    const first = await login();
+    const res = await post("/refresh", {}, first.cookie);
+    assert.equal(res.status, 200);
+    const second = refreshCookie(res);
+    assert.notEqual(second.Cookie, first.cookie.Cookie);
+    assert.equal((await me((await res.json()).token)).status, 200);
+
+    // the new one keeps working
+    assert.equal((await post("/refresh", {}, second)).status, 200);
+  });
+
+  it("revokes the session when a rotated token is replayed", async () => {
+    const first = await login();
+    const refreshed = await post("/refresh", {}, first.cookie);
+    const current = refreshCookie(refreshed);
+    const { token } = await refreshed.json();
+
+    // past the grace period for tabs refreshing at the same time
+    const [session] = sessions.values();
+    session.rotatedAt = new Date(Date.now() - 60_000);
+
+    const replay = await post("/refresh", {}, first.cookie);
+    assert.equal(replay.status, 401);
+    assert.ok(session.revokedAt);
+
+    // whoever holds the current token is logged out as well
+    assert.equal((await post("/refresh", {}, current)).status, 401);
+    assert.equal((await me(token)).status, 401);
+  });
+
+  it("accepts the previous token right after a rotation", async () => {
+    const first = await login();
+    assert.equal((await post("/refresh", {}, first.cookie)).status, 200);
+    assert.equal((await post("/refresh", {}, first.cookie)).status, 200);
+  });
+
+  it("answers 401 without a refresh cookie", async () => {
+    const res = await post("/refresh", {});
+    assert.equal(res.status, 401);
+  });
+
+  it("logs out the session's access tokens", async () => {
+    const { token, cookie } = await login();
+    const res = await post(
+      "/logout",
+      {},
+      { ...cookie, Authorization: `Bearer ${token}` }
+    );
+    assert.equal(res.status, 200);
+    assert.equal((await me(token)).status, 401);
+    assert.equal((await post("/refresh", {}, cookie)).status, 401);
+  });
+});
+
+describe("ADMIN_EMAILS", () => {
+  let users;
+  let emailTokens;
+  // raw messages the mail transport was given
+  let outbox;
+
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = "boss@example.com";
+    users = [];
+    emailTokens = [];
+    outbox = [];
+
+    mock.method(User, "findOne", ({ email }) =>
+      query(users.find((u) => u.email === email) || null)
+    );
+    mock.method(User, "findById", (id) =>
+      query(users.find((u) => String(u._id) === String(id)) || null)
+    );
+    mock.method(User, "create", async (doc) => {
+      const user = new User(doc);
+      users.push(user);
+      return user;
+    });
+    mock.method(User.prototype, "save", async function save() {
+      return this;
+    });
+    mock.method(Session.prototype, "save", async function save() {
+      return this;
+    });
+    mock.method(EmailToken, "deleteMany", async () => {});
+    mock.method(EmailToken, "create", async (doc) => emailTokens.push(doc));
+    mock.method(EmailToken, "findOneAndDelete", async ({ tokenHash }) => {
+      const i = emailTokens.findIndex((t) => t.tokenHash === tokenHash);
+      return i === -1 ? null : emailTokens.splice(i, 1)[0];
+    });
+    mock.method(fileTransport, "send", async ({ raw }) => outbox.push(raw));
+  });
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  const register = async () => {
+    const res = await post("/register", {
+      name: "Mallory",
+      email: "boss@example.com",
+      password: PASSWORD,
+    });
+    assert.equal(res.status, 200);
+    return (await res.json()).user;
+  };
+
+  it("doesn't promote a listed address nobody has confirmed", async () => {
+    assert.equal((await register()).role, "user");
+
+    const res = await post("/login", {
+      email: "boss@example.com",
+      password: PASSWORD,
+    });
+    assert.equal((await res.json()).user.role, "user");
+    assert.equal(users[0].role, "user");
+  });
+
+  it("promotes the address once it is confirmed", async () => {
+    await register();
+    const body = Buffer.from(outbox[0].split("\r\n\r\n")[1], "base64");
+    const [, token] = /\?verify=([\w-]+)/.exec(body.toString("utf8"));
+
+    const res = await post("/verify-email", { token });
+    assert.equal(res.status, 200);
+    const { user } = await res.json();
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.role, "admin");
+  });
+});
@@ -0,0 +1,120 @@
+// test/branches.test.js
+// PUT /api/conversations/:id/messages/current: switching between the
+// branches made by regenerating an answer.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import mongoose from "mongoose";
+
+import { login, query, serve } from "./helpers.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import conversationRoutes from "../routes/conversationRoutes.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe("PUT /api/conversations/:id/messages/current", () => {
+  let api;
+  let conversation;
+  // question → first answer, or → regenerated answer → follow-up
+  let question, firstAnswer, secondAnswer, followUp;
+
+  before(async () => {
+    api = await serve("/api/conversations", conversationRoutes);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    const message = (sender, text, parent) => ({
+      _id: objectId(),
+      sender,
+      text,
+      parent: parent?._id ?? null,
+      attachments: [],
+    });
+    question = message("user", "Name a planet", null);
+    firstAnswer = message("bot", "Mars", question);
+    secondAnswer = message("bot", "Venus", question);
+    followUp = message("user", "Why Venus?", secondAnswer);
+
+    conversation = new Conversation({
+      user: objectId(),
+      currentMessage: followUp._id,
+      summary: { text: "- a planet", messageCount: 2 },
+    });
+    mock.method(Conversation, "findOne", () => query(conversation));
+    mock.method(Conversation.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Message, "find", () =>
+      query([question, firstAnswer, secondAnswer, followUp])
+    );
+  });
+  afterEach(() => mock.restoreAll());
+
+  const switchTo = (messageId) =>
+    fetch(`${api.url}/${conversation._id}/messages/current`, {
+      method: "PUT",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ messageId }),
+    });
+
+  const texts = (messages) => messages.map((m) => m.text);
+
+  it("shows the other answer's branch", async () => {
+    const res = await switchTo(String(firstAnswer._id));
+    assert.equal(res.status, 200);
+    const { messages } = await res.json();
+    assert.deepEqual(texts(messages), ["Name a planet", "Mars"]);
+    assert.deepEqual(messages[1].siblingIds, [
+      String(firstAnswer._id),
+      String(secondAnswer._id),
+    ]);
+    assert.equal(String(conversation.currentMessage), String(firstAnswer._id));
+    assert.equal(Conversation.prototype.save.mock.callCount(), 1);
+  });
+
+  it("continues down the newest messages of the branch", async () => {
+    conversation.currentMessage = firstAnswer._id;
+    const res = await switchTo(String(secondAnswer._id));
+    const { messages } = await res.json();
+    assert.deepEqual(texts(messages), ["Name a planet", "Venus", "Why Venus?"]);
+    assert.equal(String(conversation.currentMessage), String(followUp._id));
+  });
+
+  it("drops a summary that covered the other branch", async () => {
+    const res = await switchTo(String(firstAnswer._id));
+    const body = await res.json();
+    assert.equal(conversation.summary?.text, undefined);
+    assert.equal(body.conversation.summary, null);
+  });
+
+  it("keeps the summary when the covered messages stay", async () => {
+    conversation.summary = { text: "- a planet", messageCount: 1 };
+    await switchTo(String(firstAnswer._id));
+    assert.equal(conversation.summary.text, "- a planet");
+  });
+
+  it("answers 404 for messages of other chats", async () => {
+    for (const messageId of [String(objectId()), "nope", { $ne: null }]) {
+      const res = await switchTo(messageId);
+      assert.equal(res.status, 404);
+    }
+    assert.equal(Conversation.prototype.save.mock.callCount(), 0);
+    assert.equal(String(conversation.currentMessage), String(followUp._id));
+  });
+
+  it("answers 404 for a chat that isn't mine", async () => {
+    mock.method(Conversation, "findOne", () => query(null));
+    const res = await switchTo(String(firstAnswer._id));
+    assert.equal(res.status, 404);
+    assert.equal(Message.find.mock.callCount(), 0);
+  });
+});
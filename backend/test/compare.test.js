@@ -0,0 +1,114 @@
+// test/compare.test.js
+// POST /api/chat/compare: which provider lists it takes, and the answers
+// of stand-in providers streamed side by side.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { listen, login, query } from "./helpers.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+import app from "../server.js";
+
+// "event: x\ndata: {…}" blocks of a Server-Sent Events body
+const parseEvents = (body) =>
+  body
+    .trim()
+    .split("\n\n")
+    .map((block) => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+describe("POST /api/chat/compare", () => {
+  let api;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    mock.method(User, "findById", () => query({ plan: "free", name: "Ada" }));
+    mock.method(Usage, "aggregate", async () => []);
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+    for (const id of ["groq", "deepseek"]) {
+      const provider = getProvider(id);
+      mock.method(provider, "isConfigured", () => true);
+      mock.method(provider, "stream", async function* () {
+        yield "Hi from ";
+        yield id;
+      });
+    }
+  });
+  afterEach(() => mock.restoreAll());
+
+  const compare = (body) =>
+    fetch(`${api.url}/api/chat/compare`, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "Hello", ...body }),
+    });
+
+  it("needs 2 to 4 different providers", async () => {
+    for (const providers of [
+      undefined,
+      "groq",
+      [],
+      ["groq"],
+      ["groq", "groq"],
+      ["groq", "deepseek", "gemini", "huggingface", "openai-compatible"],
+    ]) {
+      const res = await compare({ providers });
+      assert.equal(res.status, 400, JSON.stringify(providers));
+      assert.match((await res.json()).error, /Pick 2 to 4 providers/);
+    }
+    assert.equal(getProvider("groq").stream.mock.callCount(), 0);
+  });
+
+  it("rejects providers that aren't available", async () => {
+    const res = await compare({ providers: ["groq", "nope"] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /Provider nope isn't available/);
+  });
+
+  it("streams every provider's answer", async () => {
+    const res = await compare({ providers: ["groq", "deepseek"] });
+    assert.equal(res.status, 200);
+    const events = parseEvents(await res.text());
+
+    for (const id of ["groq", "deepseek"]) {
+      const own = events.filter((e) => e.data.provider === id);
+      assert.equal(
+        own
+          .filter((e) => e.event === "delta")
+          .map((e) => e.data.text)
+          .join(""),
+        `Hi from ${id}`
+      );
+      assert.equal(own.at(-1).event, "done");
+    }
+    assert.equal(events.at(-1).event, "end");
+    // one message each against the quota
+    assert.deepEqual(
+      Usage.create.mock.calls
+        .map((c) => [c.arguments[0].provider, c.arguments[0].messages])
+        .sort(),
+      [
+        ["deepseek", 1],
+        ["groq", 1],
+      ]
+    );
+  });
+});
@@ -0,0 +1,77 @@
+// test/context.test.js
+// Fitting long chats into the context budget with a rolling summary.
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+
+import { fitContext } from "../context/index.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+
+describe("fitContext", () => {
+  const userId = String(new mongoose.Types.ObjectId());
+  const summarizer = {
+    id: "summarizer",
+    name: "Summarizer",
+    defaultModel: "small",
+    capabilities: { streaming: true, vision: false, tools: false },
+    isConfigured: () => true,
+    chat: async () => ({ text: "- they talked", model: "small" }),
+  };
+
+  // a conversation document stand-in
+  let conversation;
+
+  beforeEach(() => {
+    process.env.CONTEXT_MAX_TOKENS = "200";
+    conversation = { save: async () => {} };
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.CONTEXT_MAX_TOKENS;
+  });
+
+  const longChat = () => [
+    { role: "system", content: "Be helpful." },
+    ...Array.from({ length: 10 }, (_, i) => ({
+      role: i % 2 ? "assistant" : "user",
+      content: `turn ${i} `.repeat(20),
+    })),
+    { role: "user", content: "And now?" },
+  ];
+
+  it("folds old turns into a summary and meters the call", async () => {
+    const { messages, context } = await fitContext(conversation, longChat(), {
+      providerId: summarizer.id,
+      providers: { [summarizer.id]: summarizer },
+      userId,
+    });
+
+    assert.equal(context.summary.text, "- they talked");
+    assert.equal(conversation.summary.text, "- they talked");
+    assert.ok(context.tokens <= context.budget);
+    assert.equal(messages.at(-1).content, "And now?");
+
+    assert.equal(Usage.create.mock.callCount(), 1);
+    const [usage] = Usage.create.mock.calls[0].arguments;
+    assert.equal(usage.user, userId);
+    assert.equal(usage.kind, "summary");
+    assert.equal(usage.provider, summarizer.id);
+    assert.equal(usage.model, "small");
+    assert.ok(usage.promptTokens > 0 && usage.completionTokens > 0);
+    assert.ok(!usage.messages);
+  });
+
+  it("leaves short chats alone", async () => {
+    const { messages, context } = await fitContext(
+      conversation,
+      [{ role: "user", content: "Hi" }],
+      { providerId: summarizer.id, providers: { [summarizer.id]: summarizer } }
+    );
+    assert.equal(messages.length, 1);
+    assert.equal(context.summary, null);
+    assert.equal(Usage.create.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,88 @@
+// test/documents.test.js
+// POST /api/documents: uploads are rate limited and their embeddings
+// metered. Embeddings come from the offline "local" backend.
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import mongoose from "mongoose";
+
+import { login, serve } from "./helpers.js";
+import Document from "../models/Document.js";
+import DocumentChunk from "../models/DocumentChunk.js";
+import Usage from "../models/Usage.js";
+import documentRoutes from "../routes/documentRoutes.js";
+
+const NOTES = "Cells are the basic unit of life. ".repeat(100);
+
+describe("POST /api/documents", () => {
+  let api;
+
+  before(async () => {
+    api = await serve("/api/documents", documentRoutes);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    process.env.EMBEDDING_PROVIDER = "local";
+    mock.method(Document, "create", async (doc) => new Document(doc));
+    mock.method(DocumentChunk, "insertMany", async (docs) => docs);
+    mock.method(Usage, "create", async (doc) => doc);
+    // GridFS, as far as saveFile uses it
+    mock.getter(
+      mongoose.mongo,
+      "GridFSBucket",
+      () =>
+        class {
+          openUploadStream() {
+            return Object.assign(new Writable({ write: (c, e, cb) => cb() }), {
+              id: new mongoose.Types.ObjectId(),
+            });
+          }
+        }
+    );
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.EMBEDDING_PROVIDER;
+    delete process.env.RATE_LIMIT_PER_USER;
+  });
+
+  const upload = (headers) => {
+    const body = new FormData();
+    body.append("file", new Blob([NOTES]), "notes.txt");
+    return fetch(api.url, { method: "POST", headers, body });
+  };
+
+  it("meters the embeddings of an upload", async () => {
+    const { userId, headers } = login();
+    const res = await upload(headers);
+    assert.equal(res.status, 201);
+
+    const [chunks] = DocumentChunk.insertMany.mock.calls[0].arguments;
+    assert.ok(chunks.length > 1);
+    assert.equal(Usage.create.mock.callCount(), 1);
+    const [usage] = Usage.create.mock.calls[0].arguments;
+    assert.equal(String(usage.user), userId);
+    assert.equal(usage.kind, "embedding");
+    assert.equal(usage.provider, "local");
+    assert.equal(usage.model, "hash-512");
+    assert.ok(usage.promptTokens >= NOTES.length / 4);
+  });
+
+  it("is rate limited per user", async () => {
+    process.env.RATE_LIMIT_PER_USER = "2";
+    const { headers } = login();
+    const statuses = [];
+    for (let i = 0; i < 3; i++) statuses.push((await upload(headers)).status);
+    assert.deepEqual(statuses, [201, 201, 429]);
+    assert.equal(Document.create.mock.callCount(), 2);
+  });
+});
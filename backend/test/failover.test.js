@@ -0,0 +1,198 @@
+// test/failover.test.js
+// Retries, failover and the circuit breaker, with stand-in providers passed
+// as per-request adapters (`options.providers`).
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import ProviderCall from "../models/ProviderCall.js";
+import {
+  chatWithFailover,
+  getCircuitStates,
+  streamWithFailover,
+} from "../providers/failover.js";
+
+// Circuits live for the whole process, so every provider gets a new id
+let nextId = 0;
+
+/**
+ * Stand-in provider whose `chat` and `stream` answer with `respond(call)`
+ * (call counts from 1): a string, or an error to throw.
+ */
+const fakeProvider = (respond) => {
+  const provider = {
+    id: `fake-${++nextId}`,
+    name: "Fake",
+    capabilities: { streaming: true, vision: false, tools: false },
+    calls: 0,
+    isConfigured: () => true,
+    async chat(messages, options) {
+      provider.calls += 1;
+      const reply = await respond(provider.calls, options);
+      if (reply instanceof Error) throw reply;
+      return { text: reply, model: "fake-model" };
+    },
+    async *stream(messages, options) {
+      provider.calls += 1;
+      const reply = await respond(provider.calls, options);
+      if (reply instanceof Error) throw reply;
+      yield reply;
+    },
+  };
+  return provider;
+};
+
+const httpError = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { status });
+
+const MESSAGES = [{ role: "user", content: "Hi" }];
+
+// Ask `provider` alone (no fallbacks)
+const ask = (provider, options = {}) =>
+  chatWithFailover(provider.id, MESSAGES, {
+    providers: { [provider.id]: provider },
+    failover: false,
+    ...options,
+  });
+
+beforeEach(() => {
+  process.env.PROVIDER_RETRY_BASE_MS = "1";
+  process.env.CIRCUIT_COOLDOWN_MS = "50";
+  mock.method(ProviderCall, "create", async () => {});
+  mock.method(console, "error", () => {});
+});
+afterEach(() => {
+  mock.restoreAll();
+  for (const name of [
+    "PROVIDER_RETRY_BASE_MS",
+    "CIRCUIT_COOLDOWN_MS",
+    "PROVIDER_TIMEOUT_MS",
+    "PROVIDER_FALLBACK_CHAIN",
+    "PROVIDER_MAX_RETRIES",
+  ]) {
+    delete process.env[name];
+  }
+});
+
+describe("retries", () => {
+  it("retries rate limits and server errors", async () => {
+    const provider = fakeProvider((call) =>
+      call === 1 ? httpError(429) : call === 2 ? httpError(503) : "ok"
+    );
+    const reply = await ask(provider);
+    assert.equal(reply.text, "ok");
+    assert.equal(provider.calls, 3);
+  });
+
+  it("doesn't retry errors caused by the request", async () => {
+    const provider = fakeProvider(() => httpError(400));
+    await assert.rejects(ask(provider), /HTTP 400/);
+    assert.equal(provider.calls, 1);
+  });
+
+  it("gives up after PROVIDER_MAX_RETRIES", async () => {
+    const provider = fakeProvider(() => httpError(500));
+    await assert.rejects(ask(provider), /All providers failed/);
+    assert.equal(provider.calls, 3);
+  });
+
+  it("times out a provider that doesn't answer", async () => {
+    process.env.PROVIDER_TIMEOUT_MS = "20";
+    const provider = fakeProvider(
+      (call, { signal }) =>
+        new Promise((resolve) =>
+          signal.addEventListener("abort", () => resolve(new Error("aborted")))
+        )
+    );
+    await assert.rejects(ask(provider), /timed out after 20ms/);
+    assert.equal(provider.calls, 3);
+  });
+
+  it("falls over to the next provider", async () => {
+    const broken = fakeProvider(() => httpError(502));
+    const backup = fakeProvider(() => "from the backup");
+    process.env.PROVIDER_FALLBACK_CHAIN = backup.id;
+    const reply = await chatWithFailover(broken.id, MESSAGES, {
+      providers: { [broken.id]: broken, [backup.id]: backup },
+    });
+    assert.equal(reply.provider, backup.id);
+    assert.equal(reply.text, "from the backup");
+  });
+});
+
+describe("circuit breaker", () => {
+  it("opens after repeated provider failures", async () => {
+    const provider = fakeProvider(() => httpError(503));
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(ask(provider));
+    }
+    const calls = provider.calls;
+    assert.equal(getCircuitStates()[provider.id].open, true);
+
+    await assert.rejects(ask(provider), /No AI provider is available/);
+    assert.equal(provider.calls, calls);
+  });
+
+  it("isn't tripped by bad requests", async () => {
+    const provider = fakeProvider(() => httpError(400));
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(ask(provider), /HTTP 400/);
+    }
+    assert.equal(provider.calls, 5);
+    assert.deepEqual(getCircuitStates()[provider.id], {
+      failures: 0,
+      open: false,
+    });
+  });
+
+  it("lets a single request probe after the cooldown", async () => {
+    let healthy = false;
+    let finishProbe;
+    const provider = fakeProvider(() => {
+      if (!healthy) return httpError(503);
+      return new Promise((resolve) => {
+        finishProbe = () => resolve("back");
+      });
+    });
+    for (let i = 0; i < 3; i++) await assert.rejects(ask(provider));
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    healthy = true;
+    const calls = provider.calls;
+    const probe = ask(provider);
+    // while the probe is out, other requests still skip the provider
+    await assert.rejects(ask(provider), /No AI provider is available/);
+    assert.equal(provider.calls, calls + 1);
+
+    finishProbe();
+    assert.equal((await probe).text, "back");
+    // closed again
+    const next = ask(provider);
+    finishProbe();
+    assert.equal((await next).text, "back");
+  });
+
+  it("opens again when the probe fails", async () => {
+    const provider = fakeProvider(() => httpError(503));
+    for (let i = 0; i < 3; i++) await assert.rejects(ask(provider));
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    process.env.PROVIDER_MAX_RETRIES = "0";
+    const calls = provider.calls;
+    await assert.rejects(ask(provider), /All providers failed/);
+    assert.equal(provider.calls, calls + 1);
+    assert.equal(getCircuitStates()[provider.id].open, true);
+  });
+
+  it("counts streaming failures too", async () => {
+    const provider = fakeProvider(() => httpError(503));
+    const stream = () =>
+      streamWithFailover(
+        provider.id,
+        MESSAGES,
+        { providers: { [provider.id]: provider }, failover: false },
+        () => {}
+      );
+    for (let i = 0; i < 3; i++) await assert.rejects(stream());
+    assert.equal(getCircuitStates()[provider.id].open, true);
+  });
+});
@@ -0,0 +1,64 @@
+// test/helpers.js
+// Shared setup for the route tests. They run without MongoDB: each test
+// replaces the model methods its route calls (node:test `mock.method`) and
+// calls mock.restoreAll() afterwards.
+import { once } from "node:events";
+import { mock } from "node:test";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+
+import Session from "../models/Session.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+/**
+ * Serve an app (or a router mounted at `path`) on a free local port.
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>} `url`
+ *   includes `path`
+ */
+export async function serve(path, router) {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return listen(app, path);
+}
+
+/** Start an express app or http.Server on a free local port; see serve() */
+export async function listen(app, path = "") {
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  return {
+    url: `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+/**
+ * Log a user in: an access token for a session that authMiddleware finds
+ * active (Session.exists is mocked).
+ * @returns {{ userId: string, headers: object }}
+ */
+export function login(userId = new mongoose.Types.ObjectId().toString()) {
+  const sid = new mongoose.Types.ObjectId().toString();
+  mock.method(Session, "exists", async () => ({ _id: sid }));
+  const token = jwt.sign({ id: userId, sid }, process.env.JWT_SECRET);
+  return { userId, headers: { Authorization: `Bearer ${token}` } };
+}
+
+/** A Mongoose query stand-in: chainable, resolves to `value` */
+export function query(value) {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+}
@@ -0,0 +1,85 @@
+// test/images.test.js
+// POST /api/image/generate with `enhance`: the prompt rewrite is a metered
+// chat call, limited by the message quota.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { listen, login, query } from "./helpers.js";
+import { getImageBackend } from "../images/index.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+import app from "../server.js";
+
+describe("POST /api/image/generate with enhance", () => {
+  let api;
+  // metered usage so far, per quota metric
+  let used;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    used = { messages: 0, images: 0 };
+    mock.method(User, "findById", () => query({ plan: "free", name: "Ada" }));
+    mock.method(Usage, "aggregate", async ([, { $group }]) => [
+      { total: used[$group.total.$sum.slice(1)] },
+    ]);
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+    const chat = getProvider();
+    mock.method(chat, "isConfigured", () => true);
+    mock.method(chat, "chat", async () => ({
+      text: '"A red fox in the snow, golden hour"',
+      model: "fake-model",
+    }));
+    // stop after the prompt: no image backend is set up in the tests
+    mock.method(getImageBackend(), "isConfigured", () => false);
+    mock.method(console, "error", () => {});
+  });
+  afterEach(() => mock.restoreAll());
+
+  const generate = (body) =>
+    fetch(`${api.url}/api/image/generate`, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("meters the prompt rewrite as a chat message", async () => {
+    const res = await generate({ prompt: "fox", enhance: true });
+    assert.equal(res.status, 503);
+    assert.equal(getProvider().chat.mock.callCount(), 1);
+
+    assert.equal(Usage.create.mock.callCount(), 1);
+    const [usage] = Usage.create.mock.calls[0].arguments;
+    assert.equal(usage.kind, "prompt");
+    assert.equal(usage.provider, getProvider().id);
+    assert.equal(usage.model, "fake-model");
+    assert.equal(usage.messages, 1);
+    assert.ok(usage.promptTokens > 0 && usage.completionTokens > 0);
+  });
+
+  it("needs message quota left", async () => {
+    used.messages = 50;
+    const res = await generate({ prompt: "fox", enhance: true });
+    assert.equal(res.status, 429);
+    assert.match((await res.json()).error, /50 messages today/);
+    assert.equal(getProvider().chat.mock.callCount(), 0);
+
+    // without enhance only the image quota counts
+    const plain = await generate({ prompt: "fox" });
+    assert.equal(plain.status, 503);
+  });
+});
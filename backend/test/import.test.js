@@ -0,0 +1,225 @@
+// test/import.test.js
+// POST /api/conversations/import: what it accepts, that a rejected file
+// leaves nothing behind, and that an export imports back whole.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import mongoose from "mongoose";
+
+import { login, query, serve } from "./helpers.js";
+import Attachment from "../models/Attachment.js";
+import Conversation from "../models/Conversation.js";
+import GeneratedImage from "../models/GeneratedImage.js";
+import Message from "../models/Message.js";
+import conversationRoutes from "../routes/conversationRoutes.js";
+import { CONVERSATIONS_FORMAT } from "../transfer/index.js";
+
+// A PNG of about `bytes` bytes as a data: URL (only the signature is real)
+const pngDataUrl = (bytes) => {
+  const buffer = Buffer.alloc(bytes);
+  Buffer.from("89504e470d0a1a0a", "hex").copy(buffer);
+  return `data:image/png;base64,${buffer.toString("base64")}`;
+};
+
+const falconExport = (conversations) => ({
+  format: CONVERSATIONS_FORMAT,
+  conversations,
+});
+
+describe("POST /api/conversations/import", () => {
+  let api;
+
+  before(async () => {
+    api = await serve("/api/conversations", conversationRoutes);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    process.env.MAX_IMAGE_MB = "0.01";
+    mock.method(Conversation, "create", async (doc) => new Conversation(doc));
+    mock.method(Message, "insertMany", async (docs) => docs);
+    mock.method(Attachment, "create", async (doc) => new Attachment(doc));
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.MAX_IMAGE_MB;
+  });
+
+  const upload = (contents) => {
+    const body = new FormData();
+    if (contents !== undefined) {
+      const text =
+        typeof contents === "string" ? contents : JSON.stringify(contents);
+      body.append("file", new Blob([text]), "export.json");
+    }
+    return fetch(`${api.url}/import`, {
+      method: "POST",
+      headers: login().headers,
+      body,
+    });
+  };
+
+  const expectRejected = async (res, pattern) => {
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, pattern);
+    assert.equal(Conversation.create.mock.callCount(), 0);
+    assert.equal(Attachment.create.mock.callCount(), 0);
+  };
+
+  it("needs a file", async () => {
+    await expectRejected(await upload(), /Choose a file/);
+  });
+
+  it("rejects files that aren't JSON", async () => {
+    await expectRejected(await upload("{ not json"), /isn't valid JSON/);
+  });
+
+  it("rejects JSON in an unknown format", async () => {
+    await expectRejected(await upload({ chats: [] }), /Unknown file/);
+  });
+
+  it("rejects an oversized attachment before writing anything", async () => {
+    const res = await upload(
+      falconExport([
+        {
+          title: "Small one",
+          messages: [{ sender: "user", text: "fine" }],
+        },
+        {
+          title: "Holiday",
+          messages: [
+            {
+              sender: "user",
+              text: "Look",
+              attachments: [
+                { name: "small.png", url: pngDataUrl(1_000) },
+                { name: "beach.png", url: pngDataUrl(20_000) },
+              ],
+            },
+          ],
+        },
+      ])
+    );
+    await expectRejected(res, /"beach\.png" in "Holiday" is larger than/);
+  });
+
+  it("rejects an oversized generated image", async () => {
+    const res = await upload(
+      falconExport([
+        {
+          title: "Drawings",
+          messages: [
+            { sender: "user", text: "A cat" },
+            { sender: "bot", text: "", imageUrl: pngDataUrl(20_000) },
+          ],
+        },
+      ])
+    );
+    await expectRejected(res, /"generated image" in "Drawings"/);
+  });
+
+  it("imports the conversations and their attachments", async () => {
+    const res = await upload(
+      falconExport([
+        {
+          title: "Holiday",
+          messages: [
+            {
+              sender: "user",
+              text: "Look",
+              attachments: [{ name: "small.png", url: pngDataUrl(1_000) }],
+            },
+            { sender: "bot", text: "Nice", provider: "groq" },
+          ],
+        },
+      ])
+    );
+    assert.equal(res.status, 201);
+    const { source, conversations } = await res.json();
+    assert.equal(source, "falcon");
+    assert.deepEqual(
+      conversations.map((c) => c.title),
+      ["Holiday"]
+    );
+    assert.equal(Attachment.create.mock.callCount(), 1);
+    const [messages] = Message.insertMany.mock.calls[0].arguments;
+    assert.deepEqual(
+      messages.map((m) => m.text),
+      ["Look", "Nice"]
+    );
+  });
+
+  it("imports its own JSON export back, attachments included", async () => {
+    const conversation = {
+      _id: new mongoose.Types.ObjectId(),
+      title: "Holiday",
+      createdAt: new Date("2026-01-02T10:00:00Z"),
+    };
+    const photo = Buffer.from(pngDataUrl(500).split(",")[1], "base64");
+    const attachment = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "beach.png",
+      mimeType: "image/png",
+      data: photo,
+    };
+    const question = {
+      _id: new mongoose.Types.ObjectId(),
+      conversation: conversation._id,
+      sender: "user",
+      text: "",
+      attachments: [attachment],
+      createdAt: new Date("2026-01-02T10:00:01Z"),
+    };
+    const answer = {
+      _id: new mongoose.Types.ObjectId(),
+      conversation: conversation._id,
+      parentId: question._id,
+      sender: "bot",
+      text: "Nice beach",
+      provider: "groq",
+      createdAt: new Date("2026-01-02T10:00:02Z"),
+    };
+    mock.method(Conversation, "find", () => query([conversation]));
+    mock.method(Message, "find", () => query([question, answer]));
+    mock.method(GeneratedImage, "find", () => query([]));
+    mock.method(Attachment, "find", () => query([attachment]));
+
+    const { headers } = login();
+    const exported = await fetch(`${api.url}/export?format=json`, {
+      headers,
+    });
+    assert.equal(exported.status, 200);
+
+    const res = await upload(await exported.text());
+    assert.equal(res.status, 201);
+    const { conversations } = await res.json();
+    assert.deepEqual(
+      conversations.map((c) => c.title),
+      ["Holiday"]
+    );
+
+    // the message that was only an image is kept, with the same image
+    const [messages] = Message.insertMany.mock.calls[0].arguments;
+    assert.deepEqual(
+      messages.map((m) => [m.sender, m.text, m.attachments.length]),
+      [
+        ["user", "", 1],
+        ["bot", "Nice beach", 0],
+      ]
+    );
+    const [stored] = Attachment.create.mock.calls[0].arguments;
+    assert.equal(stored.name, "beach.png");
+    assert.equal(stored.mimeType, "image/png");
+    assert.ok(stored.data.equals(photo));
+    const created = await Attachment.create.mock.calls[0].result;
+    assert.equal(String(messages[0].attachments[0]), String(created._id));
+  });
+});
@@ -0,0 +1,234 @@
+// test/openaiCompatible.test.js
+// The "openai-compatible" provider against a stand-in OpenAI API server,
+// and the checks on users' own provider URLs (PUT /api/providers/custom).
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { after, afterEach, before, describe, it, mock } from "node:test";
+
+import { listen, login, query, serve } from "./helpers.js";
+import User from "../models/User.js";
+import { createOpenAICompatibleProvider } from "../providers/openaiCompatible.js";
+import { literalHostError } from "../providers/publicHosts.js";
+import providerRoutes from "../routes/providerRoutes.js";
+
+/* ---- stand-in server ---- */
+
+const MODELS = ["llama3", "qwen2"];
+const REPLY = ["Hello", " from", " the stand-in"];
+
+// Last chat request body it received
+let lastRequest = null;
+
+const standIn = createServer(async (req, res) => {
+  if (req.method === "GET" && req.url === "/v1/models") {
+    res.setHeader("Content-Type", "application/json");
+    return res.end(
+      JSON.stringify({
+        object: "list",
+        data: MODELS.map((id) => ({ id, object: "model", owned_by: "test" })),
+      })
+    );
+  }
+  if (req.method === "POST" && req.url === "/v1/chat/completions") {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    lastRequest = JSON.parse(body);
+    const model = lastRequest.model;
+
+    if (!lastRequest.stream) {
+      res.setHeader("Content-Type", "application/json");
+      return res.end(
+        JSON.stringify({
+          id: "chatcmpl-1",
+          object: "chat.completion",
+          model,
+          choices: [
+            {
+              index: 0,
+              message: { role: "assistant", content: REPLY.join("") },
+              finish_reason: "stop",
+            },
+          ],
+        })
+      );
+    }
+
+    res.setHeader("Content-Type", "text/event-stream");
+    for (const content of REPLY) {
+      const chunk = {
+        id: "chatcmpl-1",
+        object: "chat.completion.chunk",
+        model,
+        choices: [{ index: 0, delta: { content }, finish_reason: null }],
+      };
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    }
+    return res.end("data: [DONE]\n\n");
+  }
+  res.statusCode = 404;
+  res.end();
+});
+
+describe("openai-compatible provider", () => {
+  let server;
+  let provider;
+
+  before(async () => {
+    server = await listen(standIn);
+    provider = createOpenAICompatibleProvider(() => ({
+      baseURL: `${server.url}/v1`,
+      apiKey: "test-key",
+    }));
+  });
+  after(() => server.close());
+
+  it("lists the server's models", async () => {
+    assert.deepEqual(
+      (await provider.listModels()).map((m) => m.id),
+      MODELS
+    );
+  });
+
+  it("answers with the first listed model when none is configured", async () => {
+    const reply = await provider.chat([{ role: "user", content: "Hi" }]);
+    assert.equal(reply.text, "Hello from the stand-in");
+    assert.equal(reply.model, "llama3");
+    assert.deepEqual(lastRequest.messages, [{ role: "user", content: "Hi" }]);
+  });
+
+  it("streams the reply", async () => {
+    const messages = [{ role: "user", content: "Hi" }];
+    const parts = [];
+    for await (const part of provider.stream(messages, {
+      model: "qwen2",
+      temperature: 0.2,
+    })) {
+      parts.push(part);
+    }
+    assert.deepEqual(parts, REPLY);
+    assert.equal(lastRequest.model, "qwen2");
+    assert.equal(lastRequest.temperature, 0.2);
+  });
+
+  it("won't connect to a local server for a user's instance", async () => {
+    const userProvider = createOpenAICompatibleProvider(
+      () => ({ baseURL: server.url.replace("127.0.0.1", "localhost") + "/v1" }),
+      { publicOnly: true }
+    );
+    lastRequest = null;
+    await assert.rejects(
+      userProvider.chat([{ role: "user", content: "Hi" }], { model: "llama3" }),
+      (err) => err.cause?.code === "EPRIVATEADDRESS"
+    );
+    assert.equal(lastRequest, null);
+  });
+});
+
+describe("literalHostError", () => {
+  it("refuses local and private hosts", () => {
+    for (const url of [
+      "http://localhost:11434/v1",
+      "http://127.0.0.1/v1",
+      "http://10.1.2.3/v1",
+      "http://169.254.169.254/latest",
+      "http://[::1]:8080/v1",
+      "http://[::ffff:192.168.0.1]/v1",
+    ]) {
+      assert.ok(literalHostError(url), url);
+    }
+  });
+
+  it("accepts public hosts", () => {
+    assert.equal(literalHostError("https://models.example.com/v1"), null);
+    assert.equal(literalHostError("http://8.8.8.8/v1"), null);
+  });
+});
+
+describe("PUT /api/providers/custom", () => {
+  let api;
+
+  before(async () => {
+    api = await serve("/api/providers", providerRoutes);
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  const put = (body) =>
+    fetch(`${api.url}/custom`, {
+      method: "PUT",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("answers 400 for fields that aren't strings", async () => {
+    const findById = mock.method(User, "findById", () => query(null));
+    for (const body of [
+      { baseURL: ["https://models.example.com/v1"] },
+      { baseURL: "https://models.example.com/v1", model: { $gt: "" } },
+    ]) {
+      const res = await put(body);
+      assert.equal(res.status, 400);
+      assert.match((await res.json()).error, /must be a string/);
+    }
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  it("answers 400 for private and local addresses", async () => {
+    const findById = mock.method(User, "findById", () => query(null));
+    for (const baseURL of [
+      "http://localhost:11434/v1",
+      "http://169.254.169.254/latest",
+      "http://[fd00::1]/v1",
+    ]) {
+      const res = await put({ baseURL });
+      assert.equal(res.status, 400, baseURL);
+      assert.match((await res.json()).error, /aren't allowed/);
+    }
+    assert.equal(findById.mock.callCount(), 0);
+  });
+
+  // what PUT saved, starting from a provider with a stored key
+  const save = async (body) => {
+    const user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "hashed",
+      customProvider: { baseURL: "https://8.8.8.8/v1", apiKey: "sk-stored" },
+    });
+    mock.method(User, "findById", () => query(user));
+    mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+    const res = await put(body);
+    assert.equal(res.status, 200);
+    assert.equal(User.prototype.save.mock.callCount(), 1);
+    return { json: await res.json(), saved: user.customProvider };
+  };
+
+  it("keeps the stored API key for the same server", async () => {
+    const { json, saved } = await save({ baseURL: "https://8.8.8.8/v2" });
+    assert.equal(saved.apiKey, "sk-stored");
+    assert.equal(json.customProvider.hasApiKey, true);
+  });
+
+  it("drops the stored API key when the URL points elsewhere", async () => {
+    for (const baseURL of [
+      "https://1.1.1.1/v1",
+      "http://8.8.8.8/v1",
+      "https://8.8.8.8:8443/v1",
+    ]) {
+      mock.restoreAll();
+      const { json, saved } = await save({ baseURL });
+      assert.equal(saved.apiKey, undefined, baseURL);
+      assert.equal(json.customProvider.hasApiKey, false);
+    }
+  });
+
+  it("stores a new API key for a new server", async () => {
+    const { saved } = await save({
+      baseURL: "https://1.1.1.1/v1",
+      apiKey: "sk-new",
+    });
+    assert.equal(saved.apiKey, "sk-new");
+  });
+});
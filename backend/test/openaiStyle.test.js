@@ -0,0 +1,70 @@
+// test/openaiStyle.test.js
+// Which model the shared OpenAI-style adapter asks for.
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { createOpenAIStyleProvider } from "../providers/openaiStyle.js";
+
+describe("createOpenAIStyleProvider", () => {
+  // request bodies the stand-in client received
+  let requests;
+
+  const provider = createOpenAIStyleProvider({
+    id: "test",
+    name: "Test",
+    label: "Test",
+    isConfigured: () => true,
+    createClient: () => ({
+      chat: {
+        completions: {
+          create: async (body) => {
+            requests.push(body);
+            return {
+              model: body.model,
+              choices: [{ message: { content: "ok" } }],
+            };
+          },
+        },
+      },
+    }),
+    defaultModel: "text-small",
+    visionModel: "vision-large",
+    models: [
+      { id: "text-small", label: "Small" },
+      { id: "text-large", label: "Large" },
+    ],
+  });
+
+  const withImage = [
+    {
+      role: "user",
+      content: "What is this?",
+      images: [{ mimeType: "image/png", data: "iVBORw0KGgo=" }],
+    },
+  ];
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it("uses the chosen model for text", async () => {
+    await provider.chat([{ role: "user", content: "Hi" }], {
+      model: "text-large",
+    });
+    await provider.chat([{ role: "user", content: "Hi" }]);
+    assert.deepEqual(
+      requests.map((r) => r.model),
+      ["text-large", "text-small"]
+    );
+  });
+
+  it("sends images to the vision model even when another was chosen", async () => {
+    await provider.chat(withImage, { model: "text-large" });
+    await provider.chat(withImage);
+    assert.deepEqual(
+      requests.map((r) => r.model),
+      ["vision-large", "vision-large"]
+    );
+    assert.equal(requests[0].messages[0].content[1].type, "image_url");
+  });
+});
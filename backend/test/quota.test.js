@@ -0,0 +1,141 @@
+// test/quota.test.js
+// Plan quotas on the metered routes of server.js, with the user's plan and
+// metered usage mocked and a stand-in chat provider.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { listen, login, query } from "./helpers.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+import app from "../server.js";
+
+describe("quotas", () => {
+  let api;
+  // what the mocked user and usage collection hold
+  let plan;
+  let used;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    plan = "free";
+    used = { messages: 0, images: 0 };
+    delete process.env.QUOTA_FREE_MESSAGES;
+    mock.method(User, "findById", () => query({ plan, name: "Ada" }));
+    // the usage sum of the metric the quota asks for
+    mock.method(Usage, "aggregate", async ([, { $group }]) => [
+      { total: used[$group.total.$sum.slice(1)] },
+    ]);
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+
+    const provider = getProvider();
+    mock.method(provider, "isConfigured", () => true);
+    mock.method(provider, "chat", async () => ({
+      text: "Hello",
+      model: "fake-model",
+    }));
+    mock.method(provider, "stream", async function* () {
+      yield "Hello";
+    });
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.QUOTA_FREE_MESSAGES;
+  });
+
+  const post = (path, body = {}) =>
+    fetch(`${api.url}${path}`, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "Hi", ...body }),
+    });
+
+  // provider requests that got through
+  const providerCalls = () =>
+    getProvider().chat.mock.callCount() + getProvider().stream.mock.callCount();
+
+  for (const path of ["/api/chat", "/api/chat/stream"]) {
+    describe(`POST ${path}`, () => {
+      it("lets requests through within the quota and reports what's left", async () => {
+        used.messages = 10;
+        const res = await post(path);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("x-quota-limit"), "50");
+        assert.equal(res.headers.get("x-quota-remaining"), "39");
+        assert.ok(Number(res.headers.get("x-quota-reset")) > 0);
+        await res.text();
+        assert.equal(providerCalls(), 1);
+      });
+
+      it("answers 429 with Retry-After once the quota is used up", async () => {
+        used.messages = 50;
+        const res = await post(path);
+        assert.equal(res.status, 429);
+        assert.equal(res.headers.get("x-quota-remaining"), "0");
+        const retryAfter = Number(res.headers.get("retry-after"));
+        assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+        const body = await res.json();
+        assert.match(body.error, /free plan limit of 50 messages today/);
+        assert.equal(body.quota.used, 50);
+        assert.equal(providerCalls(), 0);
+      });
+
+      it("needs a logged-in user", async () => {
+        const res = await fetch(`${api.url}${path}`, { method: "POST" });
+        assert.equal(res.status, 401);
+      });
+    });
+  }
+
+  it("counts every provider of a comparison", async () => {
+    used.messages = 48;
+    const res = await post("/api/chat/compare", {
+      providers: ["groq", "gemini", "deepseek"],
+    });
+    assert.equal(res.status, 429);
+    assert.match((await res.json()).error, /\(2 left\)/);
+  });
+
+  it("counts every image of a batch", async () => {
+    used.images = 8;
+    const res = await post("/api/image/generate", { prompt: "fox", count: 3 });
+    assert.equal(res.status, 429);
+    assert.match(
+      (await res.json()).error,
+      /limit of 10 images today \(2 left\)/
+    );
+  });
+
+  it("uses the plan's own limit", async () => {
+    plan = "pro";
+    used.messages = 50;
+    const res = await post("/api/chat");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-quota-limit"), "1000");
+  });
+
+  it("reads limits from the environment, 0 meaning unlimited", async () => {
+    used.messages = 5;
+    process.env.QUOTA_FREE_MESSAGES = "5";
+    assert.equal((await post("/api/chat")).status, 429);
+
+    process.env.QUOTA_FREE_MESSAGES = "0";
+    const res = await post("/api/chat");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-quota-limit"), null);
+  });
+});
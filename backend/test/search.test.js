@@ -0,0 +1,89 @@
+// test/search.test.js
+// GET /api/search only looks through the caller's own chats.
+import assert from "node:assert/strict";
+import { after, afterEach, before, describe, it, mock } from "node:test";
+import mongoose from "mongoose";
+
+import { login, query, serve } from "./helpers.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import searchRoutes from "../routes/searchRoutes.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe("GET /api/search", () => {
+  let api;
+
+  before(async () => {
+    api = await serve("/api/search", searchRoutes);
+  });
+  after(() => api.close());
+  afterEach(() => mock.restoreAll());
+
+  // Two users with a chat each that both mention tokens
+  const me = String(objectId());
+  const chats = [
+    { _id: objectId(), user: me, title: "Mine" },
+    { _id: objectId(), user: String(objectId()), title: "Someone else's" },
+  ];
+  const messages = chats.map((c) => ({
+    _id: objectId(),
+    conversation: c._id,
+    sender: "user",
+    text: `How do tokens work? (${c.title})`,
+    createdAt: new Date(),
+  }));
+
+  // The collections, filtered the way MongoDB would for these queries
+  const mockCollections = () => {
+    mock.method(Conversation, "find", (filter) =>
+      query(chats.filter((c) => c.user === String(filter.user)))
+    );
+    mock.method(Message, "find", (filter) =>
+      query(
+        messages.filter((m) =>
+          filter.conversation.$in.some(
+            (id) => String(id) === String(m.conversation)
+          )
+        )
+      )
+    );
+  };
+
+  const search = (params, headers = login(me).headers) =>
+    fetch(`${api.url}?${new URLSearchParams(params)}`, { headers });
+
+  it("needs a login", async () => {
+    const res = await fetch(`${api.url}?q=tokens`);
+    assert.equal(res.status, 401);
+  });
+
+  it("finds only the caller's messages", async () => {
+    mockCollections();
+    const res = await search({ q: "tokens" });
+    assert.equal(res.status, 200);
+    const { results } = await res.json();
+    assert.deepEqual(
+      results.map((r) => [r.conversationTitle, r.messageId]),
+      [["Mine", String(messages[0]._id)]]
+    );
+    assert.equal(String(Conversation.find.mock.calls[0].arguments[0].user), me);
+  });
+
+  it("finds nothing for a user without chats", async () => {
+    mockCollections();
+    const res = await search({ q: "tokens" }, login().headers);
+    assert.deepEqual((await res.json()).results, []);
+  });
+
+  it("doesn't pass query objects on as filters", async () => {
+    mockCollections();
+    const res = await fetch(`${api.url}?q=tokens&mode[$ne]=x&provider[$gt]=`, {
+      headers: login(me).headers,
+    });
+    assert.equal(res.status, 200);
+    const [filter] = Message.find.mock.calls[0].arguments;
+    assert.equal(typeof filter.mode, "string");
+    assert.equal(typeof filter.provider, "string");
+  });
+});
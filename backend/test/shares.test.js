@@ -0,0 +1,242 @@
+// test/shares.test.js
+// Shared chat links: creating one (ownership, options, the snapshot) and
+// the public view (expiry, hidden names, file links).
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+import mongoose from "mongoose";
+
+import { login, query, serve } from "./helpers.js";
+import Conversation from "../models/Conversation.js";
+import GeneratedImage from "../models/GeneratedImage.js";
+import Message from "../models/Message.js";
+import SharedChat from "../models/SharedChat.js";
+import User from "../models/User.js";
+import shareRoutes, { sharedRouter } from "../routes/shareRoutes.js";
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+let shares;
+let shared;
+before(async () => {
+  shares = await serve("/api/shares", shareRoutes);
+  shared = await serve("/api/shared", sharedRouter);
+});
+after(async () => {
+  await shares.close();
+  await shared.close();
+});
+afterEach(() => mock.restoreAll());
+
+describe("POST /api/shares", () => {
+  let conversation;
+  let messages;
+
+  beforeEach(() => {
+    conversation = new Conversation({ user: objectId(), title: "Trip plan" });
+    const question = { _id: objectId(), sender: "user", text: "Where to?" };
+    messages = [
+      {
+        ...question,
+        attachments: [
+          { _id: objectId(), name: "map.png", mimeType: "image/png" },
+          null, // deleted since
+        ],
+      },
+      {
+        _id: objectId(),
+        parentId: question._id,
+        sender: "bot",
+        text: "Lisbon",
+        provider: "groq",
+      },
+    ];
+    mock.method(Conversation, "findOne", () => query(conversation));
+    mock.method(Message, "find", () => query(messages));
+    mock.method(User, "findById", () => query({ name: "Ada" }));
+    mock.method(SharedChat, "create", async (doc) => new SharedChat(doc));
+  });
+
+  const post = (body) =>
+    fetch(shares.url, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  it("answers 404 for a chat that isn't mine", async () => {
+    mock.method(Conversation, "findOne", () => query(null));
+    const res = await post({ conversationId: String(objectId()) });
+    assert.equal(res.status, 404);
+  });
+
+  it("answers 404 for an invalid conversation id", async () => {
+    const findOne = mock.method(Conversation, "findOne", () => query(null));
+    const res = await post({ conversationId: { $ne: null } });
+    assert.equal(res.status, 404);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it("answers 400 for an expiry out of range", async () => {
+    for (const expiresInDays of [-1, 366, "soon"]) {
+      const res = await post({
+        conversationId: String(conversation._id),
+        expiresInDays,
+      });
+      assert.equal(res.status, 400, String(expiresInDays));
+      assert.match((await res.json()).error, /between 1 and 365/);
+    }
+    assert.equal(SharedChat.create.mock.callCount(), 0);
+  });
+
+  it("answers 400 for an empty chat", async () => {
+    messages = [];
+    const res = await post({ conversationId: String(conversation._id) });
+    assert.equal(res.status, 400);
+  });
+
+  it("stores a snapshot of the chat", async () => {
+    const res = await post({
+      conversationId: String(conversation._id),
+      expiresInDays: 7,
+    });
+    assert.equal(res.status, 201);
+    const { share } = await res.json();
+    assert.equal(share.title, "Trip plan");
+    assert.equal(share.messageCount, 2);
+    assert.equal(share.hideName, false);
+    const days = (new Date(share.expiresAt) - Date.now()) / 86_400_000;
+    assert.ok(days > 6.9 && days <= 7);
+
+    const [doc] = SharedChat.create.mock.calls[0].arguments;
+    assert.equal(doc.authorName, "Ada");
+    assert.deepEqual(
+      doc.messages[0].attachments.map((a) => a.name),
+      ["map.png"]
+    );
+  });
+
+  it("keeps only image links it can show", async () => {
+    const image = "/api/images/0123456789abcdef01234567/file";
+    messages = [
+      "/api/images/not-an-id/file",
+      "javascript:alert(1)",
+      image,
+      "https://example.com/cat.png",
+    ].map((imageUrl) => ({
+      _id: objectId(),
+      sender: "bot",
+      text: "",
+      imageUrl,
+    }));
+
+    const res = await post({ conversationId: String(conversation._id) });
+    assert.equal(res.status, 201);
+    const [doc] = SharedChat.create.mock.calls[0].arguments;
+    assert.deepEqual(
+      doc.messages.map((m) => m.imageUrl),
+      [undefined, undefined, image, "https://example.com/cat.png"]
+    );
+  });
+
+  it("leaves the name out when asked to", async () => {
+    const res = await post({
+      conversationId: String(conversation._id),
+      hideName: true,
+    });
+    assert.equal(res.status, 201);
+    const { share } = await res.json();
+    assert.equal(share.hideName, true);
+    assert.equal(share.expiresAt, null);
+  });
+});
+
+describe("GET /api/shared/:token", () => {
+  const snapshot = (fields = {}) =>
+    new SharedChat({
+      user: objectId(),
+      conversation: objectId(),
+      token: "abc",
+      title: "Trip plan",
+      authorName: "Ada",
+      messages: [
+        {
+          sender: "bot",
+          text: "Here you go",
+          imageUrl: "/api/images/0123456789abcdef01234567/file",
+          attachments: [],
+        },
+      ],
+      ...fields,
+    });
+
+  it("shows the snapshot with links under the share", async () => {
+    mock.method(SharedChat, "findOne", () => query(snapshot()));
+    const updateOne = mock.method(SharedChat, "updateOne", async () => {});
+    const res = await fetch(`${shared.url}/abc`);
+    assert.equal(res.status, 200);
+    const { share } = await res.json();
+    assert.equal(share.author, "Ada");
+    assert.equal(
+      share.messages[0].imageUrl,
+      "/api/shared/abc/images/0123456789abcdef01234567"
+    );
+    assert.equal(updateOne.mock.callCount(), 1);
+  });
+
+  it("hides the author's name", async () => {
+    mock.method(SharedChat, "findOne", () =>
+      query(snapshot({ authorName: undefined }))
+    );
+    mock.method(SharedChat, "updateOne", async () => {});
+    const { share } = await (await fetch(`${shared.url}/abc`)).json();
+    assert.equal(share.author, null);
+  });
+
+  it("answers 404 once the link has expired", async () => {
+    mock.method(SharedChat, "findOne", () =>
+      query(snapshot({ expiresAt: new Date(Date.now() - 1000) }))
+    );
+    const res = await fetch(`${shared.url}/abc`);
+    assert.equal(res.status, 404);
+  });
+
+  it("answers 404 for image ids that aren't valid", async () => {
+    mock.method(SharedChat, "findOne", () =>
+      query(
+        snapshot({
+          messages: [
+            {
+              sender: "bot",
+              text: "",
+              imageUrl: "/api/images/not-an-id/file",
+              attachments: [],
+            },
+          ],
+        })
+      )
+    );
+    mock.method(SharedChat, "updateOne", async () => {});
+    const findImage = mock.method(GeneratedImage, "findOne", () => query(null));
+
+    const res = await fetch(`${shared.url}/abc/images/not-an-id`);
+    assert.equal(res.status, 404);
+    assert.equal(findImage.mock.callCount(), 0);
+
+    const { share } = await (await fetch(`${shared.url}/abc`)).json();
+    assert.equal(share.messages[0].imageUrl, undefined);
+  });
+
+  it("answers 404 for unknown links", async () => {
+    mock.method(SharedChat, "findOne", () => query(null));
+    const res = await fetch(`${shared.url}/nope`);
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,95 @@
+// test/stop.test.js
+// Stop in the chat UI closes the /api/chat/stream request; that has to
+// cancel the provider request too, and meter what was generated so far.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { listen, login, query } from "./helpers.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+import app from "../server.js";
+
+// (without the cancel the provider would wait forever, hence the timeout)
+describe("stopping POST /api/chat/stream", { timeout: 5000 }, () => {
+  let api;
+  // resolves with the provider's signal once it has been aborted
+  let providerAborted;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    mock.method(User, "findById", () => query({ plan: "free", name: "Ada" }));
+    mock.method(Usage, "aggregate", async () => []);
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+
+    let onAbort;
+    providerAborted = new Promise((resolve) => {
+      onAbort = resolve;
+    });
+    const provider = getProvider();
+    mock.method(provider, "isConfigured", () => true);
+    // a long answer: one delta, then nothing until the request is aborted
+    mock.method(provider, "stream", async function* (messages, { signal }) {
+      yield "Once upon a time";
+      await new Promise((resolve) =>
+        signal.addEventListener("abort", resolve, { once: true })
+      );
+      onAbort(signal);
+      throw Object.assign(new Error("aborted"), { name: "AbortError" });
+    });
+  });
+  afterEach(() => mock.restoreAll());
+
+  it("cancels the provider request when the client goes away", async () => {
+    const controller = new AbortController();
+    const res = await fetch(`${api.url}/api/chat/stream`, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "Tell me a long story" }),
+      signal: controller.signal,
+    });
+    assert.equal(res.status, 200);
+
+    // read until the first delta, then press Stop
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let received = "";
+    while (!received.includes("event: delta")) {
+      const { value, done } = await reader.read();
+      assert.ok(!done, "the stream ended before the first delta");
+      received += decoder.decode(value);
+    }
+    controller.abort();
+
+    const signal = await providerAborted;
+    assert.equal(signal.aborted, true);
+
+    // what was generated before Stop is still metered
+    while (Usage.create.mock.callCount() === 0) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+    const [usage] = Usage.create.mock.calls[0].arguments;
+    assert.equal(usage.kind, "chat");
+    assert.equal(usage.messages, 1);
+    assert.ok(usage.completionTokens > 0);
+    // a stopped request doesn't count against the provider's circuit
+    assert.equal(
+      ProviderCall.create.mock.calls.some((c) => c.arguments[0]?.ok === false),
+      false
+    );
+  });
+});
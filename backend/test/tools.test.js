@@ -0,0 +1,89 @@
+// test/tools.test.js
+// The tool-call loop behind POST /api/chat, with a stand-in model that
+// never stops calling tools.
+import assert from "node:assert/strict";
+import {
+  after,
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} from "node:test";
+
+import { listen, login, query } from "./helpers.js";
+import ProviderCall from "../models/ProviderCall.js";
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+import { getProvider } from "../providers/index.js";
+import weatherTool from "../tools/weather.js";
+import app from "../server.js";
+
+describe("POST /api/chat with tools", () => {
+  let api;
+  // `tools` option of every request the model got
+  let offered;
+
+  before(async () => {
+    api = await listen(app);
+  });
+  after(() => api.close());
+
+  beforeEach(() => {
+    offered = [];
+    process.env.TOOL_MAX_ROUNDS = "2";
+    mock.method(User, "findById", () => query({ plan: "free", name: "Ada" }));
+    mock.method(Usage, "aggregate", async () => []);
+    mock.method(Usage, "create", async (doc) => doc);
+    mock.method(ProviderCall, "create", async () => {});
+    mock.method(weatherTool, "isAvailable", () => true);
+    mock.method(weatherTool, "handler", async () => ({ temperature: 21 }));
+
+    const model = getProvider();
+    mock.method(model, "isConfigured", () => true);
+    mock.method(model, "chat", async (messages, { tools }) => {
+      offered.push(tools);
+      return {
+        text: `round ${offered.length}`,
+        model: "fake-model",
+        toolCalls: [
+          {
+            id: `call-${offered.length}`,
+            name: "get_weather",
+            arguments: { city: "Kandy" },
+          },
+        ],
+      };
+    });
+  });
+  afterEach(() => {
+    mock.restoreAll();
+    delete process.env.TOOL_MAX_ROUNDS;
+  });
+
+  it("stops calling tools after TOOL_MAX_ROUNDS", async () => {
+    const res = await fetch(`${api.url}/api/chat`, {
+      method: "POST",
+      headers: { ...login().headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ message: "Weather in Kandy?" }),
+    });
+    assert.equal(res.status, 200);
+    const { reply, toolSteps } = await res.json();
+
+    // two rounds with tools, then one without where the model must answer
+    assert.deepEqual(
+      offered.map((tools) => tools?.map((t) => t.name)),
+      [["get_weather"], ["get_weather"], undefined]
+    );
+    assert.equal(weatherTool.handler.mock.callCount(), 2);
+    assert.deepEqual(
+      toolSteps.map((s) => [s.id, s.result]),
+      [
+        ["call-1", { temperature: 21 }],
+        ["call-2", { temperature: 21 }],
+      ]
+    );
+    assert.equal(reply, "round 3");
+  });
+});
@@ -0,0 +1,42 @@
+// tools/index.js
+// Tools the chat models may call. Every tool has:
+//   name          unique function name the model uses
+//   description   when to use it (shown to the model)
+//   parameters    JSON schema of the arguments
+//   isAvailable() false when it isn't configured (e.g. missing API key)
+//   handler(args) returns a JSON-serialisable result
+import weatherTool from "./weather.js";
+
+const tools = new Map([[weatherTool.name, weatherTool]]);
+
+// Definitions of the usable tools, in the shape the provider adapters take
+export function getToolDefinitions() {
+  return [...tools.values()]
+    .filter((tool) => tool.isAvailable())
+    .map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters,
+    }));
+}
+
+/**
+ * Run one tool call from a model. Never throws: failures are returned as
+ * `error` so the model can read them and answer anyway.
+ * @param {{ id: string, name: string, arguments: object }} call
+ * @returns {Promise<{ id: string, name: string, args: object, result?: any, error?: string }>}
+ */
+export async function runToolCall(call) {
+  const step = { id: call.id, name: call.name, args: call.arguments || {} };
+  const tool = tools.get(call.name);
+  if (!tool || !tool.isAvailable()) {
+    return { ...step, error: `Unknown tool "${call.name}"` };
+  }
+
+  try {
+    return { ...step, result: await tool.handler(step.args) };
+  } catch (err) {
+    console.error(`Tool ${call.name} failed:`, err.message);
+    return { ...step, error: err.message || "Tool failed" };
+  }
+}
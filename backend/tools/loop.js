@@ -0,0 +1,135 @@
+// tools/loop.js
+// Tool-call loop on top of the failover helpers: the model gets the tool
+// definitions, every tool call it makes is run and its result sent back,
+// until it answers with plain text.
+//
+// Configuration (.env):
+//   TOOL_MAX_ROUNDS   rounds of tool calls before the model has to answer (4)
+//
+// Conversation turns used for tool calls (mapped by each provider adapter):
+//   { role: "assistant", content, toolCalls: [{ id, name, arguments }] }
+//   { role: "tool", toolCallId, name, content }   content = JSON result
+import { chatWithFailover, streamWithFailover } from "../providers/failover.js";
+import { getToolDefinitions, runToolCall } from "./index.js";
+
+const getMaxRounds = () => {
+  const value = Number(process.env.TOOL_MAX_ROUNDS);
+  return Number.isInteger(value) && value >= 0 ? value : 4;
+};
+
+// Tool definitions for this round; the last round gets none so the model
+// has to answer
+const toolsForRound = (round) =>
+  round < getMaxRounds() ? getToolDefinitions() : [];
+
+// Done when the model answered without tool calls, or when the rounds are
+// used up (calls made anyway on the last round aren't run)
+const isLastRound = (round, result) =>
+  !result.toolCalls?.length || round >= getMaxRounds();
+
+// Later rounds stay on the provider that made the calls; a model chosen for
+// the requested provider doesn't apply if a fallback answered instead
+const stayOn = (provider, requestedId, options) => [
+  provider,
+  provider === requestedId ? options : { ...options, model: undefined },
+];
+
+// Run the calls of one round, report them, and add them to the conversation
+const runRound = async (conversation, text, toolCalls, handlers) => {
+  conversation.push({ role: "assistant", content: text, toolCalls });
+
+  const steps = [];
+  for (const call of toolCalls) {
+    handlers.onToolCall?.(call);
+    const step = await runToolCall(call);
+    handlers.onToolResult?.(step);
+    steps.push(step);
+    conversation.push({
+      role: "tool",
+      toolCallId: call.id,
+      name: call.name,
+      content: JSON.stringify(
+        step.error ? { error: step.error } : (step.result ?? null)
+      ),
+    });
+  }
+  return steps;
+};
+
+/**
+ * Non-streaming chat with tools.
+ * @returns {Promise<{ text: string, model: string, provider: string, toolSteps: object[] }>}
+ */
+export async function chatWithTools(
+  requestedId,
+  messages,
+  options = {},
+  handlers = {}
+) {
+  const conversation = [...messages];
+  const toolSteps = [];
+  let providerId = requestedId;
+  let roundOptions = options;
+
+  for (let round = 0; ; round++) {
+    const result = await chatWithFailover(providerId, conversation, {
+      ...roundOptions,
+      tools: toolsForRound(round),
+    });
+    [providerId, roundOptions] = stayOn(
+      result.provider,
+      providerId,
+      roundOptions
+    );
+
+    if (isLastRound(round, result)) {
+      return { ...result, toolCalls: undefined, toolSteps };
+    }
+    toolSteps.push(
+      ...(await runRound(conversation, result.text, result.toolCalls, handlers))
+    );
+  }
+}
+
+/**
+ * Streaming chat with tools. Text deltas of every round go to
+ * `handlers.onDelta(text)`; tool calls are reported through
+ * `handlers.onToolCall(call)` and `handlers.onToolResult(step)`.
+ * @returns {Promise<{ provider: string, toolSteps: object[] }>}
+ */
+export async function streamWithTools(
+  requestedId,
+  messages,
+  options = {},
+  handlers = {}
+) {
+  const conversation = [...messages];
+  const toolSteps = [];
+  let providerId = requestedId;
+  let roundOptions = options;
+
+  for (let round = 0; ; round++) {
+    let text = "";
+    const result = await streamWithFailover(
+      providerId,
+      conversation,
+      { ...roundOptions, tools: toolsForRound(round) },
+      (delta) => {
+        text += delta;
+        handlers.onDelta?.(delta);
+      }
+    );
+    [providerId, roundOptions] = stayOn(
+      result.provider,
+      providerId,
+      roundOptions
+    );
+
+    if (isLastRound(round, result)) {
+      return { provider: result.provider, toolSteps };
+    }
+    toolSteps.push(
+      ...(await runRound(conversation, text, result.toolCalls, handlers))
+    );
+  }
+}
@@ -0,0 +1,73 @@
+// tools/weather.js
+// Current weather from OpenWeather, used by the sidebar widget
+// (POST /api/tools/weather) and by the models as the `get_weather` tool.
+import fetch from "node-fetch";
+
+// @returns {Promise<object>} normalised weather, or throws an Error with
+// `status` when the city is unknown / the API key is missing
+export async function fetchWeather(city) {
+  if (!city || !String(city).trim()) {
+    const err = new Error("City is required");
+    err.status = 400;
+    throw err;
+  }
+
+  if (!process.env.WEATHER_API_KEY) {
+    const err = new Error("WEATHER_API_KEY is not set in .env");
+    err.status = 500;
+    throw err;
+  }
+
+  const q = encodeURIComponent(String(city).trim());
+  const url = `https://api.openweathermap.org/data/2.5/weather?q=${q}&units=metric&appid=${process.env.WEATHER_API_KEY}`;
+
+  const response = await fetch(url);
+  const data = await response.json();
+
+  if (!response.ok) {
+    const err = new Error(data.message || "Weather API error");
+    err.status = response.status;
+    throw err;
+  }
+
+  return {
+    city: data.name,
+    country: data.sys?.country,
+    temp: data.main?.temp,
+    feels_like: data.main?.feels_like,
+    humidity: data.main?.humidity,
+    description: data.weather?.[0]?.description,
+    icon: data.weather?.[0]?.icon,
+    raw: data, // optional: full raw response
+  };
+}
+
+const weatherTool = {
+  name: "get_weather",
+  description:
+    "Get the current weather (temperature in °C, humidity, conditions) for a city. " +
+    "Use it whenever the user asks about weather, temperature or whether to bring an umbrella.",
+  parameters: {
+    type: "object",
+    properties: {
+      city: {
+        type: "string",
+        description:
+          'City name, optionally with a country code, e.g. "Kandy,LK"',
+      },
+    },
+    required: ["city"],
+  },
+
+  isAvailable() {
+    return Boolean(process.env.WEATHER_API_KEY);
+  },
+
+  async handler({ city }) {
+    // the raw OpenWeather payload is only noise for the model
+    const { raw, ...weather } = await fetchWeather(city);
+    return weather;
+  },
+};
+
+export default weatherTool;
@@ -0,0 +1,71 @@
+// transfer/chatgpt.js
+// Reads the conversations.json of a ChatGPT data export ("Settings → Data
+// controls → Export data"). Each conversation is a tree of nodes in
+// `mapping`; the branch the user last saw ends at `current_node`, so we walk
+// from there up to the root. System and tool messages are skipped, and
+// images (asset pointers that aren't in the file) become a placeholder.
+const MAX_CONVERSATIONS = 5000;
+
+// Unix seconds (ChatGPT's timestamps) → Date
+const fromUnix = (seconds) =>
+  typeof seconds === "number" ? new Date(seconds * 1000) : undefined;
+
+// The text of a message's `content`, whatever its content_type
+const contentText = (content) => {
+  if (!content) return "";
+  if (typeof content.text === "string") return content.text; // "code" etc.
+  if (!Array.isArray(content.parts)) return "";
+  return content.parts
+    .map((part) => {
+      if (typeof part === "string") return part;
+      if (part?.content_type === "image_asset_pointer") {
+        return "_[image not included in the export]_";
+      }
+      return typeof part?.text === "string" ? part.text : "";
+    })
+    .filter(Boolean)
+    .join("\n\n");
+};
+
+// Nodes from the root to `current_node` (or to the newest leaf when the
+// export has no pointer)
+const currentBranch = (mapping, currentNode) => {
+  let id = currentNode;
+  if (!mapping[id]) {
+    const leaves = Object.values(mapping).filter((n) => !n.children?.length);
+    leaves.sort(
+      (a, b) => (a.message?.create_time || 0) - (b.message?.create_time || 0)
+    );
+    id = leaves[leaves.length - 1]?.id;
+  }
+
+  const branch = [];
+  const seen = new Set();
+  while (id && mapping[id] && !seen.has(id)) {
+    seen.add(id);
+    branch.push(mapping[id]);
+    id = mapping[id].parent;
+  }
+  return branch.reverse();
+};
+
+/**
+ * ChatGPT conversations.json (an array) → [{ title, createdAt, messages }]
+ * in the shape transfer/index.js imports.
+ */
+export function parseChatGPTExport(conversations) {
+  return conversations.slice(0, MAX_CONVERSATIONS).map((c) => ({
+    title: c?.title,
+    createdAt: fromUnix(c?.create_time),
+    messages: currentBranch(c?.mapping || {}, c?.current_node)
+      .map((node) => node.message)
+      .filter((m) => ["user", "assistant"].includes(m?.author?.role))
+      .filter((m) => m.metadata?.is_visually_hidden_from_conversation !== true)
+      .map((m) => ({
+        sender: m.author.role === "user" ? "user" : "bot",
+        text: contentText(m.content),
+        provider: m.author.role === "assistant" ? "chatgpt" : undefined,
+        createdAt: fromUnix(m.create_time),
+      })),
+  }));
+}
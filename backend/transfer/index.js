@@ -0,0 +1,406 @@
+// transfer/index.js
+// Conversation export and import. Exports come as Falcon JSON (which can be
+// imported again), Markdown, or a ZIP of Markdown files for all chats.
+// Imports accept Falcon JSON (a chat export or the account export's
+// data.json) and ChatGPT's conversations.json (see chatgpt.js).
+//
+// Images the user owns (generated ones and attached ones) are embedded as
+// data: URLs so an export still shows them outside Falcon.
+import GeneratedImage, { IMAGE_BUCKET } from "../models/GeneratedImage.js";
+import Attachment from "../models/Attachment.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import { readFile } from "../storage/gridfs.js";
+import { getProviderName } from "../providers/index.js";
+import { detectImageType, getMaxImageBytes } from "../middleware/upload.js";
+import { saveGeneratedImage } from "../routes/imageRoutes.js";
+import { conversationPath } from "../branches/index.js";
+import { parseChatGPTExport } from "./chatgpt.js";
+
+export const CONVERSATIONS_FORMAT = "falcon-conversations";
+export const TRANSFER_VERSION = 1;
+
+const IMAGE_URL = /^\/api\/images\/([0-9a-f]{24})\/file$/;
+const ATTACHMENT_URL = /^\/api\/attachments\/([0-9a-f]{24})$/;
+const DATA_URL = /^data:(image\/[a-z+.-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+// Formats the import accepts at the top level besides ChatGPT's array
+const FALCON_FORMATS = [CONVERSATIONS_FORMAT, "falcon-account-export"];
+
+const MAX_TITLE_LENGTH = 200;
+
+const importError = (message) => {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+};
+
+/* ------------------------
+   EXPORT
+   ------------------------ */
+
+// One message in Falcon's export format (also used by the account export)
+export const toExportMessage = (m) => ({
+  sender: m.sender,
+  text: m.text,
+  provider: m.provider,
+  mode: m.mode,
+  imageUrl: m.imageUrl,
+  interrupted: m.interrupted || undefined,
+  sources: m.sources?.length
+    ? m.sources.map((src) => ({ name: src.name, page: src.page }))
+    : undefined,
+  toolSteps: m.toolSteps?.length ? m.toolSteps : undefined,
+  createdAt: m.createdAt,
+});
+
+/**
+ * The user's conversations (all, or the given ids) with the messages of
+ * their current path (the branch being shown), oldest first, attachments
+ * populated.
+ * @returns {Promise<{ conversation: object, messages: object[] }[]>}
+ */
+export async function loadConversations(userId, ids) {
+  const filter = { user: userId };
+  if (ids) filter._id = { $in: ids };
+  const conversations = await Conversation.find(filter)
+    .sort({ createdAt: 1 })
+    .lean();
+  const messages = await Message.find({
+    conversation: { $in: conversations.map((c) => c._id) },
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .populate("attachments")
+    .lean();
+
+  return conversations.map((conversation) => ({
+    conversation,
+    messages: conversationPath(
+      conversation,
+      messages.filter(
+        (m) => String(m.conversation) === String(conversation._id)
+      )
+    ),
+  }));
+}
+
+/**
+ * The bytes of the images these messages show that belong to the user,
+ * keyed by their /api/ URL. Missing files are left out.
+ * @returns {Promise<Map<string, { name, mimeType, data: Buffer }>>}
+ */
+export async function loadMessageImages(userId, messages) {
+  const imageIds = [];
+  const attachmentIds = [];
+  for (const m of messages) {
+    const match = IMAGE_URL.exec(m.imageUrl || "");
+    if (match) imageIds.push(match[1]);
+    for (const a of m.attachments || []) {
+      if (a?._id) attachmentIds.push(a._id);
+    }
+  }
+
+  const images = new Map();
+  const generated = await GeneratedImage.find({
+    _id: { $in: imageIds },
+    user: userId,
+  }).lean();
+  for (const img of generated) {
+    try {
+      images.set(`/api/images/${img._id}/file`, {
+        name: `image-${img._id}.${EXTENSIONS[img.mimeType] || "img"}`,
+        mimeType: img.mimeType,
+        data: await readFile(IMAGE_BUCKET, img.file),
+      });
+    } catch (err) {
+      console.error(`Export: image ${img._id} is missing:`, err.message);
+    }
+  }
+
+  const attachments = await Attachment.find({
+    _id: { $in: attachmentIds },
+    user: userId,
+  }).select("+data");
+  for (const a of attachments) {
+    images.set(`/api/attachments/${a._id}`, {
+      name: `attachment-${a._id}.${EXTENSIONS[a.mimeType] || "img"}`,
+      mimeType: a.mimeType,
+      data: a.data,
+    });
+  }
+  return images;
+}
+
+export const toDataUrl = (image) =>
+  `data:${image.mimeType};base64,${image.data.toString("base64")}`;
+
+/**
+ * Conversations in Falcon's JSON format, with the user's images embedded.
+ * @param {{ conversation, messages }[]} chats from loadConversations()
+ */
+export function toConversationsExport(chats, images) {
+  const embed = (url) => (images.has(url) ? toDataUrl(images.get(url)) : url);
+
+  return {
+    format: CONVERSATIONS_FORMAT,
+    version: TRANSFER_VERSION,
+    exportedAt: new Date(),
+    conversations: chats.map(({ conversation, messages }) => ({
+      title: conversation.title,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: messages.map((m) => ({
+        ...toExportMessage(m),
+        imageUrl: m.imageUrl ? embed(m.imageUrl) : undefined,
+        attachments: m.attachments?.length
+          ? m.attachments
+              .filter((a) => a?.mimeType)
+              .map((a) => ({
+                name: a.name,
+                mimeType: a.mimeType,
+                url: embed(`/api/attachments/${a._id}`),
+              }))
+          : undefined,
+      })),
+    })),
+  };
+}
+
+const formatDate = (date) =>
+  new Date(date).toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * One conversation as Markdown. `imageSrc(url)` says where an image lives
+ * in the export (a data: URL, a file in the ZIP, …); null drops it.
+ */
+export function toMarkdown({ conversation, messages }, imageSrc) {
+  const lines = [
+    `# ${conversation.title}`,
+    "",
+    `_Exported from Falcon AI on ${formatDate(new Date())} UTC · ${messages.length} messages_`,
+    "",
+  ];
+
+  for (const m of messages) {
+    const who =
+      m.sender === "user"
+        ? "👤 You"
+        : `𓅇 Falcon${m.provider ? ` · ${getProviderName(m.provider)}` : ""}`;
+    lines.push("---", "", `### ${who} · ${formatDate(m.createdAt)}`, "");
+
+    for (const a of m.attachments || []) {
+      const src = a?._id && imageSrc(`/api/attachments/${a._id}`);
+      if (src) lines.push(`![${a.name || "Attached image"}](${src})`, "");
+    }
+    for (const step of m.toolSteps || []) {
+      lines.push(`> 🔧 ${step.name}${step.error ? ` (failed)` : ""}`, "");
+    }
+    if (m.text) lines.push(m.text, "");
+    if (m.interrupted) lines.push("_⏹ Stopped before the end_", "");
+    if (m.imageUrl) {
+      const src = imageSrc(m.imageUrl);
+      if (src) lines.push(`![Generated image](${src})`, "");
+    }
+    if (m.sources?.length) {
+      const sources = m.sources.map((src) =>
+        src.page ? `${src.name} (p. ${src.page})` : src.name
+      );
+      lines.push(`_Sources: ${sources.join(", ")}_`, "");
+    }
+  }
+  return lines.join("\n");
+}
+
+// A file name from a chat title: "My chat: notes?" → "my-chat-notes"
+export const slugify = (title) =>
+  String(title || "chat")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "chat";
+
+/* ------------------------
+   IMPORT
+   ------------------------ */
+
+const validDate = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+// A data: URL → { mimeType, buffer } when it really is an image we accept
+const decodeImage = (url) => {
+  const match = DATA_URL.exec(url || "");
+  if (!match) return null;
+  const buffer = Buffer.from(match[2], "base64");
+  const mimeType = detectImageType(buffer);
+  return mimeType ? { mimeType, buffer } : null;
+};
+
+// Size in bytes of a data: URL's contents, without decoding it
+const dataUrlBytes = (url) => {
+  const match = DATA_URL.exec(url || "");
+  if (!match) return 0;
+  const base64 = match[2].replace(/\s/g, "");
+  return Math.floor((base64.length * 3) / 4) - base64.match(/=*$/)[0].length;
+};
+
+// Every embedded image has to fit the upload limit (and MongoDB's document
+// size), checked before anything is written so an import is all or nothing
+const checkImportSizes = (conversations) => {
+  const maxBytes = getMaxImageBytes();
+  const maxMB = Math.round((maxBytes / 1024 / 1024) * 10) / 10;
+  for (const c of conversations) {
+    for (const m of c.messages) {
+      const entries = [
+        { name: "generated image", url: m.imageUrl },
+        ...(m.attachments || []).map((a) => ({
+          name: String(a?.name || "image"),
+          url: a?.url,
+        })),
+      ];
+      const tooBig = entries.find((e) => dataUrlBytes(e.url) > maxBytes);
+      if (tooBig) {
+        throw importError(
+          `"${tooBig.name}" in "${c.title || "Imported chat"}" is larger than ${maxMB} MB`
+        );
+      }
+    }
+  }
+};
+
+// Falcon JSON → the normalized shape importConversations() takes
+const parseFalconExport = (data) =>
+  (Array.isArray(data.conversations) ? data.conversations : []).map((c) => ({
+    title: c?.title,
+    createdAt: c?.createdAt,
+    messages: (Array.isArray(c?.messages) ? c.messages : []).map((m) => ({
+      sender: m?.sender,
+      text: m?.text,
+      provider: m?.provider,
+      mode: m?.mode,
+      imageUrl: m?.imageUrl,
+      interrupted: m?.interrupted,
+      attachments: Array.isArray(m?.attachments) ? m.attachments : [],
+      toolSteps: m?.toolSteps,
+      createdAt: m?.createdAt,
+    })),
+  }));
+
+/**
+ * Recognize an uploaded export. Throws a 400 error for anything else.
+ * @returns {{ source: "falcon"|"chatgpt", conversations: object[] }}
+ */
+export function parseImport(data) {
+  if (Array.isArray(data)) {
+    return { source: "chatgpt", conversations: parseChatGPTExport(data) };
+  }
+  if (FALCON_FORMATS.includes(data?.format)) {
+    return { source: "falcon", conversations: parseFalconExport(data) };
+  }
+  throw importError(
+    "Unknown file: expected a Falcon JSON export or ChatGPT's conversations.json"
+  );
+}
+
+// Keep what makes sense in this account: embedded images become library
+// images / attachments, links to another account's /api/ files are dropped
+const importMessage = async (userId, m, prompt) => {
+  const message = {
+    sender: m.sender === "user" ? "user" : "bot",
+    text: typeof m.text === "string" ? m.text : "",
+    provider: typeof m.provider === "string" ? m.provider : undefined,
+    mode: typeof m.mode === "string" ? m.mode.slice(0, 64) : undefined,
+    interrupted: m.interrupted === true || undefined,
+    createdAt: validDate(m.createdAt),
+  };
+
+  if (Array.isArray(m.toolSteps)) {
+    message.toolSteps = m.toolSteps
+      .filter((step) => typeof step?.name === "string")
+      .map((step) => ({
+        name: step.name,
+        args: step.args,
+        result: step.result,
+        error: typeof step.error === "string" ? step.error : undefined,
+      }));
+  }
+
+  const image = decodeImage(m.imageUrl);
+  if (image) {
+    const saved = await saveGeneratedImage(userId, {
+      prompt: prompt || "Imported image",
+      mimeType: image.mimeType,
+      buffer: image.buffer,
+    });
+    message.imageUrl = `/api/images/${saved._id}/file`;
+  } else if (/^https?:\/\//.test(m.imageUrl || "")) {
+    message.imageUrl = m.imageUrl;
+  }
+
+  message.attachments = [];
+  for (const a of m.attachments || []) {
+    const file = decodeImage(a?.url);
+    if (!file) continue;
+    const attachment = await Attachment.create({
+      user: userId,
+      name: String(a.name || "image"),
+      mimeType: file.mimeType,
+      size: file.buffer.length,
+      data: file.buffer,
+    });
+    message.attachments.push(attachment._id);
+  }
+
+  return message;
+};
+
+/**
+ * Create the parsed conversations for the user. Messages without a date
+ * keep their order a millisecond apart. Throws a 400 error, before creating
+ * anything, when an embedded image is too large.
+ * @returns {Promise<object[]>} the new Conversation documents
+ */
+export async function importConversations(userId, conversations) {
+  checkImportSizes(conversations);
+  const created = [];
+  for (const c of conversations) {
+    // a message may be only an image, generated or attached
+    const source = c.messages.filter(
+      (m) =>
+        (m.text && String(m.text).trim()) ||
+        m.imageUrl ||
+        m.attachments?.some((a) => decodeImage(a?.url))
+    );
+    if (source.length === 0) continue;
+
+    const start = validDate(c.createdAt) || new Date();
+    const conversation = await Conversation.create({
+      user: userId,
+      title:
+        String(c.title || "")
+          .trim()
+          .slice(0, MAX_TITLE_LENGTH) || "Imported chat",
+      createdAt: start,
+    });
+
+    const messages = [];
+    let prompt = "";
+    for (const [i, m] of source.entries()) {
+      const message = await importMessage(userId, m, prompt);
+      if (message.sender === "user") prompt = message.text;
+      message.createdAt ||= new Date(start.getTime() + i);
+      messages.push({ ...message, conversation: conversation._id });
+    }
+    await Message.insertMany(messages);
+    created.push(conversation);
+  }
+  return created;
+}
@@ -0,0 +1,111 @@
+// usage/index.js
+// Usage metering and per-plan quotas. Every plan has a limit for chat
+// messages and for generated images, each counted per UTC day or month.
+// Limits can be changed in .env, e.g. QUOTA_FREE_MESSAGES=100; 0 means
+// unlimited.
+import mongoose from "mongoose";
+
+import Usage from "../models/Usage.js";
+import User from "../models/User.js";
+
+export const DEFAULT_PLAN = "free";
+
+const PLANS = {
+  free: {
+    messages: { period: "day", env: "QUOTA_FREE_MESSAGES", limit: 50 },
+    images: { period: "day", env: "QUOTA_FREE_IMAGES", limit: 10 },
+  },
+  pro: {
+    messages: { period: "day", env: "QUOTA_PRO_MESSAGES", limit: 1000 },
+    images: { period: "month", env: "QUOTA_PRO_IMAGES", limit: 500 },
+  },
+};
+
+// Non-negative number from .env, or `fallback` when unset / invalid
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name] || NaN);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Limit of one metric in a plan (read per request: .env loads after imports)
+const getQuota = (plan, metric) => {
+  const quota = (PLANS[plan] || PLANS[DEFAULT_PLAN])[metric];
+  return { period: quota.period, limit: envNumber(quota.env, quota.limit) };
+};
+
+// Start of the current period and of the next one (UTC)
+const periodBounds = (period, now = new Date()) => {
+  const y = now.getUTCFullYear();
+  const m = now.getUTCMonth();
+  if (period === "month") {
+    return {
+      start: new Date(Date.UTC(y, m, 1)),
+      end: new Date(Date.UTC(y, m + 1, 1)),
+    };
+  }
+  const d = now.getUTCDate();
+  return {
+    start: new Date(Date.UTC(y, m, d)),
+    end: new Date(Date.UTC(y, m, d + 1)),
+  };
+};
+
+const sumUsage = async (userId, metric, since) => {
+  const [row] = await Usage.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        createdAt: { $gte: since },
+      },
+    },
+    { $group: { _id: null, total: { $sum: `$${metric}` } } },
+  ]);
+  return row?.total || 0;
+};
+
+/**
+ * Where a user stands on one quota right now.
+ * @param {"messages"|"images"} metric
+ * @returns {Promise<{ metric, period, limit, used, remaining, resetAt }>}
+ *   `limit` and `remaining` are null when the plan has no limit.
+ */
+export async function getQuotaStatus(userId, plan, metric) {
+  const { period, limit } = getQuota(plan, metric);
+  const { start, end } = periodBounds(period);
+  // an admin quota reset wipes the slate for the rest of the period
+  const user = await User.findById(userId).select("quotaResetAt").lean();
+  const since =
+    user?.quotaResetAt > start ? new Date(user.quotaResetAt) : start;
+  const used = await sumUsage(userId, metric, since);
+  return {
+    metric,
+    period,
+    limit: limit > 0 ? limit : null,
+    used,
+    remaining: limit > 0 ? Math.max(0, limit - used) : null,
+    resetAt: end,
+  };
+}
+
+// Start every quota of a user from zero again (admin action)
+export async function resetQuotas(userId) {
+  await User.updateOne({ _id: userId }, { $set: { quotaResetAt: new Date() } });
+}
+
+// The user's plan (free when the account predates plans)
+export async function getUserPlan(userId) {
+  const user = await User.findById(userId).select("plan").lean();
+  return user?.plan || DEFAULT_PLAN;
+}
+
+/**
+ * Store the usage of one request. Never throws: metering must not break
+ * the answer the user already got.
+ */
+export async function recordUsage(userId, entry) {
+  try {
+    await Usage.create({ user: userId, ...entry });
+  } catch (err) {
+    console.error("Record usage error:", err);
+  }
+}
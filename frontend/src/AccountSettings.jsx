@@ -0,0 +1,371 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch, downloadFile } from "./api.js";
+
+const PLAN_LABELS = { free: "Free", pro: "Pro" };
+
+// Account page (opened from the profile card): profile, password change,
+// chat export / import, data export and account deletion. Calls
+// `onUserChange(user)` after a profile save, `onChatsImported(conversations)`
+// after an import and `onDeleted()` once the account is gone.
+function AccountSettings({
+  token,
+  user,
+  onUserChange,
+  onChatsImported,
+  onDeleted,
+  onClose,
+}) {
+  const [account, setAccount] = useState(null);
+  const [profile, setProfile] = useState({
+    name: user.name,
+    email: user.email,
+    currentPassword: "",
+  });
+  const [passwords, setPasswords] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirm: "",
+  });
+  const [deletePassword, setDeletePassword] = useState("");
+  // "zip" | "json" (account), "chats-md" | "chats-json" (all chats)
+  const [exporting, setExporting] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [status, setStatus] = useState("");
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    apiFetch(token, "/api/account")
+      .then((data) => setAccount(data.user))
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+  }, [token]);
+
+  const emailChanged =
+    profile.email.trim().toLowerCase() !== user.email.toLowerCase();
+
+  const updateProfile = (e) =>
+    setProfile((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  const updatePasswords = (e) =>
+    setPasswords((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setStatus("Saving…");
+    try {
+      const { user: saved } = await apiFetch(token, "/api/account", {
+        method: "PATCH",
+        body: emailChanged
+          ? profile
+          : { name: profile.name, email: profile.email },
+      });
+      setAccount(saved);
+      setProfile((prev) => ({ ...prev, currentPassword: "" }));
+      onUserChange(saved);
+      setStatus(
+        emailChanged
+          ? `✅ Saved. We sent a link to ${saved.email} to confirm it.`
+          : "✅ Profile saved."
+      );
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (passwords.newPassword !== passwords.confirm) {
+      setStatus("⚠️ The new passwords don't match");
+      return;
+    }
+    setStatus("Changing password…");
+    try {
+      await apiFetch(token, "/api/account/password", {
+        method: "POST",
+        body: {
+          currentPassword: passwords.currentPassword,
+          newPassword: passwords.newPassword,
+        },
+      });
+      setPasswords({ currentPassword: "", newPassword: "", confirm: "" });
+      setStatus("✅ Password changed. Your other sessions were logged out.");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      await downloadFile(
+        token,
+        `/api/account/export?format=${format}`,
+        `falcon-export-${date}.${format}`
+      );
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleExportChats = async (format) => {
+    setExporting(`chats-${format}`);
+    try {
+      const date = new Date().toISOString().slice(0, 10);
+      await downloadFile(
+        token,
+        `/api/conversations/export?format=${format}`,
+        `falcon-chats-${date}.${format === "md" ? "zip" : "json"}`
+      );
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleImportChats = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    const body = new FormData();
+    body.append("file", file);
+
+    setImporting(true);
+    setStatus(`Importing ${file.name}…`);
+    try {
+      const { source, conversations } = await apiFetch(
+        token,
+        "/api/conversations/import",
+        { method: "POST", body }
+      );
+      onChatsImported(conversations);
+      setStatus(
+        `✅ Imported ${conversations.length} chats from ${source === "chatgpt" ? "ChatGPT" : "Falcon"}.`
+      );
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (
+      !window.confirm(
+        "Delete your account and all your chats, files and images? This can't be undone."
+      )
+    ) {
+      return;
+    }
+    try {
+      await apiFetch(token, "/api/account", {
+        method: "DELETE",
+        body: { password: deletePassword },
+      });
+      onDeleted();
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const memberSince =
+    account && new Date(account.createdAt).toLocaleDateString();
+
+  return (
+    <div className="library account">
+      <header className="library-header">
+        <div>
+          <h2>Account</h2>
+          <p className="subtitle">
+            {account
+              ? `${PLAN_LABELS[account.plan] || account.plan} plan · member since ${memberSince}`
+              : "Your profile and data."}
+          </p>
+        </div>
+        <button type="button" className="btn" onClick={onClose}>
+          Back to chat
+        </button>
+      </header>
+      {status && <div className="custom-provider-status">{status}</div>}
+
+      <form className="account-section" onSubmit={handleSaveProfile}>
+        <h3>Profile</h3>
+        <label>
+          Name
+          <input
+            name="name"
+            value={profile.name}
+            onChange={updateProfile}
+            required
+          />
+        </label>
+        <label>
+          Email
+          <input
+            name="email"
+            type="email"
+            value={profile.email}
+            onChange={updateProfile}
+            required
+          />
+        </label>
+        {emailChanged && (
+          <label>
+            Current password (needed to change your email)
+            <input
+              name="currentPassword"
+              type="password"
+              value={profile.currentPassword}
+              onChange={updateProfile}
+              required
+            />
+          </label>
+        )}
+        <div className="custom-provider-actions">
+          <button type="submit" className="btn">
+            Save profile
+          </button>
+        </div>
+      </form>
+
+      <form className="account-section" onSubmit={handleChangePassword}>
+        <h3>Password</h3>
+        <label>
+          Current password
+          <input
+            name="currentPassword"
+            type="password"
+            value={passwords.currentPassword}
+            onChange={updatePasswords}
+            required
+          />
+        </label>
+        <label>
+          New password
+          <input
+            name="newPassword"
+            type="password"
+            minLength={6}
+            value={passwords.newPassword}
+            onChange={updatePasswords}
+            required
+          />
+        </label>
+        <label>
+          Repeat new password
+          <input
+            name="confirm"
+            type="password"
+            minLength={6}
+            value={passwords.confirm}
+            onChange={updatePasswords}
+            required
+          />
+        </label>
+        <div className="custom-provider-actions">
+          <button type="submit" className="btn">
+            Change password
+          </button>
+        </div>
+      </form>
+
+      <section className="account-section">
+        <h3>Chats</h3>
+        <p className="account-hint">
+          Export all chats as Markdown files (ZIP) or as one JSON file, or
+          import a Falcon JSON export or ChatGPT's conversations.json. To export
+          a single chat, use Export in the chat itself.
+        </p>
+        <div className="custom-provider-actions">
+          <button
+            type="button"
+            className="btn"
+            disabled={exporting !== null}
+            onClick={() => handleExportChats("md")}
+          >
+            {exporting === "chats-md" ? "Preparing…" : "⤓ Markdown (ZIP)"}
+          </button>
+          <button
+            type="button"
+            className="btn"
+            disabled={exporting !== null}
+            onClick={() => handleExportChats("json")}
+          >
+            {exporting === "chats-json" ? "Preparing…" : "⤓ JSON"}
+          </button>
+          <button
+            type="button"
+            className="btn"
+            disabled={importing}
+            onClick={() => importInputRef.current?.click()}
+          >
+            {importing ? "Importing…" : "⤒ Import chats"}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportChats}
+            style={{ display: "none" }}
+          />
+        </div>
+      </section>
+
+      <section className="account-section">
+        <h3>Your data</h3>
+        <p className="account-hint">
+          Download your chats, projects, personas, documents, generated images
+          and usage. The ZIP includes the files; JSON is the data only.
+        </p>
+        <div className="custom-provider-actions">
+          <button
+            type="button"
+            className="btn"
+            disabled={exporting !== null}
+            onClick={() => handleExport("zip")}
+          >
+            {exporting === "zip" ? "Preparing…" : "⤓ Export ZIP"}
+          </button>
+          <button
+            type="button"
+            className="btn"
+            disabled={exporting !== null}
+            onClick={() => handleExport("json")}
+          >
+            {exporting === "json" ? "Preparing…" : "⤓ Export JSON"}
+          </button>
+        </div>
+      </section>
+
+      <form
+        className="account-section account-danger"
+        onSubmit={handleDeleteAccount}
+      >
+        <h3>Delete account</h3>
+        <p className="account-hint">
+          Permanently deletes your account with all chats, files, images and
+          usage history. Export your data first if you want to keep it.
+        </p>
+        <label>
+          Password
+          <input
+            type="password"
+            value={deletePassword}
+            onChange={(e) => setDeletePassword(e.target.value)}
+            required
+          />
+        </label>
+        <div className="custom-provider-actions">
+          <button type="submit" className="btn account-delete">
+            Delete my account
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default AccountSettings;
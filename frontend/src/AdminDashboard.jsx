@@ -0,0 +1,323 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api.js";
+
+const SEARCH_DELAY_MS = 300;
+const STATS_RANGES = [1, 7, 30, 90];
+
+const formatPercent = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+// Horizontal bars, one per row: `value(row)` scaled to the largest one
+function BarList({ rows, label, value, format, danger }) {
+  const max = Math.max(...rows.map(value), 0);
+  return (
+    <div className="admin-bars">
+      {rows.map((row) => (
+        <div key={label(row)} className="admin-bar-row">
+          <span className="admin-bar-label">{label(row)}</span>
+          <div className="admin-bar-track">
+            <div
+              className={`admin-bar${danger ? " admin-bar-danger" : ""}`}
+              style={{ width: max ? `${(value(row) / max) * 100}%` : 0 }}
+            />
+          </div>
+          <span className="admin-bar-value">{format(value(row))}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Requests per day (all providers), failed ones stacked on top in red
+function DailyChart({ daily }) {
+  const days = [];
+  for (const row of daily) {
+    let day = days.find((d) => d.date === row.date);
+    if (!day) {
+      day = { date: row.date, requests: 0, errors: 0 };
+      days.push(day);
+    }
+    day.requests += row.requests;
+    day.errors += row.errors;
+  }
+  const max = Math.max(...days.map((d) => d.requests), 0);
+
+  return (
+    <div className="admin-daily">
+      {days.map((day) => (
+        <div
+          key={day.date}
+          className="admin-daily-col"
+          title={`${day.date}: ${day.requests} requests, ${day.errors} failed`}
+        >
+          <div
+            className="admin-daily-bar"
+            style={{ height: `${(day.requests / max) * 100}%` }}
+          >
+            <div
+              className="admin-daily-errors"
+              style={{ height: `${(day.errors / day.requests) * 100}%` }}
+            />
+          </div>
+          <span>{day.date.slice(5)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Admin section: users (search, disable/enable, reset quotas) and
+// per-provider request counts, error rates and latency
+function AdminDashboard({ token, currentUserId, onClose }) {
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(7);
+  const [users, setUsers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(25);
+  const [query, setQuery] = useState("");
+  const [status, setStatus] = useState("");
+
+  useEffect(() => {
+    apiFetch(token, `/api/admin/stats?days=${days}`)
+      .then(setStats)
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+  }, [token, days]);
+
+  // (re)load the user table once the user pauses typing
+  useEffect(() => {
+    const params = new URLSearchParams({ page });
+    if (query.trim()) params.set("q", query.trim());
+
+    const timer = setTimeout(() => {
+      apiFetch(token, `/api/admin/users?${params}`)
+        .then((data) => {
+          setUsers(data.users);
+          setTotal(data.total);
+          setPageSize(data.pageSize);
+        })
+        .catch((err) => setStatus(`⚠️ ${err.message}`));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [token, query, page]);
+
+  const replaceUser = (updated) =>
+    setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+
+  const handleToggleDisabled = async (target) => {
+    if (
+      !target.disabled &&
+      !window.confirm(`Disable ${target.email}? They will be logged out.`)
+    ) {
+      return;
+    }
+    try {
+      const { user } = await apiFetch(token, `/api/admin/users/${target.id}`, {
+        method: "PATCH",
+        body: { disabled: !target.disabled },
+      });
+      replaceUser(user);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleResetQuotas = async (target) => {
+    try {
+      const { user } = await apiFetch(
+        token,
+        `/api/admin/users/${target.id}/reset-quotas`,
+        { method: "POST" }
+      );
+      replaceUser(user);
+      setStatus(`✅ Quotas of ${user.email} reset.`);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const providers = stats?.providers || [];
+
+  return (
+    <div className="library admin">
+      <header className="library-header">
+        <div>
+          <h2>Admin</h2>
+          <p className="subtitle">
+            {stats
+              ? `${stats.users.total} users · ${stats.users.disabled} disabled · ${stats.users.admins} admins`
+              : "Users and provider health."}
+          </p>
+        </div>
+        <button type="button" className="btn" onClick={onClose}>
+          Back to chat
+        </button>
+      </header>
+      {status && <div className="custom-provider-status">{status}</div>}
+
+      <section className="account-section">
+        <div className="admin-section-title">
+          <h3>Providers</h3>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+          >
+            {STATS_RANGES.map((n) => (
+              <option key={n} value={n}>
+                Last {n === 1 ? "24 hours" : `${n} days`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {providers.length === 0 ? (
+          <p className="account-hint">No provider calls in this period.</p>
+        ) : (
+          <>
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Provider</th>
+                  <th>Requests</th>
+                  <th>Errors</th>
+                  <th>Error rate</th>
+                  <th>Avg latency</th>
+                  <th>Max latency</th>
+                  <th>Circuit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {providers.map((p) => (
+                  <tr key={p.provider}>
+                    <td>{p.provider}</td>
+                    <td>{p.requests}</td>
+                    <td>{p.errors}</td>
+                    <td>{formatPercent(p.errorRate)}</td>
+                    <td>{p.avgLatencyMs} ms</td>
+                    <td>{p.maxLatencyMs} ms</td>
+                    <td>{stats.circuits[p.provider]?.open ? "open" : "ok"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="admin-charts">
+              <div>
+                <h4>Requests per day</h4>
+                <DailyChart daily={stats.daily} />
+              </div>
+              <div>
+                <h4>Error rate</h4>
+                <BarList
+                  rows={providers}
+                  label={(p) => p.provider}
+                  value={(p) => p.errorRate}
+                  format={formatPercent}
+                  danger
+                />
+              </div>
+              <div>
+                <h4>Average latency</h4>
+                <BarList
+                  rows={providers}
+                  label={(p) => p.provider}
+                  value={(p) => p.avgLatencyMs}
+                  format={(ms) => `${ms} ms`}
+                />
+              </div>
+            </div>
+          </>
+        )}
+      </section>
+
+      <section className="account-section">
+        <div className="admin-section-title">
+          <h3>Users</h3>
+          <input
+            className="library-search"
+            placeholder="Search name or email"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setPage(1);
+            }}
+          />
+        </div>
+
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Plan</th>
+              <th>This month</th>
+              <th>Joined</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => (
+              <tr key={u.id} className={u.disabled ? "admin-disabled" : ""}>
+                <td>
+                  {u.name}
+                  {u.role === "admin" && (
+                    <span className="admin-badge">admin</span>
+                  )}
+                </td>
+                <td>
+                  {u.email}
+                  {!u.emailVerified && " ✉"}
+                </td>
+                <td>{u.plan}</td>
+                <td>
+                  {u.month.messages} msgs · {u.month.images} imgs
+                </td>
+                <td>{new Date(u.createdAt).toLocaleDateString()}</td>
+                <td className="admin-actions">
+                  <button type="button" onClick={() => handleResetQuotas(u)}>
+                    Reset quotas
+                  </button>
+                  {u.id !== currentUserId && (
+                    <button
+                      type="button"
+                      onClick={() => handleToggleDisabled(u)}
+                    >
+                      {u.disabled ? "Enable" : "Disable"}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {users.length === 0 && (
+          <p className="account-hint">No users match your search.</p>
+        )}
+
+        <div className="admin-pager">
+          <button
+            type="button"
+            className="btn"
+            disabled={page <= 1}
+            onClick={() => setPage((p) => p - 1)}
+          >
+            ‹ Previous
+          </button>
+          <span>
+            Page {page} of {pageCount}
+          </span>
+          <button
+            type="button"
+            className="btn"
+            disabled={page >= pageCount}
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Next ›
+          </button>
+        </div>
+      </section>
+    </div>
+  );
+}
+
+export default AdminDashboard;
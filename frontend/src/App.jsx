@@ -1,49 +1,170 @@
 import { useState, useEffect, useRef } from "react";
 import "./App.css";
-
-// 🔗 Backend base URL (local by default, overridable in Vercel)
-const API_BASE =
-  import.meta.env.VITE_API_BASE || "http://localhost:5000";
-
-
-// Helper to create a fresh empty chat
-function createNewChat() {
+import {
+  API_BASE,
+  apiFetch,
+  authFetch,
+  configureSession,
+  downloadFile,
+  streamFetch,
+} from "./api.js";
+import CustomProviderSettings from "./CustomProviderSettings.jsx";
+import Markdown from "./Markdown.jsx";
+import AuthImage from "./AuthImage.jsx";
+import StudyDocuments from "./StudyDocuments.jsx";
+import ToolSteps from "./ToolSteps.jsx";
+import PersonaSettings from "./PersonaSettings.jsx";
+import ProjectSettings from "./ProjectSettings.jsx";
+import Library from "./Library.jsx";
+import AccountSettings from "./AccountSettings.jsx";
+import AdminDashboard from "./AdminDashboard.jsx";
+import PrintableChat from "./PrintableChat.jsx";
+import ShareChat from "./ShareChat.jsx";
+import MessageActions, { MessageEditor } from "./MessageActions.jsx";
+import CompareAnswers, { ComparePicker } from "./Compare.jsx";
+import MessageSearch from "./MessageSearch.jsx";
+import GenerationSettings from "./GenerationSettings.jsx";
+import SharedChatView from "./SharedChatView.jsx";
+import ImageOptions, { DEFAULT_IMAGE_OPTIONS } from "./ImageOptions.jsx";
+
+// Greeting shown at the top of every chat (not stored on the server)
+const GREETING = {
+  sender: "bot",
+  text: "Hi! I'm your Falcon AI 🤖. Ask me anything!",
+  provider: "groq",
+};
+
+// Image attachments the backend accepts for vision models
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/gif"];
+const MAX_IMAGE_MB = 5;
+
+// Where the logged-in user and access token are kept between page loads
+const STORAGE_KEY = "wikum_ai_user";
+
+// Placeholder used while the user's chats are still loading
+const EMPTY_CHAT = { id: null, title: "New chat", messages: [] };
+
+// Helper: turn a server conversation into a sidebar chat.
+// `messages` stays null until the chat is opened and its messages are loaded.
+function toChat(conversation, messages = null) {
   return {
-    id: Date.now().toString(), // simple unique id
-    title: "New chat",
-    createdAt: Date.now(),
-    messages: [
-      {
-        sender: "bot",
-        text: "Hi! I'm your Falcon AI 🤖. Ask me anything!",
-        provider: "groq",
-      },
-    ],
+    id: conversation.id,
+    title: conversation.title,
+    project: conversation.project || null, // project id, if in one
+    summary: conversation.summary || null, // rolling context summary
+    generation: conversation.generation || {}, // advanced settings
+    createdAt: conversation.createdAt,
+    messages,
   };
 }
 
-// Helper: per-user chats key
+// Chat history for the model: user / assistant turns, without compare
+// answers that weren't kept
+function toChatHistory(messages) {
+  return messages
+    .filter((m) => !m.compare)
+    .map((m) => ({
+      role: m.sender === "user" ? "user" : "assistant",
+      content: m.text || "",
+    }));
+}
+
+// A chat's advanced settings as chat request fields. The model only goes
+// to a `provider` that offers it (none → no model, e.g. compare mode).
+function toGenerationParams(generation = {}, provider = null) {
+  const { model, ...params } = generation;
+  return provider?.models.some((m) => m.id === model)
+    ? { ...params, model }
+    : params;
+}
+
+// Helper: per-user chats key (chats used to live only in localStorage)
 function getChatsKey(userOrEmail) {
   const email =
     typeof userOrEmail === "string" ? userOrEmail : userOrEmail?.email;
   return email ? `wikum_ai_chats_${email}` : "wikum_ai_chats_guest";
 }
 
+// One-time upload of old localStorage chats to the server.
+// Uploaded chats are removed from localStorage one by one, so an interrupted
+// migration resumes where it stopped instead of creating duplicates.
+const migrations = {};
+function migrateLocalChats(token, email) {
+  if (!migrations[email]) {
+    migrations[email] = (async () => {
+      const key = getChatsKey(email);
+      const raw = localStorage.getItem(key);
+      if (!raw) return;
+
+      let pending;
+      try {
+        pending = JSON.parse(raw);
+      } catch {
+        pending = null;
+      }
+      if (!Array.isArray(pending)) {
+        localStorage.removeItem(key);
+        return;
+      }
+
+      while (pending.length > 0) {
+        const chat = pending[0];
+        const messages = (chat.messages || []).filter(
+          (m) => !(m.sender === "bot" && m.text === GREETING.text)
+        );
+
+        if (messages.length > 0) {
+          await apiFetch(token, "/api/conversations", {
+            method: "POST",
+            body: {
+              title: chat.title,
+              createdAt: chat.createdAt,
+              messages,
+            },
+          });
+        }
+
+        pending = pending.slice(1);
+        localStorage.setItem(key, JSON.stringify(pending));
+      }
+
+      localStorage.removeItem(key);
+    })().finally(() => {
+      delete migrations[email];
+    });
+  }
+  return migrations[email];
+}
+
+// "12 of 50 messages left today" for a quota from GET /api/usage
+const formatQuota = (quota, noun) => {
+  const period = quota.period === "month" ? "this month" : "today";
+  if (quota.limit === null) return `Unlimited ${noun}`;
+  return `${quota.remaining} of ${quota.limit} ${noun} left ${period}`;
+};
+
 function App() {
   // 🔹 Auth state
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(null);
-  const [authMode, setAuthMode] = useState("login"); // "login" | "register"
+  // "login" | "register" | "forgot" | "reset"
+  const [authMode, setAuthMode] = useState("login");
+  const [authNotice, setAuthNotice] = useState(""); // e.g. "Email confirmed"
+  const [resetToken, setResetToken] = useState(null); // from a reset link
+  // a shared chat link (/?share=<token>) opens the read-only view
+  const [shareToken] = useState(() =>
+    new URLSearchParams(window.location.search).get("share")
+  );
 
-  // 🔹 All chats (multi-chat) — start with a dummy new chat, real data is loaded after login
-  const [chats, setChats] = useState([createNewChat()]);
+  // 🔹 All chats (multi-chat) — loaded from the server after login
+  const [chats, setChats] = useState([]);
 
   // 🔹 Which chat is currently open
   const [activeChatId, setActiveChatId] = useState(null);
 
-  // Ensure we always have a valid active chat
+  // Ensure we always have something to render, even while loading
   const activeChat =
-    chats.find((c) => c.id === activeChatId) || chats[0] || createNewChat();
+    chats.find((c) => c.id === activeChatId) || chats[0] || EMPTY_CHAT;
 
   useEffect(() => {
     if (!activeChatId && chats[0]) {
@@ -55,11 +176,47 @@ function App() {
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
 
-  // modes: now includes "image"
-  const [mode, setMode] = useState("general"); // general/coding/study/cv/sinhala/image
+  // modes are personas from GET /api/personas; `mode` is the persona id
+  const [mode, setMode] = useState("general");
+  const [personas, setPersonas] = useState([]);
+  const [templateVariables, setTemplateVariables] = useState([]);
+  const [editingPersona, setEditingPersona] = useState(null); // persona | "new"
   const [provider, setProvider] = useState("groq");
+  const [providers, setProviders] = useState([]); // from GET /api/providers
+  const [generationLimits, setGenerationLimits] = useState(null); // ditto
+  const [showGenerationSettings, setShowGenerationSettings] = useState(false);
+  const [showCustomProvider, setShowCustomProvider] = useState(false);
+  const [studyDocumentIds, setStudyDocumentIds] = useState([]); // Study mode
+  // Compare mode: the provider ids to ask side by side, or null when off
+  const [compareProviders, setCompareProviders] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
 
+  // Projects (folders of chats) shown as a tree in the sidebar
+  const [projects, setProjects] = useState([]);
+  const [collapsedProjects, setCollapsedProjects] = useState({}); // id → true
+  const [editingProject, setEditingProject] = useState(null); // project | "new"
+  const [movingChatId, setMovingChatId] = useState(null);
+
+  // What the main area shows instead of the chat: "library" (generated
+  // images), "account" (settings), "admin" (dashboard), "print" (the
+  // active chat laid out for printing / PDF), "share" (its share links),
+  // "search" (message search) or null for the chat
+  const [mainPage, setMainPage] = useState(null);
+  // Query the message search page opens with, and the message to scroll to
+  // after opening a search result
+  const [messageQuery, setMessageQuery] = useState("");
+  const [focusMessageId, setFocusMessageId] = useState(null);
+  // Question being edited in place (its id)
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  // Pending message saves, chained (see saveMessage)
+  const saveQueueRef = useRef(Promise.resolve());
+  // Aborts the reply being streamed (Stop button)
+  const stopRef = useRef(null);
+  // Plan quotas left (GET /api/usage), shown in the profile card
+  const [usage, setUsage] = useState(null);
+  // Image mode generation settings
+  const [imageOptions, setImageOptions] = useState(DEFAULT_IMAGE_OPTIONS);
+
   // Voice
   const [voiceEnabled, setVoiceEnabled] = useState(false);
   const [isRecording, setIsRecording] = useState(false);
@@ -77,51 +234,169 @@ function App() {
 
   // 🔹 Load logged-in user from localStorage on mount
   useEffect(() => {
-    const raw = localStorage.getItem("wikum_ai_user");
+    const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return;
     try {
       const parsed = JSON.parse(raw);
       if (parsed?.user && parsed?.token) {
-        setUser(parsed.user);
-        setToken(parsed.token);
+        startSession(parsed);
       }
     } catch {
       // ignore
     }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  // 🔹 Links from emails: ?verify=<token> confirms the address,
+  //    ?reset=<token> opens the new-password form
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const verify = params.get("verify");
+    const reset = params.get("reset");
+    if (!verify && !reset) return;
+    window.history.replaceState(null, "", window.location.pathname);
+
+    if (reset) {
+      setResetToken(reset);
+      setAuthMode("reset");
+      return;
+    }
+    authFetch("/api/auth/verify-email", { body: { token: verify } })
+      .then((data) => {
+        setAuthNotice("✅ Your email address is confirmed.");
+        setUser((prev) =>
+          prev?.id === data.user.id ? saveStoredUser(data.user) : prev
+        );
+      })
+      .catch((err) => setAuthNotice(`⚠️ ${err.message}`));
   }, []);
 
-  // 🔹 When user changes (login/logout), load that user's chats from localStorage
+  // 🔹 When user changes (login/logout), migrate old local chats and load
+  //    this user's chats from the server
   useEffect(() => {
-    if (!user) return;
+    if (!user || !token) return;
+    let cancelled = false;
 
-    const key = getChatsKey(user.email);
-    const raw = localStorage.getItem(key);
+    // fresh profile (e.g. the email was confirmed in another tab)
+    apiFetch(token, "/api/auth/me")
+      .then((data) => !cancelled && setUser(saveStoredUser(data.user)))
+      .catch((e) => console.error("Error loading profile", e));
 
-    if (raw) {
+    (async () => {
       try {
-        const parsed = JSON.parse(raw);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-          setChats(parsed);
-          setActiveChatId(parsed[0].id);
+        await migrateLocalChats(token, user.email);
+        const data = await apiFetch(token, "/api/conversations");
+        if (cancelled) return;
+
+        if (data.conversations.length > 0) {
+          const loaded = data.conversations.map((c) => toChat(c));
+          setChats(loaded);
+          setActiveChatId(loaded[loaded.length - 1].id);
           return;
         }
+
+        // No saved chats for this user → start fresh
+        const created = await apiFetch(token, "/api/conversations", {
+          method: "POST",
+          body: {},
+        });
+        if (cancelled) return;
+        const fresh = toChat(created.conversation, []);
+        setChats([fresh]);
+        setActiveChatId(fresh.id);
       } catch (e) {
-        console.error("Error parsing user chats from localStorage", e);
+        console.error("Error loading chats", e);
       }
-    }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, token]);
+
+  // 🔹 Load the provider list for the dropdown (includes the user's own
+  //    custom model server once configured)
+  const loadProviders = () => {
+    apiFetch(token, "/api/providers")
+      .then((data) => {
+        setProviders(data.providers);
+        setGenerationLimits(data.limits);
+      })
+      .catch((e) => console.error("Error loading providers", e));
+  };
+
+  const loadPersonas = () => {
+    apiFetch(token, "/api/personas")
+      .then((data) => {
+        setPersonas(data.personas);
+        setTemplateVariables(data.variables || []);
+      })
+      .catch((e) => console.error("Error loading personas", e));
+  };
+
+  const loadProjects = () => {
+    apiFetch(token, "/api/projects")
+      .then((data) => setProjects(data.projects))
+      .catch((e) => console.error("Error loading projects", e));
+  };
+
+  const loadUsage = () => {
+    apiFetch(token, "/api/usage")
+      .then(setUsage)
+      .catch((e) => console.error("Error loading usage", e));
+  };
+
+  useEffect(() => {
+    if (!user || !token) return;
+    loadProviders();
+    loadPersonas();
+    loadProjects();
+    loadUsage();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [user?.id, token]);
 
-    // No saved chats for this user → start fresh
-    const fresh = createNewChat();
-    setChats([fresh]);
-    setActiveChatId(fresh.id);
-  }, [user]);
+  // 🔹 Load the messages of the open chat (its current path) the first time
+  // it is opened
+  useEffect(() => {
+    if (!token || !activeChat.id || activeChat.messages) return;
+    const chatId = activeChat.id;
+
+    apiFetch(token, `/api/conversations/${chatId}/messages`)
+      .then((data) => {
+        setChats((prev) =>
+          prev.map((chat) =>
+            chat.id === chatId
+              ? {
+                  ...chat,
+                  messages: data.messages,
+                  summary: data.conversation.summary,
+                }
+              : chat
+          )
+        );
+      })
+      .catch((e) => console.error("Error loading messages", e));
+  }, [token, activeChat.id, activeChat.messages]);
 
-  // 🔹 Save chats to the correct key whenever they change
+  // 🔹 Scroll to the message opened from search once its chat has loaded
   useEffect(() => {
-    if (!user) return;
-    const key = getChatsKey(user.email);
-    localStorage.setItem(key, JSON.stringify(chats));
-  }, [chats, user]);
+    if (!focusMessageId || !activeChat.messages) return;
+    // on another branch: show that one first
+    if (!activeChat.messages.some((m) => m.id === focusMessageId)) {
+      switchBranch(activeChat.id, focusMessageId).catch(() =>
+        setFocusMessageId(null)
+      );
+      return;
+    }
+    const row = document.getElementById(`message-${focusMessageId}`);
+    if (!row) return;
+    row.scrollIntoView({ behavior: "smooth", block: "center" });
+    // the highlight animation runs once; clear it so it can run again
+    const timer = setTimeout(() => setFocusMessageId(null), 2500);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusMessageId, activeChat.messages]);
 
   // Speech Recognition setup
   useEffect(() => {
@@ -183,10 +458,17 @@ function App() {
   }, []);
 
   // Derived flags/lists
-  const hasUserMessages = activeChat.messages.some(
+  const activeMessages = activeChat.messages || [];
+  const hasUserMessages = activeMessages.some(
     (m) => m.sender === "user"
   );
 
+  // once tokens arrive the bubble itself shows progress (compare answers
+  // show their own)
+  const isStreamingText = activeMessages.some(
+    (m) => m.streaming && (m.text || m.compare)
+  );
+
   const filteredChats = chats.filter((c) =>
     (c.title || "").toLowerCase().includes(searchTerm.toLowerCase())
   );
@@ -221,61 +503,100 @@ function App() {
     }
   };
 
-  // 2025-aware system prompt
-  const getSystemPrompt = () => {
-    const dateLine =
-      "Today's date is February 2025. Use the most accurate and up-to-date knowledge available. " +
-      "If you are unsure about anything, answer honestly instead of guessing.";
-
-    switch (mode) {
-      case "coding":
-        return (
-          "You are a professional coding tutor helping an IT undergraduate in 2025. " +
-          "Explain concepts clearly with step-by-step instructions. " +
-          "Use modern frameworks and 2025 standards (React 19+, Node 20+, Java 21, Kotlin 2.0+, Tailwind, modern MERN best practices). " +
-          dateLine
-        );
-
-      case "study":
-        return (
-          "You help university students understand academic subjects in 2025. " +
-          "Explain topics in simple English with examples, bullet points, and clear reasoning. " +
-          "Focus on updated 2025 content, IT standards, and modern knowledge. " +
-          dateLine
-        );
+  // Current persona (mode); image personas generate images instead of chat
+  const activePersona = personas.find((p) => p.id === mode);
+  const isImageMode = activePersona?.kind === "image";
 
-      case "cv":
-        return (
-          "You help students improve CVs, cover letters, LinkedIn profiles, and job applications. " +
-          "Give 2025 recruitment trends, ATS-friendly suggestions, modern skill keywords, and professional tone. " +
-          dateLine
-        );
+  // Pick a persona and switch to its default provider, if it has one
+  const selectPersona = (persona) => {
+    setMode(persona.id);
+    const preferred = providers.find((p) => p.id === persona.provider);
+    if (preferred?.available) setProvider(preferred.id);
+  };
 
-      case "sinhala":
-        return (
-          "You are a Sinhala translator and explainer. Translate between English and Sinhala accurately. " +
-          "Explain meanings in simple Sinhala when needed. " +
-          dateLine
-        );
+  const handlePersonaSaved = (saved) => {
+    setPersonas((prev) =>
+      prev.some((p) => p.id === saved.id)
+        ? prev.map((p) => (p.id === saved.id ? saved : p))
+        : [...prev, saved]
+    );
+    setEditingPersona(null);
+    selectPersona(saved);
+  };
 
-      case "image":
-        return (
-          "You are an AI that helps generate images from text prompts. " +
-          "The actual image will be produced by a separate image model. " +
-          "Help the user improve prompts if needed. " +
-          dateLine
-        );
+  const handlePersonaDeleted = (id) => {
+    setPersonas((prev) => prev.filter((p) => p.id !== id));
+    setEditingPersona(null);
+    if (mode === id) setMode("general");
+  };
 
-      default:
-        return (
-          "You are a friendly AI assistant helping an IT undergraduate in 2025. " +
-          "Explain things simply with examples, keep answers updated, and provide practical help. " +
-          dateLine
-        );
+  // Copy a persona someone shared into my own, editable list
+  const handleCopyPersona = async (persona) => {
+    try {
+      const { persona: copy } = await apiFetch(
+        token,
+        `/api/personas/${persona.id}/copy`,
+        { method: "POST" }
+      );
+      setPersonas((prev) => [...prev, copy]);
+      setEditingPersona(copy);
+    } catch (err) {
+      alert(err.message || "Could not copy persona");
     }
   };
 
   // ---------- AUTH HANDLERS ----------
+  // ---------- AUTH ----------
+  // Update the stored user (keeping the token); returns the user
+  const saveStoredUser = (nextUser) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      localStorage.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ ...stored, user: nextUser })
+      );
+    } catch {
+      // nothing stored
+    }
+    return nextUser;
+  };
+
+  // Remember a logged-in session: state, localStorage and api.js (which
+  // renews the short-lived access token with the refresh cookie)
+  const startSession = (data) => {
+    setUser(data.user);
+    setToken(data.token);
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ user: data.user, token: data.token })
+    );
+    configureSession({
+      token: data.token,
+      // keep the newest access token for the next page load
+      onRenewed: (renewed) =>
+        localStorage.setItem(
+          STORAGE_KEY,
+          JSON.stringify({ user: renewed.user, token: renewed.token })
+        ),
+      onExpired: () => {
+        endSession();
+        setAuthNotice("Your session has ended. Please log in again.");
+      },
+    });
+  };
+
+  // Forget the session locally (chats live on the server, so they come back
+  // on the next login)
+  const endSession = () => {
+    setUser(null);
+    setToken(null);
+    setChats([]);
+    setActiveChatId(null);
+    setMainPage(null);
+    localStorage.removeItem(STORAGE_KEY);
+    configureSession({ token: null });
+  };
+
   const handleAuthSubmit = async (e) => {
     e.preventDefault();
     const form = new FormData(e.target);
@@ -283,295 +604,966 @@ function App() {
     const email = form.get("email");
     const password = form.get("password");
 
-    const endpoint =
-      authMode === "register"
-        ? `${API_BASE}/api/auth/register`
-        : `${API_BASE}/api/auth/login`;
+    try {
+      // 🔑 password reset from an emailed link
+      if (authMode === "reset") {
+        if (password !== form.get("confirm")) {
+          alert("The passwords don't match");
+          return;
+        }
+        await authFetch("/api/auth/reset-password", {
+          body: { token: resetToken, password },
+        });
+        // every session was logged out, this one included
+        endSession();
+        setResetToken(null);
+        setAuthMode("login");
+        setAuthNotice("✅ Password changed. Log in with your new password.");
+        return;
+      }
+
+      // ✉️ ask for a reset link
+      if (authMode === "forgot") {
+        await authFetch("/api/auth/forgot-password", { body: { email } });
+        setAuthMode("login");
+        setAuthNotice(
+          "If an account exists for that address, we've emailed it a link to reset the password."
+        );
+        return;
+      }
+
+      const data = await authFetch(
+        authMode === "register" ? "/api/auth/register" : "/api/auth/login",
+        {
+          body:
+            authMode === "register"
+              ? { name, email, password }
+              : { email, password },
+        }
+      );
+
+      // ✅ store user + token
+      setAuthNotice(
+        authMode === "register"
+          ? `📧 We sent a link to ${data.user.email} to confirm your address.`
+          : ""
+      );
+      startSession(data);
+
+      // ✅ chats for THIS user are loaded by the effect watching `user`
+    } catch (err) {
+      console.error("Auth error:", err);
+      alert(err.status ? err.message : "Server error");
+    }
+  };
+
+  const handleLogout = async () => {
+    try {
+      // revokes the session on the server, so the token stops working
+      await authFetch("/api/auth/logout", { token });
+    } catch (err) {
+      console.error("Logout error:", err);
+    }
+    endSession();
+    setAuthNotice("");
+  };
+
+  // The account is gone on the server (its refresh cookie was cleared too)
+  const handleAccountDeleted = () => {
+    endSession();
+    setAuthMode("login");
+    setAuthNotice("Your account and all its data were deleted.");
+  };
 
+  const handleResendVerification = async () => {
     try {
-      const res = await fetch(endpoint, {
+      await apiFetch(token, "/api/auth/resend-verification", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(
-          authMode === "register"
-            ? { name, email, password }
-            : { email, password }
-        ),
       });
+      setAuthNotice(`📧 We sent a new link to ${user.email}.`);
+    } catch (err) {
+      setAuthNotice(`⚠️ ${err.message}`);
+    }
+  };
 
-      const data = await res.json();
-      if (!res.ok) {
-        alert(data.error || "Authentication failed");
+  // ---------- CHAT HELPERS ----------
+
+  // Store a message on the server. Saves run one after another, as a
+  // message without `parentId` follows the one saved before it; a local
+  // message (with `localId`) gets its id and place in the tree once saved.
+  const saveMessage = (chatId, message) => {
+    const { localId, ...body } = message;
+    saveQueueRef.current = saveQueueRef.current
+      .then(() =>
+        apiFetch(token, `/api/conversations/${chatId}/messages`, {
+          method: "POST",
+          body,
+        })
+      )
+      .then(({ message: saved }) => {
+        if (!localId) return;
+        updateMessage(chatId, localId, {
+          id: saved.id,
+          parentId: saved.parentId,
+          siblingIds: saved.siblingIds,
+        });
+      })
+      .catch((err) => console.error("Error saving message", err));
+    return saveQueueRef.current;
+  };
+
+  // Add a message to a chat in state and (unless `save` is false) store
+  // it; resolves once saved
+  const appendMessage = (chatId, message, { save = true } = {}) => {
+    setChats((prev) =>
+      prev.map((chat) =>
+        chat.id === chatId
+          ? { ...chat, messages: [...(chat.messages || []), message] }
+          : chat
+      )
+    );
+    if (save) return saveMessage(chatId, message);
+  };
+
+  // Patch a message added in this session (found by its `localId`) in state
+  const updateMessage = (chatId, localId, changes) => {
+    setChats((prev) =>
+      prev.map((chat) =>
+        chat.id === chatId
+          ? {
+              ...chat,
+              messages: (chat.messages || []).map((m) =>
+                m.localId === localId ? { ...m, ...changes } : m
+              ),
+            }
+          : chat
+      )
+    );
+  };
+
+  const updateChatTitle = (chatId, title) => {
+    setChats((prev) =>
+      prev.map((chat) => (chat.id === chatId ? { ...chat, title } : chat))
+    );
+    apiFetch(token, `/api/conversations/${chatId}`, {
+      method: "PATCH",
+      body: { title },
+    }).catch((err) => console.error("Error renaming chat", err));
+  };
+
+  // Remember the chat's advanced settings; errors are shown in the panel
+  const handleSaveGeneration = async (chatId, generation) => {
+    const data = await apiFetch(token, `/api/conversations/${chatId}`, {
+      method: "PATCH",
+      body: { generation },
+    });
+    setChats((prev) =>
+      prev.map((chat) =>
+        chat.id === chatId
+          ? { ...chat, generation: data.conversation.generation }
+          : chat
+      )
+    );
+  };
+
+  // ---------- NEW CHAT ----------
+  // New chat, optionally inside a project
+  const handleNewChat = async (projectId = null) => {
+    try {
+      const data = await apiFetch(token, "/api/conversations", {
+        method: "POST",
+        body: projectId ? { project: projectId } : {},
+      });
+      const newChat = toChat(data.conversation, []);
+      setChats((prev) => [...prev, newChat]);
+      setActiveChatId(newChat.id);
+      setMainPage(null);
+      setInput("");
+      setImageFile(null);
+      setImagePreview(null);
+      setSearchTerm("");
+    } catch (err) {
+      console.error("New chat error:", err);
+      alert(err.message || "Could not create chat");
+    }
+  };
+
+  // ---------- RENAME / DELETE CHAT ----------
+  const handleRenameChat = (chat) => {
+    const title = window.prompt("Rename chat", chat.title);
+    if (!title || !title.trim() || title.trim() === chat.title) return;
+    updateChatTitle(chat.id, title.trim());
+  };
+
+  const handleDeleteChat = async (chat) => {
+    if (!window.confirm(`Delete "${chat.title}"?`)) return;
+
+    try {
+      await apiFetch(token, `/api/conversations/${chat.id}`, {
+        method: "DELETE",
+      });
+    } catch (err) {
+      console.error("Delete chat error:", err);
+      alert(err.message || "Could not delete chat");
+      return;
+    }
+
+    const remaining = chats.filter((c) => c.id !== chat.id);
+    setChats(remaining);
+    if (chat.id === activeChat.id) {
+      setActiveChatId(remaining[remaining.length - 1]?.id ?? null);
+    }
+    if (remaining.length === 0) {
+      handleNewChat();
+    }
+  };
+
+  // ---------- PROJECTS ----------
+
+  // Move a chat into a project (or out of it with null)
+  const handleMoveChat = async (chat, projectId) => {
+    setMovingChatId(null);
+    if ((chat.project || null) === projectId) return;
+    try {
+      await apiFetch(token, `/api/conversations/${chat.id}`, {
+        method: "PATCH",
+        body: { project: projectId },
+      });
+      setChats((prev) =>
+        prev.map((c) => (c.id === chat.id ? { ...c, project: projectId } : c))
+      );
+    } catch (err) {
+      console.error("Move chat error:", err);
+      alert(err.message || "Could not move chat");
+    }
+  };
+
+  const handleProjectSaved = (saved) => {
+    setProjects((prev) =>
+      prev.some((p) => p.id === saved.id)
+        ? prev.map((p) => (p.id === saved.id ? saved : p))
+        : [...prev, saved]
+    );
+    // keep the form open so reference files can be added to a new project
+    setEditingProject(saved);
+  };
+
+  const handleProjectDeleted = (id) => {
+    setProjects((prev) => prev.filter((p) => p.id !== id));
+    // the backend keeps the chats and moves them out of the project
+    setChats((prev) =>
+      prev.map((c) => (c.project === id ? { ...c, project: null } : c))
+    );
+    setEditingProject(null);
+  };
+
+  const toggleProject = (id) =>
+    setCollapsedProjects((prev) => ({ ...prev, [id]: !prev[id] }));
+
+  // Library "reuse prompt": back to the chat in Image mode with the prompt
+  const handleReusePrompt = (prompt) => {
+    const imagePersona = personas.find((p) => p.kind === "image");
+    if (imagePersona) selectPersona(imagePersona);
+    setInput(prompt);
+    setMainPage(null);
+  };
+
+  // Export the active chat: Markdown / JSON download, or the print layout
+  // for a PDF
+  const handleExportChat = async (format) => {
+    if (format === "pdf") {
+      setMainPage("print");
+      return;
+    }
+    try {
+      await downloadFile(
+        token,
+        `/api/conversations/${activeChat.id}/export?format=${format}`,
+        `${activeChat.title}.${format}`
+      );
+    } catch (err) {
+      alert(err.message || "Could not export this chat");
+    }
+  };
+
+  // Chats imported on the account page join the sidebar in date order
+  const handleChatsImported = (conversations) => {
+    setChats((prev) =>
+      [...prev, ...conversations.map((c) => toChat(c))].sort(
+        (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+      )
+    );
+  };
+
+  // Open the message search page, starting with `query`
+  const openMessageSearch = (query) => {
+    setMessageQuery(query.trim());
+    setMainPage("search");
+  };
+
+  // Jump to a search result's message (switching to its branch if needed)
+  const handleOpenSearchResult = (result) => {
+    setActiveChatId(result.conversationId);
+    setMainPage(null);
+    setFocusMessageId(result.messageId);
+  };
+
+  // One chat in the sidebar tree, with rename / move / delete actions
+  const renderChatItem = (chat) => (
+    <li
+      key={chat.id}
+      className={chat.id === activeChat.id ? "chat-history-active" : ""}
+      onClick={() => {
+        setActiveChatId(chat.id);
+        setMainPage(null);
+      }}
+      onDoubleClick={() => handleRenameChat(chat)}
+      title={chat.title}
+    >
+      {movingChatId === chat.id ? (
+        <select
+          className="chat-move-select"
+          autoFocus
+          value={chat.project || ""}
+          onClick={(e) => e.stopPropagation()}
+          onChange={(e) => handleMoveChat(chat, e.target.value || null)}
+          onBlur={() => setMovingChatId(null)}
+        >
+          <option value="">No project</option>
+          {projects.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+      ) : (
+        <span className="chat-history-title">{chat.title}</span>
+      )}
+      <span className="chat-history-actions">
+        <button
+          type="button"
+          title="Rename chat"
+          onClick={(e) => {
+            e.stopPropagation();
+            handleRenameChat(chat);
+          }}
+        >
+          ✎
+        </button>
+        {projects.length > 0 && (
+          <button
+            type="button"
+            title="Move to project"
+            onClick={(e) => {
+              e.stopPropagation();
+              setMovingChatId(chat.id);
+            }}
+          >
+            ⇄
+          </button>
+        )}
+        <button
+          type="button"
+          title="Delete chat"
+          onClick={(e) => {
+            e.stopPropagation();
+            handleDeleteChat(chat);
+          }}
+        >
+          ✕
+        </button>
+      </span>
+    </li>
+  );
+
+  // ---------- CLEAR CURRENT CHAT ----------
+  const clearCurrentChat = async () => {
+    if (!activeChat.id) return;
+    const chatId = activeChat.id;
+
+    try {
+      await apiFetch(token, `/api/conversations/${chatId}/messages`, {
+        method: "DELETE",
+      });
+    } catch (err) {
+      console.error("Clear chat error:", err);
+      alert(err.message || "Could not clear chat");
+      return;
+    }
+
+    setChats((prev) =>
+      prev.map((chat) =>
+        chat.id === chatId
+          ? { ...chat, title: "New chat", summary: null, messages: [] }
+          : chat
+      )
+    );
+    setInput("");
+    setImageFile(null);
+    setImagePreview(null);
+  };
+
+  // ---------- SEND MESSAGE ----------
+
+  // Ask Falcon in chat `chatId` after the messages `history`: adds the
+  // question `userText` (with `attachedImage`) and streams the answer. With
+  // `userText` undefined only a new answer is fetched (regenerate).
+  // `parentId` places the first new message in the chat's tree (null: as a
+  // first message); left undefined, it continues the current path.
+  const askFalcon = async ({
+    chatId,
+    history,
+    userText,
+    attachedImage = null,
+    preview = null,
+    parentId,
+    providerId = provider,
+  }) => {
+    const isRegenerate = userText === undefined;
+    const branch = parentId !== undefined ? { parentId } : {};
+    setLoading(true);
+
+    // 1) Add user message to the chat. With an image it is stored once the
+    //    server has saved the upload (see the `attachment` event).
+    const userLocalId = `local-user-${Date.now()}`;
+    const userMessage = { sender: "user", text: userText, mode, ...branch };
+    let userSaved = true;
+    if (!isRegenerate) {
+      const saving = appendMessage(
+        chatId,
+        {
+          ...userMessage,
+          localId: userLocalId,
+          localPreview: attachedImage ? preview : undefined,
+        },
+        { save: !attachedImage }
+      );
+      userSaved = !attachedImage;
+      // a new branch may drop the chat's summary; the reply should see that
+      if (parentId !== undefined) await saving;
+    }
+
+    // 🔥 Special branch: IMAGE MODE (uses /api/image/generate)
+    if (isImageMode && !isRegenerate) {
+      try {
+        const data = await apiFetch(token, "/api/image/generate", {
+          method: "POST",
+          // the chat provider is used to enhance the prompt
+          body: { ...imageOptions, prompt: userText, provider: providerId },
+        });
+
+        // Add each generated image as a bot message; the images themselves
+        // are stored in the library on the server
+        data.images.forEach((image, i) => {
+          const lines = [
+            i === 0 &&
+              (data.images.length > 1
+                ? `Here are your ${data.images.length} generated images 🎨`
+                : "Here is your generated image 🎨"),
+            i === 0 && data.prompt !== userText && `**Prompt:** ${data.prompt}`,
+            `*Seed ${image.params.seed}*`,
+          ];
+          appendMessage(chatId, {
+            localId: `local-image-${Date.now()}-${i}`,
+            sender: "bot",
+            text: lines.filter(Boolean).join("\n\n"),
+            provider: data.backend,
+            mode,
+            imageUrl: image.url,
+          });
+        });
+      } catch (err) {
+        console.error("Image chat error:", err);
+        appendMessage(
+          chatId,
+          {
+            sender: "bot",
+            text: `⚠️ ${err.message || "Error contacting image server."}`,
+          },
+          { save: false }
+        );
+      } finally {
+        setLoading(false);
+        loadUsage();
+      }
+
+      // ❗ stop here for image mode
+      return;
+    }
+
+    // 🔁 Normal text chat for other modes (streamed token by token)
+    const localId = `local-${Date.now()}`;
+    appendMessage(
+      chatId,
+      {
+        localId,
+        sender: "bot",
+        text: "",
+        provider: providerId,
+        streaming: true,
+      },
+      { save: false }
+    );
+
+    let botText = "";
+    let usedProvider = providerId;
+    let sources = [];
+    let toolSteps = [];
+
+    // The reply as stored
+    const toReplyMessage = (changes) => ({
+      sender: "bot",
+      text: botText || "Hmm, I couldn't reply.",
+      provider: usedProvider,
+      mode,
+      // a regenerated answer is an alternative to the old one
+      ...(isRegenerate ? branch : {}),
+      ...(sources.length > 0 ? { sources } : {}),
+      ...(toolSteps.length > 0 ? { toolSteps } : {}),
+      ...changes,
+    });
+
+    try {
+      // the persona's system prompt is added by the server
+      const formattedMessages = toChatHistory(history);
+      if (!isRegenerate) {
+        formattedMessages.push({ role: "user", content: userText });
+      }
+
+      let streamError = null;
+
+      // Study mode answers from the selected documents
+      const documentIds = mode === "study" ? studyDocumentIds : [];
+
+      // The chat's advanced settings (model, temperature, …)
+      const params = toGenerationParams(
+        chats.find((chat) => chat.id === chatId)?.generation,
+        providers.find((p) => p.id === providerId)
+      );
+
+      // Attached image → multipart upload, messages as a JSON string
+      let body = {
+        provider: providerId,
+        personaId: mode,
+        conversationId: chatId,
+        messages: formattedMessages,
+        documentIds,
+        ...params,
+      };
+      if (attachedImage) {
+        body = new FormData();
+        body.append("provider", providerId);
+        body.append("personaId", mode);
+        body.append("conversationId", chatId);
+        body.append("messages", JSON.stringify(formattedMessages));
+        body.append("documentIds", JSON.stringify(documentIds));
+        for (const [key, value] of Object.entries(params)) {
+          body.append(
+            key,
+            typeof value === "string" ? value : JSON.stringify(value)
+          );
+        }
+        body.append("image", attachedImage);
+      }
+
+      // 2) Grow the bot bubble as tokens arrive (until Stop aborts it)
+      const controller = new AbortController();
+      stopRef.current = controller;
+      await streamFetch(
+        token,
+        "/api/chat/stream",
+        body,
+        (event, data) => {
+          if (event === "attachment") {
+            updateMessage(chatId, userLocalId, { attachments: [data] });
+            saveMessage(chatId, {
+              ...userMessage,
+              localId: userLocalId,
+              attachments: [data.id],
+            });
+            userSaved = true;
+          } else if (event === "context") {
+            // older messages may have just been folded into the summary
+            setChats((prev) =>
+              prev.map((chat) =>
+                chat.id === chatId ? { ...chat, summary: data.summary } : chat
+              )
+            );
+          } else if (event === "sources") {
+            sources = data;
+            updateMessage(chatId, localId, { sources });
+          } else if (event === "tool_call") {
+            toolSteps = [...toolSteps, data];
+            updateMessage(chatId, localId, { toolSteps });
+          } else if (event === "tool_result") {
+            toolSteps = toolSteps.map((step) =>
+              step.id === data.id ? data : step
+            );
+            updateMessage(chatId, localId, { toolSteps });
+          } else if (event === "delta") {
+            botText += data.text;
+            updateMessage(chatId, localId, { text: botText });
+          } else if (event === "done") {
+            usedProvider = data.provider ?? providerId;
+          } else if (event === "error") {
+            streamError = data.error || "Error contacting AI service";
+          }
+        },
+        { signal: controller.signal }
+      );
+
+      // 3) Mark the reply complete and store it
+      if (streamError) {
+        updateMessage(chatId, localId, {
+          text: botText
+            ? `${botText}\n\n⚠️ ${streamError}`
+            : `⚠️ ${streamError}`,
+          streaming: false,
+        });
         return;
       }
 
-      // ✅ store user + token
-      setUser(data.user);
-      setToken(data.token);
-      localStorage.setItem(
-        "wikum_ai_user",
-        JSON.stringify({ user: data.user, token: data.token })
+      const finalMessage = toReplyMessage();
+      updateMessage(chatId, localId, { ...finalMessage, streaming: false });
+      if (botText) saveMessage(chatId, { ...finalMessage, localId });
+
+      speakText(finalMessage.text);
+    } catch (err) {
+      if (err.name === "AbortError") {
+        // ⏹ Stopped: keep what arrived so far, marked as interrupted
+        const stopped = toReplyMessage({ text: botText, interrupted: true });
+        updateMessage(chatId, localId, { ...stopped, streaming: false });
+        if (botText) saveMessage(chatId, { ...stopped, localId });
+        return;
+      }
+      console.error("Chat error:", err);
+      updateMessage(chatId, localId, {
+        // backend errors (e.g. image too large) are worth showing as-is
+        text: err.status ? `⚠️ ${err.message}` : "⚠️ Error contacting server.",
+        streaming: false,
+      });
+    } finally {
+      // keep the question even if its image wasn't stored (rejected, or
+      // the reply failed or was stopped)
+      if (!userSaved && userText) {
+        saveMessage(chatId, { ...userMessage, localId: userLocalId });
+      }
+      stopRef.current = null;
+      setLoading(false);
+      loadUsage();
+    }
+  };
+
+  // Patch a compare message: `update(compare)` returns its new state
+  const updateCompare = (chatId, localId, update) => {
+    setChats((prev) =>
+      prev.map((chat) =>
+        chat.id === chatId
+          ? {
+              ...chat,
+              messages: (chat.messages || []).map((m) =>
+                m.localId === localId && m.compare
+                  ? { ...m, compare: update(m.compare) }
+                  : m
+              ),
+            }
+          : chat
+      )
+    );
+  };
+
+  // Patch one provider's answer of a compare message
+  const updateCompareAnswer = (chatId, localId, providerId, changes) =>
+    updateCompare(chatId, localId, (compare) => ({
+      ...compare,
+      answers: {
+        ...compare.answers,
+        [providerId]: { ...compare.answers[providerId], ...changes },
+      },
+    }));
+
+  // Compare mode: ask the `compareProviders` in parallel and show their
+  // answers side by side until one is kept (see handleKeepAnswer)
+  const askCompare = async ({ chatId, history, userText }) => {
+    setLoading(true);
+
+    const userLocalId = `local-user-${Date.now()}`;
+    appendMessage(chatId, {
+      sender: "user",
+      text: userText,
+      mode,
+      localId: userLocalId,
+    });
+
+    const localId = `local-compare-${Date.now()}`;
+    const answers = Object.fromEntries(
+      compareProviders.map((id) => [id, { text: "", status: "streaming" }])
+    );
+    appendMessage(
+      chatId,
+      {
+        localId,
+        sender: "bot",
+        text: "",
+        streaming: true,
+        compare: { questionLocalId: userLocalId, answers, sources: [] },
+      },
+      { save: false }
+    );
+
+    const texts = {};
+    const controller = new AbortController();
+    stopRef.current = controller;
+    try {
+      await streamFetch(
+        token,
+        "/api/chat/compare",
+        {
+          providers: compareProviders,
+          personaId: mode,
+          conversationId: chatId,
+          messages: [
+            ...toChatHistory(history),
+            { role: "user", content: userText },
+          ],
+          documentIds: mode === "study" ? studyDocumentIds : [],
+          // the model is per provider, so compare mode leaves it out
+          ...toGenerationParams(
+            chats.find((chat) => chat.id === chatId)?.generation
+          ),
+        },
+        (event, data) => {
+          if (event === "context") {
+            setChats((prev) =>
+              prev.map((chat) =>
+                chat.id === chatId ? { ...chat, summary: data.summary } : chat
+              )
+            );
+          } else if (event === "sources") {
+            updateCompare(chatId, localId, (compare) => ({
+              ...compare,
+              sources: data,
+            }));
+          } else if (event === "delta") {
+            texts[data.provider] = (texts[data.provider] || "") + data.text;
+            updateCompareAnswer(chatId, localId, data.provider, {
+              text: texts[data.provider],
+            });
+          } else if (event === "done") {
+            const { provider: providerId, ...stats } = data;
+            updateCompareAnswer(chatId, localId, providerId, {
+              ...stats,
+              status: "done",
+            });
+          } else if (event === "error") {
+            updateCompareAnswer(chatId, localId, data.provider, {
+              status: "error",
+              error: data.error,
+            });
+          }
+        },
+        { signal: controller.signal }
+      );
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error("Compare error:", err);
+      updateMessage(chatId, localId, {
+        compare: undefined,
+        text: err.status ? `⚠️ ${err.message}` : "⚠️ Error contacting server.",
+      });
+    } finally {
+      // answers still coming when the stream ended: stopped, or lost
+      const unfinished = controller.signal.aborted
+        ? { status: "interrupted" }
+        : { status: "error", error: "No answer" };
+      updateCompare(chatId, localId, (compare) => ({
+        ...compare,
+        answers: Object.fromEntries(
+          Object.entries(compare.answers).map(([id, a]) => [
+            id,
+            a.status === "streaming" ? { ...a, ...unfinished } : a,
+          ])
+        ),
+      }));
+      updateMessage(chatId, localId, { streaming: false });
+      stopRef.current = null;
+      setLoading(false);
+      loadUsage();
+    }
+  };
+
+  // Continue the chat with one compare answer. The others are kept as
+  // alternative versions of it ("‹ 2/3 ›"); the chosen one is saved last,
+  // so it is the one the chat continues from.
+  const handleKeepAnswer = (message, providerId) => {
+    const chatId = activeChat.id;
+    const { questionLocalId, answers, sources } = message.compare;
+    const question = activeMessages.find((m) => m.localId === questionLocalId);
+    if (!question?.id) {
+      alert("Your question is still being saved, try again in a moment.");
+      return;
+    }
+
+    const toAnswerMessage = (id) => ({
+      sender: "bot",
+      text: answers[id].text,
+      provider: id,
+      mode: question.mode,
+      parentId: question.id,
+      ...(answers[id].status === "interrupted" ? { interrupted: true } : {}),
+      ...(sources.length > 0 ? { sources } : {}),
+    });
+    Object.entries(answers)
+      .filter(([id, a]) => id !== providerId && a.status !== "error" && a.text)
+      .forEach(([id]) => saveMessage(chatId, toAnswerMessage(id)));
+
+    const kept = toAnswerMessage(providerId);
+    updateMessage(chatId, message.localId, { ...kept, compare: undefined });
+    saveMessage(chatId, { ...kept, localId: message.localId });
+  };
+
+  // ⏹ Stop: abort the reply being streamed; the backend then cancels the
+  // provider request
+  const stopGenerating = () => stopRef.current?.abort();
+
+  const sendMessage = async (e) => {
+    e.preventDefault();
+    if ((!input.trim() && !imageFile) || loading) return;
+    // wait until the chat (and its history) has loaded
+    if (!activeChat.id || !activeChat.messages) return;
+
+    const userText = input.trim() || "";
+    // images are only sent to the chat model, not in image mode
+    const attachedImage = isImageMode ? null : imageFile;
+
+    // First user message -> use it as chat title
+    if (activeChat.title === "New chat") {
+      const trimmed =
+        userText.replace(/\s+/g, " ").trim() || attachedImage?.name || "Image";
+      updateChatTitle(
+        activeChat.id,
+        trimmed.length > 40 ? trimmed.slice(0, 40) + "..." : trimmed
       );
+    }
 
-      // ✅ After login/register, load or create chats for THIS user
-      const chatsKey = getChatsKey(data.user.email);
-      const existing = localStorage.getItem(chatsKey);
-
-      if (existing) {
-        try {
-          const parsed = JSON.parse(existing);
-          if (Array.isArray(parsed) && parsed.length > 0) {
-            setChats(parsed);
-            setActiveChatId(parsed[0].id);
-            return;
-          }
-        } catch (err) {
-          console.error("Error parsing existing user chats", err);
-        }
+    if (compareProviders && !isImageMode) {
+      if (compareProviders.length < 2) {
+        alert("Pick at least 2 providers to compare.");
+        return;
+      }
+      if (attachedImage) {
+        alert("Compare mode can't send images; remove the image first.");
+        return;
       }
-
-      // No saved chats (new user or first time) → fresh chat
-      const freshChat = createNewChat();
-      setChats([freshChat]);
-      setActiveChatId(freshChat.id);
-      localStorage.setItem(chatsKey, JSON.stringify([freshChat]));
-    } catch (err) {
-      console.error("Auth error:", err);
-      alert("Server error");
     }
-  };
-
-  const handleLogout = () => {
-    setUser(null);
-    setToken(null);
-    localStorage.removeItem("wikum_ai_user");
-    // keep chats in localStorage per user, so when they log in again they come back
-  };
 
-  // ---------- NEW CHAT ----------
-  const handleNewChat = () => {
-    const newChat = createNewChat();
-    setChats((prev) => [...prev, newChat]);
-    setActiveChatId(newChat.id);
     setInput("");
     setImageFile(null);
     setImagePreview(null);
-    setSearchTerm("");
+
+    if (compareProviders && !isImageMode) {
+      await askCompare({
+        chatId: activeChat.id,
+        history: activeChat.messages,
+        userText,
+      });
+      return;
+    }
+    await askFalcon({
+      chatId: activeChat.id,
+      history: activeChat.messages,
+      userText,
+      attachedImage,
+      preview: imagePreview,
+    });
   };
 
-  // ---------- CLEAR CURRENT CHAT ----------
-  const clearCurrentChat = () => {
-    if (!activeChat) return;
+  // ---------- EDIT / REGENERATE / BRANCHES ----------
+
+  // Show only the messages before `message`, where a new version of it is
+  // about to be added
+  const truncateBefore = (message) => {
+    const index = activeMessages.indexOf(message);
+    const history = activeMessages.slice(0, index);
     setChats((prev) =>
       prev.map((chat) =>
         chat.id === activeChat.id
           ? {
               ...chat,
-              title: "New chat",
-              messages: [
-                {
-                  sender: "bot",
-                  text: "Hi! I'm your Falcon AI 🤖. Ask me anything!",
-                  provider: "groq",
-                },
-              ],
+              messages: history,
+              // the summary belonged to the old branch
+              summary: chat.summary?.messageCount > index ? null : chat.summary,
             }
           : chat
       )
     );
-    setInput("");
-    setImageFile(null);
-    setImagePreview(null);
+    return history;
   };
 
-  // ---------- SEND MESSAGE ----------
-  const sendMessage = async (e) => {
-    e.preventDefault();
-    if ((!input.trim() && !imageFile) || loading || !activeChat) return;
-
-    let userText = input.trim() || "";
+  // Send an edited question as a new version of `message` (its sibling),
+  // answered from the messages before it
+  const handleEditMessage = (message, text) => {
+    setEditingMessageId(null);
+    askFalcon({
+      chatId: activeChat.id,
+      history: truncateBefore(message),
+      userText: text,
+      parentId: message.parentId,
+    });
+  };
 
-    if (imageFile) {
-      userText += `\n\n[User has attached an image: "${imageFile.name}". Backend cannot see the actual pixels.]`;
-    }
+  // Ask again for the answer `message`, optionally from another provider;
+  // the new answer is its sibling
+  const handleRegenerate = (message, providerId = provider) => {
+    askFalcon({
+      chatId: activeChat.id,
+      history: truncateBefore(message),
+      parentId: message.parentId,
+      providerId,
+    });
+  };
 
-    // 1) Add user message to the active chat
+  // Show the path through `messageId` (e.g. another version from
+  // "‹ 2/3 ›"), continuing down its newest messages
+  const switchBranch = async (chatId, messageId) => {
+    const data = await apiFetch(
+      token,
+      `/api/conversations/${chatId}/messages/current`,
+      { method: "PUT", body: { messageId } }
+    );
     setChats((prev) =>
-      prev.map((chat) => {
-        if (chat.id !== activeChat.id) return chat;
-
-        const newMessages = [
-          ...chat.messages,
-          { sender: "user", text: userText },
-        ];
-
-        // First user message -> use it as chat title
-        let newTitle = chat.title;
-        if (newTitle === "New chat") {
-          const trimmed = userText.replace(/\s+/g, " ").trim();
-          newTitle =
-            trimmed.length > 40 ? trimmed.slice(0, 40) + "..." : trimmed;
-        }
-
-        return { ...chat, messages: newMessages, title: newTitle };
-      })
+      prev.map((chat) =>
+        chat.id === chatId
+          ? {
+              ...chat,
+              messages: data.messages,
+              summary: data.conversation.summary,
+            }
+          : chat
+      )
     );
+  };
 
-    setInput("");
-    setImageFile(null);
-    setImagePreview(null);
-    setLoading(true);
-
-    // 🔥 Special branch: IMAGE MODE (uses /api/image/generate)
-    if (mode === "image") {
-      try {
-        const res = await fetch(`${API_BASE}/api/image/generate`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: token ? `Bearer ${token}` : "",
-          },
-          body: JSON.stringify({ prompt: userText }),
-        });
-
-        const data = await res.json();
-
-        if (!res.ok || !data.imageBase64) {
-          const errMsg = data.error || "Image generation failed.";
-          setChats((prev) =>
-            prev.map((chat) =>
-              chat.id === activeChat.id
-                ? {
-                    ...chat,
-                    messages: [
-                      ...chat.messages,
-                      { sender: "bot", text: `⚠️ ${errMsg}` },
-                    ],
-                  }
-                : chat
-            )
-          );
-        } else {
-          // Add generated image as a bot message
-          setChats((prev) =>
-            prev.map((chat) =>
-              chat.id === activeChat.id
-                ? {
-                    ...chat,
-                    messages: [
-                      ...chat.messages,
-                      {
-                        sender: "bot",
-                        text: "Here is your generated image 🎨",
-                        provider: "huggingface",
-                        imageUrl: data.imageBase64, // base64 image
-                      },
-                    ],
-                  }
-                : chat
-            )
-          );
-        }
-      } catch (err) {
-        console.error("Image chat error:", err);
-        setChats((prev) =>
-          prev.map((chat) =>
-            chat.id === activeChat.id
-              ? {
-                  ...chat,
-                  messages: [
-                    ...chat.messages,
-                    {
-                      sender: "bot",
-                      text: "⚠️ Error contacting image server.",
-                    },
-                  ],
-                }
-              : chat
-          )
-        );
-      } finally {
-        setLoading(false);
-      }
-
-      // ❗ stop here for image mode
-      return;
-    }
-
-    // 🔁 Normal text chat for other modes
-    try {
-      const historyMessages = activeChat.messages;
-
-      const formattedMessages = [
-        { role: "system", content: getSystemPrompt() },
-        ...historyMessages.map((m) => ({
-          role: m.sender === "user" ? "user" : "assistant",
-          content: m.text,
-        })),
-        { role: "user", content: userText },
-      ];
-
-      const res = await fetch(`${API_BASE}/api/chat`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: token ? `Bearer ${token}` : "",
-        },
-        body: JSON.stringify({
-          provider,
-          messages: formattedMessages,
-        }),
-      });
-
-      const data = await res.json();
-      const botText = data.reply || data.error || "Hmm, I couldn't reply.";
-
-      // 2) Add bot message to the same chat
-      setChats((prev) =>
-        prev.map((chat) =>
-          chat.id === activeChat.id
-            ? {
-                ...chat,
-                messages: [
-                  ...chat.messages,
-                  {
-                    sender: "bot",
-                    text: botText,
-                    provider: data.provider ?? provider,
-                  },
-                ],
-              }
-            : chat
-        )
-      );
-
-      speakText(botText);
-    } catch (err) {
-      console.error("Chat error:", err);
-      setChats((prev) =>
-        prev.map((chat) =>
-          chat.id === activeChat.id
-            ? {
-                ...chat,
-                messages: [
-                  ...chat.messages,
-                  {
-                    sender: "bot",
-                    text: "⚠️ Error contacting server.",
-                  },
-                ],
-              }
-            : chat
-        )
-      );
-    } finally {
-      setLoading(false);
-    }
+  const handleSwitchBranch = (messageId) => {
+    switchBranch(activeChat.id, messageId).catch((err) =>
+      alert(err.message || "Could not show that version")
+    );
   };
 
   const handleImageChange = (e) => {
     const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
     if (!file) return;
+
+    // same limits the backend enforces
+    if (!IMAGE_TYPES.includes(file.type)) {
+      alert("Please attach a PNG, JPEG, WebP or GIF image.");
+      return;
+    }
+    if (file.size > MAX_IMAGE_MB * 1024 * 1024) {
+      alert(`Images can be at most ${MAX_IMAGE_MB} MB.`);
+      return;
+    }
     setImageFile(file);
 
     const reader = new FileReader();
@@ -581,10 +1573,18 @@ function App() {
     reader.readAsDataURL(file);
   };
 
+  // =====================================================
+  //  SHARED CHAT: read-only, logged in or not
+  // =====================================================
+  if (shareToken) {
+    return <SharedChatView shareToken={shareToken} />;
+  }
+
   // =====================================================
   //  AUTH SCREEN: if not logged in, show login/register
   // =====================================================
-  if (!user || !token) {
+  // (a password reset link shows this screen even when logged in)
+  if (!user || !token || authMode === "reset") {
     return (
       <div className="auth-container">
         <div className="auth-card">
@@ -619,8 +1619,15 @@ function App() {
             </button>
           </div>
 
+          {authNotice && <p className="auth-notice">{authNotice}</p>}
+
           {/* Form */}
-          <form onSubmit={handleAuthSubmit} className="auth-form">
+          <form
+            // new fields for every mode, so the browser doesn't keep values
+            key={authMode}
+            onSubmit={handleAuthSubmit}
+            className="auth-form"
+          >
             {authMode === "register" && (
               <input
                 name="name"
@@ -629,24 +1636,73 @@ function App() {
                 required
               />
             )}
-            <input
-              name="email"
-              type="email"
-              placeholder="Email"
-              className="auth-input"
-              required
-            />
-            <input
-              name="password"
-              type="password"
-              placeholder="Password (min 6 characters)"
-              className="auth-input"
-              required
-            />
+            {authMode !== "reset" && (
+              <input
+                name="email"
+                type="email"
+                placeholder="Email"
+                className="auth-input"
+                required
+              />
+            )}
+            {authMode !== "forgot" && (
+              <input
+                name="password"
+                type="password"
+                placeholder={
+                  authMode === "reset"
+                    ? "New password (min 6 characters)"
+                    : "Password (min 6 characters)"
+                }
+                className="auth-input"
+                required
+              />
+            )}
+            {authMode === "reset" && (
+              <input
+                name="confirm"
+                type="password"
+                placeholder="Repeat the new password"
+                className="auth-input"
+                required
+              />
+            )}
             <button type="submit" className="auth-button">
-              {authMode === "login" ? "Log in" : "Create account"}
+              {
+                {
+                  login: "Log in",
+                  register: "Create account",
+                  forgot: "Email me a reset link",
+                  reset: "Set new password",
+                }[authMode]
+              }
             </button>
           </form>
+
+          {authMode === "login" && (
+            <button
+              type="button"
+              className="auth-link"
+              onClick={() => {
+                setAuthNotice("");
+                setAuthMode("forgot");
+              }}
+            >
+              Forgot your password?
+            </button>
+          )}
+          {(authMode === "forgot" || authMode === "reset") && (
+            <button
+              type="button"
+              className="auth-link"
+              onClick={() => {
+                setResetToken(null);
+                setAuthMode("login");
+              }}
+            >
+              Back to log in
+            </button>
+          )}
         </div>
       </div>
     );
@@ -679,16 +1735,35 @@ function App() {
                 onChange={(e) => setProvider(e.target.value)}
                 className="mode-btn provider-select"
               >
-                <option value="groq">Groq · LLaMA 3.1</option>
-                <option value="gemini">Gemini · 2.0 Flash</option>
-                <option value="deepseek">DeepSeek · Chat</option>
-                <option value="huggingface">HuggingFace · BlenderBot</option>
+                {providers.length === 0 && (
+                  <option value={provider}>Loading providers…</option>
+                )}
+                {providers.map((p) => (
+                  <option key={p.id} value={p.id} disabled={!p.available}>
+                    {p.available ? p.label : `${p.label} (not configured)`}
+                  </option>
+                ))}
               </select>
+
+              <button
+                type="button"
+                className="custom-provider-toggle"
+                onClick={() => setShowCustomProvider((v) => !v)}
+              >
+                ⚙ Custom model server
+              </button>
+              {showCustomProvider && (
+                <CustomProviderSettings
+                  token={token}
+                  onSaved={loadProviders}
+                  onClose={() => setShowCustomProvider(false)}
+                />
+              )}
             </div>
 
             {/* Main nav like ChatGPT */}
             <nav className="sidebar-main-nav">
-              <button className="nav-item" onClick={handleNewChat}>
+              <button className="nav-item" onClick={() => handleNewChat()}>
                 <span className="nav-icon">＋</span>
                 <span>New chat</span>
               </button>
@@ -698,25 +1773,39 @@ function App() {
                 <input
                   className="nav-search-input"
                   placeholder="Search chats"
+                  title="Press Enter to search inside messages"
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") openMessageSearch(searchTerm);
+                  }}
                 />
               </div>
 
               <button
                 className="nav-item"
-                onClick={() => alert("Library coming soon 🕮")}
+                onClick={() => setMainPage("library")}
               >
                 <span className="nav-icon">🕮</span>
                 <span>Library</span>
               </button>
 
+              {user?.role === "admin" && (
+                <button
+                  className="nav-item"
+                  onClick={() => setMainPage("admin")}
+                >
+                  <span className="nav-icon">🛡</span>
+                  <span>Admin</span>
+                </button>
+              )}
+
               <button
                 className="nav-item"
-                onClick={() => alert("Projects coming soon 🖿")}
+                onClick={() => setEditingProject("new")}
               >
                 <span className="nav-icon">🖿</span>
-                <span>Projects</span>
+                <span>New project</span>
               </button>
 
               <button className="nav-item" onClick={clearCurrentChat}>
@@ -725,28 +1814,97 @@ function App() {
               </button>
             </nav>
 
-            {/* Your chats list (each chat = folder) */}
+            {/* Project settings / new project form */}
+            {editingProject && (
+              <ProjectSettings
+                // remount when switching between projects
+                key={editingProject === "new" ? "new" : editingProject.id}
+                token={token}
+                project={editingProject === "new" ? null : editingProject}
+                onSaved={handleProjectSaved}
+                onDeleted={handleProjectDeleted}
+                onClose={() => setEditingProject(null)}
+              />
+            )}
+
+            {/* Your chats: projects (collapsible) with their chats, then the
+                chats that aren't in a project */}
             <div className="sidebar-section">
               <h3>Your chats</h3>
               <ul className="chat-history-list">
+                {projects.map((project) => {
+                  const projectChats = filteredChats.filter(
+                    (c) => c.project === project.id
+                  );
+                  if (searchTerm && projectChats.length === 0) return null;
+                  const collapsed = collapsedProjects[project.id];
+
+                  return (
+                    <li key={project.id} className="project-node">
+                      <div
+                        className="project-row"
+                        onClick={() => toggleProject(project.id)}
+                        title={project.name}
+                      >
+                        <span className="project-caret">
+                          {collapsed ? "▸" : "▾"}
+                        </span>
+                        <span className="chat-history-title">
+                          🖿 {project.name}
+                        </span>
+                        <span className="chat-history-actions">
+                          <button
+                            type="button"
+                            title="New chat in this project"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleNewChat(project.id);
+                            }}
+                          >
+                            ＋
+                          </button>
+                          <button
+                            type="button"
+                            title="Project settings"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setEditingProject(project);
+                            }}
+                          >
+                            ⚙
+                          </button>
+                        </span>
+                      </div>
+                      {!collapsed && (
+                        <ul className="chat-history-list project-chats">
+                          {projectChats.slice().reverse().map(renderChatItem)}
+                          {projectChats.length === 0 && (
+                            <li className="chat-history-empty">
+                              No chats in this project.
+                            </li>
+                          )}
+                        </ul>
+                      )}
+                    </li>
+                  );
+                })}
+
                 {filteredChats
+                  .filter((c) => !c.project)
                   .slice()
                   .reverse()
-                  .map((chat) => (
-                    <li
-                      key={chat.id}
-                      className={
-                        chat.id === activeChat.id ? "chat-history-active" : ""
-                      }
-                      onClick={() => setActiveChatId(chat.id)}
-                      title={chat.title}
-                    >
-                      {chat.title}
-                    </li>
-                  ))}
+                  .map(renderChatItem)}
                 {filteredChats.length === 0 && (
                   <li className="chat-history-empty">No chats yet.</li>
                 )}
+                {searchTerm.trim() && (
+                  <li
+                    className="chat-history-search"
+                    onClick={() => openMessageSearch(searchTerm)}
+                  >
+                    🔍︎ Search messages for “{searchTerm.trim()}”
+                  </li>
+                )}
               </ul>
             </div>
 
@@ -754,25 +1912,77 @@ function App() {
             <div className="sidebar-section">
               <h3>Modes</h3>
               <div className="modes-wrap">
-                {[
-                  { id: "general", label: "General" },
-                  { id: "coding", label: "Coding" },
-                  { id: "study", label: "Study" },
-                  { id: "cv", label: "CV & Careers" },
-                  { id: "sinhala", label: "සිංහල" },
-                  { id: "image", label: "Images" },
-                ].map((m) => (
-                  <button
-                    key={m.id}
-                    onClick={() => setMode(m.id)}
-                    className={`mode-btn ${mode === m.id ? "active" : ""}`}
-                  >
-                    {m.label}
-                  </button>
+                {personas.map((m) => (
+                  <div key={m.id} className="mode-item">
+                    <button
+                      onClick={() => selectPersona(m)}
+                      className={`mode-btn ${mode === m.id ? "active" : ""}`}
+                      title={
+                        m.ownerName && !m.mine
+                          ? `Shared by ${m.ownerName}`
+                          : undefined
+                      }
+                    >
+                      {m.icon} {m.name}
+                    </button>
+                    {m.mine ? (
+                      <button
+                        type="button"
+                        className="mode-edit"
+                        title="Edit persona"
+                        onClick={() => setEditingPersona(m)}
+                      >
+                        ✎
+                      </button>
+                    ) : (
+                      !m.builtIn && (
+                        <button
+                          type="button"
+                          className="mode-edit"
+                          title="Copy to my personas"
+                          onClick={() => handleCopyPersona(m)}
+                        >
+                          ⧉
+                        </button>
+                      )
+                    )}
+                  </div>
                 ))}
               </div>
+              <button
+                type="button"
+                className="custom-provider-toggle"
+                onClick={() => setEditingPersona("new")}
+              >
+                ＋ New persona
+              </button>
+              {editingPersona && (
+                <PersonaSettings
+                  // remount when switching between personas
+                  key={editingPersona === "new" ? "new" : editingPersona.id}
+                  token={token}
+                  persona={editingPersona === "new" ? null : editingPersona}
+                  providers={providers}
+                  variables={templateVariables}
+                  onSaved={handlePersonaSaved}
+                  onDeleted={handlePersonaDeleted}
+                  onClose={() => setEditingPersona(null)}
+                />
+              )}
             </div>
 
+            {/* 📚 Study documents (Study mode only) */}
+            {mode === "study" && (
+              <div className="sidebar-section">
+                <h3>Study documents</h3>
+                <StudyDocuments
+                  token={token}
+                  selectedIds={studyDocumentIds}
+                  onSelectedChange={setStudyDocumentIds}
+                />
+              </div>
+            )}
+
             {/* 🌦 Weather widget */}
             <div className="sidebar-section">
               <h3>Weather</h3>
@@ -875,7 +2085,21 @@ function App() {
                 <div className="profile-plan">
                   {user?.email || "Email not set"}
                 </div>
+                {usage && (
+                  <div className="profile-plan profile-quota">
+                    {isImageMode
+                      ? formatQuota(usage.quotas.images, "images")
+                      : formatQuota(usage.quotas.messages, "messages")}
+                  </div>
+                )}
               </div>
+              <button
+                className="profile-settings"
+                title="Account settings"
+                onClick={() => setMainPage("account")}
+              >
+                ⚙
+              </button>
               <button className="profile-upgrade" onClick={handleLogout}>
                 Logout
               </button>
@@ -885,8 +2109,75 @@ function App() {
 
         {/* 🔹 MAIN CHAT AREA */}
         <main className="chat-area">
-          {/* Home screen when no user messages in this chat */}
-          {!hasUserMessages ? (
+          {/* 📧 Email confirmation reminder / auth messages */}
+          {(authNotice || user.emailVerified === false) && (
+            <div className="auth-banner">
+              <span>
+                {authNotice ||
+                  `📧 Please confirm your email address: we sent a link to ${user.email}.`}
+              </span>
+              {!authNotice && (
+                <button type="button" onClick={handleResendVerification}>
+                  Resend link
+                </button>
+              )}
+              {authNotice && (
+                <button type="button" onClick={() => setAuthNotice("")}>
+                  ✕
+                </button>
+              )}
+            </div>
+          )}
+          {/* Library of generated images, or the home screen when there are
+              no user messages in this chat */}
+          {mainPage === "library" ? (
+            <Library
+              token={token}
+              onReusePrompt={handleReusePrompt}
+              onClose={() => setMainPage(null)}
+            />
+          ) : mainPage === "account" ? (
+            <AccountSettings
+              token={token}
+              user={user}
+              onUserChange={(saved) =>
+                setUser(saveStoredUser({ ...user, ...saved }))
+              }
+              onChatsImported={handleChatsImported}
+              onDeleted={handleAccountDeleted}
+              onClose={() => setMainPage(null)}
+            />
+          ) : mainPage === "admin" ? (
+            <AdminDashboard
+              token={token}
+              currentUserId={user.id}
+              onClose={() => setMainPage(null)}
+            />
+          ) : mainPage === "share" ? (
+            <ShareChat
+              token={token}
+              chat={activeChat}
+              onClose={() => setMainPage(null)}
+            />
+          ) : mainPage === "search" ? (
+            <MessageSearch
+              key={messageQuery}
+              token={token}
+              initialQuery={messageQuery}
+              personas={personas}
+              providers={providers}
+              onOpenResult={handleOpenSearchResult}
+              onClose={() => setMainPage(null)}
+            />
+          ) : mainPage === "print" ? (
+            <PrintableChat
+              token={token}
+              chat={activeChat}
+              messages={activeMessages}
+              providers={providers}
+              onClose={() => setMainPage(null)}
+            />
+          ) : !hasUserMessages ? (
             <div className="home-hero">
               <h1 className="home-title">Where should we begin?</h1>
               <p className="home-subtitle">
@@ -910,38 +2201,119 @@ function App() {
                     ⮞
                   </button>
                 </div>
+                {isImageMode && (
+                  <ImageOptions
+                    token={token}
+                    options={imageOptions}
+                    onChange={setImageOptions}
+                  />
+                )}
               </form>
             </div>
           ) : (
             <>
-              <header>
-                <h2>Falcon Chat</h2>
-                <p className="subtitle">
-                  Ask coding questions, study help, CV tips, translations, or
-                  image ideas.
-                </p>
+              <header className="chat-header">
+                <div>
+                  <h2>Falcon Chat</h2>
+                  <p className="subtitle">
+                    Ask coding questions, study help, CV tips, translations, or
+                    image ideas.
+                  </p>
+                </div>
+                <div className="chat-header-actions">
+                  <button
+                    type="button"
+                    className={`chat-header-action${Object.keys(activeChat.generation || {}).length > 0 ? " chat-header-action-active" : ""}`}
+                    title="Model and generation settings for this chat"
+                    onClick={() => setShowGenerationSettings((open) => !open)}
+                  >
+                    ⚙ Advanced
+                  </button>
+                  <button
+                    type="button"
+                    className="chat-header-action"
+                    title="Share a read-only link to this chat"
+                    onClick={() => setMainPage("share")}
+                  >
+                    🔗 Share
+                  </button>
+                  <select
+                    className="chat-header-action"
+                    value=""
+                    title="Export this chat"
+                    onChange={(e) => handleExportChat(e.target.value)}
+                  >
+                    <option value="" disabled>
+                      ⤓ Export
+                    </option>
+                    <option value="md">Markdown</option>
+                    <option value="json">JSON</option>
+                    <option value="pdf">PDF (print)</option>
+                  </select>
+                </div>
               </header>
 
+              {/* ⚙ Advanced settings, remembered per chat */}
+              {showGenerationSettings && (
+                <GenerationSettings
+                  key={activeChat.id}
+                  generation={activeChat.generation}
+                  provider={providers.find((p) => p.id === provider)}
+                  limits={generationLimits}
+                  onSave={(generation) =>
+                    handleSaveGeneration(activeChat.id, generation)
+                  }
+                  onClose={() => setShowGenerationSettings(false)}
+                />
+              )}
+
               <section className="chat-box">
-                {activeChat.messages.map((m, i) => {
+                {/* 📝 Older messages are sent to the model as a summary */}
+                {activeChat.summary && (
+                  <details className="context-summary">
+                    <summary>
+                      📝 The first {activeChat.summary.messageCount} messages
+                      are summarized to fit the model's context
+                    </summary>
+                    <div className="context-summary-text">
+                      {activeChat.summary.text}
+                    </div>
+                  </details>
+                )}
+
+                {[GREETING, ...activeMessages].map((m, i) => {
+                  // ⚖ Compare mode answers, side by side
+                  if (m.compare) {
+                    return (
+                      <CompareAnswers
+                        key={m.localId}
+                        compare={m.compare}
+                        providers={providers}
+                        disabled={loading}
+                        onKeep={(providerId) => handleKeepAnswer(m, providerId)}
+                      />
+                    );
+                  }
+
+                  // streaming reply with no tokens or tool steps yet →
+                  // typing text below
+                  if (m.streaming && !m.text && !m.toolSteps?.length) {
+                    return null;
+                  }
+
                   const isUser = m.sender === "user";
-                  const providerLabel =
-                    m.provider === "gemini"
-                      ? "Gemini"
-                      : m.provider === "deepseek"
-                      ? "DeepSeek"
-                      : m.provider === "huggingface"
-                      ? "HuggingFace"
-                      : m.provider === "groq"
-                      ? "Groq"
-                      : null;
+                  const providerLabel = m.provider
+                    ? providers.find((p) => p.id === m.provider)?.name ||
+                      m.provider
+                    : null;
 
                   return (
                     <div
-                      key={i}
+                      key={m.id || m.localId || i}
+                      id={m.id ? `message-${m.id}` : undefined}
                       className={`chat-row ${
                         isUser ? "chat-row-user" : "chat-row-bot"
-                      }`}
+                      }${m.id && m.id === focusMessageId ? " chat-row-focus" : ""}`}
                     >
                       <div className="chat-bubble-wrapper">
                         <div
@@ -957,22 +2329,106 @@ function App() {
                               {providerLabel}
                             </div>
                           )}
-                          <div>{m.text}</div>
-
-                          {/* 🔥 Show generated image if present */}
-                          {m.imageUrl && (
+                          {/* 📎 Attached image thumbnails */}
+                          {m.localPreview && !m.attachments && (
                             <img
-                              src={m.imageUrl}
-                              alt="Generated by AI"
-                              className="generated-image"
+                              src={m.localPreview}
+                              alt="Attached"
+                              className="attachment-thumb"
+                            />
+                          )}
+                          {m.attachments?.map((a) => (
+                            <AuthImage
+                              key={a.id}
+                              token={token}
+                              path={a.url}
+                              alt={a.name || "Attached image"}
+                              className="attachment-thumb"
+                            />
+                          ))}
+
+                          {/* 🔧 Tools the model used for this reply */}
+                          {m.toolSteps?.length > 0 && (
+                            <ToolSteps steps={m.toolSteps} />
+                          )}
+
+                          {isUser && editingMessageId === m.id ? (
+                            <MessageEditor
+                              text={m.text}
+                              onSave={(text) => handleEditMessage(m, text)}
+                              onCancel={() => setEditingMessageId(null)}
                             />
+                          ) : isUser ? (
+                            m.text && <div className="user-text">{m.text}</div>
+                          ) : (
+                            <Markdown text={m.text} />
                           )}
+                          {m.streaming && (
+                            <span className="stream-cursor">▍</span>
+                          )}
+                          {m.interrupted && (
+                            <div className="message-interrupted">
+                              ⏹ Stopped before the end
+                            </div>
+                          )}
+
+                          {/* 📚 Study documents the answer is based on */}
+                          {m.sources?.length > 0 && (
+                            <ol className="message-sources">
+                              {m.sources.map((src, n) => (
+                                <li key={n}>
+                                  {src.name}
+                                  {src.page ? `, p. ${src.page}` : ""}
+                                </li>
+                              ))}
+                            </ol>
+                          )}
+
+                          {/* 🔥 Show generated image if present (a library
+                              URL, or a data URL in older chats) */}
+                          {m.imageUrl &&
+                            (m.imageUrl.startsWith("/api/") ? (
+                              <AuthImage
+                                token={token}
+                                path={m.imageUrl}
+                                alt="Generated by AI"
+                                className="generated-image"
+                              />
+                            ) : (
+                              <img
+                                src={m.imageUrl}
+                                alt="Generated by AI"
+                                className="generated-image"
+                              />
+                            ))}
                         </div>
                       </div>
+
+                      {/* ✎ Edit / ↻ Regenerate and ‹ 2/3 › versions, once
+                          the message is saved */}
+                      {m.id && !m.streaming && editingMessageId !== m.id && (
+                        <MessageActions
+                          message={m}
+                          providers={providers}
+                          disabled={loading}
+                          onEdit={
+                            // questions with images can't be resent
+                            isUser && !m.attachments?.length
+                              ? () => setEditingMessageId(m.id)
+                              : undefined
+                          }
+                          onRegenerate={
+                            !isUser && !m.imageUrl && !isImageMode
+                              ? (providerId) => handleRegenerate(m, providerId)
+                              : undefined
+                          }
+                          onSwitch={handleSwitchBranch}
+                        />
+                      )}
                     </div>
                   );
                 })}
-                {loading && (
+                {loading && !isStreamingText && (
                   <p className="typing-text">🤖 Falcon is thinking…</p>
                 )}
               </section>
@@ -994,7 +2450,7 @@ function App() {
                     value={input}
                     onChange={(e) => setInput(e.target.value)}
                     placeholder={
-                      mode === "image"
+                      isImageMode
                         ? "Describe the image you want me to generate..."
                         : "Type your question..."
                     }
@@ -1007,29 +2463,74 @@ function App() {
                   >
                     {isRecording ? "🎙️" : "🎤"}
                   </button>
-                  <button
-                    type="submit"
-                    disabled={loading}
-                    className="send-btn"
-                  >
-                    {loading ? "..." : "Send"}
-                  </button>
-                </div>
-
-                <div className="file-row">
-                  <label className="file-label">
-                    📎 Attach image
-                    <input
-                      type="file"
-                      accept="image/*"
-                      onChange={handleImageChange}
-                      hidden
-                    />
-                  </label>
-                  {imageFile && (
-                    <span className="file-name">{imageFile.name}</span>
+                  {loading && !isImageMode ? (
+                    <button
+                      type="button"
+                      onClick={stopGenerating}
+                      className="send-btn stop-btn"
+                      title="Stop generating"
+                    >
+                      ⏹ Stop
+                    </button>
+                  ) : (
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="send-btn"
+                    >
+                      {loading ? "..." : "Send"}
+                    </button>
                   )}
                 </div>
+
+                {isImageMode ? (
+                  <ImageOptions
+                    token={token}
+                    options={imageOptions}
+                    onChange={setImageOptions}
+                  />
+                ) : (
+                  <div className="file-row">
+                    <label className="file-label">
+                      📎 Attach image
+                      <input
+                        type="file"
+                        accept={IMAGE_TYPES.join(",")}
+                        onChange={handleImageChange}
+                        hidden
+                      />
+                    </label>
+                    {imageFile && (
+                      <span className="file-name">{imageFile.name}</span>
+                    )}
+                    <button
+                      type="button"
+                      className={`compare-toggle ${compareProviders ? "active" : ""}`}
+                      title="Ask several providers at once and compare"
+                      onClick={() =>
+                        setCompareProviders((prev) =>
+                          prev
+                            ? null
+                            : [
+                                provider,
+                                providers.find(
+                                  (p) => p.available && p.id !== provider
+                                )?.id,
+                              ].filter(Boolean)
+                        )
+                      }
+                    >
+                      ⚖ Compare
+                    </button>
+                  </div>
+                )}
+                {compareProviders && !isImageMode && (
+                  <ComparePicker
+                    providers={providers}
+                    selected={compareProviders}
+                    onChange={setCompareProviders}
+                  />
+                )}
               </form>
             </>
           )}
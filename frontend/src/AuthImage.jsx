@@ -0,0 +1,38 @@
+import { useState, useEffect } from "react";
+import { fetchObjectUrl } from "./api.js";
+
+// <img> for a file behind an authenticated backend route
+function AuthImage({ token, path, alt, className }) {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    fetchObjectUrl(token, path)
+      .then((url) => {
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+          return;
+        }
+        objectUrl = url;
+        setSrc(url);
+      })
+      .catch((err) => {
+        console.error("Image load error:", err);
+        if (!cancelled) setFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [token, path]);
+
+  if (failed) return <span className="image-missing">🖼 unavailable</span>;
+  if (!src) return <span className="image-loading">🖼 loading…</span>;
+  return <img src={src} alt={alt} className={className} />;
+}
+
+export default AuthImage;
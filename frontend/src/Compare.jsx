@@ -0,0 +1,109 @@
+import Markdown from "./Markdown.jsx";
+
+const MAX_COMPARE_PROVIDERS = 4;
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+// Compare mode provider picker: 2–4 of the available providers, in the
+// order they were picked
+export function ComparePicker({ providers, selected, onChange }) {
+  const toggle = (id) =>
+    onChange(
+      selected.includes(id)
+        ? selected.filter((p) => p !== id)
+        : [...selected, id]
+    );
+
+  return (
+    <div className="compare-picker">
+      <span>Compare:</span>
+      {providers
+        .filter((p) => p.available)
+        .map((p) => (
+          <label key={p.id} className="compare-option">
+            <input
+              type="checkbox"
+              checked={selected.includes(p.id)}
+              disabled={
+                !selected.includes(p.id) &&
+                selected.length >= MAX_COMPARE_PROVIDERS
+              }
+              onChange={() => toggle(p.id)}
+            />
+            {p.name}
+          </label>
+        ))}
+      {selected.length < 2 && (
+        <span className="compare-hint">pick at least 2</span>
+      )}
+    </div>
+  );
+}
+
+// The answers of a compare request side by side, each with its latency
+// and (estimated) token counts. `onKeep(providerId)` continues the chat
+// with that answer once they have all finished (or were stopped).
+function CompareAnswers({ compare, providers, disabled, onKeep }) {
+  const providerName = (id) => providers.find((p) => p.id === id)?.name || id;
+  const entries = Object.entries(compare.answers);
+  const finished = entries.every(([, a]) => a.status !== "streaming");
+
+  return (
+    <div
+      className="compare-grid"
+      style={{ gridTemplateColumns: `repeat(${entries.length}, 1fr)` }}
+    >
+      {entries.map(([id, answer]) => (
+        <div key={id} className="compare-column">
+          <div className="compare-column-header">
+            <strong>{providerName(id)}</strong>
+            {answer.status === "done" && (
+              <span>
+                {formatSeconds(answer.latencyMs)}
+                {answer.firstTokenMs !== null &&
+                  ` · first token ${formatSeconds(answer.firstTokenMs)}`}
+              </span>
+            )}
+          </div>
+
+          <div className="compare-column-body">
+            {answer.status === "error" ? (
+              <p className="compare-error">⚠️ {answer.error}</p>
+            ) : answer.text ? (
+              <Markdown text={answer.text} />
+            ) : answer.status === "interrupted" ? (
+              <p className="typing-text">Stopped before it answered.</p>
+            ) : (
+              <p className="typing-text">Thinking…</p>
+            )}
+            {answer.status === "streaming" && answer.text && (
+              <span className="stream-cursor">▍</span>
+            )}
+          </div>
+
+          {(answer.status === "done" || answer.status === "interrupted") && (
+            <div className="compare-column-footer">
+              {answer.status === "done" ? (
+                <span>
+                  ≈ {answer.promptTokens} + {answer.completionTokens} tokens
+                </span>
+              ) : (
+                <span className="message-interrupted">⏹ Stopped</span>
+              )}
+              <button
+                type="button"
+                className="btn"
+                disabled={disabled || !finished || !answer.text}
+                onClick={() => onKeep(id)}
+              >
+                ✓ Keep this answer
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CompareAnswers;
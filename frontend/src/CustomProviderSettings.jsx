@@ -0,0 +1,110 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api.js";
+
+// Sidebar form for the user's own OpenAI-compatible endpoint
+// (Ollama, LM Studio, vLLM, …). Calls `onSaved()` after a change.
+function CustomProviderSettings({ token, onSaved, onClose }) {
+  const [form, setForm] = useState({
+    baseURL: "",
+    model: "",
+    label: "",
+    apiKey: "",
+  });
+  const [hasApiKey, setHasApiKey] = useState(false);
+  const [status, setStatus] = useState("");
+
+  useEffect(() => {
+    apiFetch(token, "/api/providers/custom")
+      .then(({ customProvider }) => {
+        setForm({
+          baseURL: customProvider.baseURL,
+          model: customProvider.model,
+          label: customProvider.label,
+          apiKey: "",
+        });
+        setHasApiKey(customProvider.hasApiKey);
+      })
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+  }, [token]);
+
+  const updateField = (e) =>
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus("Saving…");
+    try {
+      const { customProvider } = await apiFetch(
+        token,
+        "/api/providers/custom",
+        { method: "PUT", body: form }
+      );
+      setHasApiKey(customProvider.hasApiKey);
+      setForm((prev) => ({ ...prev, apiKey: "" }));
+      setStatus("✅ Saved");
+      onSaved();
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await apiFetch(token, "/api/providers/custom", { method: "DELETE" });
+      setForm({ baseURL: "", model: "", label: "", apiKey: "" });
+      setHasApiKey(false);
+      setStatus("Removed");
+      onSaved();
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <form className="custom-provider-form" onSubmit={handleSave}>
+      <div className="custom-provider-title">
+        <span>Custom model server</span>
+        <button type="button" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+      <input
+        name="baseURL"
+        value={form.baseURL}
+        onChange={updateField}
+        placeholder="Base URL (e.g. https://models.example.com/v1)"
+        required
+      />
+      <input
+        name="model"
+        value={form.model}
+        onChange={updateField}
+        placeholder="Model (blank = first listed)"
+      />
+      <input
+        name="label"
+        value={form.label}
+        onChange={updateField}
+        placeholder="Label (optional)"
+      />
+      <input
+        name="apiKey"
+        type="password"
+        value={form.apiKey}
+        onChange={updateField}
+        placeholder={hasApiKey ? "API key (saved)" : "API key (optional)"}
+      />
+      <div className="custom-provider-actions">
+        <button type="submit" className="btn">
+          Save
+        </button>
+        <button type="button" className="btn" onClick={handleRemove}>
+          Remove
+        </button>
+      </div>
+      {status && <div className="custom-provider-status">{status}</div>}
+    </form>
+  );
+}
+
+export default CustomProviderSettings;
@@ -0,0 +1,149 @@
+import { useState } from "react";
+
+// Form fields (strings) from a chat's saved settings
+const toDraft = (generation = {}) => ({
+  model: generation.model || "",
+  temperature: generation.temperature ?? "",
+  topP: generation.topP ?? "",
+  maxTokens: generation.maxTokens ?? "",
+  stop: (generation.stop || []).join(", "),
+});
+
+// Only the fields that were filled in
+const fromDraft = (draft) => {
+  const generation = {};
+  if (draft.model) generation.model = draft.model;
+  for (const field of ["temperature", "topP", "maxTokens"]) {
+    if (draft[field] !== "") generation[field] = Number(draft[field]);
+  }
+  const stop = draft.stop
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (stop.length > 0) generation.stop = stop;
+  return generation;
+};
+
+// "Advanced settings" of a chat: the model (one of `provider`'s) and the
+// sampling parameters, within the server's `limits`. Empty fields mean
+// "the default". `onSave(generation)` stores them on the conversation.
+function GenerationSettings({ generation, provider, limits, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => toDraft(generation));
+  const [status, setStatus] = useState("");
+
+  const updateField = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const save = async (next) => {
+    try {
+      await onSave(next);
+      setStatus("✅ Saved for this chat.");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    save(fromDraft(draft));
+  };
+
+  const handleReset = () => {
+    setDraft(toDraft());
+    save({});
+  };
+
+  const models = provider?.models || [];
+
+  return (
+    <form className="generation-settings" onSubmit={handleSubmit}>
+      <div className="image-options-grid">
+        <label>
+          Model
+          <select name="model" value={draft.model} onChange={updateField}>
+            <option value="">
+              Default{provider?.defaultModel && ` (${provider.defaultModel})`}
+            </option>
+            {models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+            {draft.model && !models.some((m) => m.id === draft.model) && (
+              <option value={draft.model}>
+                {draft.model} (not on {provider?.name || "this provider"})
+              </option>
+            )}
+          </select>
+        </label>
+        <label>
+          Temperature
+          <input
+            name="temperature"
+            type="number"
+            min={limits?.temperature.min ?? 0}
+            max={limits?.temperature.max ?? 2}
+            step="0.1"
+            value={draft.temperature}
+            onChange={updateField}
+            placeholder="default"
+          />
+        </label>
+        <label>
+          Top p
+          <input
+            name="topP"
+            type="number"
+            min={limits?.topP.min ?? 0}
+            max={limits?.topP.max ?? 1}
+            step="0.05"
+            value={draft.topP}
+            onChange={updateField}
+            placeholder="default"
+          />
+        </label>
+        <label>
+          Max tokens
+          <input
+            name="maxTokens"
+            type="number"
+            min={limits?.maxTokens.min ?? 1}
+            max={limits?.maxTokens.max ?? 4096}
+            value={draft.maxTokens}
+            onChange={updateField}
+            placeholder="default"
+          />
+        </label>
+      </div>
+      <label className="generation-stop">
+        Stop sequences
+        <input
+          name="stop"
+          value={draft.stop}
+          onChange={updateField}
+          placeholder={`up to ${limits?.stop.count ?? 4}, comma separated`}
+        />
+      </label>
+      <p className="account-hint">
+        The model is used with {provider?.name || "its provider"} only; the
+        other settings apply to every provider.
+      </p>
+      {status && <div className="custom-provider-status">{status}</div>}
+      <div className="custom-provider-actions">
+        <button type="submit" className="btn">
+          Save
+        </button>
+        <button type="button" className="btn" onClick={handleReset}>
+          Reset to defaults
+        </button>
+        <button type="button" className="btn" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default GenerationSettings;
@@ -0,0 +1,171 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api.js";
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  backend: "",
+  model: "",
+  negativePrompt: "",
+  width: "",
+  height: "",
+  steps: "",
+  guidance: "",
+  seed: "",
+  count: 1,
+  enhance: false,
+};
+
+// Collapsible Image mode settings (backend, model, negative prompt, size,
+// steps, guidance, seed, batch size, "enhance my prompt"). Controlled by the
+// parent; empty fields mean "the backend's default".
+function ImageOptions({ token, options, onChange }) {
+  const [backends, setBackends] = useState([]);
+  const [limits, setLimits] = useState(null);
+  const [defaultBackend, setDefaultBackend] = useState("");
+
+  useEffect(() => {
+    apiFetch(token, "/api/images/backends")
+      .then((data) => {
+        setBackends(data.backends);
+        setLimits(data.limits);
+        setDefaultBackend(data.defaultBackend);
+      })
+      .catch((err) => console.error("Image backends error:", err));
+  }, [token]);
+
+  const updateField = (e) => {
+    const { name, type, value, checked } = e.target;
+    onChange((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+      // models belong to one backend
+      ...(name === "backend" ? { model: "" } : {}),
+    }));
+  };
+
+  const size = limits?.size;
+  const models =
+    backends.find((b) => b.id === (options.backend || defaultBackend))
+      ?.models || [];
+
+  return (
+    <details className="image-options">
+      <summary>Image settings</summary>
+      <div className="image-options-grid">
+        <label>
+          Generator
+          <select name="backend" value={options.backend} onChange={updateField}>
+            <option value="">Default</option>
+            {backends.map((b) => (
+              <option key={b.id} value={b.id} disabled={!b.available}>
+                {b.label}
+                {b.available ? "" : " (not configured)"}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Model
+          <select name="model" value={options.model} onChange={updateField}>
+            <option value="">Default</option>
+            {models.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Images
+          <input
+            name="count"
+            type="number"
+            min={limits?.count.min ?? 1}
+            max={limits?.count.max ?? 4}
+            value={options.count}
+            onChange={updateField}
+          />
+        </label>
+        <label>
+          Width
+          <input
+            name="width"
+            type="number"
+            min={size?.min}
+            max={size?.max}
+            step={size?.multipleOf}
+            value={options.width}
+            onChange={updateField}
+            placeholder="auto"
+          />
+        </label>
+        <label>
+          Height
+          <input
+            name="height"
+            type="number"
+            min={size?.min}
+            max={size?.max}
+            step={size?.multipleOf}
+            value={options.height}
+            onChange={updateField}
+            placeholder="auto"
+          />
+        </label>
+        <label>
+          Steps
+          <input
+            name="steps"
+            type="number"
+            min={limits?.steps.min}
+            max={limits?.steps.max}
+            value={options.steps}
+            onChange={updateField}
+            placeholder="auto"
+          />
+        </label>
+        <label>
+          Guidance
+          <input
+            name="guidance"
+            type="number"
+            min={limits?.guidance.min}
+            max={limits?.guidance.max}
+            step="0.5"
+            value={options.guidance}
+            onChange={updateField}
+            placeholder="auto"
+          />
+        </label>
+        <label>
+          Seed
+          <input
+            name="seed"
+            type="number"
+            min="0"
+            value={options.seed}
+            onChange={updateField}
+            placeholder="random"
+          />
+        </label>
+      </div>
+      <input
+        name="negativePrompt"
+        className="image-options-negative"
+        value={options.negativePrompt}
+        onChange={updateField}
+        placeholder="Negative prompt: what to leave out (optional)"
+      />
+      <label className="image-options-enhance">
+        <input
+          type="checkbox"
+          name="enhance"
+          checked={options.enhance}
+          onChange={updateField}
+        />
+        Enhance my prompt with the chat model first
+      </label>
+    </details>
+  );
+}
+
+export default ImageOptions;
@@ -0,0 +1,144 @@
+import { useState, useEffect } from "react";
+import { apiFetch, downloadFile } from "./api.js";
+import AuthImage from "./AuthImage.jsx";
+
+const SEARCH_DELAY_MS = 300;
+
+// Gallery of the images the user generated in Image mode, with search,
+// download, delete and "reuse prompt" (which calls `onReusePrompt(prompt)`).
+function Library({ token, onReusePrompt, onClose }) {
+  const [images, setImages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [query, setQuery] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const loadImages = async (q, before) => {
+    const params = new URLSearchParams();
+    if (q.trim()) params.set("q", q.trim());
+    if (before) params.set("before", before);
+
+    setLoading(true);
+    try {
+      const data = await apiFetch(token, `/api/images?${params}`);
+      setImages((prev) => (before ? [...prev, ...data.images] : data.images));
+      setHasMore(data.hasMore);
+      setStatus("");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // (re)load the first page while typing, once the user pauses
+  useEffect(() => {
+    const timer = setTimeout(() => loadImages(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token, query]);
+
+  const handleDownload = async (image) => {
+    try {
+      await downloadFile(
+        token,
+        `${image.url}?download=1`,
+        `falcon-${image.id}.${image.mimeType.split("/")[1]}`
+      );
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleDelete = async (image) => {
+    if (!window.confirm("Delete this image from your library?")) return;
+    try {
+      await apiFetch(token, `/api/images/${image.id}`, { method: "DELETE" });
+      setImages((prev) => prev.filter((img) => img.id !== image.id));
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="library">
+      <header className="library-header">
+        <div>
+          <h2>Library</h2>
+          <p className="subtitle">Images you generated in Image mode.</p>
+        </div>
+        <button type="button" className="btn" onClick={onClose}>
+          Back to chat
+        </button>
+      </header>
+
+      <input
+        className="library-search"
+        placeholder="Search prompts"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {status && <div className="custom-provider-status">{status}</div>}
+
+      <div className="library-grid">
+        {images.map((image) => (
+          <figure key={image.id} className="library-item">
+            <AuthImage
+              token={token}
+              path={image.url}
+              alt={image.prompt}
+              className="library-image"
+            />
+            <figcaption title={image.prompt}>{image.prompt}</figcaption>
+            <div className="library-meta">
+              {new Date(image.createdAt).toLocaleDateString()}
+            </div>
+            <div className="library-actions">
+              <button
+                type="button"
+                title="Generate again from this prompt"
+                onClick={() => onReusePrompt(image.prompt)}
+              >
+                ↻ Reuse prompt
+              </button>
+              <button
+                type="button"
+                title="Download"
+                onClick={() => handleDownload(image)}
+              >
+                ⤓
+              </button>
+              <button
+                type="button"
+                title="Delete"
+                onClick={() => handleDelete(image)}
+              >
+                ✕
+              </button>
+            </div>
+          </figure>
+        ))}
+      </div>
+
+      {!loading && images.length === 0 && (
+        <p className="library-empty">
+          {query.trim()
+            ? "No images match your search."
+            : "No images yet. Switch to Image mode and describe one to create it."}
+        </p>
+      )}
+      {hasMore && (
+        <button
+          type="button"
+          className="btn library-more"
+          disabled={loading}
+          onClick={() => loadImages(query, images[images.length - 1].createdAt)}
+        >
+          {loading ? "Loading…" : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Library;
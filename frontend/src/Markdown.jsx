@@ -0,0 +1,96 @@
+import { useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { Prism as SyntaxHighlighter } from "react-syntax-highlighter";
+import { oneDark } from "react-syntax-highlighter/dist/esm/styles/prism";
+
+// Fenced code block with a language label and a copy button
+function CodeBlock({ language, code }) {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch (err) {
+      console.error("Copy failed:", err);
+    }
+  };
+
+  return (
+    <div className="md-code-block">
+      <div className="md-code-header">
+        <span className="md-code-lang">{language || "text"}</span>
+        <button type="button" className="md-code-copy" onClick={handleCopy}>
+          {copied ? "✓ Copied" : "⧉ Copy"}
+        </button>
+      </div>
+      <SyntaxHighlighter
+        language={language || "text"}
+        style={oneDark}
+        customStyle={{ margin: 0, borderRadius: "0 0 8px 8px" }}
+        wrapLongLines
+      >
+        {code}
+      </SyntaxHighlighter>
+    </div>
+  );
+}
+
+const components = {
+  // `pre` wraps every fenced block; pull the code + language out of its child
+  pre({ children }) {
+    const child = Array.isArray(children) ? children[0] : children;
+    const className = child?.props?.className || "";
+    const language = /language-([\w+#-]+)/.exec(className)?.[1];
+    const code = String(child?.props?.children ?? "").replace(/\n$/, "");
+    return <CodeBlock language={language} code={code} />;
+  },
+
+  // inline `code`
+  code({ node, className, children, ...props }) {
+    return (
+      <code className={`md-inline-code ${className || ""}`} {...props}>
+        {children}
+      </code>
+    );
+  },
+
+  // External links open in a new tab without access to this window.
+  // (react-markdown already drops javascript: and other unsafe URLs.)
+  a({ node, href, children, ...props }) {
+    return (
+      <a
+        href={href}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        {...props}
+      >
+        {children}
+      </a>
+    );
+  },
+
+  table({ node, children, ...props }) {
+    return (
+      <div className="md-table-wrap">
+        <table {...props}>{children}</table>
+      </div>
+    );
+  },
+};
+
+// Bot reply rendered as GitHub-flavoured Markdown (tables, task lists, …).
+// Raw HTML in the text is not rendered.
+function Markdown({ text }) {
+  return (
+    <div className="markdown-body">
+      <ReactMarkdown remarkPlugins={[remarkGfm]} components={components}>
+        {text}
+      </ReactMarkdown>
+    </div>
+  );
+}
+
+export default Markdown;
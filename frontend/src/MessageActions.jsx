@@ -0,0 +1,107 @@
+import { useState } from "react";
+
+// Inline editor for a question; saving sends it again as a new version
+export function MessageEditor({ text, onSave, onCancel }) {
+  const [value, setValue] = useState(text);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (value.trim()) onSave(value.trim());
+  };
+
+  return (
+    <form className="message-edit" onSubmit={handleSubmit}>
+      <textarea
+        value={value}
+        rows={Math.min(8, value.split("\n").length + 1)}
+        onChange={(e) => setValue(e.target.value)}
+        autoFocus
+      />
+      <div className="message-edit-actions">
+        <button type="button" className="btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="btn" disabled={!value.trim()}>
+          Save & send
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Under a saved message: "‹ 2/3 ›" between its versions (edited questions,
+// regenerated answers), plus Edit (`onEdit`) or Regenerate
+// (`onRegenerate(providerId?)`, optionally with another provider) when
+// given. `onSwitch(messageId)` shows another version.
+function MessageActions({
+  message,
+  providers,
+  disabled,
+  onEdit,
+  onRegenerate,
+  onSwitch,
+}) {
+  const siblingIds = message.siblingIds || [message.id];
+  const index = siblingIds.indexOf(message.id);
+
+  return (
+    <div className="message-actions">
+      {siblingIds.length > 1 && (
+        <span className="message-versions">
+          <button
+            type="button"
+            title="Previous version"
+            disabled={disabled || index <= 0}
+            onClick={() => onSwitch(siblingIds[index - 1])}
+          >
+            ‹
+          </button>
+          {index + 1}/{siblingIds.length}
+          <button
+            type="button"
+            title="Next version"
+            disabled={disabled || index >= siblingIds.length - 1}
+            onClick={() => onSwitch(siblingIds[index + 1])}
+          >
+            ›
+          </button>
+        </span>
+      )}
+      {onEdit && (
+        <button type="button" disabled={disabled} onClick={onEdit}>
+          ✎ Edit
+        </button>
+      )}
+      {onRegenerate && (
+        <>
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={() => onRegenerate()}
+          >
+            ↻ Regenerate
+          </button>
+          <select
+            value=""
+            disabled={disabled}
+            title="Regenerate with another provider"
+            onChange={(e) => onRegenerate(e.target.value)}
+          >
+            <option value="" disabled>
+              with…
+            </option>
+            {providers
+              .filter((p) => p.available)
+              .map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.label}
+                </option>
+              ))}
+          </select>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default MessageActions;
@@ -0,0 +1,204 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api.js";
+
+const EMPTY_FILTERS = { mode: "", provider: "", from: "", to: "" };
+
+// The snippet as text with its `highlights` ranges wrapped in <mark>
+function Snippet({ text, highlights }) {
+  const parts = [];
+  let last = 0;
+  highlights.forEach(({ start, end }, i) => {
+    if (start > last) parts.push(text.slice(last, start));
+    parts.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <p className="search-snippet">{parts}</p>;
+}
+
+// "Search messages" page: full-text search over all of the user's messages
+// (GET /api/search), filtered by mode, provider and date range. Clicking a
+// result calls `onOpenResult(result)` to jump to that message in its chat.
+function MessageSearch({
+  token,
+  initialQuery,
+  personas,
+  providers,
+  onOpenResult,
+  onClose,
+}) {
+  const [query, setQuery] = useState(initialQuery || "");
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // the search being shown: query + filters as submitted
+  const [search, setSearch] = useState(
+    initialQuery ? { q: initialQuery, ...EMPTY_FILTERS } : null
+  );
+  const [page, setPage] = useState(1);
+  const [results, setResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [status, setStatus] = useState("");
+
+  useEffect(() => {
+    if (!search) return;
+    const params = new URLSearchParams({ page });
+    for (const [key, value] of Object.entries(search)) {
+      if (value) params.set(key, value);
+    }
+
+    setLoading(true);
+    apiFetch(token, `/api/search?${params}`)
+      .then((data) => {
+        // later pages are added below the ones already shown
+        setResults((prev) =>
+          page === 1 ? data.results : [...prev, ...data.results]
+        );
+        setHasMore(data.hasMore);
+        setStatus("");
+      })
+      .catch((err) => setStatus(`⚠️ ${err.message}`))
+      .finally(() => setLoading(false));
+  }, [token, search, page]);
+
+  const runSearch = (nextFilters) => {
+    const q = query.trim();
+    if (!q) return;
+    setSearch({ q, ...nextFilters });
+    setPage(1);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(filters);
+  };
+
+  // filters apply right away once there is a query
+  const updateFilter = (e) => {
+    const next = { ...filters, [e.target.name]: e.target.value };
+    setFilters(next);
+    if (search) runSearch(next);
+  };
+
+  const modeName = (id) => {
+    const persona = personas.find((p) => p.id === id);
+    return persona ? `${persona.icon} ${persona.name}` : id;
+  };
+  const providerName = (id) => providers.find((p) => p.id === id)?.name || id;
+
+  return (
+    <div className="library search-page">
+      <header className="library-header">
+        <div>
+          <h2>Search messages</h2>
+          <p className="subtitle">
+            Find words in any of your chats. Use "quotes" for a phrase and -word
+            to leave a word out.
+          </p>
+        </div>
+        <button type="button" className="btn" onClick={onClose}>
+          Back to chat
+        </button>
+      </header>
+
+      <form className="search-form" onSubmit={handleSubmit}>
+        <input
+          className="library-search search-query"
+          placeholder="Search messages"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          autoFocus
+        />
+        <button type="submit" className="btn">
+          🔍︎ Search
+        </button>
+      </form>
+
+      <div className="search-filters">
+        <select name="mode" value={filters.mode} onChange={updateFilter}>
+          <option value="">All modes</option>
+          {personas.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.icon} {p.name}
+            </option>
+          ))}
+        </select>
+        <select
+          name="provider"
+          value={filters.provider}
+          onChange={updateFilter}
+        >
+          <option value="">All providers</option>
+          {providers.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <label>
+          From
+          <input
+            type="date"
+            name="from"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={updateFilter}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            name="to"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={updateFilter}
+          />
+        </label>
+      </div>
+
+      {status && <div className="custom-provider-status">{status}</div>}
+
+      {search && !loading && results.length === 0 && !status && (
+        <p className="library-empty">No messages match “{search.q}”.</p>
+      )}
+
+      <ul className="search-results">
+        {results.map((r) => (
+          <li key={r.messageId}>
+            <button
+              type="button"
+              className="search-result"
+              onClick={() => onOpenResult(r)}
+            >
+              <div className="search-result-header">
+                <strong>{r.conversationTitle}</strong>
+                <span>{new Date(r.createdAt).toLocaleString()}</span>
+              </div>
+              <Snippet text={r.snippet} highlights={r.highlights} />
+              <div className="search-result-meta">
+                {r.sender === "user" ? "👤 You" : "𓅇 Falcon"}
+                {r.provider && ` · ${providerName(r.provider)}`}
+                {r.mode && ` · ${modeName(r.mode)}`}
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {loading && <p className="library-empty">Searching…</p>}
+      {hasMore && !loading && (
+        <div className="search-more">
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setPage((p) => p + 1)}
+          >
+            Show more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MessageSearch;
@@ -0,0 +1,181 @@
+import { useState } from "react";
+import { apiFetch } from "./api.js";
+
+const EMPTY_FORM = {
+  name: "",
+  icon: "💬",
+  systemPrompt: "",
+  provider: "",
+  model: "",
+  temperature: "",
+  shared: false,
+};
+
+// Sidebar form to create or edit one of the user's personas (chat modes).
+// `persona` is null for a new one. Calls `onSaved(persona)` / `onDeleted(id)`.
+function PersonaSettings({
+  token,
+  persona,
+  providers,
+  variables,
+  onSaved,
+  onDeleted,
+  onClose,
+}) {
+  const [form, setForm] = useState(() =>
+    persona
+      ? {
+          name: persona.name,
+          icon: persona.icon,
+          systemPrompt: persona.systemPrompt,
+          provider: persona.provider || "",
+          model: persona.model || "",
+          temperature: persona.temperature ?? "",
+          shared: persona.shared,
+        }
+      : EMPTY_FORM
+  );
+  const [status, setStatus] = useState("");
+
+  const updateField = (e) => {
+    const { name, type, value, checked } = e.target;
+    setForm((prev) => ({
+      ...prev,
+      [name]: type === "checkbox" ? checked : value,
+      // models belong to one provider
+      ...(name === "provider" ? { model: "" } : {}),
+    }));
+  };
+
+  const providerModels =
+    providers.find((p) => p.id === form.provider)?.models || [];
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus("Saving…");
+    try {
+      const { persona: saved } = await apiFetch(
+        token,
+        persona ? `/api/personas/${persona.id}` : "/api/personas",
+        { method: persona ? "PATCH" : "POST", body: form }
+      );
+      setStatus("");
+      onSaved(saved);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${persona.name}" persona?`)) return;
+    try {
+      await apiFetch(token, `/api/personas/${persona.id}`, {
+        method: "DELETE",
+      });
+      onDeleted(persona.id);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <form className="custom-provider-form persona-form" onSubmit={handleSave}>
+      <div className="custom-provider-title">
+        <span>{persona ? "Edit persona" : "New persona"}</span>
+        <button type="button" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+      <div className="persona-form-row">
+        <input
+          name="icon"
+          value={form.icon}
+          onChange={updateField}
+          className="persona-icon-input"
+          title="Icon"
+        />
+        <input
+          name="name"
+          value={form.name}
+          onChange={updateField}
+          placeholder="Name"
+          required
+        />
+      </div>
+      <textarea
+        name="systemPrompt"
+        value={form.systemPrompt}
+        onChange={updateField}
+        placeholder="System prompt, e.g. You are a patient maths tutor for {{user.name}}…"
+        rows={6}
+        required
+      />
+      {variables.length > 0 && (
+        <div className="custom-provider-status">
+          Variables: {variables.map((v) => `{{${v}}}`).join(" ")}
+        </div>
+      )}
+      <select name="provider" value={form.provider} onChange={updateField}>
+        <option value="">Any provider</option>
+        {providers.map((p) => (
+          <option key={p.id} value={p.id}>
+            {p.label}
+          </option>
+        ))}
+      </select>
+      <div className="persona-form-row">
+        <select
+          name="model"
+          value={form.model}
+          onChange={updateField}
+          disabled={!form.provider}
+          title="Model (one the provider offers)"
+        >
+          <option value="">Default model</option>
+          {providerModels.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.label}
+            </option>
+          ))}
+          {form.model && !providerModels.some((m) => m.id === form.model) && (
+            <option value={form.model}>{form.model} (not available)</option>
+          )}
+        </select>
+        <input
+          name="temperature"
+          type="number"
+          min="0"
+          max="2"
+          step="0.1"
+          value={form.temperature}
+          onChange={updateField}
+          placeholder="Temp."
+          className="persona-temperature-input"
+          title="Temperature (0–2)"
+        />
+      </div>
+      <label className="persona-share">
+        <input
+          type="checkbox"
+          name="shared"
+          checked={form.shared}
+          onChange={updateField}
+        />
+        Share with other users
+      </label>
+      <div className="custom-provider-actions">
+        <button type="submit" className="btn">
+          Save
+        </button>
+        {persona && (
+          <button type="button" className="btn" onClick={handleDelete}>
+            Delete
+          </button>
+        )}
+      </div>
+      {status && <div className="custom-provider-status">{status}</div>}
+    </form>
+  );
+}
+
+export default PersonaSettings;
@@ -0,0 +1,92 @@
+import { useEffect } from "react";
+import Markdown from "./Markdown.jsx";
+import AuthImage from "./AuthImage.jsx";
+
+// Print layout of one chat, for "Export → PDF": the browser's print dialog
+// saves it as a PDF. Everything but this page is hidden when printing (see
+// the print styles in App.css). Code blocks, provider labels and images are
+// kept; wait until the images have loaded before printing.
+function PrintableChat({ token, chat, messages, providers, onClose }) {
+  // the browser suggests the page title as the PDF's file name
+  useEffect(() => {
+    const previousTitle = document.title;
+    document.title = chat.title;
+    return () => {
+      document.title = previousTitle;
+    };
+  }, [chat.title]);
+
+  const providerName = (id) => providers.find((p) => p.id === id)?.name || id;
+
+  const renderImage = (url, alt) =>
+    url.startsWith("/api/") ? (
+      <AuthImage token={token} path={url} alt={alt} className="print-image" />
+    ) : (
+      <img src={url} alt={alt} className="print-image" />
+    );
+
+  return (
+    <div className="library print-view">
+      <header className="library-header print-toolbar">
+        <div>
+          <h2>Print or save as PDF</h2>
+          <p className="subtitle">
+            Choose “Save as PDF” as the printer to get a PDF file.
+          </p>
+        </div>
+        <div className="custom-provider-actions">
+          <button type="button" className="btn" onClick={() => window.print()}>
+            🖨 Print / Save as PDF
+          </button>
+          <button type="button" className="btn" onClick={onClose}>
+            Back to chat
+          </button>
+        </div>
+      </header>
+
+      <article className="print-chat">
+        <h1>{chat.title}</h1>
+        <p className="print-meta">
+          Exported from Falcon AI on {new Date().toLocaleString()} ·{" "}
+          {messages.length} messages
+        </p>
+
+        {messages.map((m, i) => (
+          <section key={m.id || i} className="print-message">
+            <div className="print-message-header">
+              <strong>
+                {m.sender === "user"
+                  ? "👤 You"
+                  : `𓅇 Falcon${m.provider ? ` · ${providerName(m.provider)}` : ""}`}
+              </strong>
+              {m.createdAt && (
+                <span>{new Date(m.createdAt).toLocaleString()}</span>
+              )}
+            </div>
+            {m.attachments?.map((a) => (
+              <div key={a.id}>{renderImage(a.url, a.name)}</div>
+            ))}
+            {m.sender === "user" ? (
+              <div className="user-text">{m.text}</div>
+            ) : (
+              <Markdown text={m.text} />
+            )}
+            {m.imageUrl && renderImage(m.imageUrl, "Generated by AI")}
+            {m.sources?.length > 0 && (
+              <p className="print-meta">
+                Sources:{" "}
+                {m.sources
+                  .map((src) =>
+                    src.page ? `${src.name} (p. ${src.page})` : src.name
+                  )
+                  .join(", ")}
+              </p>
+            )}
+          </section>
+        ))}
+      </article>
+    </div>
+  );
+}
+
+export default PrintableChat;
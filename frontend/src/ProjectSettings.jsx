@@ -0,0 +1,174 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch } from "./api.js";
+
+const FILE_ACCEPT = ".pdf,.docx,.txt,.md,.markdown";
+
+// Sidebar form to create or edit a project: name, instructions prepended to
+// every chat in it, and reference files the answers can draw on.
+// `project` is null for a new one. Calls `onSaved(project)` / `onDeleted(id)`.
+function ProjectSettings({ token, project, onSaved, onDeleted, onClose }) {
+  const [form, setForm] = useState({
+    name: project?.name || "",
+    instructions: project?.instructions || "",
+  });
+  const [files, setFiles] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [status, setStatus] = useState("");
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!project) return;
+    apiFetch(token, `/api/documents?projectId=${project.id}`)
+      .then(({ documents }) => setFiles(documents))
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+  }, [token, project]);
+
+  const updateField = (e) =>
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus("Saving…");
+    try {
+      const { project: saved } = await apiFetch(
+        token,
+        project ? `/api/projects/${project.id}` : "/api/projects",
+        { method: project ? "PATCH" : "POST", body: form }
+      );
+      setStatus("");
+      onSaved(saved);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (
+      !window.confirm(
+        `Delete the "${project.name}" project and its files? Its chats are kept.`
+      )
+    ) {
+      return;
+    }
+    try {
+      await apiFetch(token, `/api/projects/${project.id}`, {
+        method: "DELETE",
+      });
+      onDeleted(project.id);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    const body = new FormData();
+    body.append("projectId", project.id);
+    body.append("file", file);
+
+    setUploading(true);
+    setStatus(`Reading ${file.name}…`);
+    try {
+      const { document } = await apiFetch(token, "/api/documents", {
+        method: "POST",
+        body,
+      });
+      setFiles((prev) => [document, ...prev]);
+      setStatus("");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDeleteFile = async (file) => {
+    if (!window.confirm(`Remove "${file.name}" from this project?`)) return;
+    try {
+      await apiFetch(token, `/api/documents/${file.id}`, { method: "DELETE" });
+      setFiles((prev) => prev.filter((f) => f.id !== file.id));
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <form className="custom-provider-form persona-form" onSubmit={handleSave}>
+      <div className="custom-provider-title">
+        <span>{project ? "Project settings" : "New project"}</span>
+        <button type="button" onClick={onClose} title="Close">
+          ✕
+        </button>
+      </div>
+      <input
+        name="name"
+        value={form.name}
+        onChange={updateField}
+        placeholder="Project name"
+        required
+      />
+      <textarea
+        name="instructions"
+        value={form.instructions}
+        onChange={updateField}
+        placeholder="Instructions for every chat in this project (optional)"
+        rows={5}
+      />
+
+      {project && (
+        <div className="study-docs">
+          <div className="study-docs-list">
+            {files.length === 0 && (
+              <div className="study-docs-empty">No reference files yet.</div>
+            )}
+            {files.map((file) => (
+              <div key={file.id} className="study-doc" title={file.name}>
+                <span className="study-doc-name">📄 {file.name}</span>
+                <button
+                  type="button"
+                  className="study-doc-delete"
+                  title="Remove file"
+                  onClick={() => handleDeleteFile(file)}
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="btn"
+            disabled={uploading}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            {uploading ? "Uploading…" : "＋ Add reference file"}
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={FILE_ACCEPT}
+            onChange={handleUpload}
+            style={{ display: "none" }}
+          />
+        </div>
+      )}
+
+      <div className="custom-provider-actions">
+        <button type="submit" className="btn">
+          Save
+        </button>
+        {project && (
+          <button type="button" className="btn" onClick={handleDelete}>
+            Delete
+          </button>
+        )}
+      </div>
+      {status && <div className="custom-provider-status">{status}</div>}
+    </form>
+  );
+}
+
+export default ProjectSettings;
@@ -0,0 +1,166 @@
+import { useState, useEffect } from "react";
+import { apiFetch } from "./api.js";
+
+const EXPIRY_OPTIONS = [
+  { days: "", label: "Never expires" },
+  { days: 1, label: "Expires in 1 day" },
+  { days: 7, label: "Expires in 7 days" },
+  { days: 30, label: "Expires in 30 days" },
+];
+
+const shareUrl = (share) =>
+  `${window.location.origin}/?share=${encodeURIComponent(share.token)}`;
+
+// "Share" page for a chat: create a read-only link to a snapshot of it, and
+// list / revoke all of the user's links. Anyone with a link can read the
+// snapshot without an account.
+function ShareChat({ token, chat, onClose }) {
+  const [shares, setShares] = useState([]);
+  const [options, setOptions] = useState({
+    hideName: false,
+    expiresInDays: "",
+  });
+  const [created, setCreated] = useState(null);
+  const [status, setStatus] = useState("");
+
+  useEffect(() => {
+    apiFetch(token, "/api/shares")
+      .then((data) => setShares(data.shares))
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+  }, [token]);
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(share));
+      setStatus("✅ Link copied.");
+    } catch {
+      setStatus(`Copy this link: ${shareUrl(share)}`);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { share } = await apiFetch(token, "/api/shares", {
+        method: "POST",
+        body: { conversationId: chat.id, ...options },
+      });
+      setShares((prev) => [share, ...prev]);
+      setCreated(share);
+      setStatus("");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  const handleRevoke = async (share) => {
+    if (!window.confirm(`Revoke the link to "${share.title}"?`)) return;
+    try {
+      await apiFetch(token, `/api/shares/${share.id}`, { method: "DELETE" });
+      setShares((prev) => prev.filter((s) => s.id !== share.id));
+      if (created?.id === share.id) setCreated(null);
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="library account">
+      <header className="library-header">
+        <div>
+          <h2>Share “{chat.title}”</h2>
+          <p className="subtitle">
+            Anyone with the link can read a copy of this chat as it is now. New
+            messages aren't shared.
+          </p>
+        </div>
+        <button type="button" className="btn" onClick={onClose}>
+          Back to chat
+        </button>
+      </header>
+      {status && <div className="custom-provider-status">{status}</div>}
+
+      <form className="account-section" onSubmit={handleCreate}>
+        <h3>New link</h3>
+        <label className="share-option">
+          <input
+            type="checkbox"
+            checked={options.hideName}
+            onChange={(e) =>
+              setOptions((prev) => ({ ...prev, hideName: e.target.checked }))
+            }
+          />
+          Hide my name
+        </label>
+        <select
+          className="share-expiry"
+          value={options.expiresInDays}
+          onChange={(e) =>
+            setOptions((prev) => ({ ...prev, expiresInDays: e.target.value }))
+          }
+        >
+          {EXPIRY_OPTIONS.map((o) => (
+            <option key={o.label} value={o.days}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+        <div className="custom-provider-actions">
+          <button type="submit" className="btn">
+            🔗 Create link
+          </button>
+        </div>
+        {created && (
+          <div className="share-created">
+            <input
+              readOnly
+              value={shareUrl(created)}
+              onFocus={(e) => e.target.select()}
+            />
+            <button
+              type="button"
+              className="btn"
+              onClick={() => copyLink(created)}
+            >
+              Copy
+            </button>
+          </div>
+        )}
+      </form>
+
+      <section className="account-section">
+        <h3>Your shared links</h3>
+        {shares.length === 0 && (
+          <p className="account-hint">You haven't shared any chats yet.</p>
+        )}
+        {shares.map((share) => (
+          <div
+            key={share.id}
+            className={`share-item${share.conversation === chat.id ? " share-item-current" : ""}`}
+          >
+            <div className="share-item-info">
+              <strong>{share.title}</strong>
+              <span className="account-hint">
+                {new Date(share.createdAt).toLocaleDateString()} ·{" "}
+                {share.messageCount} messages · {share.views} views
+                {share.hideName && " · name hidden"}
+                {share.expiresAt &&
+                  ` · expires ${new Date(share.expiresAt).toLocaleDateString()}`}
+              </span>
+            </div>
+            <div className="admin-actions">
+              <button type="button" onClick={() => copyLink(share)}>
+                Copy link
+              </button>
+              <button type="button" onClick={() => handleRevoke(share)}>
+                Revoke
+              </button>
+            </div>
+          </div>
+        ))}
+      </section>
+    </div>
+  );
+}
+
+export default ShareChat;
@@ -0,0 +1,106 @@
+import { useState, useEffect } from "react";
+import { API_BASE, apiFetch } from "./api.js";
+import Markdown from "./Markdown.jsx";
+
+// Read-only page for a shared chat link (/?share=<token>). Works without
+// logging in: the snapshot and its images come from the public
+// /api/shared routes.
+function SharedChatView({ shareToken }) {
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    apiFetch(null, `/api/shared/${encodeURIComponent(shareToken)}`)
+      .then((data) => {
+        setShare(data.share);
+        document.title = `${data.share.title} · Falcon AI`;
+      })
+      .catch((err) => setError(err.message));
+  }, [shareToken]);
+
+  return (
+    <div className="shared-view">
+      <header className="shared-header">
+        <a href="/" className="shared-brand">
+          <img src="/Falcon.png" alt="Falcon AI" />
+          <span>Falcon AI</span>
+        </a>
+        <span className="shared-badge">Read-only shared chat</span>
+      </header>
+
+      {error && <p className="shared-error">⚠️ {error}</p>}
+      {!share && !error && <p className="shared-meta">Loading…</p>}
+
+      {share && (
+        <article className="shared-chat">
+          <h1>{share.title}</h1>
+          <p className="shared-meta">
+            Shared {share.author ? `by ${share.author} ` : ""}on{" "}
+            {new Date(share.createdAt).toLocaleDateString()}
+            {share.expiresAt &&
+              ` · link expires ${new Date(share.expiresAt).toLocaleDateString()}`}
+          </p>
+
+          {share.messages.map((m, i) => {
+            const isUser = m.sender === "user";
+            return (
+              <div
+                key={i}
+                className={`chat-row ${isUser ? "chat-row-user" : "chat-row-bot"}`}
+              >
+                <div className="chat-bubble-wrapper">
+                  <div
+                    className={`avatar ${isUser ? "avatar-user" : "avatar-bot"}`}
+                  >
+                    {isUser ? "👤" : "𓅇"}
+                  </div>
+                  <div className={isUser ? "bubble-user" : "bubble-bot"}>
+                    {!isUser && m.provider && (
+                      <div className="provider-pill">{m.provider}</div>
+                    )}
+                    {m.attachments.map((a) => (
+                      <img
+                        key={a.id}
+                        src={`${API_BASE}${a.url}`}
+                        alt={a.name || "Attached image"}
+                        className="attachment-thumb"
+                      />
+                    ))}
+                    {isUser ? (
+                      m.text && <div className="user-text">{m.text}</div>
+                    ) : (
+                      <Markdown text={m.text} />
+                    )}
+                    {m.imageUrl && (
+                      <img
+                        src={
+                          m.imageUrl.startsWith("/api/")
+                            ? `${API_BASE}${m.imageUrl}`
+                            : m.imageUrl
+                        }
+                        alt="Generated by AI"
+                        className="generated-image"
+                      />
+                    )}
+                    {m.sources?.length > 0 && (
+                      <div className="shared-meta">
+                        Sources:{" "}
+                        {m.sources
+                          .map((src) =>
+                            src.page ? `${src.name} (p. ${src.page})` : src.name
+                          )
+                          .join(", ")}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </article>
+      )}
+    </div>
+  );
+}
+
+export default SharedChatView;
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef } from "react";
+import { apiFetch } from "./api.js";
+
+const DOCUMENT_ACCEPT = ".pdf,.docx,.txt,.md,.markdown";
+
+// Sidebar panel for Study mode: upload notes/slides and pick which ones the
+// answers should be grounded in. `selectedIds` is controlled by the parent.
+function StudyDocuments({ token, selectedIds, onSelectedChange }) {
+  const [documents, setDocuments] = useState([]);
+  const [status, setStatus] = useState("");
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    apiFetch(token, "/api/documents")
+      .then(({ documents }) => {
+        setDocuments(documents);
+        // forget selections of documents that no longer exist
+        const ids = new Set(documents.map((d) => d.id));
+        onSelectedChange((prev) => prev.filter((id) => ids.has(id)));
+      })
+      .catch((err) => setStatus(`⚠️ ${err.message}`));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const toggleSelected = (id) =>
+    onSelectedChange((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    const body = new FormData();
+    body.append("file", file);
+
+    setUploading(true);
+    setStatus(`Reading ${file.name}…`);
+    try {
+      const { document } = await apiFetch(token, "/api/documents", {
+        method: "POST",
+        body,
+      });
+      setDocuments((prev) => [document, ...prev]);
+      onSelectedChange((prev) => [...prev, document.id]);
+      setStatus("");
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.name}"?`)) return;
+    try {
+      await apiFetch(token, `/api/documents/${doc.id}`, { method: "DELETE" });
+      setDocuments((prev) => prev.filter((d) => d.id !== doc.id));
+      onSelectedChange((prev) => prev.filter((id) => id !== doc.id));
+    } catch (err) {
+      setStatus(`⚠️ ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="study-docs">
+      <div className="study-docs-list">
+        {documents.length === 0 && (
+          <div className="study-docs-empty">
+            Upload PDF, DOCX, TXT or Markdown notes to ask questions about them.
+          </div>
+        )}
+        {documents.map((doc) => (
+          <label key={doc.id} className="study-doc" title={doc.name}>
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(doc.id)}
+              onChange={() => toggleSelected(doc.id)}
+            />
+            <span className="study-doc-name">{doc.name}</span>
+            <button
+              type="button"
+              className="study-doc-delete"
+              title="Delete document"
+              onClick={(e) => {
+                e.preventDefault();
+                handleDelete(doc);
+              }}
+            >
+              ✕
+            </button>
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        className="btn"
+        disabled={uploading}
+        onClick={() => fileInputRef.current?.click()}
+      >
+        {uploading ? "Uploading…" : "＋ Upload document"}
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={DOCUMENT_ACCEPT}
+        onChange={handleUpload}
+        style={{ display: "none" }}
+      />
+      {status && <div className="study-docs-status">{status}</div>}
+    </div>
+  );
+}
+
+export default StudyDocuments;
@@ -0,0 +1,45 @@
+// Friendlier names for the backend tools (see backend/tools/)
+const TOOL_LABELS = {
+  get_weather: "🌦 Weather lookup",
+};
+
+// `city: "Kandy"` style summary of the arguments
+function formatArgs(args) {
+  return Object.entries(args || {})
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+    .join(", ");
+}
+
+// Tools the model called for a reply, each one a collapsible step showing
+// the arguments and the raw result. Steps without a result are still running.
+function ToolSteps({ steps }) {
+  return (
+    <div className="tool-steps">
+      {steps.map((step, i) => {
+        const running = step.result === undefined && !step.error;
+        return (
+          <details key={step.id || i} className="tool-step">
+            <summary>
+              <span className="tool-step-name">
+                {TOOL_LABELS[step.name] || `🔧 ${step.name}`}
+              </span>
+              <span className="tool-step-args">{formatArgs(step.args)}</span>
+              <span className="tool-step-status">
+                {running ? "⏳" : step.error ? "⚠️" : "✓"}
+              </span>
+            </summary>
+            <pre className="tool-step-result">
+              {running
+                ? "Running…"
+                : step.error
+                  ? step.error
+                  : JSON.stringify(step.result, null, 2)}
+            </pre>
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ToolSteps;
@@ -0,0 +1,188 @@
+// 🔗 Backend base URL (local by default, overridable in Vercel)
+export const API_BASE =
+  import.meta.env.VITE_API_BASE || "http://localhost:5000";
+
+// Error carrying the backend's message and the HTTP status
+function requestError(res, data) {
+  const err = new Error(data.error || `Request failed (${res.status})`);
+  err.status = res.status;
+  return err;
+}
+
+/* ---------- session ---------- */
+
+// Access tokens are short-lived. When the backend rejects one (401) it is
+// renewed once with the httpOnly refresh cookie and the request retried, so
+// callers can keep passing the token they logged in with: the newest token
+// is kept here and used instead.
+let session = { token: null, onRenewed: null, onExpired: null };
+let renewing = null;
+
+/**
+ * Set the logged-in session (null token after logout).
+ * `onRenewed({ user, token })` runs after a refresh, `onExpired()` when the
+ * session can't be renewed any more (logged out elsewhere, expired, …).
+ */
+export function configureSession({ token, onRenewed, onExpired }) {
+  session = { token, onRenewed, onExpired };
+}
+
+// POST to an /api/auth route, sending and receiving the refresh cookie
+export async function authFetch(path, { body, token } = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body || {}),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw requestError(res, data);
+  }
+  return data;
+}
+
+// One refresh at a time, however many requests failed together
+function renewSession() {
+  if (!renewing) {
+    renewing = authFetch("/api/auth/refresh")
+      .then((data) => {
+        session.token = data.token;
+        session.onRenewed?.(data);
+        return data.token;
+      })
+      .catch(() => {
+        session.token = null;
+        session.onExpired?.();
+        return null;
+      })
+      .finally(() => {
+        renewing = null;
+      });
+  }
+  return renewing;
+}
+
+// fetch() with the access token, renewing it once if it was rejected
+async function fetchWithToken(token, path, init = {}) {
+  const send = (accessToken) =>
+    fetch(`${API_BASE}${path}`, {
+      ...init,
+      headers: {
+        ...init.headers,
+        Authorization: accessToken ? `Bearer ${accessToken}` : "",
+      },
+    });
+
+  const current = session.token || token;
+  const res = await send(current);
+  if (res.status !== 401 || !current) return res;
+
+  const renewed = await renewSession();
+  return renewed ? send(renewed) : res;
+}
+
+// Small JSON fetch helper for authenticated backend routes.
+// `body` is sent as JSON, or as-is when it is FormData (file uploads).
+// Throws an Error with the backend's `error` message when the request fails.
+export async function apiFetch(token, path, { method = "GET", body } = {}) {
+  const isJson = body !== undefined && !(body instanceof FormData);
+  const res = await fetchWithToken(token, path, {
+    method,
+    headers: isJson ? { "Content-Type": "application/json" } : {},
+    body: isJson ? JSON.stringify(body) : body,
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw requestError(res, data);
+  }
+  return data;
+}
+
+// POST to a Server-Sent Events endpoint and call `onEvent(event, data)` for
+// every event as it arrives. Resolves when the stream ends.
+// `body` is sent as JSON, or as-is when it is FormData (file uploads).
+// Aborting `signal` (Stop) cancels the request; it then rejects with an
+// AbortError.
+export async function streamFetch(token, path, body, onEvent, { signal } = {}) {
+  const isForm = body instanceof FormData;
+  const res = await fetchWithToken(token, path, {
+    method: "POST",
+    signal,
+    headers: {
+      ...(isForm ? {} : { "Content-Type": "application/json" }),
+      Accept: "text/event-stream",
+    },
+    body: isForm ? body : JSON.stringify(body),
+  });
+
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    throw requestError(res, data);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  // Events are separated by a blank line; each has `event:` and `data:` lines
+  const flushEvents = () => {
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+      for (const line of raw.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data += line.slice(5).trim();
+      }
+      if (!data) continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (err) {
+        console.error("Bad stream event", err);
+        continue;
+      }
+      onEvent(event, parsed);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    flushEvents();
+  }
+  buffer += decoder.decode();
+  flushEvents();
+}
+
+// Fetch a protected file (e.g. an attachment) and return an object URL for
+// it, since <img src> can't send the Authorization header.
+export async function fetchObjectUrl(token, path) {
+  const res = await fetchWithToken(token, path);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw requestError(res, data);
+  }
+  return URL.createObjectURL(await res.blob());
+}
+
+// Download a protected file (e.g. an export) under `filename`
+export async function downloadFile(token, path, filename) {
+  const url = await fetchObjectUrl(token, path);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}